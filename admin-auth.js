@@ -0,0 +1,266 @@
+/**
+ * Admin authentication for the subscriber and operations endpoints
+ *
+ * Admin accounts come from the environment:
+ *
+ *   ADMIN_USERS=alice:scrypt$<salt>$<hash>,bob:scrypt$<salt>$<hash>
+ *   ADMIN_PASSWORD=...              (single "admin" account, plain text - local use)
+ *   ADMIN_SESSION_SECRET=...        (signs session tokens; random per process if unset)
+ *
+ * Hashes are made with `node scripts/admin-token.js hash <password>`. Signing
+ * in sets an HttpOnly session cookie holding a signed token; scripts can send
+ * the same kind of token as `Authorization: Bearer <token>` (see
+ * `node scripts/admin-token.js token <username>`).
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'ysba_admin';
+const SESSION_TTL_HOURS = 12;
+const SCRYPT_KEY_LENGTH = 32;
+
+// scrypt$<salt>$<hash>, both hex
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// "a=1; b=2" -> { a: '1', b: '2' }
+function parseCookies(header = '') {
+  return header.split(';').reduce((cookies, part) => {
+    const separator = part.indexOf('=');
+    if (separator === -1) return cookies;
+
+    const name = part.slice(0, separator).trim();
+    const value = part.slice(separator + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+    return cookies;
+  }, {});
+}
+
+// Fixed-window rate limiter keyed by client IP. Counts live in memory, which
+// is fine for the single web instance this app runs on.
+function createRateLimiter({ windowMs, max, message = 'Too many requests, please try again later' }) {
+  const hits = new Map();
+
+  const limiter = (req, res, next) => {
+    const now = Date.now();
+    const key = req.ip || req.socket?.remoteAddress || 'unknown';
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    // Drop expired windows now and then so the map doesn't grow forever
+    if (hits.size > 1000) {
+      hits.forEach((value, mapKey) => {
+        if (value.resetAt <= now) hits.delete(mapKey);
+      });
+    }
+
+    res.setHeader('RateLimit-Limit', max);
+    res.setHeader('RateLimit-Remaining', Math.max(0, max - entry.count));
+    res.setHeader('RateLimit-Reset', Math.ceil((entry.resetAt - now) / 1000));
+
+    if (entry.count > max) {
+      res.setHeader('Retry-After', Math.ceil((entry.resetAt - now) / 1000));
+      return res.status(429).json({
+        success: false,
+        error: message
+      });
+    }
+
+    next();
+  };
+
+  limiter.reset = () => hits.clear();
+  return limiter;
+}
+
+class AdminAuth {
+  constructor(env = process.env) {
+    this.users = this.loadUsers(env);
+    this.isProduction = env.NODE_ENV === 'production';
+    this.dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+    if (env.ADMIN_SESSION_SECRET) {
+      this.secret = env.ADMIN_SESSION_SECRET;
+    } else {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      if (this.isConfigured) {
+        console.log('🔐 ADMIN_SESSION_SECRET not set - admin sessions will end when the server restarts');
+      }
+    }
+
+    if (!this.isConfigured) {
+      console.log('🔐 No admin accounts configured - admin endpoints disabled (set ADMIN_USERS or ADMIN_PASSWORD)');
+    }
+
+    // Bind middleware so it can be passed straight to express
+    this.requireAdmin = this.requireAdmin.bind(this);
+    this.requireAdminPage = this.requireAdminPage.bind(this);
+  }
+
+  get isConfigured() {
+    return this.users.size > 0;
+  }
+
+  // username -> password hash
+  loadUsers(env) {
+    const users = new Map();
+
+    (env.ADMIN_USERS || '').split(',').forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator === -1) return;
+
+      const username = entry.slice(0, separator).trim();
+      const hash = entry.slice(separator + 1).trim();
+      if (username && hash) users.set(username, hash);
+    });
+
+    if (users.size === 0 && env.ADMIN_PASSWORD) {
+      users.set(env.ADMIN_USERNAME || 'admin', hashPassword(env.ADMIN_PASSWORD));
+    }
+
+    return users;
+  }
+
+  verifyCredentials(username, password) {
+    const hash = this.users.get(String(username || ''));
+
+    // Hash anyway for unknown users so response times don't reveal valid names
+    if (!hash) {
+      verifyPassword(password, this.dummyHash);
+      return false;
+    }
+
+    return verifyPassword(password, hash);
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  // <base64url payload>.<signature>
+  createToken(username, ttlHours = SESSION_TTL_HOURS) {
+    const now = Date.now();
+    const payload = Buffer.from(JSON.stringify({
+      sub: username,
+      iat: now,
+      exp: now + ttlHours * 60 * 60 * 1000
+    })).toString('base64url');
+
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  // Username for a valid, unexpired token from a current account, or null
+  verifyToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!sub || !exp || exp < Date.now() || !this.users.has(sub)) return null;
+      return sub;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getTokenFromRequest(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      return authorization.slice(7).trim();
+    }
+
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+  }
+
+  // Username of the signed-in admin, or null
+  getAdmin(req) {
+    return this.verifyToken(this.getTokenFromRequest(req));
+  }
+
+  setSessionCookie(res, token) {
+    const parts = [
+      `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Strict',
+      `Max-Age=${SESSION_TTL_HOURS * 60 * 60}`
+    ];
+    if (this.isProduction) parts.push('Secure');
+
+    res.setHeader('Set-Cookie', parts.join('; '));
+  }
+
+  clearSessionCookie(res) {
+    const parts = [`${SESSION_COOKIE}=`, 'Path=/', 'HttpOnly', 'SameSite=Strict', 'Max-Age=0'];
+    if (this.isProduction) parts.push('Secure');
+
+    res.setHeader('Set-Cookie', parts.join('; '));
+  }
+
+  // Middleware for admin API routes: 401/503 JSON unless signed in
+  requireAdmin(req, res, next) {
+    if (!this.isConfigured) {
+      return res.status(503).json({
+        success: false,
+        error: 'Admin access is not configured on this server'
+      });
+    }
+
+    const admin = this.getAdmin(req);
+    if (!admin) {
+      return res.status(401).json({
+        success: false,
+        error: 'Admin sign-in required'
+      });
+    }
+
+    req.admin = admin;
+    next();
+  }
+
+  // Middleware for admin pages: redirect to the console's sign-in form
+  requireAdminPage(req, res, next) {
+    const admin = this.isConfigured ? this.getAdmin(req) : null;
+    if (!admin) {
+      return res.redirect(`/admin?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+
+    req.admin = admin;
+    next();
+  }
+}
+
+module.exports = AdminAuth;
+module.exports.SESSION_COOKIE = SESSION_COOKIE;
+module.exports.hashPassword = hashPassword;
+module.exports.verifyPassword = verifyPassword;
+module.exports.parseCookies = parseCookies;
+module.exports.createRateLimiter = createRateLimiter;
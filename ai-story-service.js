@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const OpenAI = require('openai');
+const { rankTeams } = require('./standings-ranking');
 
 class AIStoryService {
     constructor() {
@@ -444,8 +445,8 @@ class AIStoryService {
                 if (division.tiers) {
                     Object.entries(division.tiers).forEach(([tierKey, tier]) => {
                         if (tier.teams && tier.teams.length >= 3) {
-                            // Sort teams by wins to find close races
-                            const sortedTeams = [...tier.teams].sort((a, b) => b.w - a.w);
+                            // Rank with the shared tiebreaker rules to find the real top two
+                            const sortedTeams = rankTeams(tier.teams);
                             
                             // Check if top teams have close records
                             if (sortedTeams.length >= 2) {
@@ -0,0 +1,545 @@
+/**
+ * Versioned public API (/api/v1)
+ *
+ * Read-only resources over the published data:
+ *
+ *   GET /api/v1/divisions
+ *   GET /api/v1/divisions/:division/tiers/:tier/standings[?asOf=2025-06-01]
+ *   GET /api/v1/divisions/:division/tiers/:tier/standings/history
+ *   GET /api/v1/teams/:teamCode[/schedule|/history]
+ *   GET /api/v1/changes
+ *   GET /api/v1/openapi.json
+ *
+ * Routes, parameters and response bodies come from the OpenAPI document in
+ * openapi.js. Parameters are checked against it before a handler runs, and
+ * response bodies after (a mismatch is a 500 outside production, a logged
+ * warning in production). Successful responses are { success: true, data };
+ * errors are { success: false, error: { code, message, details } } with 400
+ * for invalid parameters, 404 for unknown divisions, tiers and teams and 500
+ * otherwise.
+ *
+ * The data lookups (standings, divisions, team schedules and profiles) are
+ * shared with the legacy routes in server-optimized.js, which keep their old
+ * response shapes on top of them.
+ */
+
+const express = require('express');
+const config = require('./config');
+const { rankTeams } = require('./standings-ranking');
+const { buildTeamProfile } = require('./team-stats');
+const { splitPlayedAndUpcoming } = require('./src/scraper/game-time');
+const { parseAsOf } = require('./src/scraper/history');
+const { describeEvent } = require('./src/scraper/change-events');
+const { divisionFileId, sendCachedJson } = require('./data-store');
+const { OPENAPI_DOCUMENT, listOperations, parseParameters, validateResponse } = require('./openapi');
+
+// Error answered with its status: { status, code, details }
+function apiError(status, code, message, details) {
+  return Object.assign(new Error(message), { status, code, details });
+}
+
+function errorBody(code, message, details) {
+  return { success: false, error: { code, message, ...(details && { details }) } };
+}
+
+// Clean tier key for the API (rep-tier-1 -> tier-1, select-all-tiers -> all-tiers)
+function cleanTierKey(tierKey) {
+  if (tierKey.startsWith('rep-')) return tierKey.substring(4);
+  if (tierKey.startsWith('select-')) return tierKey.substring(7);
+  return tierKey;
+}
+
+class PublicApi {
+  // store: a loaded PublishedDataStore
+  constructor({
+    store,
+    standingsHistory,
+    changeEventLog,
+    strictResponses = process.env.NODE_ENV !== 'production'
+  }) {
+    this.store = store;
+    this.standingsHistory = standingsHistory;
+    this.changeEventLog = changeEventLog;
+    this.strictResponses = strictResponses;
+  }
+
+  // Division file key of a division/tier the site has, or null
+  resolveDivision(division, tier) {
+    const divisionKey = config.getDivisionFileKey(division, tier);
+    const { key, tier: tierKey } = config.describeDivisionFile(divisionKey);
+    return tierKey && config.getDivisionConfig(key, tierKey) ? divisionKey : null;
+  }
+
+  // Ranked standings of a division/tier, built once per scrape: { key,
+  // divisionKey, fileIds, standings: { teams, lastUpdated, source } }, or
+  // null when nothing is published for it. Uses the division file, or the
+  // tier's table in ysba-standings.json before the first division file lands.
+  findStandings(division, tier) {
+    const divisionKey = config.getDivisionFileKey(division, tier);
+    const lastUpdated = standingsData => standingsData.lastUpdated || this.store.getFile('ysba-standings.json').lastModified.toISOString();
+
+    let key = `standings:${divisionKey}`;
+    let fileIds = [divisionFileId(divisionKey), 'ysba-standings.json'];
+    let standings = this.store.memoize(key, fileIds, (divisionData, standingsData) => {
+      if (!divisionData.standings?.teams) return null;
+
+      // Convert the nested structure to the expected flat structure
+      const flatTeams = divisionData.standings.teams.map(team => ({
+        position: team.position,
+        team: team.team,
+        teamCode: team.teamCode,
+        gamesPlayed: team.record?.gamesPlayed || 0,
+        wins: team.record?.wins || 0,
+        losses: team.record?.losses || 0,
+        ties: team.record?.ties || 0,
+        points: team.stats?.points || 0,
+        runsFor: team.stats?.runsFor || 0,
+        runsAgainst: team.stats?.runsAgainst || 0,
+        runDifferential: (team.stats?.runsFor || 0) - (team.stats?.runsAgainst || 0),
+        winPercentage: team.record?.winPercentage || '0.000'
+      }));
+
+      // Rank with the shared YSBA tiebreaker rules (head-to-head comes from the division's schedule)
+      return {
+        teams: rankTeams(flatTeams, divisionData.schedule?.allGames),
+        // Division files don't have lastUpdated, so get it from the main standings file
+        lastUpdated: lastUpdated(standingsData),
+        source: 'GitHub Actions'
+      };
+    });
+
+    if (!standings) {
+      key = `standings-fallback:${divisionKey}`;
+      fileIds = ['ysba-standings.json'];
+      standings = this.store.memoize(key, fileIds, standingsData => {
+        const { key: divisionName, tier: tierKey } = config.describeDivisionFile(divisionKey);
+        if (!tierKey) return null;
+
+        // ysba-standings.json keys divisions without -rep/-select and tiers with the prefix
+        const dataTierKey = divisionName.endsWith('-select') ? 'select-all-tiers'
+          : tierKey === 'no-tier' ? tierKey : `rep-${tierKey}`;
+        const tierData = standingsData.divisions?.[divisionName.replace(/-(rep|select)$/, '')]?.tiers?.[dataTierKey];
+        if (!tierData) return null;
+
+        // Convert optimized format back to old format for backwards compatibility
+        const flatTeams = tierData.teams.map(team => ({
+          position: team.pos,
+          team: team.team,
+          teamCode: team.teamCode || `team-${team.pos}`,
+          gamesPlayed: (team.w + team.l + team.t) || 0,
+          wins: team.w,
+          losses: team.l,
+          ties: team.t,
+          points: team.points || (team.w * 2 + team.t),
+          runsFor: team.rf,
+          runsAgainst: team.ra,
+          runDifferential: (team.rf || 0) - (team.ra || 0),
+          winPercentage: team.pct
+        }));
+
+        // Rank with the shared YSBA tiebreaker rules (no schedule here, so no head-to-head)
+        return {
+          teams: rankTeams(flatTeams),
+          lastUpdated: lastUpdated(standingsData),
+          source: 'GitHub Actions'
+        };
+      });
+    }
+
+    return standings && { key, divisionKey, fileIds, standings };
+  }
+
+  // Divisions keyed by division key with their tiers keyed by clean tier key,
+  // from ysba-index.json: { divisions, lastUpdated }, or null before the first
+  // scrape
+  findDivisions(filterEmpty = false) {
+    return this.store.memoize(`divisions:${filterEmpty}`, ['ysba-index.json'], indexData => {
+      if (!indexData.divisions) return null;
+
+      const divisions = {};
+      Object.entries(indexData.divisions).forEach(([key, division]) => {
+        const tierList = Array.isArray(division.tiers) ? division.tiers : [];
+
+        // Convert tier array to tier object for frontend compatibility
+        const tiers = {};
+        tierList.forEach(tier => {
+          // Remove redundant rep/select prefixes from tier display names
+          const displayName = tier.key === 'select-all-tiers'
+            ? 'All Teams' // More friendly than "All Tiers" for select
+            : cleanTierKey(tier.key).split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+          tiers[cleanTierKey(tier.key)] = {
+            displayName,
+            teams: tier.teams,
+            games: tier.games,
+            originalKey: tier.key // Keep original key for internal mapping if needed
+          };
+        });
+
+        // Skip empty divisions if filtering is requested
+        if (filterEmpty && Object.keys(tiers).length === 0) {
+          return;
+        }
+
+        const tiersOfType = type => Object.fromEntries(
+          Object.entries(tiers).filter(([tierKey, tierData]) => tierData.originalKey.includes(type))
+        );
+
+        // Add division type suffixes for proper routing
+        if (tierList.some(tier => tier.key.includes('rep'))) {
+          const configDivision = config.DIVISIONS[`${key}-rep`];
+
+          divisions[`${key}-rep`] = {
+            displayName: `${division.displayName} Rep`,
+            shortName: configDivision?.shortName || `${key.toUpperCase()} Rep`,
+            theme: {
+              primary: '#024220',
+              secondary: '#015c2a',
+              accent: '#facc15'
+            },
+            tiers: tiersOfType('rep'),
+            features: {
+              divisionFilter: false,
+              emailNotifications: true,
+              schedules: true
+            }
+          };
+        }
+
+        if (tierList.some(tier => tier.key.includes('select'))) {
+          const configDivision = config.DIVISIONS[`${key}-select`];
+
+          divisions[`${key}-select`] = {
+            displayName: `${division.displayName} Select`,
+            shortName: configDivision?.shortName || `${key.toUpperCase()} Select`,
+            theme: {
+              primary: '#024220',
+              secondary: '#015c2a',
+              accent: '#facc15'
+            },
+            tiers: tiersOfType('select'),
+            features: configDivision?.features || {
+              divisionFilter: false,
+              emailNotifications: true,
+              schedules: true
+            },
+            divisionMapping: configDivision?.divisionMapping || {}
+          };
+        }
+      });
+
+      return {
+        divisions,
+        // Use the lastUpdated from JSON content (more reliable than file mtime after git operations)
+        lastUpdated: indexData.lastUpdated || new Date().toISOString()
+      };
+    });
+  }
+
+  // Divisions from config.js, for when ysba-index.json can't be read
+  getConfigDivisions() {
+    const divisions = {};
+    Object.entries(config.DIVISIONS).forEach(([key, division]) => {
+      divisions[key] = {
+        displayName: division.displayName,
+        shortName: division.shortName || division.displayName,
+        theme: division.theme || { primary: '#024220' },
+        tiers: division.tiers || {},
+        features: division.features || {
+          divisionFilter: false,
+          emailNotifications: true,
+          schedules: true
+        },
+        divisionMapping: division.divisionMapping || {}
+      };
+    });
+    return divisions;
+  }
+
+  // Division file that lists a team: { divisionKey, divisionData }, or null.
+  // Team codes are YSBA ids and unique across divisions, so without a
+  // division the store's team index is used.
+  findTeam(teamCode, divisionKey = null) {
+    divisionKey = divisionKey || this.store.findTeamDivision(teamCode);
+    const divisionData = divisionKey && this.store.getDivision(divisionKey);
+    if (!divisionData) return null;
+
+    const listed = divisionData.standings?.teams?.some(team => team.teamCode === teamCode)
+      || divisionData.schedule?.allGames?.some(game => game.homeTeamCode === teamCode || game.awayTeamCode === teamCode);
+    return listed ? { divisionKey, divisionData } : null;
+  }
+
+  // Team page data: profile, division and lastUpdated, or null
+  findTeamProfile(teamCode, divisionKey = null) {
+    const found = this.findTeam(teamCode, divisionKey);
+    const profile = found && buildTeamProfile(teamCode, found.divisionData);
+    if (!profile) return null;
+
+    return {
+      ...profile,
+      division: config.describeDivisionFile(found.divisionKey),
+      lastUpdated: found.divisionData.summary?.lastUpdated || found.divisionData.schedule?.lastUpdated || null
+    };
+  }
+
+  // A team's games from its side, sorted by date and split into played and
+  // upcoming: { fileIds, allGames, playedGames, upcomingGames, lastUpdated },
+  // or null when the division file has no schedule for it
+  findTeamSchedule(teamCode, divisionKey) {
+    const fileIds = [divisionFileId(divisionKey)];
+
+    // Built once per scrape
+    const allGames = this.store.memoize(`team-games:${divisionKey}:${teamCode}`, fileIds, divisionData => {
+      const scheduleData = divisionData.schedule?.teamSchedules?.[teamCode];
+      if (!scheduleData) return null;
+
+      // Process and fix game data
+      const processGame = (game) => {
+        // Determine opponent based on whether this team is home or away
+        const isHomeTeam = game.homeTeamCode === teamCode;
+
+        // Fix score text to be from this team's perspective (team score - opponent score)
+        let scoreText = null;
+        if (game.score && game.isCompleted) {
+          const teamScore = isHomeTeam ? game.score.home : game.score.away;
+          const opponentScore = isHomeTeam ? game.score.away : game.score.home;
+          scoreText = `${teamScore}-${opponentScore}`;
+        }
+
+        return {
+          ...game,
+          opponent: isHomeTeam ? game.awayTeam : game.homeTeam,
+          opponentCode: isHomeTeam ? game.awayTeamCode : game.homeTeamCode,
+          isHome: isHomeTeam,
+          scoreText,
+          teamScore: game.score && isHomeTeam ? game.score.home : game.score?.away,
+          opponentScore: game.score && isHomeTeam ? game.score.away : game.score?.home
+        };
+      };
+
+      // Get ALL games for this team from the division's complete game list,
+      // falling back to the team's individual game lists
+      const games = divisionData.schedule.allGames
+        ? divisionData.schedule.allGames.filter(game => game.homeTeamCode === teamCode || game.awayTeamCode === teamCode)
+        : [...(scheduleData.recentGames || []), ...(scheduleData.nextGames || [])];
+
+      // Sort games by date (undated games last)
+      return games.map(processGame).sort((a, b) => {
+        if (!a.date || !b.date) return !a.date - !b.date;
+        return new Date(a.date) - new Date(b.date);
+      });
+    });
+    if (!allGames) return null;
+
+    // Played once scored or started; everything else is upcoming - never both.
+    // Games start between scrapes, so this is worked out on every request.
+    const { playedGames, upcomingGames } = splitPlayedAndUpcoming(allGames);
+    const divisionFile = this.store.getFile(fileIds[0]);
+
+    return {
+      fileIds,
+      allGames,
+      playedGames,
+      upcomingGames,
+      lastUpdated: divisionFile.data.lastUpdated || divisionFile.lastModified.toISOString()
+    };
+  }
+
+  // Express router serving every operation in the OpenAPI document
+  router() {
+    const router = express.Router();
+
+    listOperations().forEach(({ operationId, method, path, operation }) => {
+      router[method](path.replace(/\{(\w+)\}/g, ':$1'), async (req, res) => {
+        try {
+          const { values, errors } = parseParameters(operation, req);
+          if (errors.length > 0) {
+            throw apiError(400, 'invalid_request', 'Invalid request parameters', errors);
+          }
+
+          await this[operationId](values, { req, res, operation });
+        } catch (error) {
+          if (!error.status) {
+            console.error(`Error serving ${operationId}:`, error);
+          }
+          res.status(error.status || 500).json(error.status
+            ? errorBody(error.code, error.message, error.details)
+            : errorBody('internal_error', 'Something went wrong serving this request'));
+        }
+      });
+    });
+
+    router.use((req, res) => {
+      res.status(404).json(errorBody('not_found', `No API endpoint at ${req.method} /api/v1${req.path}`));
+    });
+
+    return router;
+  }
+
+  // Response body problems are bugs here, not in the request
+  checkResponse(operation, status, body) {
+    const errors = validateResponse(operation, status, body);
+    if (errors.length === 0) return;
+
+    const summary = errors.slice(0, 5).map(error => `${error.field} ${error.message}`).join('; ');
+    if (this.strictResponses) {
+      throw new Error(`${operation.operationId} response does not match the OpenAPI document: ${summary}`);
+    }
+    console.warn(`⚠️  ${operation.operationId} response does not match the OpenAPI document: ${summary}`);
+  }
+
+  send({ res, operation }, data) {
+    const body = { success: true, data };
+    this.checkResponse(operation, 200, body);
+    res.json(body);
+  }
+
+  // Response built and checked once per scrape, with ETag/Last-Modified
+  sendCached({ req, res, operation }, key, fileIds, buildData) {
+    const response = this.store.getResponse(`v1:${key}`, fileIds, () => {
+      const body = { success: true, data: buildData() };
+      this.checkResponse(operation, 200, body);
+      return body;
+    });
+    sendCachedJson(req, res, response);
+  }
+
+  // Division file key of a division/tier parameter pair, or a 404
+  requireDivision(division, tier) {
+    const divisionKey = this.resolveDivision(division, tier);
+    if (!divisionKey) {
+      throw apiError(404, 'not_found', `Unknown division or tier: ${division}/${tier || 'all-tiers'}`);
+    }
+    return divisionKey;
+  }
+
+  getOpenApiDocument(params, { res }) {
+    res.json(OPENAPI_DOCUMENT);
+  }
+
+  listDivisions({ filterEmpty }, context) {
+    // Divisions and tiers as lists, in the order the index has them
+    const toList = divisions => Object.entries(divisions).map(([key, division]) => ({
+      key,
+      displayName: division.displayName,
+      shortName: division.shortName,
+      tiers: Object.entries(division.tiers).map(([tierKey, tier]) => ({
+        key: tierKey,
+        displayName: tier.displayName,
+        teams: tier.teams,
+        games: tier.games
+      }))
+    }));
+
+    const index = this.findDivisions(filterEmpty);
+    if (!index) {
+      return this.send(context, { divisions: toList(this.getConfigDivisions()), lastUpdated: null });
+    }
+
+    this.sendCached(context, `divisions:${filterEmpty}`, ['ysba-index.json'], () => ({
+      divisions: toList(index.divisions),
+      lastUpdated: index.lastUpdated
+    }));
+  }
+
+  async getStandings({ division, tier, asOf }, context) {
+    const divisionKey = this.requireDivision(division, tier);
+    const divisionRef = config.describeDivisionFile(divisionKey);
+
+    // Standings as they stood on a past date, from the dated snapshots
+    if (asOf) {
+      if (!parseAsOf(asOf)) {
+        throw apiError(400, 'invalid_request', 'Invalid request parameters', [
+          { field: 'asOf', message: 'must be YYYY-MM-DD or an ISO timestamp' }
+        ]);
+      }
+
+      const historical = await this.standingsHistory.getStandingsAsOf(divisionKey, asOf);
+      if (!historical) {
+        throw apiError(404, 'not_found', `No standings recorded for ${divisionRef.displayName} on or before ${asOf}`);
+      }
+      return this.send(context, { division: divisionRef, teams: historical.teams, lastUpdated: historical.lastUpdated, asOf });
+    }
+
+    const found = this.findStandings(division, tier);
+    if (!found) {
+      throw apiError(404, 'not_found', `No standings published for ${divisionRef.displayName} yet`);
+    }
+
+    this.sendCached(context, found.key, found.fileIds, () => ({
+      division: divisionRef,
+      teams: found.standings.teams,
+      lastUpdated: found.standings.lastUpdated
+    }));
+  }
+
+  async getStandingsHistory({ division, tier }, context) {
+    const divisionKey = this.requireDivision(division, tier);
+    const { teams } = await this.standingsHistory.getDivisionHistory(divisionKey);
+
+    this.send(context, { division: config.describeDivisionFile(divisionKey), teams });
+  }
+
+  getTeam({ teamCode, division, tier }, context) {
+    const profile = this.findTeamProfile(teamCode, division ? this.requireDivision(division, tier) : null);
+    if (!profile) {
+      throw apiError(404, 'not_found', `Team ${teamCode} not found`);
+    }
+
+    this.send(context, profile);
+  }
+
+  getTeamSchedule({ teamCode, division, tier }, context) {
+    const found = this.findTeam(teamCode, division ? this.requireDivision(division, tier) : null);
+    const schedule = found && this.findTeamSchedule(teamCode, found.divisionKey);
+    if (!schedule) {
+      throw apiError(404, 'not_found', `No schedule found for team ${teamCode}`);
+    }
+
+    const { fileIds, allGames, playedGames, upcomingGames, lastUpdated } = schedule;
+    this.sendCached(context, `team-schedule:${found.divisionKey}:${teamCode}:${playedGames.length}`, fileIds, () => ({
+      teamCode,
+      division: config.describeDivisionFile(found.divisionKey),
+      allGames,
+      playedGames,
+      upcomingGames,
+      totalGames: allGames.length,
+      lastUpdated
+    }));
+  }
+
+  async getTeamHistory({ teamCode, division, tier }, context) {
+    // Without a division, the team is looked up in every division it appears in
+    const divisionKey = division ? this.requireDivision(division, tier) : null;
+    const teamHistory = await this.standingsHistory.getTeamHistory(teamCode, divisionKey);
+
+    if (teamHistory.history.length === 0) {
+      throw apiError(404, 'not_found', `No standings history found for team ${teamCode}`);
+    }
+
+    this.send(context, teamHistory);
+  }
+
+  async listChanges({ division, tier, team, since, type, limit }, context) {
+    if (since && isNaN(new Date(since).getTime())) {
+      throw apiError(400, 'invalid_request', 'Invalid request parameters', [
+        { field: 'since', message: 'is not a valid date' }
+      ]);
+    }
+
+    const events = await this.changeEventLog.getEvents({
+      division: division ? this.requireDivision(division, tier) : null,
+      since,
+      types: type?.length ? type : null,
+      teamCode: team || null,
+      limit
+    });
+
+    this.send(context, {
+      events: events.map(event => ({ ...event, description: describeEvent(event) })),
+      count: events.length
+    });
+  }
+}
+
+module.exports = PublicApi;
@@ -0,0 +1,188 @@
+/**
+ * iCalendar (RFC 5545) feeds for team and division schedules
+ *
+ * Each game becomes a VEVENT whose UID comes from its game key (see
+ * src/scraper/game-keys.js), so calendar apps update a rescheduled game in
+ * place instead of adding a second copy. SEQUENCE counts the times a game was
+ * moved or relocated (from data/schedule-changes.json, see
+ * src/scraper/schedule-diff.js), so clients that only apply a changed
+ * DTSTART on a higher SEQUENCE pick it up. Start times are written in UTC, which
+ * needs no VTIMEZONE block; games without a listed time become all-day events
+ * on their Ontario date.
+ */
+
+const { withGameKeys } = require('./src/scraper/game-keys');
+const { parseTimeText } = require('./src/scraper/game-time');
+const { CHANGE_TYPES } = require('./src/scraper/schedule-diff');
+const config = require('./config');
+
+const GAME_DURATION_MINUTES = 120;
+const UID_DOMAIN = 'ysbalive.com';
+const PRODID = '-//YSBA Live//Schedules//EN';
+const SEQUENCE_CHANGE_TYPES = [CHANGE_TYPES.MOVED, CHANGE_TYPES.RELOCATED];
+
+// Text values escape backslashes, semicolons, commas and newlines
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74; // Continuation lines start with a space
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+// 2025-05-03T14:00:00.000Z -> 20250503T140000Z
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Ontario calendar date of an instant -> 20250503
+function formatLocalDate(date, timeZone = config.TIMEZONE) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone }).replace(/-/g, '');
+}
+
+function nextLocalDate(date, timeZone = config.TIMEZONE) {
+  return formatLocalDate(new Date(new Date(date).getTime() + 36 * 60 * 60 * 1000), timeZone);
+}
+
+function getScore(game) {
+  const home = game.score?.home ?? game.homeScore;
+  const away = game.score?.away ?? game.awayScore;
+  return game.isCompleted && Number.isFinite(home) && Number.isFinite(away) ? { home, away } : null;
+}
+
+// SUMMARY from a team's point of view ("vs Barrie") or neutral ("Vaughan @ Barrie")
+function getSummary(game, teamCode) {
+  if (teamCode === game.homeTeamCode) return `vs ${game.awayTeam}`;
+  if (teamCode === game.awayTeamCode) return `@ ${game.homeTeam}`;
+  return `${game.awayTeam} @ ${game.homeTeam}`;
+}
+
+function getDescription(game, { divisionName, url }) {
+  const lines = [];
+  const score = getScore(game);
+
+  if (score) {
+    lines.push(`Final: ${game.awayTeam} ${score.away}, ${game.homeTeam} ${score.home}`);
+  }
+  if (divisionName) lines.push(divisionName);
+  lines.push(`Away: ${game.awayTeam}`);
+  lines.push(`Home: ${game.homeTeam}`);
+  if (url) lines.push(url);
+
+  return lines.join('\n');
+}
+
+// Game key -> number of times the game was moved or relocated, from a
+// division's logged schedule changes
+function countReschedules(changes) {
+  const sequences = {};
+  changes
+    .filter(change => SEQUENCE_CHANGE_TYPES.includes(change.type))
+    .forEach(change => {
+      sequences[change.gameKey] = (sequences[change.gameKey] || 0) + 1;
+    });
+  return sequences;
+}
+
+function buildEvent(game, options) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${game.gameKey}@${UID_DOMAIN}`,
+    `SEQUENCE:${options.sequences[game.gameKey] || 0}`,
+    `DTSTAMP:${formatUtc(options.lastUpdated)}`,
+    `LAST-MODIFIED:${formatUtc(options.lastUpdated)}`
+  ];
+
+  if (parseTimeText(game.time)) {
+    const end = new Date(new Date(game.date).getTime() + GAME_DURATION_MINUTES * 60 * 1000);
+    lines.push(`DTSTART:${formatUtc(game.date)}`);
+    lines.push(`DTEND:${formatUtc(end)}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatLocalDate(game.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${nextLocalDate(game.date)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(getSummary(game, options.teamCode))}`);
+  if (game.location) {
+    lines.push(`LOCATION:${escapeText(game.location)}`);
+  }
+  lines.push(`DESCRIPTION:${escapeText(getDescription(game, options))}`);
+  if (options.url) {
+    lines.push(`URL:${options.url}`);
+  }
+  lines.push('STATUS:CONFIRMED');
+  lines.push('TRANSP:OPAQUE');
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+// Calendar for a set of games. allGames is the division's full game list (keys
+// are assigned across all of it so team and division feeds share UIDs);
+// teamCode narrows the feed to one team; sequences comes from countReschedules().
+function buildCalendar(allGames, options = {}) {
+  const settings = {
+    name: 'YSBA Schedule',
+    lastUpdated: new Date().toISOString(),
+    teamCode: null,
+    divisionName: null,
+    url: null, // Team or division page, linked from every event
+    sequences: {},
+    ...options
+  };
+
+  const games = withGameKeys(allGames || [])
+    .filter(game => game.date && !isNaN(new Date(game.date).getTime()))
+    .filter(game => !settings.teamCode
+      || game.homeTeamCode === settings.teamCode
+      || game.awayTeamCode === settings.teamCode)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(settings.name)}`,
+    `X-WR-TIMEZONE:${config.TIMEZONE}`,
+    // Ask subscribed clients to check back about as often as the data changes
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  games.forEach(game => lines.push(...buildEvent(game, settings)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  GAME_DURATION_MINUTES,
+  escapeText,
+  foldLine,
+  countReschedules,
+  buildCalendar
+};
@@ -0,0 +1,93 @@
+/**
+ * Atom (RFC 4287) feeds of change events
+ *
+ * One entry per change event (see src/scraper/change-events.js), newest
+ * first. Entry ids come from the event ids, which are stable across requests,
+ * so news readers show each result, standings move or schedule change once.
+ * Division feeds cover one division file; the league-wide feed titles each
+ * entry with its division. The routes ask the event log for FEED_EVENT_TYPES.
+ */
+
+const { EVENT_TYPES, describeEvent } = require('./src/scraper/change-events');
+
+const ID_PREFIX = 'tag:ysbalive.com,2025:';
+const FEED_LIMIT = 50;
+
+// Record changes are left out, like in the emails; the results cover them
+const FEED_EVENT_TYPES = Object.values(EVENT_TYPES).filter(type => type !== EVENT_TYPES.RECORD_CHANGE);
+
+// Text content escapes &, <, > and quotes
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function buildEntry(event, settings) {
+  const division = settings.describeDivision(event.division);
+  const description = describeEvent(event);
+  const title = settings.showDivision ? `${division.displayName}: ${description}` : description;
+  const url = division.url ? `${settings.siteUrl}${division.url}` : settings.siteUrl;
+
+  return [
+    '  <entry>',
+    `    <id>${ID_PREFIX}change:${escapeXml(encodeURIComponent(event.id))}</id>`,
+    `    <title>${escapeXml(title)}</title>`,
+    `    <updated>${new Date(event.detectedAt).toISOString()}</updated>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>`,
+    `    <category term="${escapeXml(event.type)}"/>`,
+    `    <content type="text">${escapeXml(`${description} (${division.displayName})`)}</content>`,
+    '  </entry>'
+  ];
+}
+
+// Feed of events, newest first. describeDivision(divisionKey) returns
+// { displayName, url } for a division file key; url is a path on siteUrl.
+function buildAtomFeed(events, options = {}) {
+  const settings = {
+    title: 'YSBA Live Changes',
+    id: 'changes',
+    siteUrl: 'https://ysbalive.com',
+    selfUrl: null, // Where the feed itself is served
+    url: null, // Page the feed is about, defaults to the site
+    lastUpdated: null,
+    showDivision: false,
+    describeDivision: divisionKey => ({ displayName: divisionKey, url: null }),
+    ...options
+  };
+
+  const entries = (events || [])
+    .slice()
+    .sort((a, b) => new Date(b.detectedAt) - new Date(a.detectedAt))
+    .slice(0, FEED_LIMIT);
+  const updated = entries[0]?.detectedAt || settings.lastUpdated || new Date().toISOString();
+
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${ID_PREFIX}${escapeXml(settings.id)}</id>`,
+    `  <title>${escapeXml(settings.title)}</title>`,
+    `  <updated>${new Date(updated).toISOString()}</updated>`,
+    '  <author><name>YSBA Live</name></author>',
+    `  <link rel="alternate" type="text/html" href="${escapeXml(settings.url || settings.siteUrl)}"/>`
+  ];
+
+  if (settings.selfUrl) {
+    lines.push(`  <link rel="self" type="application/atom+xml" href="${escapeXml(settings.selfUrl)}"/>`);
+  }
+
+  entries.forEach(event => lines.push(...buildEntry(event, settings)));
+  lines.push('</feed>');
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  FEED_LIMIT,
+  FEED_EVENT_TYPES,
+  escapeXml,
+  buildAtomFeed
+};
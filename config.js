@@ -1,3 +1,5 @@
+const path = require('path');
+
 module.exports = {
   PORT: process.env.PORT || 3000,
   SCRAPE_INTERVAL_MINUTES: 30,
@@ -5,8 +7,24 @@ module.exports = {
   MAX_RETRIES: 3,
   REQUEST_TIMEOUT: process.env.NODE_ENV === 'production' ? 60000 : 30000, // 60s for production, 30s for development
   USER_AGENT: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  YSBA_URL: 'https://www.yorksimcoebaseball.com/Club/xStanding.aspx',
-  YSBA_SCHEDULE_URL: 'https://www.yorksimcoebaseball.com/Club/xScheduleMM.aspx',
+  YSBA_URL: process.env.YSBA_URL || 'https://www.yorksimcoebaseball.com/Club/xStanding.aspx',
+  YSBA_SCHEDULE_URL: process.env.YSBA_SCHEDULE_URL || 'https://www.yorksimcoebaseball.com/Club/xScheduleMM.aspx',
+
+  // Scraper engine: 'http' posts the ASP.NET forms directly, 'puppeteer' drives headless Chromium
+  SCRAPER_ENGINE: process.env.SCRAPER_ENGINE || 'http',
+  SCRAPER_ENGINE_FALLBACK: process.env.SCRAPER_ENGINE_FALLBACK !== 'false', // Retry with Puppeteer if the HTTP engine fails
+
+  // Scraper source: 'live' drives the YSBA site, 'fixtures' replays saved HTML snapshots
+  SCRAPER_SOURCE: process.env.SCRAPER_SOURCE || 'live',
+  SCRAPER_FIXTURES_DIR: process.env.SCRAPER_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'ysba'),
+  SCRAPER_RECORD_FIXTURES: process.env.SCRAPER_RECORD_FIXTURES === 'true', // Save snapshots during live runs
+
+  // Game times on the YSBA site are Ontario wall-clock times
+  TIMEZONE: 'America/Toronto',
+  SEASON_YEAR: process.env.SEASON_YEAR ? parseInt(process.env.SEASON_YEAR, 10) : null, // Inferred from the date when unset
+
+  // Digest emails (scripts/send-digests.js): weekly digests go out on this Ontario weekday
+  WEEKLY_DIGEST_DAY: process.env.WEEKLY_DIGEST_DAY || 'Sunday',
   
   // Standardized theme - green primary with yellow accent
   STANDARD_THEME: {
@@ -485,6 +503,36 @@ module.exports = {
     };
   },
 
+  // Division file key of a division and tier in any spelling the site accepts:
+  // 11u-rep + rep-tier-2 and 11U-rep + tier-2 are both 11U-rep-tier-2
+  getDivisionFileKey: function(divisionKey, tierKey) {
+    const division = divisionKey.replace(/(\d+)u-/i, '$1U-');
+    let tier = tierKey || 'all-tiers';
+
+    // Remove redundant prefixes if they exist
+    if (division.endsWith('-rep') && tier.startsWith('rep-')) {
+      tier = tier.substring(4);
+    } else if (division.endsWith('-select') && tier.startsWith('select-')) {
+      tier = tier.substring(7);
+    }
+
+    return `${division}-${tier}`;
+  },
+
+  // Division/tier, display name and standings page of a division file key
+  // (9U-select-all-tiers, 8U-rep-tier-3)
+  describeDivisionFile: function(divisionFileKey) {
+    const [, divisionKey, tierKey] = divisionFileKey.match(/^(.+?-(?:rep|select))-(.+)$/i) || [];
+    const divisionConfig = divisionKey ? this.getDivisionConfig(divisionKey, tierKey) : null;
+    
+    return {
+      key: divisionKey || divisionFileKey,
+      tier: tierKey || null,
+      displayName: divisionConfig?.fullName || divisionFileKey,
+      url: divisionConfig?.urlPath || null
+    };
+  },
+
   getAllDivisions: function() {
     return Object.keys(this.DIVISIONS).map(key => ({
       key,
@@ -0,0 +1,264 @@
+/**
+ * In-memory store of the published data files
+ *
+ * The site only serves files the GitHub Action publishes to public/: one JSON
+ * file per division (public/divisions/11U-rep-tier-2.json) plus the combined
+ * ysba-standings.json, ysba-index.json and metadata.json. The store reads and
+ * parses them once at startup and again only when one changes on disk, so
+ * requests never touch the disk.
+ *
+ * Responses built from the files (ranked standings, team schedules, the
+ * division list) are memoized with the files they were built from and dropped
+ * when one of those files changes. Each memoized response carries a strong
+ * ETag and the newest Last-Modified of its files for conditional GETs.
+ *
+ * Emits 'division' ({ divisionKey, data, previous }) when a division file
+ * changes; the live update stream (live-updates.js) publishes from it.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+
+// Published files outside public/divisions
+const ROOT_FILES = ['ysba-standings.json', 'ysba-index.json', 'metadata.json'];
+
+// Scrapes land at most every 30 minutes and open pages hear about them over
+// /api/events, so browsers reuse a response for a minute and may serve it
+// stale while revalidating for the rest of the cycle
+const CACHE_CONTROL = 'public, max-age=60, stale-while-revalidate=1800';
+
+function hash(content) {
+  return crypto.createHash('sha1').update(content).digest('hex').slice(0, 20);
+}
+
+function divisionFileId(divisionKey) {
+  return `divisions/${divisionKey}.json`;
+}
+
+class PublishedDataStore extends EventEmitter {
+  constructor({
+    publicDir = path.join(__dirname, 'public'),
+    debounceMs = 1000
+  } = {}) {
+    super();
+    this.publicDir = publicDir;
+    this.debounceMs = debounceMs;
+    this.files = new Map();
+    this.teamDivisions = new Map();
+    this.memos = new Map();
+    this.pending = new Map();
+    this.watchers = [];
+  }
+
+  // Read every published file; call once before serving
+  async load() {
+    const divisionFiles = await fsPromises.readdir(path.join(this.publicDir, 'divisions')).catch(() => []);
+    const fileIds = [
+      ...ROOT_FILES,
+      ...divisionFiles.filter(file => file.endsWith('.json')).map(file => `divisions/${file}`)
+    ];
+
+    for (const fileId of fileIds) {
+      await this.reload(fileId, { quiet: true });
+    }
+
+    console.log(`🗂️  Loaded ${this.getDivisionKeys().length} division files into memory`);
+  }
+
+  // Reload files when the Action (or a local scrape) rewrites them
+  watch() {
+    const watchDir = (dir, prefix, accept) => {
+      try {
+        const watcher = fs.watch(dir, (eventType, fileName) => {
+          if (fileName && accept(fileName)) {
+            this.scheduleReload(`${prefix}${fileName}`);
+          }
+        });
+        watcher.on('error', error => {
+          console.error(`❌ File watcher error for ${dir}:`, error.message);
+        });
+        this.watchers.push(watcher);
+      } catch (error) {
+        console.error(`❌ Could not watch ${dir} for changes:`, error.message);
+      }
+    };
+
+    watchDir(path.join(this.publicDir, 'divisions'), 'divisions/', fileName => fileName.endsWith('.json'));
+    watchDir(this.publicDir, '', fileName => ROOT_FILES.includes(fileName));
+  }
+
+  close() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    this.pending.forEach(timer => clearTimeout(timer));
+    this.pending.clear();
+  }
+
+  // Scrapes write a file in several steps, so wait for them to settle
+  scheduleReload(fileId) {
+    clearTimeout(this.pending.get(fileId));
+    this.pending.set(fileId, setTimeout(() => {
+      this.pending.delete(fileId);
+      this.reload(fileId).catch(error => {
+        console.error(`❌ Reloading ${fileId} failed:`, error.message);
+      });
+    }, this.debounceMs));
+  }
+
+  // Read one file; returns false when it is unchanged, missing or not valid JSON
+  async reload(fileId, { quiet = false } = {}) {
+    const filePath = path.join(this.publicDir, fileId);
+    let content;
+    let stats;
+    try {
+      [content, stats] = await Promise.all([fsPromises.readFile(filePath, 'utf8'), fsPromises.stat(filePath)]);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      // Deleted files keep serving their last version until a new one lands
+      return false;
+    }
+
+    const etag = hash(content);
+    const previous = this.files.get(fileId);
+    if (previous && previous.etag === etag) return false;
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      // Half-written; the next change event reads it again
+      if (!quiet) console.warn(`⚠️  ${fileId} is not valid JSON yet, keeping the previous version`);
+      return false;
+    }
+
+    this.files.set(fileId, { data, etag, lastModified: stats.mtime });
+    this.invalidate(fileId);
+
+    const divisionKey = fileId.startsWith('divisions/') ? path.basename(fileId, '.json') : null;
+    if (divisionKey) {
+      this.indexTeams();
+    }
+
+    if (!quiet) {
+      console.log(`🗂️  Reloaded ${fileId}`);
+      if (divisionKey) {
+        this.emit('division', { divisionKey, data, previous: previous?.data || null });
+      }
+    }
+    return true;
+  }
+
+  // Team code -> division key, for team lookups without a division. No-tier
+  // files list games for every tier, so the division whose standings list a
+  // team wins; schedule-only mentions are the fallback. Rebuilt from every
+  // loaded file, so teams that moved don't keep their old division.
+  indexTeams() {
+    const divisionKeys = this.getDivisionKeys();
+    const teamDivisions = new Map();
+    const add = (teamCode, divisionKey) => {
+      if (teamCode && !teamDivisions.has(teamCode)) {
+        teamDivisions.set(teamCode, divisionKey);
+      }
+    };
+
+    divisionKeys.forEach(divisionKey => {
+      (this.getDivision(divisionKey).standings?.teams || []).forEach(team => add(team.teamCode, divisionKey));
+    });
+    divisionKeys.forEach(divisionKey => {
+      (this.getDivision(divisionKey).schedule?.allGames || []).forEach(game => {
+        add(game.homeTeamCode, divisionKey);
+        add(game.awayTeamCode, divisionKey);
+      });
+    });
+
+    this.teamDivisions = teamDivisions;
+  }
+
+  invalidate(fileId) {
+    this.memos.forEach((memo, key) => {
+      if (memo.fileIds.includes(fileId)) {
+        this.memos.delete(key);
+      }
+    });
+  }
+
+  // { data, etag, lastModified } of a published file, e.g. 'ysba-index.json'
+  getFile(fileId) {
+    return this.files.get(fileId) || null;
+  }
+
+  getDivision(divisionKey) {
+    return this.getFile(divisionFileId(divisionKey))?.data || null;
+  }
+
+  getDivisionKeys() {
+    return [...this.files.keys()]
+      .filter(fileId => fileId.startsWith('divisions/'))
+      .map(fileId => path.basename(fileId, '.json'))
+      .sort();
+  }
+
+  // Division key of the file whose standings (or failing that, schedule) list a team, or null
+  findTeamDivision(teamCode) {
+    return this.teamDivisions.get(String(teamCode)) || null;
+  }
+
+  // Value built from the given files, rebuilt after one of them changes.
+  // Returns null without building when a file isn't loaded. Null results
+  // aren't kept, so lookups of unknown teams can't fill the memory.
+  memoize(key, fileIds, build) {
+    const cached = this.memos.get(key);
+    if (cached) return cached.value;
+
+    const files = fileIds.map(fileId => this.getFile(fileId));
+    if (files.some(file => !file)) return null;
+
+    const value = build(...files.map(file => file.data));
+    if (value !== null && value !== undefined) {
+      this.memos.set(key, { fileIds, value });
+    }
+    return value ?? null;
+  }
+
+  // Memoized JSON response: { body, etag, lastModified }. build returns the
+  // response object, or null when there is nothing to serve.
+  getResponse(key, fileIds, build) {
+    return this.memoize(`response:${key}`, fileIds, (...data) => {
+      const payload = build(...data);
+      if (!payload) return null;
+
+      const files = fileIds.map(fileId => this.getFile(fileId));
+      const body = JSON.stringify(payload);
+      return {
+        body,
+        etag: `"${hash(`${key}:${body}`)}"`,
+        // HTTP dates have whole seconds; If-Modified-Since compares against these
+        lastModified: new Date(Math.floor(Math.max(...files.map(file => file.lastModified.getTime())) / 1000) * 1000)
+      };
+    });
+  }
+}
+
+// Send a memoized response, or 304 Not Modified when the browser's copy
+// (If-None-Match / If-Modified-Since) is current
+function sendCachedJson(req, res, response) {
+  res.set({
+    'Content-Type': 'application/json; charset=utf-8',
+    'ETag': response.etag,
+    'Last-Modified': response.lastModified.toUTCString(),
+    'Cache-Control': CACHE_CONTROL
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(response.body);
+}
+
+module.exports = PublishedDataStore;
+module.exports.CACHE_CONTROL = CACHE_CONTROL;
+module.exports.divisionFileId = divisionFileId;
+module.exports.sendCachedJson = sendCachedJson;
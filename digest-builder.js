@@ -0,0 +1,151 @@
+/**
+ * Daily and weekly digests
+ *
+ * Subscribers whose deliveryPreference is 'daily' or 'weekly' get no email
+ * per scrape. Instead scripts/send-digests.js sends them one email covering
+ * everything since their last digest (lastDigestAt), per division they
+ * subscribe to and per division of the teams they follow:
+ *
+ *   - position changes: the standings snapshot as of the last digest
+ *     (data/history, see src/scraper/history.js) against the latest one
+ *   - results and schedule changes: entries in data/schedule-changes.json
+ *     detected since then (see src/scraper/schedule-diff.js)
+ *
+ * Both come out as change events (see src/scraper/change-events.js), the same
+ * ones the instant emails are built from.
+ *
+ * Followed teams outside the subscribed divisions only bring in changes
+ * involving those teams. A digest never reaches back further than
+ * MAX_LOOKBACK_DAYS, so switching back to a digest after months of instant
+ * emails doesn't dump the whole season into one email.
+ */
+
+const StandingsHistory = require('./src/scraper/history');
+const ScheduleChangeLog = require('./src/scraper/schedule-diff');
+const { EVENT_TYPES, diffStandings, fromScheduleChange } = require('./src/scraper/change-events');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_PERIOD_DAYS = {
+  daily: 1,
+  weekly: 7
+};
+const MAX_LOOKBACK_DAYS = 14;
+
+class DigestBuilder {
+  // emailService provides division names, change descriptions and the division list
+  constructor({ emailService, history = new StandingsHistory(), scheduleChangeLog = new ScheduleChangeLog() }) {
+    this.emailService = emailService;
+    this.history = history;
+    this.scheduleChangeLog = scheduleChangeLog;
+    this.divisionCache = new Map(); // Many subscribers share a division and a period
+  }
+
+  // Start of the period a subscriber's next digest covers
+  getSince(subscriber, frequency, now = Date.now()) {
+    const periodStart = now - DIGEST_PERIOD_DAYS[frequency] * DAY_MS;
+    const lastDigest = subscriber.lastDigestAt ? new Date(subscriber.lastDigestAt).getTime() : periodStart;
+
+    return new Date(Math.max(lastDigest, now - MAX_LOOKBACK_DAYS * DAY_MS));
+  }
+
+  // Position changes, results and schedule changes in one division file between two times
+  async getDivisionChanges(divisionKey, since, until) {
+    const cacheKey = `${divisionKey}|${since.toISOString()}|${until.toISOString()}`;
+    if (!this.divisionCache.has(cacheKey)) {
+      this.divisionCache.set(cacheKey, this.loadDivisionChanges(divisionKey, since, until));
+    }
+    return this.divisionCache.get(cacheKey);
+  }
+
+  async loadDivisionChanges(divisionKey, since, until) {
+    const [before, after] = await Promise.all([
+      this.history.getStandingsAsOf(divisionKey, since.toISOString()),
+      this.history.getStandingsAsOf(divisionKey, until.toISOString())
+    ]);
+
+    // Net moves over the whole period; teams new since then aren't moves
+    const positionChanges = before
+      ? diffStandings(before.teams, after?.teams || []).filter(event => event.type === EVENT_TYPES.POSITION_CHANGE)
+      : [];
+
+    // Oldest first, so a game rescheduled twice reads in order
+    const gameEvents = (await this.scheduleChangeLog.getChanges({ division: divisionKey, since: since.toISOString() }))
+      .filter(change => new Date(change.detectedAt) <= until)
+      .reverse()
+      .map(fromScheduleChange);
+
+    return {
+      divisionKey,
+      standings: after?.teams || [],
+      positionChanges,
+      results: gameEvents.filter(event => event.type === EVENT_TYPES.RESULT_POSTED),
+      scheduleChanges: gameEvents.filter(event => event.type !== EVENT_TYPES.RESULT_POSTED)
+    };
+  }
+
+  // { since, until, sections: [...], changeCount } for one subscriber; sections
+  // without any change are left out, so changeCount 0 means nothing to send
+  async buildDigest(subscriber, { since, until = new Date() }) {
+    // Legacy subscribers without divisionPreferences get every division, like instant emails
+    const divisionKeys = Array.isArray(subscriber.divisionPreferences)
+      ? subscriber.divisionPreferences
+      : this.emailService.getAvailableDivisions().map(division => division.key);
+
+    const sections = [];
+    for (const divisionKey of divisionKeys) {
+      sections.push(this.buildSection(await this.getDivisionChanges(divisionKey, since, until)));
+    }
+
+    // Followed teams in divisions the subscriber doesn't already get in full
+    const teamsByDivision = new Map();
+    (subscriber.teamPreferences || [])
+      .filter(pref => pref.division && !divisionKeys.includes(pref.division))
+      .forEach(pref => {
+        if (!teamsByDivision.has(pref.division)) teamsByDivision.set(pref.division, []);
+        teamsByDivision.get(pref.division).push(pref);
+      });
+
+    for (const [divisionKey, teams] of teamsByDivision) {
+      sections.push(this.buildSection(await this.getDivisionChanges(divisionKey, since, until), teams));
+    }
+
+    const withChanges = sections.filter(section => section.changeCount > 0);
+    return {
+      since: since.toISOString(),
+      until: until.toISOString(),
+      sections: withChanges,
+      changeCount: withChanges.reduce((total, section) => total + section.changeCount, 0)
+    };
+  }
+
+  // One division of a digest, limited to the given followed teams when there are any
+  buildSection(divisionChanges, teams = null) {
+    const codes = teams ? new Set(teams.map(team => team.teamCode)) : null;
+    const involves = change => !codes || codes.has(change.homeTeamCode) || codes.has(change.awayTeamCode);
+
+    const positionChanges = divisionChanges.positionChanges
+      .filter(change => !codes || codes.has(change.teamCode))
+      .map(change => this.emailService.describeChange(change));
+    const results = divisionChanges.results
+      .filter(involves)
+      .map(change => this.emailService.describeChange(change));
+    const scheduleChanges = divisionChanges.scheduleChanges
+      .filter(involves)
+      .map(change => this.emailService.describeChange(change));
+
+    return {
+      divisionKey: divisionChanges.divisionKey,
+      divisionDisplay: this.emailService.getDivisionDisplay(divisionChanges.divisionKey),
+      teams: teams ? teams.map(team => team.team || team.teamCode) : null,
+      standings: divisionChanges.standings,
+      positionChanges,
+      results,
+      scheduleChanges,
+      changeCount: positionChanges.length + results.length + scheduleChanges.length
+    };
+  }
+}
+
+module.exports = DigestBuilder;
+module.exports.DIGEST_PERIOD_DAYS = DIGEST_PERIOD_DAYS;
+module.exports.MAX_LOOKBACK_DAYS = MAX_LOOKBACK_DAYS;
@@ -1,19 +1,49 @@
-const sgMail = require('@sendgrid/mail');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const axios = require('axios');
+const config = require('./config');
+const { rankTeams } = require('./standings-ranking');
+const { createTransport } = require('./email-transports');
+const NotificationOutbox = require('./notification-outbox');
+const buildSubscriberStats = require('./subscriber-stats');
+const { followsDivision } = require('./subscriber-stats');
+const { splitPlayedAndUpcoming } = require('./src/scraper/game-time');
+const { EVENT_TYPES, diffStandings, describeEvent, getEventTeamCodes } = require('./src/scraper/change-events');
+
+// Double opt-in: sign-ups stay pending until the emailed link is used
+const CONFIRMATION_TTL_HOURS = 48;
+const CONFIRMATION_RESEND_MINUTES = 10;
+const CONFIRMATION_MESSAGE = 'Almost done! Check your inbox for an email from us to confirm your subscription.';
+
+// instant: an email per changed division per scrape; daily/weekly: a digest (see digest-builder.js)
+const DELIVERY_PREFERENCES = ['instant', 'daily', 'weekly'];
+
+// Standings emails list the division's games for this many days ahead
+const UPCOMING_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// e.g. "Sun, Oct 12, 9:00 a.m." in Ontario time
+function formatDigestDate(isoDate) {
+    return new Date(isoDate).toLocaleString('en-CA', {
+        timeZone: config.TIMEZONE,
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
 
 class EmailService {
-    constructor() {
-        // Initialize SendGrid with API key from environment
-        const apiKey = process.env.SENDGRID_API_KEY;
-        if (apiKey && apiKey !== 'your_api_key_here') {
-            sgMail.setApiKey(apiKey);
-            this.isConfigured = true;
+    constructor(transport = createTransport()) {
+        // SendGrid, SMTP or .eml files, picked by EMAIL_TRANSPORT (see email-transports.js)
+        this.transport = transport;
+        this.isConfigured = Boolean(transport);
+        if (this.isConfigured) {
+            console.log(`📧 Sending email via ${transport.describe()}`);
         } else {
-            this.isConfigured = false;
-            console.log('📧 SendGrid not configured - email notifications disabled');
+            console.log('📧 No email transport configured - email notifications disabled');
         }
         
         this.fromEmail = process.env.FROM_EMAIL || 'notifications@ysbalive.com';
@@ -36,6 +66,19 @@ class EmailService {
             this.isGithubConfigured = false;
             console.log('📧 GitHub Gist not configured - using local storage only');
         }
+
+        // Queued notification emails and their delivery log, shared through the gist
+        this.outboxGistFilename = 'ysba-outbox.json';
+        this.outbox = new NotificationOutbox({
+            file: path.join(__dirname, 'outbox.json'),
+            gist: this.getGistStore(this.outboxGistFilename)
+        });
+
+        // Signs confirmation links; without it links stop working when the process restarts
+        this.confirmationSecret = process.env.SUBSCRIPTION_SECRET || crypto.randomBytes(32).toString('hex');
+        if (!process.env.SUBSCRIPTION_SECRET) {
+            console.log('📧 SUBSCRIPTION_SECRET not set - confirmation links only work until restart');
+        }
     }
 
     // Create backup directory if it doesn't exist
@@ -178,6 +221,66 @@ class EmailService {
         }
     }
 
+    // Read another file (e.g. the outbox) from the subscribers gist; null if it isn't there
+    async readGistFile(filename) {
+        if (!this.isGithubConfigured || !this.gistId) return null;
+
+        const headers = {
+            'Authorization': `token ${this.githubToken}`,
+            'Accept': 'application/vnd.github.v3+json',
+            'User-Agent': 'YSBA-Standings-App'
+        };
+
+        try {
+            const response = await axios.get(`https://api.github.com/gists/${this.gistId}`, { headers });
+            const file = response.data.files[filename];
+            if (!file) return null;
+
+            // The API cuts off files over 1 MB; the full content is at raw_url
+            if (file.truncated) {
+                const raw = await axios.get(file.raw_url, { headers, responseType: 'text' });
+                return raw.data;
+            }
+            return file.content;
+        } catch (error) {
+            console.error(`Error loading ${filename} from GitHub gist:`, error.response?.data || error.message);
+            return null;
+        }
+    }
+
+    // Write another file to the subscribers gist, leaving the subscribers file alone
+    async writeGistFile(filename, content) {
+        if (!this.isGithubConfigured || !this.gistId) return false;
+
+        try {
+            await axios.patch(`https://api.github.com/gists/${this.gistId}`, {
+                files: {
+                    [filename]: { content }
+                }
+            }, {
+                headers: {
+                    'Authorization': `token ${this.githubToken}`,
+                    'Accept': 'application/vnd.github.v3+json',
+                    'User-Agent': 'YSBA-Standings-App'
+                }
+            });
+            return true;
+        } catch (error) {
+            console.error(`Error saving ${filename} to GitHub gist:`, error.response?.data || error.message);
+            return false;
+        }
+    }
+
+    // Storage adapter ({ isConfigured, read, write }) for another file in the
+    // subscribers gist, e.g. the outbox or webhooks shared with the GitHub Action
+    getGistStore(filename) {
+        return {
+            isConfigured: () => this.isGithubConfigured && Boolean(this.gistId),
+            read: () => this.readGistFile(filename),
+            write: content => this.writeGistFile(filename, content)
+        };
+    }
+
     async saveToGist(subscribers) {
         if (!this.isGithubConfigured) return false;
 
@@ -355,36 +458,344 @@ class EmailService {
         }
     }
 
-    // Add new email subscriber with division preferences
-    async addSubscriber(email, name = '', divisionPreferences = []) {
+    // Add a subscriber with division and team preferences. New sign-ups stay
+    // pending (active: false, pending: true) until the confirmation link is used.
+    // Signing up again re-sends the confirmation, or a manage link to someone
+    // who is already subscribed; every case gets the same response so the form
+    // doesn't reveal who is subscribed.
+    async addSubscriber(email, name = '', divisionPreferences = [], teamPreferences = [], deliveryPreference = 'instant') {
         const subscribers = await this.loadSubscribers();
-        
-        // Check if already subscribed
-        const existing = subscribers.find(sub => sub.email.toLowerCase() === email.toLowerCase());
-        if (existing) {
-            return { success: false, message: 'Email already subscribed' };
-        }
+        const now = new Date().toISOString();
 
-        // Validate and normalize division preferences
+        // Validate and normalize division and team preferences
         const normalizedPreferences = this.normalizeDivisionPreferences(divisionPreferences);
+        const normalizedTeams = this.normalizeTeamPreferences(teamPreferences);
 
-        // Add new subscriber
-        const newSubscriber = {
-            id: this.generateToken(),
-            email: email.toLowerCase().trim(),
-            name: (name || '').trim(),
-            divisionPreferences: normalizedPreferences, // New multi-division support
-            teamFilter: 'all', // Legacy field for backward compatibility
-            subscribedAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-            active: true
-        };
+        let subscriber = subscribers.find(sub => sub.email.toLowerCase() === email.toLowerCase());
+
+        if (subscriber && subscriber.active) {
+            if (this.canResendConfirmation(subscriber)) {
+                subscriber.confirmationSentAt = now;
+                await this.saveSubscribers(subscribers);
+                await this.sendAlreadySubscribedEmail(subscriber);
+            }
+
+            console.log(`📧 Sign-up for existing subscriber: ${subscriber.email}`);
+            return { success: true, pending: false, message: CONFIRMATION_MESSAGE };
+        }
+
+        if (subscriber) {
+            // Unsubscribed earlier or never confirmed - start over with the new preferences.
+            // Subscribers from before double opt-in count as confirmed when they signed up.
+            Object.assign(subscriber, {
+                name: (name || '').trim() || subscriber.name || '',
+                divisionPreferences: normalizedPreferences,
+                teamPreferences: normalizedTeams,
+                deliveryPreference: this.normalizeDeliveryPreference(deliveryPreference),
+                confirmedAt: subscriber.pending ? subscriber.confirmedAt || null : subscriber.confirmedAt || subscriber.subscribedAt || null,
+                pending: true,
+                updatedAt: now
+            });
+        } else {
+            subscriber = {
+                id: this.generateToken(),
+                email: email.toLowerCase().trim(),
+                name: (name || '').trim(),
+                divisionPreferences: normalizedPreferences, // New multi-division support
+                teamPreferences: normalizedTeams, // Followed teams: [{ teamCode, team, division }]
+                deliveryPreference: this.normalizeDeliveryPreference(deliveryPreference), // instant, daily or weekly
+                lastDigestAt: null,
+                teamFilter: 'all', // Legacy field for backward compatibility
+                subscribedAt: now,
+                updatedAt: now,
+                active: false,
+                pending: true,
+                confirmedAt: null,
+                confirmationSentAt: null
+            };
+            subscribers.push(subscriber);
+        }
+
+        const sendConfirmation = this.canResendConfirmation(subscriber);
+        if (sendConfirmation) {
+            subscriber.confirmationSentAt = now;
+        }
+        await this.saveSubscribers(subscribers);
+
+        if (sendConfirmation) {
+            await this.sendConfirmationEmail(subscriber);
+        }
+
+        console.log(`📧 Pending subscriber: ${subscriber.email} with ${normalizedPreferences.length} division preferences and ${normalizedTeams.length} teams`);
+        return { success: true, pending: true, message: CONFIRMATION_MESSAGE };
+    }
+
+    // At most one confirmation (or reminder) email per address every few minutes
+    canResendConfirmation(subscriber) {
+        if (!subscriber.confirmationSentAt) return true;
+        return Date.now() - new Date(subscriber.confirmationSentAt).getTime() >= CONFIRMATION_RESEND_MINUTES * 60 * 1000;
+    }
+
+    // Signed confirmation token: <base64url { id, email, exp }>.<hmac>
+    createConfirmationToken(subscriber, ttlHours = CONFIRMATION_TTL_HOURS) {
+        const payload = Buffer.from(JSON.stringify({
+            id: subscriber.id,
+            email: subscriber.email,
+            exp: Date.now() + ttlHours * 60 * 60 * 1000
+        })).toString('base64url');
+
+        const signature = crypto.createHmac('sha256', this.confirmationSecret).update(payload).digest('base64url');
+        return `${payload}.${signature}`;
+    }
+
+    // { id, email, expired } for a correctly signed token, or null
+    verifyConfirmationToken(token) {
+        if (typeof token !== 'string') return null;
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(crypto.createHmac('sha256', this.confirmationSecret).update(payload).digest('base64url'));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        try {
+            const { id, email, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return { id, email, expired: !exp || exp < Date.now() };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getConfirmationUrl(subscriber) {
+        return `${this.baseUrl}/confirm?token=${this.createConfirmationToken(subscriber)}`;
+    }
+
+    // Activate a pending subscriber from their confirmation link
+    async confirmSubscriber(token) {
+        const verified = this.verifyConfirmationToken(token);
+        if (!verified) {
+            return { success: false, message: 'This confirmation link is invalid' };
+        }
+
+        const subscribers = await this.loadSubscribers();
+        const subscriber = subscribers.find(sub => sub.id === verified.id);
+
+        if (subscriber && subscriber.pendingEmail && subscriber.pendingEmail === verified.email) {
+            return this.confirmEmailChange(subscribers, subscriber, verified);
+        }
+
+        if (!subscriber || subscriber.email !== verified.email) {
+            return { success: false, message: 'This confirmation link is no longer valid - please subscribe again' };
+        }
+
+        if (subscriber.active) {
+            return { success: true, alreadyConfirmed: true, message: 'Your subscription is already confirmed', token: subscriber.id };
+        }
+
+        if (!subscriber.pending) {
+            return { success: false, message: 'This confirmation link is no longer valid - please subscribe again' };
+        }
+
+        if (verified.expired) {
+            return { success: false, expired: true, message: 'This confirmation link has expired - please subscribe again' };
+        }
 
-        subscribers.push(newSubscriber);
+        const now = new Date().toISOString();
+        Object.assign(subscriber, { active: true, pending: false, confirmedAt: now, confirmationSentAt: null, unsubscribedAt: null, updatedAt: now });
         await this.saveSubscribers(subscribers);
 
-        console.log(`📧 New subscriber added: ${email} with ${normalizedPreferences.length} division preferences`);
-        return { success: true, message: 'Successfully subscribed to notifications!' };
+        console.log(`📧 Subscriber confirmed: ${subscriber.email}`);
+        return { success: true, message: 'Your subscription is confirmed!', token: subscriber.id };
+    }
+
+    // Switch a subscriber to the new address from their email change link
+    async confirmEmailChange(subscribers, subscriber, verified) {
+        if (verified.expired) {
+            return { success: false, expired: true, message: 'This confirmation link has expired - please change your email address again' };
+        }
+
+        // Someone else may have signed up with the address since
+        if (this.findEmailInUse(subscribers, subscriber.pendingEmail, subscriber.id)) {
+            return { success: false, message: 'This email address is already subscribed' };
+        }
+
+        const now = new Date().toISOString();
+        console.log(`📧 Subscriber email changed: ${subscriber.email} -> ${subscriber.pendingEmail}`);
+        Object.assign(subscriber, { email: subscriber.pendingEmail, pendingEmail: null, pendingEmailSentAt: null, updatedAt: now });
+        await this.saveSubscribers(subscribers);
+
+        return { success: true, message: 'Your new email address is confirmed!', token: subscriber.id };
+    }
+
+    // The other subscriber already using an address: active, awaiting
+    // confirmation, or waiting to switch to it (until that link expires)
+    findEmailInUse(subscribers, email, exceptId = null) {
+        const address = email.toLowerCase().trim();
+        const cutoff = Date.now() - CONFIRMATION_TTL_HOURS * 60 * 60 * 1000;
+
+        return subscribers.find(sub => sub.id !== exceptId && (
+            (sub.email.toLowerCase() === address && (sub.active || sub.pending)) ||
+            (sub.pendingEmail === address && new Date(sub.pendingEmailSentAt).getTime() >= cutoff)
+        ));
+    }
+
+    // Whether another subscriber already uses an address (see findEmailInUse)
+    async isEmailInUse(email, exceptId = null) {
+        const subscribers = await this.loadSubscribers();
+        return Boolean(this.findEmailInUse(subscribers, email, exceptId));
+    }
+
+    // Drop sign-ups that were never confirmed in time. Subscribers who had
+    // confirmed before (and then unsubscribed and signed up again) are kept as
+    // unsubscribed instead of being deleted.
+    async cleanupPendingSubscribers(now = Date.now()) {
+        const subscribers = await this.loadSubscribers();
+        const cutoff = now - CONFIRMATION_TTL_HOURS * 60 * 60 * 1000;
+        const isExpired = sub => sub.pending && new Date(sub.confirmationSentAt || sub.updatedAt || sub.subscribedAt).getTime() < cutoff;
+
+        const expired = subscribers.filter(isExpired);
+        if (expired.length === 0) {
+            return { removed: 0, reverted: 0 };
+        }
+
+        const kept = subscribers.filter(sub => !isExpired(sub) || sub.confirmedAt);
+        kept.filter(isExpired).forEach(sub => {
+            sub.pending = false;
+            sub.updatedAt = new Date(now).toISOString();
+        });
+
+        await this.saveSubscribers(kept);
+
+        const removed = subscribers.length - kept.length;
+        console.log(`📧 Cleaned up unconfirmed sign-ups: ${removed} removed, ${expired.length - removed} back to unsubscribed`);
+        return { removed, reverted: expired.length - removed };
+    }
+
+    // Double opt-in email with the signed confirmation link
+    async sendConfirmationEmail(subscriber) {
+        const confirmUrl = this.getConfirmationUrl(subscriber);
+
+        if (!this.isConfigured) {
+            console.log(`📧 Email not configured - confirmation link for ${subscriber.email}: ${confirmUrl}`);
+            return false;
+        }
+
+        const subject = '⚾ Confirm your YSBA Live subscription';
+        const html = this.generateAccountEmail(
+            'Confirm your subscription',
+            `<p>Someone (hopefully you) asked to get YSBA standings updates at <strong>${subscriber.email}</strong>.</p>
+             <p>Confirm within ${CONFIRMATION_TTL_HOURS} hours to start receiving emails. If this wasn't you, just ignore this email and nothing will be sent.</p>`,
+            'Confirm Subscription',
+            confirmUrl
+        );
+        const text = `Confirm your YSBA Live subscription\n\n` +
+            `Someone (hopefully you) asked to get YSBA standings updates at ${subscriber.email}.\n` +
+            `Confirm within ${CONFIRMATION_TTL_HOURS} hours: ${confirmUrl}\n\n` +
+            `If this wasn't you, ignore this email and nothing will be sent.`;
+
+        try {
+            await this.sendEmail(subscriber.email, subject, html, text);
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to send confirmation email to ${subscriber.email}:`, error.message);
+            return false;
+        }
+    }
+
+    // Confirmation link for a new address, sent to that address
+    async sendEmailChangeConfirmation(subscriber) {
+        const confirmUrl = `${this.baseUrl}/confirm?token=${this.createConfirmationToken({ id: subscriber.id, email: subscriber.pendingEmail })}`;
+
+        if (!this.isConfigured) {
+            console.log(`📧 Email not configured - email change link for ${subscriber.pendingEmail}: ${confirmUrl}`);
+            return false;
+        }
+
+        const subject = '⚾ Confirm your new YSBA Live email address';
+        const html = this.generateAccountEmail(
+            'Confirm your new email address',
+            `<p>Someone (hopefully you) asked to get YSBA standings updates at <strong>${subscriber.pendingEmail}</strong> instead of ${subscriber.email}.</p>
+             <p>Confirm within ${CONFIRMATION_TTL_HOURS} hours to make the switch. Until then, emails keep going to the old address.</p>`,
+            'Confirm Email Address',
+            confirmUrl
+        );
+        const text = `Confirm your new YSBA Live email address
+
+` +
+            `Someone (hopefully you) asked to get YSBA standings updates at ${subscriber.pendingEmail} instead of ${subscriber.email}.
+` +
+            `Confirm within ${CONFIRMATION_TTL_HOURS} hours: ${confirmUrl}
+
+` +
+            `If this wasn't you, ignore this email and nothing will change.`;
+
+        try {
+            await this.sendEmail(subscriber.pendingEmail, subject, html, text);
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to send email change confirmation to ${subscriber.pendingEmail}:`, error.message);
+            return false;
+        }
+    }
+
+    // Sent when an existing subscriber signs up again
+    async sendAlreadySubscribedEmail(subscriber) {
+        const manageUrl = `${this.baseUrl}/manage.html?token=${subscriber.id}`;
+
+        if (!this.isConfigured) {
+            console.log(`📧 Email not configured - manage link for ${subscriber.email}: ${manageUrl}`);
+            return false;
+        }
+
+        const subject = '⚾ You\'re already subscribed to YSBA Live';
+        const html = this.generateAccountEmail(
+            'You\'re already subscribed',
+            `<p>Someone tried to sign up <strong>${subscriber.email}</strong> for YSBA standings updates, but you're already subscribed.</p>
+             <p>To change your divisions or followed teams, use the link below.</p>`,
+            'Manage Preferences',
+            manageUrl
+        );
+        const text = `You're already subscribed to YSBA Live\n\n` +
+            `Someone tried to sign up ${subscriber.email}, but you're already subscribed.\n` +
+            `Manage your divisions and teams: ${manageUrl}`;
+
+        try {
+            await this.sendEmail(subscriber.email, subject, html, text);
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to send manage link to ${subscriber.email}:`, error.message);
+            return false;
+        }
+    }
+
+    // Short single-button email (confirmation, manage link)
+    generateAccountEmail(title, bodyHtml, buttonText, buttonUrl) {
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <meta charset="utf-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <title>${title}</title>
+            </head>
+            <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb;">
+                <div style="background-color: white; border-radius: 12px; padding: 24px; box-shadow: 0 4px 8px rgba(0,0,0,0.05);">
+                    <div style="text-align: center; margin-bottom: 20px;">
+                        <div style="font-size: 40px; margin-bottom: 8px;">⚾</div>
+                        <h1 style="color: #1e40af; margin: 0; font-size: 22px;">${title}</h1>
+                    </div>
+                    ${bodyHtml}
+                    <div style="text-align: center; margin: 24px 0;">
+                        <a href="${buttonUrl}" style="display: inline-block; background: linear-gradient(135deg, #2563eb, #1d4ed8); color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: 600;">${buttonText}</a>
+                    </div>
+                    <p style="color: #666; font-size: 12px; text-align: center; margin: 0;">YSBA Live • ${this.baseUrl}</p>
+                </div>
+            </body>
+            </html>
+        `;
     }
 
     // Normalize and validate division preferences
@@ -404,6 +815,39 @@ class EmailService {
             .filter(pref => pref.length > 0);
     }
 
+    // instant, daily or weekly; anything else means instant
+    normalizeDeliveryPreference(preference) {
+        return DELIVERY_PREFERENCES.includes(preference) ? preference : 'instant';
+    }
+
+    getDeliveryPreference(subscriber) {
+        return this.normalizeDeliveryPreference(subscriber.deliveryPreference);
+    }
+
+    // Normalize followed teams to { teamCode, team, division }. A bare team code
+    // is accepted too; the name and division are then filled in when known.
+    normalizeTeamPreferences(preferences) {
+        if (!Array.isArray(preferences)) {
+            return [];
+        }
+
+        const seen = new Set();
+
+        return preferences
+            .map(pref => (typeof pref === 'string' ? { teamCode: pref } : pref))
+            .filter(pref => pref && typeof pref.teamCode === 'string' && pref.teamCode.trim().length > 0)
+            .map(pref => ({
+                teamCode: pref.teamCode.trim(),
+                team: typeof pref.team === 'string' ? pref.team.trim() : null,
+                division: typeof pref.division === 'string' ? pref.division.trim() : null
+            }))
+            .filter(pref => {
+                if (seen.has(pref.teamCode)) return false;
+                seen.add(pref.teamCode);
+                return true;
+            });
+    }
+
     // Get available divisions for preference selection
     getAvailableDivisions() {
         return [
@@ -430,8 +874,11 @@ class EmailService {
         ];
     }
 
-    // Update subscriber preferences
-    async updateSubscriber(id, updates) {
+    // Update subscriber preferences. A new email address for a subscriber who
+    // gets emails only takes over once it is confirmed (pendingEmail); a pending
+    // sign-up gets a new confirmation at the new address. Admins pass
+    // confirmEmail: false to change the address straight away.
+    async updateSubscriber(id, updates, { confirmEmail = true } = {}) {
         const subscribers = await this.loadSubscribers();
         const subscriberIndex = subscribers.findIndex(sub => sub.id === id);
         
@@ -439,14 +886,20 @@ class EmailService {
             return { success: false, message: 'Subscriber not found' };
         }
 
-        // Update allowed fields (now including divisionPreferences and email)
-        const allowedUpdates = ['name', 'email', 'active', 'divisionPreferences'];
+        // Update allowed fields (now including divisionPreferences, teamPreferences and email)
+        const allowedUpdates = ['name', 'email', 'active', 'divisionPreferences', 'teamPreferences', 'deliveryPreference'];
         const filteredUpdates = {};
         
         for (const key of allowedUpdates) {
             if (updates.hasOwnProperty(key)) {
-                if (key === 'divisionPreferences') {
+                if (updates[key] === undefined) {
+                    continue; // Field left out of the request body
+                } else if (key === 'divisionPreferences') {
                     filteredUpdates[key] = this.normalizeDivisionPreferences(updates[key]);
+                } else if (key === 'teamPreferences') {
+                    filteredUpdates[key] = this.normalizeTeamPreferences(updates[key]);
+                } else if (key === 'deliveryPreference') {
+                    filteredUpdates[key] = this.normalizeDeliveryPreference(updates[key]);
                 } else if (key === 'email') {
                     filteredUpdates[key] = updates[key].toLowerCase().trim();
                 } else if (key === 'name') {
@@ -459,10 +912,66 @@ class EmailService {
 
         filteredUpdates.updatedAt = new Date().toISOString();
 
-        subscribers[subscriberIndex] = { ...subscribers[subscriberIndex], ...filteredUpdates };
+        const subscriber = subscribers[subscriberIndex];
+        let confirmation = null;
+        if (filteredUpdates.email === subscriber.email) {
+            delete filteredUpdates.email;
+        } else if (filteredUpdates.email !== undefined) {
+            if (!confirmEmail || (!subscriber.active && !subscriber.pending)) {
+                filteredUpdates.pendingEmail = null;
+                filteredUpdates.pendingEmailSentAt = null;
+            } else if (subscriber.pending) {
+                filteredUpdates.confirmationSentAt = filteredUpdates.updatedAt;
+                confirmation = 'subscription';
+            } else {
+                const resend = filteredUpdates.email !== subscriber.pendingEmail ||
+                    this.canResendConfirmation({ confirmationSentAt: subscriber.pendingEmailSentAt });
+                filteredUpdates.pendingEmail = filteredUpdates.email;
+                if (resend) {
+                    filteredUpdates.pendingEmailSentAt = filteredUpdates.updatedAt;
+                    confirmation = 'emailChange';
+                }
+                delete filteredUpdates.email;
+            }
+        }
+
+        // Switching from instant emails to a digest: the first digest starts now,
+        // not with changes that were already emailed
+        if (filteredUpdates.deliveryPreference &&
+            filteredUpdates.deliveryPreference !== 'instant' &&
+            this.getDeliveryPreference(subscribers[subscriberIndex]) === 'instant') {
+            filteredUpdates.lastDigestAt = filteredUpdates.updatedAt;
+        }
+
+        // Activating or deactivating by hand ends any pending confirmation
+        if (filteredUpdates.hasOwnProperty('active')) {
+            filteredUpdates.pending = false;
+
+            // Keep the unsubscribe date for statistics
+            if (!filteredUpdates.active) {
+                if (subscribers[subscriberIndex].active) filteredUpdates.unsubscribedAt = filteredUpdates.updatedAt;
+            } else {
+                filteredUpdates.unsubscribedAt = null;
+            }
+        }
+
+        subscribers[subscriberIndex] = { ...subscriber, ...filteredUpdates };
         await this.saveSubscribers(subscribers);
 
+        if (confirmation === 'subscription') {
+            await this.sendConfirmationEmail(subscribers[subscriberIndex]);
+        } else if (confirmation === 'emailChange') {
+            await this.sendEmailChangeConfirmation(subscribers[subscriberIndex]);
+        }
+
         console.log(`📧 Subscriber updated: ${subscribers[subscriberIndex].email}`);
+        if (filteredUpdates.pendingEmail) {
+            return {
+                success: true,
+                pendingEmail: filteredUpdates.pendingEmail,
+                message: `Preferences updated! Check ${filteredUpdates.pendingEmail} for a link to confirm your new email address.`
+            };
+        }
         return { success: true, message: 'Preferences updated successfully!' };
     }
 
@@ -506,9 +1015,11 @@ class EmailService {
             return { success: false, message: 'Subscriber not found' };
         }
 
-        // Mark as inactive instead of deleting
+        // Mark as inactive instead of deleting (and kill any pending confirmation link)
         subscriber.active = false;
+        subscriber.pending = false;
         subscriber.updatedAt = new Date().toISOString();
+        subscriber.unsubscribedAt = subscriber.updatedAt;
         await this.saveSubscribers(subscribers);
 
         console.log(`📧 Subscriber unsubscribed: ${subscriber.email}`);
@@ -530,16 +1041,45 @@ class EmailService {
             return activeSubscribers;
         }
 
-        // Filter subscribers based on their division preferences
-        return activeSubscribers.filter(subscriber => {
-            // Legacy support: if no divisionPreferences, assume they want all notifications
-            if (!subscriber.divisionPreferences || !Array.isArray(subscriber.divisionPreferences)) {
-                return true;
-            }
+        // Filter subscribers based on their division preferences (legacy
+        // subscribers without any get every division)
+        return activeSubscribers.filter(subscriber => followsDivision(subscriber, divisionFilter));
+    }
+
+    // Subscriber totals, growth per interval ('day', 'week' or 'month') and
+    // per-division breakdowns for the admin console (see subscriber-stats.js)
+    async getSubscriberStats({ interval = 'month', now = new Date() } = {}) {
+        const subscribers = await this.loadSubscribers();
+        return buildSubscriberStats(subscribers, { divisions: this.getAvailableDivisions(), interval, now });
+    }
+
+    // Get active subscribers following any of the given team codes
+    async getTeamSubscribers(teamCodes) {
+        const codes = new Set(teamCodes);
+        const subscribers = await this.loadSubscribers();
 
-            // Check if subscriber has preferences for this specific division
-            return subscriber.divisionPreferences.includes(divisionFilter);
+        return subscribers.filter(subscriber =>
+            subscriber.active &&
+            (subscriber.teamPreferences || []).some(pref => codes.has(pref.teamCode))
+        );
+    }
+
+    // Active subscribers who get a daily or weekly digest
+    async getDigestSubscribers(frequency) {
+        const subscribers = await this.loadSubscribers();
+        return subscribers.filter(subscriber => subscriber.active && this.getDeliveryPreference(subscriber) === frequency);
+    }
+
+    // Record when subscribers' digests covered up to, so the next one starts there
+    async markDigestsSent(ids, sentAt = new Date().toISOString()) {
+        if (ids.length === 0) return;
+
+        const sent = new Set(ids);
+        const subscribers = await this.loadSubscribers();
+        subscribers.forEach(subscriber => {
+            if (sent.has(subscriber.id)) subscriber.lastDigestAt = sentAt;
         });
+        await this.saveSubscribers(subscribers);
     }
 
     // Safely reactivate subscribers (for fixing accidental deactivations)
@@ -548,14 +1088,18 @@ class EmailService {
         let reactivatedCount = 0;
         const reactivatedEmails = [];
         
-        // If no email list provided, reactivate all inactive subscribers
-        const targetEmails = emailList || subscribers.filter(sub => !sub.active).map(sub => sub.email);
+        // If no email list provided, reactivate all inactive subscribers.
+        // Sign-ups that were never confirmed are left alone.
+        const isReactivatable = sub => !sub.active && !(sub.pending && !sub.confirmedAt);
+        const targetEmails = emailList || subscribers.filter(isReactivatable).map(sub => sub.email);
         
         for (const subscriber of subscribers) {
-            if (targetEmails.includes(subscriber.email) && !subscriber.active) {
+            if (targetEmails.includes(subscriber.email) && isReactivatable(subscriber)) {
                 if (!dryRun) {
                     subscriber.active = true;
+                    subscriber.pending = false;
                     subscriber.updatedAt = new Date().toISOString();
+                    subscriber.unsubscribedAt = null;
                 }
                 reactivatedCount++;
                 reactivatedEmails.push(subscriber.email);
@@ -575,13 +1119,17 @@ class EmailService {
         };
     }
 
-    // Send division-specific standings update notification
-    async sendDivisionStandingsUpdate(divisionKey, standingsData, changes = []) {
+    // Send division-specific standings update notification. changes are the
+    // division's change events (see src/scraper/change-events.js); games is the division
+    // schedule (schedule.allGames) for the upcoming games section. runId
+    // identifies the scrape, so sending the same run again skips subscribers
+    // already emailed.
+    async sendDivisionStandingsUpdate(divisionKey, standingsData, changes = [], runId = `manual-${Date.now()}`, games = []) {
         console.log(`📧 sendDivisionStandingsUpdate called with divisionKey: ${divisionKey}`);
         
         if (!this.isConfigured) {
-            console.log('📧 Email notifications disabled - SendGrid not configured');
-            return { sent: false, reason: 'SendGrid not configured' };
+            console.log('📧 Email notifications disabled - no email transport configured');
+            return { sent: false, reason: 'Email not configured' };
         }
 
         // Get subscribers who want notifications for this specific division
@@ -589,7 +1137,9 @@ class EmailService {
         const allSubscribers = await this.loadSubscribers();
         console.log(`📧 Total subscribers loaded: ${allSubscribers.length}`);
         
-        const subscribers = await this.getActiveSubscribers(divisionKey);
+        // Digest subscribers hear about it in their daily or weekly email instead
+        const subscribers = (await this.getActiveSubscribers(divisionKey))
+            .filter(subscriber => this.getDeliveryPreference(subscriber) === 'instant');
         console.log(`📧 Active subscribers for ${divisionKey}: ${subscribers.length}`);
         
         if (subscribers.length === 0) {
@@ -602,19 +1152,14 @@ class EmailService {
         }
 
         // Get division display name
-        const availableDivisions = this.getAvailableDivisions();
-        const divisionInfo = availableDivisions.find(div => div.key === divisionKey);
-        const divisionDisplay = divisionInfo ? divisionInfo.display : divisionKey;
+        const divisionDisplay = this.getDivisionDisplay(divisionKey);
 
         // Create descriptive subject based on changes
         let subject = `⚾ YSBA ${divisionDisplay} Standings Updated!`;
         
-        const gameChanges = this.previousStandings ? 
-            changes.filter(change => change.includes('→')).length : 0;
-        
-        const positionChanges = changes.filter(change => 
-            change.includes('moved up') || change.includes('dropped')
-        ).length;
+        const grouped = this.groupChanges(changes);
+        const gameChanges = grouped.results.length;
+        const positionChanges = grouped.standings.filter(change => change.type === EVENT_TYPES.POSITION_CHANGE).length;
         
         // Format the date as "Month Day, Year"
         const date = new Date();
@@ -622,26 +1167,33 @@ class EmailService {
         const formattedDate = date.toLocaleDateString('en-US', options);
         
         if (gameChanges > 0) {
-            subject = `⚾ ${divisionDisplay} - ${gameChanges} New Game Results - ${formattedDate}`;
+            subject = `⚾ ${divisionDisplay} - ${gameChanges} New Game Result${gameChanges === 1 ? '' : 's'} - ${formattedDate}`;
         } else if (positionChanges > 0) {
-            subject = `⚾ ${divisionDisplay} - ${positionChanges} Position Changes - ${formattedDate}`;
+            subject = `⚾ ${divisionDisplay} - ${positionChanges} Position Change${positionChanges === 1 ? '' : 's'} - ${formattedDate}`;
         }
 
-        // Send email to each subscriber
-        let sentCount = 0;
-        for (const subscriber of subscribers) {
-            try {
-                const html = this.generateStandingsEmail(standingsData, changes, subscriber, divisionDisplay);
-                const text = this.generateStandingsTextEmail(standingsData, changes, subscriber, divisionDisplay);
-                await this.sendEmail(subscriber.email, subject, html, text);
-                sentCount++;
-            } catch (error) {
-                console.error(`📧 Error sending email to ${subscriber.email}:`, error);
-            }
-        }
+        const upcomingGames = this.getUpcomingGames(games);
+
+        // Queue one email per subscriber, then deliver
+        const delivery = await this.deliverNotifications(subscribers.map(subscriber => ({
+            runId,
+            kind: 'division',
+            divisionKey,
+            subscriberId: subscriber.id,
+            to: subscriber.email,
+            subject,
+            html: this.generateStandingsEmail(standingsData, changes, subscriber, divisionDisplay, upcomingGames),
+            text: this.generateStandingsTextEmail(standingsData, changes, subscriber, divisionDisplay, upcomingGames)
+        })));
 
-        console.log(`📧 Sent ${divisionDisplay} update to ${sentCount}/${subscribers.length} subscribers`);
-        return { sent: sentCount > 0, count: sentCount, divisionKey, divisionDisplay };
+        console.log(`📧 Sent ${divisionDisplay} update to ${delivery.count}/${subscribers.length} subscribers`);
+        return {
+            sent: delivery.count > 0,
+            ...delivery,
+            recipients: subscribers.map(subscriber => subscriber.id),
+            divisionKey,
+            divisionDisplay
+        };
     }
 
     // Send standings update notification (legacy - now delegates to division-specific method)
@@ -649,94 +1201,179 @@ class EmailService {
         return this.sendDivisionStandingsUpdate(divisionKey, standingsData, changes);
     }
 
-    // Send team-specific standings update notification
-    async sendTeamStandingsUpdate(teamCode, teamName, standingsData, changes = []) {
+    // Get the display name for a division key (e.g. '11U-rep-tier-2' -> '11U Rep - Tier 2')
+    getDivisionDisplay(divisionKey) {
+        const divisionInfo = this.getAvailableDivisions().find(div => div.key === divisionKey);
+        return divisionInfo ? divisionInfo.display : divisionKey;
+    }
+
+    // Send team-specific standings update notification to the team's followers
+    async sendTeamStandingsUpdate(teamCode, teamName, standingsData, changes = [], divisionKey = null) {
+        return this.sendTeamUpdates(divisionKey, standingsData, [{ teamCode, team: teamName, changes }]);
+    }
+
+    // Send one email per follower covering every followed team in this division
+    // that changed. teamChanges comes from detectTeamChanges; subscribers listed
+    // in excludeIds (e.g. already sent the division email) are skipped. games is
+    // the division schedule; each email lists the followed teams' next games.
+    async sendTeamUpdates(divisionKey, standingsData, teamChanges = [], excludeIds = [], runId = `manual-${Date.now()}`, games = []) {
         if (!this.isConfigured) {
-            console.log('📧 Email notifications disabled - SendGrid not configured');
-            return;
+            console.log('📧 Email notifications disabled - no email transport configured');
+            return { sent: false, reason: 'Email not configured' };
         }
 
-        const subscribers = await this.getActiveSubscribers();
+        const changedTeams = teamChanges.filter(teamChange => teamChange.changes.length > 0);
+        if (changedTeams.length === 0) {
+            return { sent: false, reason: 'No team changes', divisionKey };
+        }
+
+        const excluded = new Set(excludeIds);
+        const subscribers = (await this.getTeamSubscribers(changedTeams.map(teamChange => teamChange.teamCode)))
+            .filter(subscriber => !excluded.has(subscriber.id) && this.getDeliveryPreference(subscriber) === 'instant');
+
         if (subscribers.length === 0) {
-            console.log(`📧 No subscribers for team ${teamCode} (${teamName}) to notify`);
-            return;
+            console.log(`📧 No followers for the ${changedTeams.length} changed teams in ${divisionKey}`);
+            return { sent: false, reason: 'No team followers', divisionKey };
         }
 
-        const subject = `⚾ ${teamName} Update - YSBA 9U Standings`;
+        const divisionDisplay = divisionKey ? this.getDivisionDisplay(divisionKey) : 'YSBA';
+        const upcomingGames = this.getUpcomingGames(games);
 
-        try {
-            // Send personalized emails to team subscribers
-            const emailPromises = subscribers.map(subscriber => {
-                const html = this.generateStandingsEmail(standingsData, changes, subscriber);
-                const text = this.generateStandingsTextEmail(standingsData, changes, subscriber);
-                return this.sendEmail(subscriber.email, subject, html, text);
-            });
+        const delivery = await this.deliverNotifications(subscribers.map(subscriber => {
+            const followed = new Set(subscriber.teamPreferences.map(pref => pref.teamCode));
+            const teams = changedTeams.filter(teamChange => followed.has(teamChange.teamCode));
+            // A game between two followed teams is listed once
+            const changes = [...new Set(teams.flatMap(teamChange => teamChange.changes))];
+            const teamNames = teams.map(teamChange => teamChange.team).join(', ');
+            const teamGames = upcomingGames.filter(game => followed.has(game.homeTeamCode) || followed.has(game.awayTeamCode));
 
-            await Promise.allSettled(emailPromises);
-            console.log(`📧 Team update sent to ${subscribers.length} subscribers for ${teamName} (${teamCode})`);
-            return { success: true, subscribers: subscribers.length, teamCode, teamName };
-        } catch (error) {
-            console.error('Error sending team standings update:', error);
-            throw error;
+            return {
+                runId,
+                kind: 'team',
+                divisionKey,
+                subscriberId: subscriber.id,
+                to: subscriber.email,
+                subject: `⚾ ${teamNames} Update - YSBA ${divisionDisplay}`,
+                html: this.generateStandingsEmail(standingsData, changes, subscriber, divisionDisplay, teamGames),
+                text: this.generateStandingsTextEmail(standingsData, changes, subscriber, divisionDisplay, teamGames)
+            };
+        }));
+
+        console.log(`📧 Sent ${divisionDisplay} team updates to ${delivery.count}/${subscribers.length} followers`);
+        return {
+            sent: delivery.count > 0,
+            ...delivery,
+            recipients: subscribers.map(subscriber => subscriber.id),
+            divisionKey,
+            divisionDisplay
+        };
+    }
+
+    // Queue messages in the outbox and deliver everything that is due. count is
+    // how many of these messages went out now; skipped ones were queued by an
+    // earlier attempt at the same run, retrying ones failed and wait for backoff.
+    async deliverNotifications(messages) {
+        const { queued, skipped, keys } = await this.outbox.enqueue(messages);
+        const flushed = await this.flushOutbox();
+
+        const batch = new Set(keys);
+        const results = flushed.results.filter(result => batch.has(result.id));
+        const count = status => results.filter(result => result.status === status).length;
+
+        return {
+            count: count('sent'),
+            queued,
+            skipped,
+            retrying: count('queued'),
+            failed: count('failed')
+        };
+    }
+
+    // Send whatever is due in the outbox, including leftovers from earlier runs
+    async flushOutbox() {
+        if (!this.isConfigured) {
+            return { sent: 0, retrying: 0, failed: 0, results: [] };
         }
+
+        const result = await this.outbox.flush(message =>
+            this.sendEmail(message.to, message.subject, message.html, message.text)
+        );
+        if (result.results.length > 0) {
+            console.log(`📬 Outbox: ${result.sent} sent, ${result.retrying} to retry, ${result.failed} failed`);
+        }
+        return result;
     }
 
-    // Detect changes between old and new standings
-    detectStandingsChanges(oldStandings, newStandings) {
-        const changes = [];
-        
-        if (!oldStandings || !newStandings) {
-            console.log('📧 detectStandingsChanges: Missing standings data');
-            return changes;
+    // Queue a failed message again and try to send it right away
+    async retryOutboxMessage(id) {
+        const retry = await this.outbox.retry(id);
+        if (!retry.success) return retry;
+
+        await this.flushOutbox();
+        const message = await this.outbox.get(id);
+
+        if (message.status !== 'sent') {
+            return { success: false, error: message.lastError || 'Email not configured', message };
         }
+        return { success: true, message };
+    }
 
-        console.log(`📧 detectStandingsChanges: Comparing ${oldStandings.length} old teams with ${newStandings.length} new teams`);
+    // Emails queued for, sent to or failed for one subscriber, newest first
+    async getDeliveryLog(subscriberId, limit = 50) {
+        return this.outbox.list({ subscriberId, limit });
+    }
 
-        // Create lookup maps for easier comparison using team name as key
-        const oldTeams = {};
-        const newTeams = {};
-        
-        oldStandings.forEach(team => oldTeams[team.team] = team);
-        newStandings.forEach(team => newTeams[team.team] = team);
+    // Change events per team: standings moves plus the team's games (results,
+    // reschedules, new and cancelled games). A game between two teams is the
+    // same event in both teams' lists; record changes are left out since the
+    // results behind them are there already.
+    detectTeamChanges(events = []) {
+        const teams = new Map();
+
+        events
+            .filter(event => event.type !== EVENT_TYPES.RECORD_CHANGE)
+            .forEach(event => {
+                getEventTeamCodes(event).forEach(teamCode => {
+                    const team = event.teamCode === teamCode ? event.team
+                        : (event.homeTeamCode === teamCode ? event.homeTeam : event.awayTeam);
+                    if (!teams.has(teamCode)) teams.set(teamCode, { teamCode, team, changes: [] });
+                    teams.get(teamCode).changes.push(event);
+                });
+            });
 
-        // Check each team for changes
-        newStandings.forEach(newTeam => {
-            const oldTeam = oldTeams[newTeam.team];
-            
-            if (!oldTeam) {
-                // New team added (shouldn't happen during season, but just in case)
-                changes.push(`${newTeam.team} has joined the standings`);
-                return;
-            }
+        return Array.from(teams.values());
+    }
 
-            // Debug: Log position comparison
-            if (oldTeam.position !== newTeam.position) {
-                console.log(`📧 Position change for ${newTeam.team}: ${oldTeam.position} → ${newTeam.position}`);
-            }
+    // One-line description of a change event (see src/scraper/change-events.js)
+    describeChange(change) {
+        return describeEvent(change);
+    }
 
-            // We'll skip the W-L record changes as requested by the user
-            // Only keep position change notifications
+    // Sort change events into the sections of a standings email: results (with
+    // scores), standings moves and schedule changes. Record changes have no
+    // section; the results cover them.
+    groupChanges(changes = []) {
+        const ofType = (...types) => changes.filter(change => types.includes(change.type));
 
-            // Check for position changes (moved up/down 1+ spots)
-            if (Math.abs(oldTeam.position - newTeam.position) >= 1) {
-                if (newTeam.position < oldTeam.position) {
-                    changes.push(`${newTeam.team} moved up to #${newTeam.position} (was #${oldTeam.position})`);
-                } else {
-                    changes.push(`${newTeam.team} dropped to #${newTeam.position} (was #${oldTeam.position})`);
-                }
-            }
-        });
+        return {
+            results: ofType(EVENT_TYPES.RESULT_POSTED),
+            standings: ofType(EVENT_TYPES.POSITION_CHANGE, EVENT_TYPES.TEAM_ADDED, EVENT_TYPES.TEAM_REMOVED),
+            schedule: ofType(EVENT_TYPES.GAME_RESCHEDULED, EVENT_TYPES.GAME_RELOCATED, EVENT_TYPES.GAME_ADDED, EVENT_TYPES.GAME_CANCELLED)
+        };
+    }
 
-        console.log(`📧 detectStandingsChanges: Found ${changes.length} changes`);
-        return changes;
+    // Unplayed games starting within the next `days` days, soonest first
+    getUpcomingGames(games = [], now = new Date(), days = UPCOMING_DAYS) {
+        const until = now.getTime() + days * DAY_MS;
+
+        return splitPlayedAndUpcoming(games, now).upcomingGames
+            .filter(game => game.date && new Date(game.date).getTime() <= until)
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
     }
 
     // Send notifications based on detected changes
     async sendChangeNotifications(oldStandings, newStandings) {
-        // Store the previous standings for use in subject line creation
-        this.previousStandings = oldStandings;
-        
-        const changes = this.detectStandingsChanges(oldStandings, newStandings);
+        const changes = diffStandings(oldStandings, newStandings);
         
         if (changes.length === 0) {
             console.log('📧 No significant changes detected - no notifications sent');
@@ -761,7 +1398,7 @@ class EmailService {
     // Send individual email
     async sendEmail(to, subject, html, text) {
         if (!this.isConfigured) {
-            throw new Error('SendGrid not configured');
+            throw new Error('Email not configured');
         }
 
         const msg = {
@@ -772,15 +1409,7 @@ class EmailService {
             },
             subject,
             text,
-            html,
-            tracking_settings: {
-                click_tracking: {
-                    enable: false
-                },
-                open_tracking: {
-                    enable: false
-                }
-            }
+            html
         };
 
         console.log(`📧 Attempting to send email to: ${to}`);
@@ -788,34 +1417,81 @@ class EmailService {
         console.log(`📧 From: ${this.fromEmail}`);
         
         try {
-            const result = await sgMail.send(msg);
-            console.log(`✅ SendGrid send successful:`, result[0].statusCode);
+            const result = await this.transport.send(msg);
+            console.log(`✅ Sent via ${this.transport.name}${result.file ? `: ${result.file}` : ''}`);
             return result;
         } catch (error) {
-            console.error(`❌ SendGrid send failed:`, error.message);
-            if (error.response) {
-                console.error(`❌ SendGrid response:`, error.response.body);
-            }
+            console.error(`❌ ${this.transport.name} send failed:`, error.message);
             throw error;
         }
     }
 
-    // Generate HTML email for standings update
-    generateStandingsEmail(standingsData, changes, subscriber = null, divisionDisplay = 'YSBA') {
-        console.log('📧 Using MOBILE-OPTIMIZED email template v5 with multi-division support'); // Updated version marker
-        const topTeams = standingsData.slice(0, 5);
-        
-        let changesHtml = '';
-        if (changes.length > 0) {
-            changesHtml = `
+    // Generate HTML email for standings update: results with scores, standings
+    // moves and schedule changes, the full table with the subscriber's followed
+    // teams highlighted, and the games coming up (see getUpcomingGames)
+    generateStandingsEmail(standingsData, changes, subscriber = null, divisionDisplay = 'YSBA', upcomingGames = []) {
+        console.log('📧 Using MOBILE-OPTIMIZED email template v6 with results and upcoming games'); // Updated version marker
+        const teams = rankTeams(standingsData);
+        const { results, standings, schedule } = this.groupChanges(changes);
+        const followed = new Set((subscriber?.teamPreferences || []).map(pref => pref.teamCode));
+        const isFollowed = teamCode => Boolean(teamCode) && followed.has(teamCode);
+        const teamName = (name, teamCode) => isFollowed(teamCode) ? `⭐ <strong>${name}</strong>` : name;
+
+        const section = (title, body) => `
                 <div style="background: #f0f9ff; padding: 15px; border-radius: 8px; margin: 20px 0; box-shadow: 0 2px 4px rgba(0,0,0,0.05);">
-                    <h3 style="color: #0369a1; margin-top: 0;">📈 Latest Changes:</h3>
+                    <h3 style="color: #0369a1; margin-top: 0;">${title}</h3>
+                    ${body}
+                </div>
+            `;
+        const list = items => `
                     <ul style="margin: 0; padding-left: 20px;">
-                        ${changes.map(change => `<li style="margin-bottom: 6px;">${change}</li>`).join('')}
+                        ${items.map(item => `<li style="margin-bottom: 6px;">${item}</li>`).join('')}
                     </ul>
-                </div>
             `;
-        }
+
+        // Away team over home team, the winner in bold
+        const scoreLine = (name, teamCode, runs, won) => `
+                            <tr>
+                                <td align="left" style="padding: 2px 0; font-size: 15px;${won ? ' font-weight: 700; color: #1e40af;' : ''}">${teamName(name, teamCode)}</td>
+                                <td align="right" style="padding: 2px 0; width: 40px; font-size: 16px;${won ? ' font-weight: 700; color: #1e40af;' : ''}">${runs}</td>
+                            </tr>
+            `;
+        const resultsHtml = results.length === 0 ? '' : section('⚾ Final Scores', results.map(change => `
+                    <div style="background: white; border-radius: 6px; padding: 8px 10px; margin-bottom: 8px;">
+                        <div style="font-size: 12px; color: #666;">${change.current?.dateText || ''}${change.previousScore ? ` • Corrected (was ${change.previousScore.away}-${change.previousScore.home})` : ''}</div>
+                        <table cellpadding="0" cellspacing="0" border="0" width="100%" style="width: 100%; border-collapse: collapse;">
+                            ${scoreLine(change.awayTeam, change.awayTeamCode, change.score.away, change.score.away > change.score.home)}
+                            ${scoreLine(change.homeTeam, change.homeTeamCode, change.score.home, change.score.home > change.score.away)}
+                        </table>
+                    </div>
+            `).join(''));
+
+        const arrow = change => change.type === EVENT_TYPES.POSITION_CHANGE ? `${change.position < change.previousPosition ? '▲' : '▼'} ` : '';
+        const standingsHtml = standings.length === 0 ? '' : section('📈 Standings Moves', list(standings.map(change => `${arrow(change)}${this.describeChange(change)}`)));
+        const scheduleHtml = schedule.length === 0 ? '' : section('📅 Schedule Changes', list(schedule.map(change => this.describeChange(change))));
+
+        const upcomingHtml = upcomingGames.length === 0 ? '' : `
+                    <div style="background: white; border: 1px solid #e5e7eb; border-radius: 10px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.05); margin-top: 20px;">
+                        <div style="background: linear-gradient(135deg, #1e40af, #3b82f6); color: white; padding: 12px; text-align: center;">
+                            <h2 style="margin: 0; font-size: 18px; letter-spacing: 0.5px;">🗓️ Next ${UPCOMING_DAYS} Days</h2>
+                        </div>
+                        <table cellpadding="0" cellspacing="0" border="0" width="100%" style="width: 100%; border-collapse: collapse;">
+                            <tbody>
+                                ${upcomingGames.map(game => `
+                                    <tr style="${isFollowed(game.homeTeamCode) || isFollowed(game.awayTeamCode) ? 'background: #fef9c3;' : ''}">
+                                        <td align="left" valign="top" style="padding: 10px 6px; border-bottom: 1px solid #e5e7eb; font-size: 13px; color: #666; white-space: nowrap; width: 90px;">
+                                            ${game.dateText || ''}<br>${game.time || ''}
+                                        </td>
+                                        <td align="left" valign="top" style="padding: 10px 6px; border-bottom: 1px solid #e5e7eb; font-size: 14px;">
+                                            ${teamName(game.awayTeam, game.awayTeamCode)} @ ${teamName(game.homeTeam, game.homeTeamCode)}
+                                            ${game.location ? `<div style="font-size: 12px; color: #666;">📍 ${game.location}</div>` : ''}
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+            `;
 
         // Generate management links if subscriber info is available
         let managementLinks = '';
@@ -846,7 +1522,7 @@ class EmailService {
             <head>
                 <meta charset="utf-8">
                 <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <title>YSBA 9U Standings Update</title>
+                <title>YSBA ${divisionDisplay} Standings Update</title>
             </head>
             <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb; background-image: linear-gradient(to bottom, #f0f4f8, #f9fafb);">
                 <div style="background-color: white; border-radius: 12px; padding: 24px; box-shadow: 0 4px 8px rgba(0,0,0,0.05);">
@@ -856,7 +1532,9 @@ class EmailService {
                         <p style="color: #666; margin: 8px 0 0 0; font-size: 15px;">${divisionDisplay} Update</p>
                     </div>
 
-                    ${changesHtml}
+                    ${resultsHtml}
+                    ${standingsHtml}
+                    ${scheduleHtml}
 
                     <div style="background: white; border: 1px solid #e5e7eb; border-radius: 10px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.05);">
                         <div style="background: linear-gradient(135deg, #1e40af, #3b82f6); color: white; padding: 12px; text-align: center;">
@@ -873,8 +1551,8 @@ class EmailService {
                                 </tr>
                             </thead>
                             <tbody>
-                                ${topTeams.map((team, index) => `
-                                    <tr style="${index % 2 === 0 ? 'background: #f9fafb;' : ''}">
+                                ${teams.map((team, index) => `
+                                    <tr style="${isFollowed(team.teamCode) ? 'background: #fef9c3;' : index % 2 === 0 ? 'background: #f9fafb;' : ''}">
                                         <td align="center" valign="middle" style="padding: 12px 6px; border-bottom: 1px solid #e5e7eb; text-align: center;">
                                             ${index + 1 <= 3 
                                                 ? `<span style="background: ${
@@ -888,10 +1566,10 @@ class EmailService {
                                             }
                                         </td>
                                         <td align="left" valign="middle" style="padding: 12px 6px; border-bottom: 1px solid #e5e7eb; font-weight: 600; font-size: 15px; color: #1e40af;">
-                                            ${team.team.replace(' 9U DS', '')}
+                                            ${isFollowed(team.teamCode) ? '⭐ ' : ''}${team.team.replace(' 9U DS', '')}
                                         </td>
                                         <td align="center" valign="middle" style="padding: 12px 6px; border-bottom: 1px solid #e5e7eb; font-weight: 600; font-size: 15px; text-align: center;">
-                                            ${team.wins}-${team.losses}
+                                            ${team.wins}-${team.losses}${team.ties ? `-${team.ties}` : ''}
                                         </td>
                                         <td align="center" valign="middle" style="padding: 12px 6px; border-bottom: 1px solid #e5e7eb; text-align: center;">
                                             <span style="background: ${
@@ -922,6 +1600,8 @@ class EmailService {
                         </table>
                     </div>
 
+                    ${upcomingHtml}
+
                     <div style="text-align: center; margin-top: 24px; padding: 16px; background: linear-gradient(to bottom, #f8fafc, #f1f5f9); border-radius: 10px; box-shadow: 0 1px 3px rgba(0,0,0,0.05);">
                         <p style="margin: 0 0 12px 0; font-weight: 500;">View complete standings and team schedules:</p>
                         <a href="${this.baseUrl}" style="display: inline-block; background: linear-gradient(135deg, #2563eb, #1d4ed8); color: white; padding: 10px 20px; text-decoration: none; border-radius: 8px; font-weight: 600; box-shadow: 0 2px 4px rgba(29, 78, 216, 0.25);">View Full Standings</a>
@@ -935,13 +1615,22 @@ class EmailService {
     }
 
     // Generate plain text email for standings update
-    generateStandingsTextEmail(standingsData, changes, subscriber = null, divisionDisplay = 'YSBA') {
-        const topTeams = standingsData.slice(0, 5);
-        
-        let changesText = '';
-        if (changes.length > 0) {
-            changesText = `\nLatest Changes:\n${changes.map(change => `• ${change}`).join('\n')}\n`;
-        }
+    generateStandingsTextEmail(standingsData, changes, subscriber = null, divisionDisplay = 'YSBA', upcomingGames = []) {
+        const teams = rankTeams(standingsData);
+        const { results, standings, schedule } = this.groupChanges(changes);
+        const followed = new Set((subscriber?.teamPreferences || []).map(pref => pref.teamCode));
+        const star = teamCode => (teamCode && followed.has(teamCode) ? '⭐ ' : '');
+        const list = (heading, items) => items.length === 0 ? '' : `\n${heading}:\n${items.map(item => `• ${item}`).join('\n')}\n`;
+
+        const changesText = [
+            list('Final Scores', results.map(change => `${this.describeChange(change)}${change.current?.dateText ? ` (${change.current.dateText})` : ''}`)),
+            list('Standings Moves', standings.map(change => this.describeChange(change))),
+            list('Schedule Changes', schedule.map(change => this.describeChange(change)))
+        ].join('');
+
+        const upcomingText = upcomingGames.length === 0 ? '' : `\n🗓️ NEXT ${UPCOMING_DAYS} DAYS:\n\n${upcomingGames.map(game =>
+            `• ${[game.dateText, game.time].filter(Boolean).join(' ')}: ${star(game.awayTeamCode)}${game.awayTeam} @ ${star(game.homeTeamCode)}${game.homeTeam}${game.location ? ` (${game.location})` : ''}`
+        ).join('\n')}\n`;
 
         let managementText = '';
         if (subscriber && subscriber.id) {
@@ -956,17 +1645,98 @@ class EmailService {
 ${changesText}
 🏆 CURRENT STANDINGS:
 
-${topTeams.map((team, index) => `${index + 1}. ${team.team} (${team.wins}-${team.losses}, ${team.winPercentage})`).join('\n')}
-
+${teams.map((team, index) => `${index + 1}. ${star(team.teamCode)}${team.team} (${team.wins}-${team.losses}${team.ties ? `-${team.ties}` : ''}, ${team.winPercentage})`).join('\n')}
+${upcomingText}
 View complete standings: ${this.baseUrl}
 ${managementText}
         `.trim();
     }
 
+    // Generate HTML email for a daily or weekly digest (see digest-builder.js)
+    generateDigestEmail(subscriber, digest, frequency) {
+        const title = frequency === 'weekly' ? 'Your Weekly YSBA Digest' : 'Your Daily YSBA Digest';
+        const list = (heading, items) => items.length === 0 ? '' : `
+            <p style="margin: 12px 0 4px 0; font-weight: 600; color: #0369a1;">${heading}</p>
+            <ul style="margin: 0; padding-left: 20px;">
+                ${items.map(item => `<li style="margin-bottom: 6px;">${item}</li>`).join('')}
+            </ul>
+        `;
+
+        const sectionsHtml = digest.sections.map(section => `
+            <div style="background: #f0f9ff; padding: 15px; border-radius: 8px; margin: 20px 0; box-shadow: 0 2px 4px rgba(0,0,0,0.05);">
+                <h3 style="color: #1e40af; margin: 0;">${section.divisionDisplay}</h3>
+                ${section.teams ? `<p style="color: #666; margin: 4px 0 0 0; font-size: 13px;">Following: ${section.teams.join(', ')}</p>` : ''}
+                ${list('📈 Standings', section.positionChanges)}
+                ${list('⚾ Results', section.results)}
+                ${list('📅 Schedule Changes', section.scheduleChanges)}
+            </div>
+        `).join('');
+
+        const manageUrl = `${this.baseUrl}/manage?token=${subscriber.id}`;
+        const unsubscribeUrl = `${this.baseUrl}/unsubscribe?token=${subscriber.id}`;
+
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <meta charset="utf-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <title>${title}</title>
+            </head>
+            <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb;">
+                <div style="background-color: white; border-radius: 12px; padding: 24px; box-shadow: 0 4px 8px rgba(0,0,0,0.05);">
+                    <div style="text-align: center; margin-bottom: 25px;">
+                        <div style="font-size: 40px; margin-bottom: 8px;">⚾</div>
+                        <h1 style="color: #1e40af; margin: 0; font-size: 24px;">${title}</h1>
+                        <p style="color: #666; margin: 8px 0 0 0; font-size: 15px;">${digest.changeCount} update${digest.changeCount === 1 ? '' : 's'} since ${formatDigestDate(digest.since)}</p>
+                    </div>
+
+                    ${sectionsHtml}
+
+                    <div style="text-align: center; margin-top: 24px; padding: 16px; background: linear-gradient(to bottom, #f8fafc, #f1f5f9); border-radius: 10px; box-shadow: 0 1px 3px rgba(0,0,0,0.05);">
+                        <a href="${this.baseUrl}" style="display: inline-block; background: linear-gradient(135deg, #2563eb, #1d4ed8); color: white; padding: 10px 20px; text-decoration: none; border-radius: 8px; font-weight: 600; box-shadow: 0 2px 4px rgba(29, 78, 216, 0.25);">View Full Standings</a>
+                    </div>
+
+                    <div style="text-align: center; margin-top: 20px; padding-top: 20px; border-top: 1px solid #e5e7eb; color: #666; font-size: 12px;">
+                        <p style="margin: 0 0 8px 0;">
+                            <a href="${manageUrl}" style="color: #1e40af; text-decoration: none;">⚙️ Manage Preferences</a> | 
+                            <a href="${unsubscribeUrl}" style="color: #dc2626; text-decoration: none;">Unsubscribe</a>
+                        </p>
+                        <p style="margin: 0;">YSBA Live • ${frequency === 'weekly' ? 'Weekly' : 'Daily'} Digest</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `;
+    }
+
+    // Generate plain text email for a daily or weekly digest
+    generateDigestTextEmail(subscriber, digest, frequency) {
+        const list = (heading, items) => items.length === 0 ? '' : `\n${heading}:\n${items.map(item => `• ${item}`).join('\n')}\n`;
+
+        const sectionsText = digest.sections.map(section => [
+            `\n${section.divisionDisplay.toUpperCase()}${section.teams ? ` (following ${section.teams.join(', ')})` : ''}`,
+            list('Standings', section.positionChanges),
+            list('Results', section.results),
+            list('Schedule Changes', section.scheduleChanges)
+        ].join('')).join('\n');
+
+        return `
+⚾ YSBA ${frequency.toUpperCase()} DIGEST
+${digest.changeCount} update${digest.changeCount === 1 ? '' : 's'} since ${formatDigestDate(digest.since)}
+${sectionsText}
+
+View complete standings: ${this.baseUrl}
+
+Manage preferences: ${this.baseUrl}/manage?token=${subscriber.id}
+Unsubscribe: ${this.baseUrl}/unsubscribe?token=${subscriber.id}
+        `.trim();
+    }
+
     // Test email sending
     async sendTestEmail(to = 'test@example.com') {
         if (!this.isConfigured) {
-            throw new Error('SendGrid not configured');
+            throw new Error('Email not configured');
         }
 
         const subject = '🧪 YSBA Standings - Test Email';
@@ -983,7 +1753,7 @@ ${managementText}
     // Test team-specific notifications (legacy - for backwards compatibility)
     async sendTeamTestEmail(teamCode, changes = []) {
         if (!this.isConfigured) {
-            console.log('📧 Email notifications disabled - SendGrid not configured');
+            console.log('📧 Email notifications disabled - no email transport configured');
             return;
         }
 
@@ -1044,7 +1814,7 @@ ${managementText}
     // Test team-specific notifications with real data
     async sendRealDataTestEmail(teamCodeFilter = 'all', scraper = null) {
         if (!this.isConfigured) {
-            console.log('📧 Email notifications disabled - SendGrid not configured');
+            console.log('📧 Email notifications disabled - no email transport configured');
             return;
         }
 
@@ -1085,7 +1855,7 @@ ${managementText}
             const formattedDate = date.toLocaleDateString('en-US', options);
             
             // Update the subject line to match the format used in production
-            const gameChanges = changes.filter(change => change.includes('→')).length;
+            const gameChanges = this.groupChanges(changes).results.length;
             const subject = `⚾ ${gameChanges} New Game Results - ${formattedDate}`;
 
             const subscribers = await this.getActiveSubscribers();
@@ -1117,4 +1887,5 @@ ${managementText}
     }
 }
 
-module.exports = EmailService; 
\ No newline at end of file
+module.exports = EmailService;
+module.exports.DELIVERY_PREFERENCES = DELIVERY_PREFERENCES;
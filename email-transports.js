@@ -0,0 +1,148 @@
+/**
+ * Email transports for EmailService
+ *
+ * Every transport has a `name`, a `describe()` for logs and
+ * `send({ to, from: { email, name }, subject, html, text })`. The one in use
+ * is picked by EMAIL_TRANSPORT:
+ *
+ *   sendgrid  SENDGRID_API_KEY
+ *   smtp      SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for TLS on
+ *             connect), SMTP_USER, SMTP_PASS - e.g. a local MailHog on port 1025
+ *   file      writes each email as an .eml file to EMAIL_FILE_DIR (./sent-emails)
+ *
+ * Without EMAIL_TRANSPORT, SendGrid is used when SENDGRID_API_KEY is set and
+ * SMTP when SMTP_HOST is set; otherwise email is disabled.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const sgMail = require('@sendgrid/mail');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FILE_DIR = path.join(__dirname, 'sent-emails');
+
+// { email, name } as SendGrid takes it -> nodemailer's { address, name }
+const toNodemailerFrom = from => (from && from.email ? { address: from.email, name: from.name || '' } : from);
+
+class SendGridTransport {
+  constructor(apiKey) {
+    this.name = 'sendgrid';
+    sgMail.setApiKey(apiKey);
+  }
+
+  describe() {
+    return 'SendGrid';
+  }
+
+  async send({ to, from, subject, html, text }) {
+    try {
+      const [response] = await sgMail.send({
+        to,
+        from,
+        subject,
+        text,
+        html,
+        tracking_settings: {
+          click_tracking: {
+            enable: false
+          },
+          open_tracking: {
+            enable: false
+          }
+        }
+      });
+      return { messageId: response.headers?.['x-message-id'] || null, statusCode: response.statusCode };
+    } catch (error) {
+      if (error.response) {
+        console.error(`❌ SendGrid response:`, error.response.body);
+      }
+      throw error;
+    }
+  }
+}
+
+class SmtpTransport {
+  constructor({ host, port = 587, secure = false, user = null, pass = null }) {
+    this.name = 'smtp';
+    this.host = host;
+    this.port = port;
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  describe() {
+    return `SMTP (${this.host}:${this.port})`;
+  }
+
+  async send({ to, from, subject, html, text }) {
+    const info = await this.transporter.sendMail({ to, from: toNodemailerFrom(from), subject, html, text });
+    return { messageId: info.messageId };
+  }
+}
+
+// Builds the full message with nodemailer and saves it as <time>-<recipient>.eml
+class FileTransport {
+  constructor(dir = DEFAULT_FILE_DIR) {
+    this.name = 'file';
+    this.dir = dir;
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  describe() {
+    return `.eml files in ${this.dir}`;
+  }
+
+  async send({ to, from, subject, html, text }) {
+    const info = await this.transporter.sendMail({ to, from: toNodemailerFrom(from), subject, html, text });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const recipient = String(to).toLowerCase().replace(/[^a-z0-9@.-]+/g, '_');
+    const file = path.join(this.dir, `${timestamp}-${recipient}.eml`);
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(file, info.message);
+    return { messageId: info.messageId, file };
+  }
+}
+
+// Transport for the environment, or null when email isn't configured
+function createTransport(env = process.env) {
+  const choice = (env.EMAIL_TRANSPORT || '').toLowerCase().trim();
+  const hasSendGridKey = env.SENDGRID_API_KEY && env.SENDGRID_API_KEY !== 'your_api_key_here';
+
+  const smtp = () => new SmtpTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT, 10) || 587,
+    secure: env.SMTP_SECURE === 'true',
+    user: env.SMTP_USER || null,
+    pass: env.SMTP_PASS || null
+  });
+
+  switch (choice) {
+    case 'sendgrid':
+      if (!hasSendGridKey) throw new Error('EMAIL_TRANSPORT=sendgrid needs SENDGRID_API_KEY');
+      return new SendGridTransport(env.SENDGRID_API_KEY);
+    case 'smtp':
+      if (!env.SMTP_HOST) throw new Error('EMAIL_TRANSPORT=smtp needs SMTP_HOST');
+      return smtp();
+    case 'file':
+      return new FileTransport(env.EMAIL_FILE_DIR ? path.resolve(env.EMAIL_FILE_DIR) : DEFAULT_FILE_DIR);
+    case '':
+      if (hasSendGridKey) return new SendGridTransport(env.SENDGRID_API_KEY);
+      if (env.SMTP_HOST) return smtp();
+      return null;
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${env.EMAIL_TRANSPORT}" (use sendgrid, smtp or file)`);
+  }
+}
+
+module.exports = {
+  createTransport,
+  SendGridTransport,
+  SmtpTransport,
+  FileTransport
+};
@@ -0,0 +1,151 @@
+/**
+ * Live standings updates over Server-Sent Events
+ *
+ * Open standings pages connect to /api/events and listen on the channel of
+ * their division file (11U-rep-tier-2 for /11U-rep/tier-2), or on every
+ * channel without a division. When the data store (data-store.js) reloads a
+ * division file with a new standings.lastUpdated, the service sends its
+ * channel a `standings` event naming the teams whose row changed:
+ *
+ *   event: standings
+ *   id: 11U-rep-tier-2@2025-05-04T12:00:00.000Z
+ *   data: {"division":"11U-rep-tier-2","lastUpdated":"...","changedTeams":[
+ *          {"teamCode":"510906","team":"Barrie Baycats 11U AA","position":1,"previousPosition":2}]}
+ *
+ * In production new files arrive with a redeploy, which restarts the server
+ * and drops every stream. Browsers reconnect on their own, and each new stream
+ * starts with a `hello` event listing the current lastUpdated of its channels,
+ * so a page that missed an update while disconnected reloads.
+ */
+
+const { divisionFileId } = require('./data-store');
+
+// Standings columns that make a row count as changed
+const ROW_FIELDS = ['position', 'gamesPlayed', 'wins', 'losses', 'ties', 'points', 'runsFor', 'runsAgainst'];
+
+const MAX_CLIENTS = 1000;
+
+// Flat row values of a division file team ({ position, record, stats })
+function getRowValues(team) {
+  return {
+    position: team.position,
+    ...team.record,
+    ...team.stats
+  };
+}
+
+// Teams whose standings row differs between two versions of a division's
+// teams; teams new to the table have previousPosition null
+function diffStandings(previousTeams = [], teams = []) {
+  const previousByCode = new Map(previousTeams.map(team => [team.teamCode, getRowValues(team)]));
+
+  return teams
+    .filter(team => {
+      const previous = previousByCode.get(team.teamCode);
+      const current = getRowValues(team);
+      return !previous || ROW_FIELDS.some(field => previous[field] !== current[field]);
+    })
+    .map(team => ({
+      teamCode: team.teamCode,
+      team: team.team,
+      position: team.position,
+      previousPosition: previousByCode.get(team.teamCode)?.position ?? null
+    }));
+}
+
+function formatEvent(event, data, id = null) {
+  return `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+class LiveUpdateService {
+  // store: a loaded PublishedDataStore
+  constructor({ store, heartbeatMs = 25000 }) {
+    this.store = store;
+    this.heartbeatMs = heartbeatMs;
+    this.clients = new Set();
+    this.heartbeat = null;
+    this.onDivision = update => this.handleDivision(update);
+  }
+
+  start() {
+    this.store.on('division', this.onDivision);
+
+    // Comments keep idle streams open through proxies
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => client.res.write(': ping\n\n'));
+    }, this.heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  stop() {
+    this.store.off('division', this.onDivision);
+    clearInterval(this.heartbeat);
+    this.clients.forEach(client => client.res.end());
+    this.clients.clear();
+  }
+
+  // Version of a division's standings: their lastUpdated, or the file's time
+  getVersion(divisionKey) {
+    const file = this.store.getFile(divisionFileId(divisionKey));
+    return file?.data.standings?.lastUpdated || file?.lastModified.toISOString() || null;
+  }
+
+  // Publish a reloaded division file whose standings are newer
+  handleDivision({ divisionKey, data, previous }) {
+    const lastUpdated = this.getVersion(divisionKey);
+    if (previous && previous.standings?.lastUpdated === lastUpdated) return null;
+
+    const update = {
+      division: divisionKey,
+      lastUpdated,
+      changedTeams: diffStandings(previous?.standings?.teams, data.standings?.teams)
+    };
+    this.publish(update);
+    return update;
+  }
+
+  publish(update) {
+    const message = formatEvent('standings', update, `${update.division}@${update.lastUpdated}`);
+    let sent = 0;
+
+    this.clients.forEach(client => {
+      if (!client.channels || client.channels.includes(update.division)) {
+        client.res.write(message);
+        sent++;
+      }
+    });
+
+    console.log(`📡 ${update.division} updated (${update.changedTeams.length} rows changed), sent to ${sent} open pages`);
+  }
+
+  // Stream updates for the given division file keys (null for all) to a response
+  subscribe(req, res, channels = null) {
+    if (this.clients.size >= MAX_CLIENTS) {
+      return res.status(503).json({ success: false, error: 'Too many open connections, please try again later' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const versions = {};
+    this.store.getDivisionKeys()
+      .filter(divisionKey => !channels || channels.includes(divisionKey))
+      .forEach(divisionKey => {
+        versions[divisionKey] = this.getVersion(divisionKey);
+      });
+    res.write('retry: 10000\n\n');
+    res.write(formatEvent('hello', { versions }));
+
+    const client = { res, channels };
+    this.clients.add(client);
+    req.on('close', () => this.clients.delete(client));
+  }
+}
+
+module.exports = LiveUpdateService;
+module.exports.diffStandings = diffStandings;
@@ -0,0 +1,269 @@
+/**
+ * Persistent outbox for notification emails
+ *
+ * Standings and team emails are queued here before anything is sent, then
+ * delivered one by one with the result saved after each message. If the
+ * scraper dies halfway through, the next run delivers what is still queued,
+ * and a rerun of the same scrape doesn't email anyone twice: every message has
+ * an idempotency key (scrape run + kind + division + subscriber) and a key that
+ * is already in the outbox is never queued again.
+ *
+ * Failed sends are retried with exponential backoff (2, 4, 8, 16 minutes -
+ * in practice on the next scraper runs) up to MAX_ATTEMPTS, or marked failed
+ * straight away when the provider rejects the message for good (e.g. an
+ * invalid address). Sent and failed messages stay for RETENTION_DAYS as the
+ * delivery log; sent ones drop their bodies to keep the file small.
+ *
+ * The outbox is a JSON file ({ updatedAt, messages: [...] }) and, when a
+ * GitHub Gist is configured, a second file in the subscribers gist so the
+ * GitHub Action and the web server see the same outbox. Every gist write sends
+ * the whole outbox, so a flush updates the local file after each message but
+ * the gist only every GIST_SAVE_EVERY messages and once at the end.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 2 * 60 * 1000;
+const RETENTION_DAYS = 30;
+const GIST_SAVE_EVERY = 25;
+
+// <run>:<kind>:<division>:<subscriber>, e.g. gh-9876:division:11U-rep-tier-2:ab12...
+function createMessageKey({ runId, kind, divisionKey, subscriberId }) {
+  return [runId, kind, divisionKey || 'all', subscriberId].join(':');
+}
+
+// Rejections that won't succeed on a retry: SendGrid 4xx (except timeouts and
+// rate limits) and permanent SMTP replies (5xx)
+function isPermanentError(error) {
+  const status = Number(error.code) || null;
+  if (status >= 400 && status < 500) {
+    return status !== 408 && status !== 429;
+  }
+  return error.responseCode >= 500 && error.responseCode < 600;
+}
+
+class NotificationOutbox {
+  // gist: optional { isConfigured(), read(), write(content) } for shared storage
+  constructor({ file = path.join(__dirname, 'outbox.json'), gist = null } = {}) {
+    this.file = file;
+    this.gist = gist;
+  }
+
+  async load() {
+    if (this.gist && this.gist.isConfigured()) {
+      const content = await this.gist.read();
+      if (content) {
+        try {
+          return JSON.parse(content).messages || [];
+        } catch (error) {
+          console.error('❌ Outbox gist file is not valid JSON:', error.message);
+        }
+      }
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8')).messages || [];
+    } catch {
+      return [];
+    }
+  }
+
+  // gist: false writes only the local file
+  async save(messages, { gist = true } = {}) {
+    const content = JSON.stringify({ updatedAt: new Date().toISOString(), messages }, null, 2);
+
+    const tempFile = this.file + '.tmp';
+    await fs.writeFile(tempFile, content);
+    await fs.rename(tempFile, this.file);
+
+    if (gist && this.gist && this.gist.isConfigured()) {
+      const saved = await this.gist.write(content);
+      if (!saved) {
+        console.warn('⚠️  Failed to save the outbox to GitHub Gist, local file updated');
+      }
+    }
+  }
+
+  // Queue messages ({ runId, kind, divisionKey, subscriberId, to, subject, html, text });
+  // ones whose key is already in the outbox are skipped
+  async enqueue(newMessages, now = Date.now()) {
+    const messages = await this.load();
+    const existing = new Set(messages.map(message => message.id));
+    const createdAt = new Date(now).toISOString();
+    const keys = [];
+    let skipped = 0;
+
+    newMessages.forEach(message => {
+      const id = createMessageKey(message);
+      keys.push(id);
+
+      if (existing.has(id)) {
+        skipped++;
+        return;
+      }
+
+      existing.add(id);
+      messages.push({
+        id,
+        runId: message.runId,
+        kind: message.kind,
+        divisionKey: message.divisionKey || null,
+        subscriberId: message.subscriberId,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        status: STATUS.QUEUED,
+        attempts: 0,
+        createdAt,
+        nextAttemptAt: createdAt,
+        lastAttemptAt: null,
+        sentAt: null,
+        lastError: null,
+        messageId: null
+      });
+    });
+
+    if (keys.length > skipped) {
+      await this.save(this.prune(messages, now));
+    }
+
+    console.log(`📬 Queued ${keys.length - skipped} emails${skipped > 0 ? ` (${skipped} already in the outbox)` : ''}`);
+    return { queued: keys.length - skipped, skipped, keys };
+  }
+
+  // Send every queued message that is due. send(message) delivers one message
+  // and returns the transport result; the outbox is saved after each attempt
+  // (to the gist every GIST_SAVE_EVERY attempts and after the last one).
+  async flush(send, now = Date.now()) {
+    const messages = await this.load();
+    const due = messages.filter(message =>
+      message.status === STATUS.QUEUED && new Date(message.nextAttemptAt).getTime() <= now
+    );
+    const results = [];
+    let unsaved = 0;
+
+    for (const message of due) {
+      message.attempts++;
+      message.lastAttemptAt = new Date(now).toISOString();
+
+      try {
+        const result = await send(message);
+        message.status = STATUS.SENT;
+        message.sentAt = message.lastAttemptAt;
+        message.messageId = result?.messageId || null;
+        message.lastError = null;
+        delete message.html;
+        delete message.text;
+      } catch (error) {
+        message.lastError = error.message;
+
+        if (isPermanentError(error) || message.attempts >= MAX_ATTEMPTS) {
+          message.status = STATUS.FAILED;
+          console.error(`❌ Giving up on email to ${message.to} after ${message.attempts} attempt(s): ${error.message}`);
+        } else {
+          message.nextAttemptAt = new Date(now + this.getRetryDelay(message.attempts)).toISOString();
+          console.warn(`⚠️  Email to ${message.to} failed (attempt ${message.attempts}), retrying after ${message.nextAttemptAt}`);
+        }
+      }
+
+      results.push({ id: message.id, status: message.status, attempts: message.attempts });
+      unsaved++;
+      const saveGist = unsaved >= GIST_SAVE_EVERY || results.length === due.length;
+      await this.save(messages, { gist: saveGist });
+      if (saveGist) unsaved = 0;
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    return {
+      sent: count(STATUS.SENT),
+      retrying: count(STATUS.QUEUED),
+      failed: count(STATUS.FAILED),
+      results
+    };
+  }
+
+  // 2, 4, 8, 16... minutes after the nth failed attempt
+  getRetryDelay(attempts) {
+    return RETRY_BASE_MS * 2 ** (attempts - 1);
+  }
+
+  // Queue a failed (or waiting) message again for the next flush
+  async retry(id, now = Date.now()) {
+    const messages = await this.load();
+    const message = messages.find(msg => msg.id === id);
+
+    if (!message) {
+      return { success: false, error: 'Message not found' };
+    }
+    if (message.status === STATUS.SENT) {
+      return { success: false, error: 'Message was already sent' };
+    }
+    if (!message.html && !message.text) {
+      return { success: false, error: 'Message content is no longer available' };
+    }
+
+    message.status = STATUS.QUEUED;
+    message.attempts = 0;
+    message.nextAttemptAt = new Date(now).toISOString();
+    await this.save(messages);
+
+    return { success: true, message: this.summarize(message) };
+  }
+
+  // Newest first, without bodies. Filters: status, subscriberId, runId, limit
+  async list({ status = null, subscriberId = null, runId = null, limit = 100 } = {}) {
+    const messages = await this.load();
+    return messages
+      .filter(message => !status || message.status === status)
+      .filter(message => !subscriberId || message.subscriberId === subscriberId)
+      .filter(message => !runId || message.runId === runId)
+      .sort((a, b) => new Date(b.lastAttemptAt || b.createdAt) - new Date(a.lastAttemptAt || a.createdAt))
+      .slice(0, limit)
+      .map(message => this.summarize(message));
+  }
+
+  // One message without its body, or null
+  async get(id) {
+    const message = (await this.load()).find(msg => msg.id === id);
+    return message ? this.summarize(message) : null;
+  }
+
+  // Message counts by status
+  async getStats() {
+    const messages = await this.load();
+    return Object.values(STATUS).reduce((stats, status) => {
+      stats[status] = messages.filter(message => message.status === status).length;
+      return stats;
+    }, {});
+  }
+
+  summarize(message) {
+    const { html, text, ...summary } = message;
+    return summary;
+  }
+
+  // Drop sent and failed messages past the retention period
+  prune(messages, now = Date.now()) {
+    const cutoff = now - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    return messages.filter(message =>
+      message.status === STATUS.QUEUED ||
+      new Date(message.lastAttemptAt || message.createdAt).getTime() >= cutoff
+    );
+  }
+}
+
+module.exports = NotificationOutbox;
+module.exports.STATUS = STATUS;
+module.exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
+module.exports.GIST_SAVE_EVERY = GIST_SAVE_EVERY;
+module.exports.createMessageKey = createMessageKey;
+module.exports.isPermanentError = isPermanentError;
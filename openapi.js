@@ -0,0 +1,628 @@
+/**
+ * OpenAPI document of the versioned API (/api/v1) and the validation built on it
+ *
+ * The document is the contract: api-v1.js registers one route per operation
+ * listed here, parses and checks path and query parameters against their
+ * schemas before the handler runs, and checks response bodies against the
+ * response schemas before they are sent. It is served as
+ * /api/v1/openapi.json.
+ *
+ * The validator covers the JSON Schema keywords the document uses: type
+ * (including ['string', 'null']), enum, const, pattern, minimum, maximum,
+ * required, properties, additionalProperties, items and local $refs.
+ */
+
+const config = require('./config');
+const { EVENT_TYPES } = require('./src/scraper/change-events');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+// Every error response: { success: false, error: { code, message, details } }
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+const jsonResponse = (description, dataSchema) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        required: ['success', 'data'],
+        properties: {
+          success: { const: true },
+          data: dataSchema
+        }
+      }
+    }
+  }
+});
+
+const CACHED_HEADERS = {
+  ETag: { description: 'Strong validator; send it back as If-None-Match', schema: { type: 'string' } },
+  'Last-Modified': { description: 'Time the published data file changed', schema: { type: 'string' } }
+};
+
+const cachedResponse = (description, dataSchema) => ({
+  ...jsonResponse(description, dataSchema),
+  headers: CACHED_HEADERS
+});
+
+const NOT_MODIFIED = { description: 'The copy named by If-None-Match or If-Modified-Since is current' };
+
+const DIVISION_PARAMETERS = [
+  { $ref: '#/components/parameters/Division' },
+  { $ref: '#/components/parameters/Tier' }
+];
+
+const TEAM_LOOKUP_PARAMETERS = [
+  { $ref: '#/components/parameters/TeamCode' },
+  {
+    name: 'division',
+    in: 'query',
+    description: 'Division the team plays in; found from the team code when left out',
+    schema: { type: 'string', pattern: '^([0-9]+[Uu]|senior)-(rep|select)$' }
+  },
+  {
+    name: 'tier',
+    in: 'query',
+    description: 'Tier of the division (tier-1, no-tier, all-tiers)',
+    schema: { type: 'string', pattern: '^[a-z0-9-]{1,40}$' }
+  }
+];
+
+const OPENAPI_DOCUMENT = {
+  openapi: '3.1.0',
+  info: {
+    title: 'YSBA Live API',
+    version: '1.0.0',
+    description: 'Standings, schedules and changes of York Simcoe Baseball Association divisions, ' +
+      'republished from the YSBA site every 30 minutes. Division and tier keys are the ones in ' +
+      'standings page URLs (/11U-rep/tier-2 is division 11U-rep, tier tier-2).'
+  },
+  servers: [{ url: '/api/v1' }],
+  paths: {
+    '/openapi.json': {
+      get: {
+        operationId: 'getOpenApiDocument',
+        summary: 'This document',
+        responses: {
+          200: { description: 'OpenAPI document', content: { 'application/json': { schema: { type: 'object' } } } }
+        }
+      }
+    },
+    '/divisions': {
+      get: {
+        operationId: 'listDivisions',
+        summary: 'Divisions and their tiers',
+        parameters: [
+          {
+            name: 'filterEmpty',
+            in: 'query',
+            description: 'Leave out divisions without any scraped tier',
+            schema: { type: 'boolean', default: false }
+          }
+        ],
+        responses: {
+          200: cachedResponse('Divisions', {
+            type: 'object',
+            required: ['divisions', 'lastUpdated'],
+            properties: {
+              divisions: { type: 'array', items: ref('Division') },
+              lastUpdated: { type: ['string', 'null'] }
+            }
+          }),
+          304: NOT_MODIFIED,
+          400: errorResponse('Invalid parameters'),
+          500: errorResponse('Server error')
+        }
+      }
+    },
+    '/divisions/{division}/tiers/{tier}/standings': {
+      get: {
+        operationId: 'getStandings',
+        summary: 'Ranked standings of a division tier',
+        parameters: [
+          ...DIVISION_PARAMETERS,
+          {
+            name: 'asOf',
+            in: 'query',
+            description: 'Standings as they stood on a past date (YYYY-MM-DD or an ISO timestamp)',
+            schema: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}(T.+)?$' }
+          }
+        ],
+        responses: {
+          200: cachedResponse('Standings, best team first', {
+            type: 'object',
+            required: ['division', 'teams', 'lastUpdated'],
+            properties: {
+              division: ref('DivisionRef'),
+              teams: { type: 'array', items: ref('StandingsRow') },
+              lastUpdated: { type: ['string', 'null'] },
+              asOf: { type: 'string' }
+            }
+          }),
+          304: NOT_MODIFIED,
+          400: errorResponse('Invalid parameters'),
+          404: errorResponse('Unknown division or tier, or no standings recorded yet'),
+          500: errorResponse('Server error')
+        }
+      }
+    },
+    '/divisions/{division}/tiers/{tier}/standings/history': {
+      get: {
+        operationId: 'getStandingsHistory',
+        summary: "Every team's position, record and points over the season",
+        parameters: DIVISION_PARAMETERS,
+        responses: {
+          200: jsonResponse('History points keyed by team code', {
+            type: 'object',
+            required: ['division', 'teams'],
+            properties: {
+              division: ref('DivisionRef'),
+              teams: { type: 'object', additionalProperties: { type: 'array', items: ref('HistoryPoint') } }
+            }
+          }),
+          400: errorResponse('Invalid parameters'),
+          404: errorResponse('Unknown division or tier'),
+          500: errorResponse('Server error')
+        }
+      }
+    },
+    '/teams/{teamCode}': {
+      get: {
+        operationId: 'getTeam',
+        summary: 'Record, splits, runs, head-to-head and schedule of a team',
+        parameters: TEAM_LOOKUP_PARAMETERS,
+        responses: {
+          200: jsonResponse('Team profile', ref('TeamProfile')),
+          400: errorResponse('Invalid parameters'),
+          404: errorResponse('Team not found'),
+          500: errorResponse('Server error')
+        }
+      }
+    },
+    '/teams/{teamCode}/schedule': {
+      get: {
+        operationId: 'getTeamSchedule',
+        summary: "A team's games, from its side",
+        parameters: TEAM_LOOKUP_PARAMETERS,
+        responses: {
+          200: cachedResponse('Games sorted by date, split into played and upcoming', {
+            type: 'object',
+            required: ['teamCode', 'division', 'allGames', 'playedGames', 'upcomingGames', 'totalGames', 'lastUpdated'],
+            properties: {
+              teamCode: { type: 'string' },
+              division: ref('DivisionRef'),
+              allGames: { type: 'array', items: ref('TeamGame') },
+              playedGames: { type: 'array', items: ref('TeamGame') },
+              upcomingGames: { type: 'array', items: ref('TeamGame') },
+              totalGames: { type: 'integer', minimum: 0 },
+              lastUpdated: { type: ['string', 'null'] }
+            }
+          }),
+          304: NOT_MODIFIED,
+          400: errorResponse('Invalid parameters'),
+          404: errorResponse('Team not found'),
+          500: errorResponse('Server error')
+        }
+      }
+    },
+    '/teams/{teamCode}/history': {
+      get: {
+        operationId: 'getTeamHistory',
+        summary: "A team's position, record and points over the season",
+        parameters: TEAM_LOOKUP_PARAMETERS,
+        responses: {
+          200: jsonResponse('History points, oldest first', {
+            type: 'object',
+            required: ['teamCode', 'team', 'division', 'history'],
+            properties: {
+              teamCode: { type: 'string' },
+              team: { type: ['string', 'null'] },
+              division: { type: ['string', 'null'] },
+              history: { type: 'array', items: ref('HistoryPoint') }
+            }
+          }),
+          400: errorResponse('Invalid parameters'),
+          404: errorResponse('No history recorded for the team'),
+          500: errorResponse('Server error')
+        }
+      }
+    },
+    '/changes': {
+      get: {
+        operationId: 'listChanges',
+        summary: 'Standings and schedule change events, newest first',
+        parameters: [
+          {
+            name: 'division',
+            in: 'query',
+            description: 'Only events of this division (with tier)',
+            schema: { type: 'string', pattern: '^([0-9]+[Uu]|senior)-(rep|select)$' }
+          },
+          {
+            name: 'tier',
+            in: 'query',
+            description: 'Tier of the division',
+            schema: { type: 'string', pattern: '^[a-z0-9-]{1,40}$', default: 'all-tiers' }
+          },
+          {
+            name: 'team',
+            in: 'query',
+            description: 'Only events about this team code',
+            schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' }
+          },
+          {
+            name: 'since',
+            in: 'query',
+            description: 'Only events detected after this date or timestamp',
+            schema: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}(T.+)?$' }
+          },
+          {
+            name: 'type',
+            in: 'query',
+            description: 'Comma-separated event types',
+            style: 'form',
+            explode: false,
+            schema: { type: 'array', items: { enum: Object.values(EVENT_TYPES) } }
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, maximum: 500, default: 100 }
+          }
+        ],
+        responses: {
+          200: jsonResponse('Change events', {
+            type: 'object',
+            required: ['events', 'count'],
+            properties: {
+              events: { type: 'array', items: ref('ChangeEvent') },
+              count: { type: 'integer', minimum: 0 }
+            }
+          }),
+          400: errorResponse('Invalid parameters'),
+          404: errorResponse('Unknown division or tier'),
+          500: errorResponse('Server error')
+        }
+      }
+    }
+  },
+  components: {
+    parameters: {
+      Division: {
+        name: 'division',
+        in: 'path',
+        required: true,
+        description: `Division key: ${Object.keys(config.DIVISIONS).join(', ')}`,
+        schema: { type: 'string', pattern: '^([0-9]+[Uu]|senior)-(rep|select)$' }
+      },
+      Tier: {
+        name: 'tier',
+        in: 'path',
+        required: true,
+        description: 'Tier key: tier-1, tier-2, tier-3 or no-tier for rep divisions, all-tiers for select divisions',
+        schema: { type: 'string', pattern: '^[a-z0-9-]{1,40}$' }
+      },
+      TeamCode: {
+        name: 'teamCode',
+        in: 'path',
+        required: true,
+        description: 'YSBA team code (the number in /team/510892)',
+        schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' }
+      }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+          success: { const: false },
+          error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+              code: { enum: ['invalid_request', 'not_found', 'internal_error'] },
+              message: { type: 'string' },
+              details: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['field', 'message'],
+                  properties: {
+                    field: { type: 'string' },
+                    message: { type: 'string' }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      Division: {
+        type: 'object',
+        required: ['key', 'displayName', 'shortName', 'tiers'],
+        properties: {
+          key: { type: 'string' },
+          displayName: { type: 'string' },
+          shortName: { type: 'string' },
+          tiers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['key', 'displayName'],
+              properties: {
+                key: { type: 'string' },
+                displayName: { type: 'string' },
+                teams: { type: 'integer', minimum: 0 },
+                games: { type: 'integer', minimum: 0 }
+              }
+            }
+          }
+        }
+      },
+      DivisionRef: {
+        type: 'object',
+        required: ['key', 'tier', 'displayName', 'url'],
+        properties: {
+          key: { type: 'string' },
+          tier: { type: ['string', 'null'] },
+          displayName: { type: 'string' },
+          url: { type: ['string', 'null'] }
+        }
+      },
+      Tiebreaker: {
+        type: ['object', 'null'],
+        required: ['rule', 'reason'],
+        properties: {
+          rule: { type: 'string' },
+          opponent: { type: 'string' },
+          opponentCode: { type: ['string', 'null'] },
+          reason: { type: 'string' }
+        }
+      },
+      StandingsRow: {
+        type: 'object',
+        required: ['position', 'team', 'teamCode', 'gamesPlayed', 'wins', 'losses', 'ties', 'points', 'runsFor', 'runsAgainst', 'runDifferential', 'winPercentage'],
+        properties: {
+          position: { type: 'integer', minimum: 1 },
+          team: { type: 'string' },
+          teamCode: { type: ['string', 'null'] },
+          gamesPlayed: { type: 'integer', minimum: 0 },
+          wins: { type: 'integer', minimum: 0 },
+          losses: { type: 'integer', minimum: 0 },
+          ties: { type: 'integer', minimum: 0 },
+          points: { type: 'integer', minimum: 0 },
+          runsFor: { type: 'integer', minimum: 0 },
+          runsAgainst: { type: 'integer', minimum: 0 },
+          runDifferential: { type: 'integer' },
+          winPercentage: { type: ['string', 'number'] },
+          tiebreaker: ref('Tiebreaker')
+        }
+      },
+      HistoryPoint: {
+        type: 'object',
+        required: ['date', 'position'],
+        properties: {
+          date: { type: 'string' },
+          position: { type: ['integer', 'null'] }
+        }
+      },
+      Score: {
+        type: ['object', 'null'],
+        required: ['home', 'away'],
+        properties: {
+          home: { type: ['integer', 'null'] },
+          away: { type: ['integer', 'null'] }
+        }
+      },
+      TeamGame: {
+        type: 'object',
+        required: ['homeTeam', 'awayTeam', 'opponent', 'isHome', 'isCompleted'],
+        properties: {
+          date: { type: ['string', 'null'] },
+          time: { type: ['string', 'null'] },
+          location: { type: ['string', 'null'] },
+          homeTeam: { type: 'string' },
+          homeTeamCode: { type: ['string', 'null'] },
+          awayTeam: { type: 'string' },
+          awayTeamCode: { type: ['string', 'null'] },
+          opponent: { type: 'string' },
+          opponentCode: { type: ['string', 'null'] },
+          isHome: { type: 'boolean' },
+          isCompleted: { type: 'boolean' },
+          score: ref('Score'),
+          scoreText: { type: ['string', 'null'] }
+        }
+      },
+      TeamProfile: {
+        type: 'object',
+        required: ['teamCode', 'team', 'position', 'totalTeams', 'record', 'division'],
+        properties: {
+          teamCode: { type: 'string' },
+          team: { type: ['string', 'null'] },
+          position: { type: ['integer', 'null'] },
+          totalTeams: { type: 'integer', minimum: 0 },
+          tiebreaker: ref('Tiebreaker'),
+          record: { type: 'object' },
+          splits: { type: 'object' },
+          runs: { type: 'object' },
+          division: ref('DivisionRef'),
+          lastUpdated: { type: ['string', 'null'] }
+        }
+      },
+      ChangeEvent: {
+        type: 'object',
+        required: ['id', 'type', 'division', 'detectedAt', 'description'],
+        properties: {
+          id: { type: 'string' },
+          type: { enum: Object.values(EVENT_TYPES) },
+          division: { type: 'string' },
+          detectedAt: { type: 'string' },
+          description: { type: 'string' },
+          team: { type: 'string' },
+          teamCode: { type: ['string', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  null: value => value === null
+};
+
+function resolveRef(schema) {
+  if (!schema?.$ref) return schema;
+  const name = schema.$ref.replace('#/components/schemas/', '');
+  return OPENAPI_DOCUMENT.components.schemas[name];
+}
+
+// Problems with a value against a schema, as [{ field, message }]; empty when valid
+function validate(schema, value, field = '') {
+  schema = resolveRef(schema);
+  if (!schema) return [];
+  const name = field || 'value';
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+      return [{ field: name, message: `must be ${types.join(' or ')}` }];
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    return [{ field: name, message: `must be ${JSON.stringify(schema.const)}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field: name, message: `must be one of ${schema.enum.join(', ')}` }];
+  }
+  if (value === null) return [];
+
+  const errors = [];
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ field: name, message: `has an invalid format (${schema.pattern})` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field: name, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field: name, message: `must be at most ${schema.maximum}` });
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(schema.items, item, `${name}[${index}]`)));
+  }
+  if (TYPE_CHECKS.object(value)) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ field: field ? `${field}.${key}` : key, message: 'is required' });
+      }
+    });
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      // Left out of the JSON
+      if (propertyValue === undefined) return;
+
+      const propertyField = field ? `${field}.${key}` : key;
+      if (schema.properties?.[key]) {
+        errors.push(...validate(schema.properties[key], propertyValue, propertyField));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: propertyField, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, propertyValue, propertyField));
+      }
+    });
+  }
+  return errors;
+}
+
+// Query strings and path segments arrive as text; convert them to the
+// parameter's type so the schema check sees numbers, booleans and lists
+function coerceParameter(schema, raw) {
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return /^-?\d+(\.\d+)?$/.test(raw) ? Number(raw) : raw;
+    case 'boolean':
+      return { true: true, 1: true, false: false, 0: false }[raw] ?? raw;
+    case 'array':
+      return raw.split(',').filter(Boolean).map(item => coerceParameter(schema.items || {}, item));
+    default:
+      return raw;
+  }
+}
+
+// Operations in document order: [{ operationId, method, path, operation }]
+function listOperations() {
+  return Object.entries(OPENAPI_DOCUMENT.paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, operation]) => ({
+      operationId: operation.operationId,
+      method,
+      path,
+      operation
+    }))
+  );
+}
+
+// Path and query values of a request for an operation, with defaults
+// applied: { values, errors }
+function parseParameters(operation, req) {
+  const values = {};
+  const errors = [];
+
+  (operation.parameters || []).forEach(parameter => {
+    if (parameter.$ref) {
+      parameter = OPENAPI_DOCUMENT.components.parameters[parameter.$ref.split('/').pop()];
+    }
+    const source = parameter.in === 'path' ? req.params : req.query;
+    const raw = source[parameter.name];
+
+    if (raw === undefined || raw === '') {
+      if (parameter.required) {
+        errors.push({ field: parameter.name, message: 'is required' });
+      } else if (parameter.schema.default !== undefined) {
+        values[parameter.name] = parameter.schema.default;
+      }
+      return;
+    }
+    if (typeof raw !== 'string') {
+      errors.push({ field: parameter.name, message: 'must be given once' });
+      return;
+    }
+
+    const value = coerceParameter(parameter.schema, raw);
+    const problems = validate(parameter.schema, value, parameter.name);
+    if (problems.length > 0) {
+      errors.push(...problems);
+    } else {
+      values[parameter.name] = value;
+    }
+  });
+
+  return { values, errors };
+}
+
+// Problems with a response body against the operation's schema for its status
+function validateResponse(operation, status, body) {
+  const schema = operation.responses[status]?.content?.['application/json']?.schema;
+  if (!schema) {
+    return [{ field: 'status', message: `${status} is not a documented response` }];
+  }
+  return validate(schema, body);
+}
+
+module.exports = {
+  OPENAPI_DOCUMENT,
+  validate,
+  listOperations,
+  parseParameters,
+  validateResponse
+};
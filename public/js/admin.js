@@ -0,0 +1,768 @@
+class AdminConsole {
+    constructor() {
+        this.page = 1;
+        this.divisions = [];
+        this.subscribers = [];
+        this.outbox = [];
+        this.webhooks = [];
+        this.editing = null;
+        this.editTeams = [];
+        this.editModal = null;
+        this.init();
+    }
+
+    async init() {
+        this.editModal = new bootstrap.Modal(document.getElementById('editModal'));
+        this.setupEventListeners();
+
+        const session = await this.api('/api/admin/session', {}, false);
+        if (session.ok) {
+            await this.showConsole(session.data.username);
+        } else {
+            this.showLogin(session.status === 503 ? session.data.error : null);
+        }
+    }
+
+    setupEventListeners() {
+        document.getElementById('loginForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+        document.getElementById('logoutBtn').addEventListener('click', () => this.logout());
+        document.getElementById('searchForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.page = 1;
+            this.loadSubscribers();
+        });
+        document.getElementById('statusFilter').addEventListener('change', () => {
+            this.page = 1;
+            this.loadSubscribers();
+        });
+        document.getElementById('divisionFilter').addEventListener('change', () => {
+            this.page = 1;
+            this.loadSubscribers();
+        });
+        document.getElementById('prevPageBtn').addEventListener('click', () => {
+            this.page--;
+            this.loadSubscribers();
+        });
+        document.getElementById('nextPageBtn').addEventListener('click', () => {
+            this.page++;
+            this.loadSubscribers();
+        });
+        document.getElementById('generateStoriesBtn').addEventListener('click', () => this.generateStories());
+
+        // Row actions
+        document.getElementById('subscriberRows').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const subscriber = this.subscribers.find(sub => sub.id === button.dataset.id);
+            if (!subscriber) return;
+
+            if (button.dataset.action === 'edit') {
+                this.openEditor(subscriber);
+            } else {
+                this.setActive(subscriber, button.dataset.action === 'reactivate');
+            }
+        });
+
+        // Edit modal
+        document.getElementById('editForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSubscriber();
+        });
+        document.getElementById('editTeamDivision').addEventListener('change', (e) => this.loadTeams(e.target.value));
+        document.getElementById('editTeamSelect').addEventListener('change', (e) => {
+            document.getElementById('editAddTeamBtn').disabled = !e.target.value;
+        });
+        document.getElementById('editAddTeamBtn').addEventListener('click', () => this.addTeam());
+        document.getElementById('editTeams').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-remove-team]');
+            if (!button) return;
+
+            this.editTeams = this.editTeams.filter(team => team.teamCode !== button.dataset.removeTeam);
+            this.renderEditTeams();
+        });
+
+        // Email outbox
+        document.getElementById('statsInterval').addEventListener('change', () => this.loadStats());
+        document.getElementById('refreshStatsBtn').addEventListener('click', () => this.loadStats());
+        document.getElementById('outboxStatusFilter').addEventListener('change', () => this.loadOutbox());
+        document.getElementById('refreshOutboxBtn').addEventListener('click', () => this.loadOutbox());
+        document.getElementById('outboxRows').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-retry]');
+            if (button) this.retryEmail(button.dataset.retry, button);
+        });
+
+        // Webhooks
+        document.getElementById('refreshWebhooksBtn').addEventListener('click', () => this.loadWebhooks());
+        document.getElementById('webhookForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createWebhook();
+        });
+        document.getElementById('webhookRows').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) this.handleWebhookAction(button.dataset.action, button.dataset.id, button);
+        });
+        document.getElementById('webhookDeliveryRows').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-retry]');
+            if (button) this.retryWebhookDelivery(button.dataset.retry, button);
+        });
+
+        // Bulk reactivate
+        document.getElementById('previewReactivateBtn').addEventListener('click', () => this.reactivate(true));
+        document.getElementById('reactivateBtn').addEventListener('click', () => this.reactivate(false));
+        document.getElementById('reactivateEmails').addEventListener('input', () => {
+            document.getElementById('reactivateBtn').disabled = true;
+        });
+    }
+
+    // fetch() wrapper: { ok, status, data }. A 401 mid-session sends you back to sign in.
+    async api(url, options = {}, handleSignOut = true) {
+        const response = await fetch(url, {
+            credentials: 'same-origin',
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(options.headers || {})
+            }
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 401 && handleSignOut) {
+            this.showLogin('Your session has ended - please sign in again');
+        }
+
+        return { ok: response.ok, status: response.status, data };
+    }
+
+    showLogin(message = null) {
+        document.getElementById('loginSection').classList.remove('d-none');
+        document.getElementById('consoleSection').classList.add('d-none');
+        document.getElementById('logoutBtn').classList.add('d-none');
+        document.getElementById('adminStatus').textContent = 'Not signed in';
+
+        const loginError = document.getElementById('loginError');
+        loginError.textContent = message || '';
+        loginError.classList.toggle('d-none', !message);
+    }
+
+    async showConsole(username) {
+        // Back to the page that sent us here (e.g. /backup.html)
+        const next = new URLSearchParams(window.location.search).get('next');
+        if (next && next.startsWith('/') && !next.startsWith('//')) {
+            window.location.href = next;
+            return;
+        }
+
+        document.getElementById('loginSection').classList.add('d-none');
+        document.getElementById('consoleSection').classList.remove('d-none');
+        document.getElementById('logoutBtn').classList.remove('d-none');
+        document.getElementById('adminStatus').textContent = `Signed in as ${username}`;
+
+        await this.loadDivisions();
+        await this.loadSubscribers();
+        await this.loadStats();
+        await this.loadOutbox();
+        await this.loadWebhooks();
+    }
+
+    async login() {
+        const username = document.getElementById('username').value.trim();
+        const password = document.getElementById('password').value;
+
+        const result = await this.api('/api/admin/login', {
+            method: 'POST',
+            body: JSON.stringify({ username, password })
+        }, false);
+
+        if (result.ok) {
+            document.getElementById('password').value = '';
+            await this.showConsole(result.data.username);
+        } else {
+            this.showLogin(result.data.error || 'Sign in failed');
+        }
+    }
+
+    async logout() {
+        await this.api('/api/admin/logout', { method: 'POST' }, false);
+        this.showLogin();
+    }
+
+    async loadDivisions() {
+        if (this.divisions.length > 0) return;
+
+        const result = await this.api('/api/available-divisions');
+        this.divisions = result.data.divisions || [];
+
+        const options = this.divisions
+            .map(div => `<option value="${this.escapeHtml(div.key)}">${this.escapeHtml(div.display)}</option>`)
+            .join('');
+        document.getElementById('divisionFilter').innerHTML += options;
+        document.getElementById('editTeamDivision').innerHTML += options;
+        document.getElementById('webhookDivision').innerHTML += options;
+    }
+
+    getDivisionDisplay(key) {
+        return this.divisions.find(div => div.key === key)?.display || key;
+    }
+
+    async loadSubscribers() {
+        const params = new URLSearchParams({
+            q: document.getElementById('searchQuery').value.trim(),
+            status: document.getElementById('statusFilter').value,
+            division: document.getElementById('divisionFilter').value,
+            page: this.page
+        });
+
+        const result = await this.api(`/api/admin/subscribers?${params}`);
+        if (!result.ok) {
+            if (result.status !== 401) this.showAlert(result.data.error || 'Failed to load subscribers', 'danger');
+            return;
+        }
+
+        const { subscribers, total, activeTotal, page, pages } = result.data;
+        this.subscribers = subscribers;
+        this.page = page;
+
+        document.getElementById('subscriberTotals').textContent = `${activeTotal} active`;
+        document.getElementById('pageInfo').textContent = `${total} matching • page ${page} of ${pages}`;
+        document.getElementById('prevPageBtn').disabled = page <= 1;
+        document.getElementById('nextPageBtn').disabled = page >= pages;
+
+        this.renderSubscribers();
+    }
+
+    renderSubscribers() {
+        const rows = document.getElementById('subscriberRows');
+
+        if (this.subscribers.length === 0) {
+            rows.innerHTML = '<tr><td colspan="5" class="text-muted">No subscribers match</td></tr>';
+            return;
+        }
+
+        rows.innerHTML = this.subscribers.map(sub => {
+            const divisions = sub.divisionPreferences
+                .map(key => `<span class="pref-chip">${this.escapeHtml(this.getDivisionDisplay(key))}</span>`)
+                .join('');
+            const teams = sub.teamPreferences
+                .map(team => `<span class="pref-chip"><i class="bi bi-star-fill me-1"></i>${this.escapeHtml(team.team || team.teamCode)}</span>`)
+                .join('');
+            const toggle = sub.active
+                ? `<button class="btn btn-sm btn-outline-danger" data-action="deactivate" data-id="${this.escapeHtml(sub.id)}">Deactivate</button>`
+                : `<button class="btn btn-sm btn-outline-success" data-action="reactivate" data-id="${this.escapeHtml(sub.id)}">Reactivate</button>`;
+
+            return `
+                <tr class="subscriber-row ${sub.active ? '' : 'inactive'}">
+                    <td>${this.escapeHtml(sub.email)}${sub.active ? '' : ` <span class="badge ${sub.status === 'pending' ? 'bg-warning text-dark' : 'bg-secondary'}">${sub.status === 'pending' ? 'unconfirmed' : 'inactive'}</span>`}${sub.deliveryPreference !== 'instant' ? ` <span class="badge bg-info text-dark">${this.escapeHtml(sub.deliveryPreference)} digest</span>` : ''}</td>
+                    <td>${this.escapeHtml(sub.name)}</td>
+                    <td>${divisions || teams ? divisions + teams : '<span class="text-muted small">Legacy - all divisions</span>'}</td>
+                    <td class="small">${sub.subscribedAt ? new Date(sub.subscribedAt).toLocaleDateString() : '-'}</td>
+                    <td class="text-end text-nowrap">
+                        <button class="btn btn-sm btn-outline-primary" data-action="edit" data-id="${this.escapeHtml(sub.id)}">Edit</button>
+                        ${toggle}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async updateSubscriber(id, updates) {
+        return this.api(`/api/admin/subscribers/${encodeURIComponent(id)}`, {
+            method: 'PUT',
+            body: JSON.stringify(updates)
+        });
+    }
+
+    async setActive(subscriber, active) {
+        if (!active && !confirm(`Stop sending emails to ${subscriber.email}?`)) return;
+
+        const result = await this.updateSubscriber(subscriber.id, { active });
+        if (result.ok) {
+            this.showAlert(`${subscriber.email} ${active ? 'reactivated' : 'deactivated'}`, 'success');
+            await this.loadSubscribers();
+            await this.loadStats();
+        } else if (result.status !== 401) {
+            this.showAlert(result.data.error || 'Failed to update subscriber', 'danger');
+        }
+    }
+
+    openEditor(subscriber) {
+        this.editing = subscriber;
+        this.editTeams = subscriber.teamPreferences.map(team => ({ ...team }));
+
+        document.getElementById('editEmail').value = subscriber.email;
+        document.getElementById('editName').value = subscriber.name;
+        document.getElementById('editActive').checked = subscriber.active;
+        document.getElementById('editDelivery').value = subscriber.deliveryPreference;
+        document.getElementById('editError').classList.add('d-none');
+        document.getElementById('editTeamDivision').value = '';
+        this.loadTeams('');
+
+        document.getElementById('editDivisions').innerHTML = this.divisions.map(div => `
+            <div class="col">
+                <div class="form-check">
+                    <input class="form-check-input" type="checkbox" value="${this.escapeHtml(div.key)}" id="edit-div-${this.escapeHtml(div.key)}"
+                        ${subscriber.divisionPreferences.includes(div.key) ? 'checked' : ''}>
+                    <label class="form-check-label small" for="edit-div-${this.escapeHtml(div.key)}">${this.escapeHtml(div.display)}</label>
+                </div>
+            </div>
+        `).join('');
+
+        this.renderEditTeams();
+        this.loadDeliveries(subscriber);
+        this.editModal.show();
+    }
+
+    async loadDeliveries(subscriber) {
+        const list = document.getElementById('editDeliveries');
+        list.innerHTML = '<li class="text-muted">Loading…</li>';
+
+        const result = await this.api(`/api/admin/subscribers/${encodeURIComponent(subscriber.id)}/deliveries?limit=10`);
+        if (this.editing !== subscriber) return;
+
+        const deliveries = result.data.deliveries || [];
+        if (deliveries.length === 0) {
+            list.innerHTML = '<li class="text-muted">No emails in the last 30 days</li>';
+            return;
+        }
+
+        list.innerHTML = deliveries.map(message => `
+            <li class="mb-1">
+                ${this.renderDeliveryStatus(message)}
+                ${this.escapeHtml(message.subject)}
+                <span class="text-muted">• ${new Date(message.sentAt || message.lastAttemptAt || message.createdAt).toLocaleString()}</span>
+            </li>
+        `).join('');
+    }
+
+    renderEditTeams() {
+        const list = document.getElementById('editTeams');
+
+        if (this.editTeams.length === 0) {
+            list.innerHTML = '<span class="text-muted small">Not following any teams</span>';
+            return;
+        }
+
+        list.innerHTML = this.editTeams.map(team => `
+            <span class="pref-chip">
+                ${this.escapeHtml(team.team || team.teamCode)}
+                <button type="button" class="btn btn-link btn-sm p-0 ms-1" data-remove-team="${this.escapeHtml(team.teamCode)}" aria-label="Remove">
+                    <i class="bi bi-x-circle-fill"></i>
+                </button>
+            </span>
+        `).join('');
+    }
+
+    async loadTeams(divisionKey) {
+        const teamSelect = document.getElementById('editTeamSelect');
+        teamSelect.innerHTML = '<option value="">Choose a team…</option>';
+        teamSelect.disabled = true;
+        document.getElementById('editAddTeamBtn').disabled = true;
+
+        if (!divisionKey) return;
+
+        const result = await this.api(`/api/available-teams?division=${encodeURIComponent(divisionKey)}`);
+        const teams = result.data.teams || [];
+        if (teams.length === 0) {
+            teamSelect.innerHTML = '<option value="">No teams available yet</option>';
+            return;
+        }
+
+        teamSelect.innerHTML += teams
+            .map(team => `<option value="${this.escapeHtml(team.teamCode)}" data-team="${this.escapeHtml(team.team)}">${this.escapeHtml(team.team)}</option>`)
+            .join('');
+        teamSelect.disabled = false;
+    }
+
+    addTeam() {
+        const teamSelect = document.getElementById('editTeamSelect');
+        const option = teamSelect.selectedOptions[0];
+        if (!option || !option.value) return;
+
+        if (!this.editTeams.some(team => team.teamCode === option.value)) {
+            this.editTeams.push({
+                teamCode: option.value,
+                team: option.dataset.team,
+                division: document.getElementById('editTeamDivision').value
+            });
+            this.renderEditTeams();
+        }
+    }
+
+    async saveSubscriber() {
+        const divisionPreferences = Array.from(document.querySelectorAll('#editDivisions input:checked'))
+            .map(input => input.value);
+
+        const result = await this.updateSubscriber(this.editing.id, {
+            email: document.getElementById('editEmail').value.trim(),
+            name: document.getElementById('editName').value.trim(),
+            active: document.getElementById('editActive').checked,
+            deliveryPreference: document.getElementById('editDelivery').value,
+            divisionPreferences,
+            teamPreferences: this.editTeams
+        });
+
+        if (result.ok) {
+            this.editModal.hide();
+            this.showAlert('Subscriber updated', 'success');
+            await this.loadSubscribers();
+            await this.loadStats();
+        } else if (result.status !== 401) {
+            const editError = document.getElementById('editError');
+            editError.textContent = result.data.error || 'Failed to update subscriber';
+            editError.classList.remove('d-none');
+        }
+    }
+
+    async loadStats() {
+        const interval = document.getElementById('statsInterval').value;
+        const result = await this.api(`/api/admin/subscribers/stats?interval=${interval}`);
+        if (!result.ok) {
+            if (result.status !== 401) this.showAlert(result.data.error || 'Failed to load subscriber statistics', 'danger');
+            return;
+        }
+
+        const { totals, unsubscribeRate, growth, divisions } = result.data;
+        document.getElementById('statsSummary').textContent =
+            `${totals.total} total • ${totals.active} active • ${totals.pending} awaiting • ${totals.inactive} inactive • ${this.formatRate(unsubscribeRate)} unsubscribed`;
+
+        // Newest period first
+        document.getElementById('growthRows').innerHTML = growth.length === 0
+            ? '<tr><td colspan="4" class="text-muted">No subscribers yet</td></tr>'
+            : growth.slice().reverse().map(row => `
+                <tr>
+                    <td>${this.escapeHtml(row.period)}</td>
+                    <td class="text-end">${row.subscribed}</td>
+                    <td class="text-end">${row.unsubscribed}</td>
+                    <td class="text-end">${row.active}</td>
+                </tr>
+            `).join('');
+
+        const followed = divisions.filter(division => division.total > 0);
+        document.getElementById('divisionStatsRows').innerHTML = followed.length === 0
+            ? '<tr><td colspan="5" class="text-muted">No division subscribers yet</td></tr>'
+            : followed.map(division => `
+                <tr>
+                    <td>${this.escapeHtml(division.display)}</td>
+                    <td class="text-end">${division.active}</td>
+                    <td class="text-end">${division.pending}</td>
+                    <td class="text-end">${division.inactive}</td>
+                    <td class="text-end">${this.formatRate(division.unsubscribeRate)}</td>
+                </tr>
+            `).join('');
+    }
+
+    formatRate(rate) {
+        return `${Math.round(rate * 1000) / 10}%`;
+    }
+
+    async loadOutbox() {
+        const status = document.getElementById('outboxStatusFilter').value;
+        const result = await this.api(`/api/admin/outbox?status=${status}&limit=100`);
+        if (!result.ok) {
+            if (result.status !== 401) this.showAlert(result.data.error || 'Failed to load the outbox', 'danger');
+            return;
+        }
+
+        const { stats, messages } = result.data;
+        this.outbox = messages;
+        document.getElementById('outboxStats').textContent =
+            `${stats.sent} sent • ${stats.queued} waiting • ${stats.failed} failed`;
+
+        const rows = document.getElementById('outboxRows');
+        if (messages.length === 0) {
+            rows.innerHTML = '<tr><td colspan="5" class="text-muted">Nothing here</td></tr>';
+            return;
+        }
+
+        rows.innerHTML = messages.map(message => `
+            <tr>
+                <td>${this.escapeHtml(message.to)}</td>
+                <td>
+                    ${this.escapeHtml(message.subject)}
+                    <div class="text-muted small">${this.escapeHtml(message.kind)} • ${this.escapeHtml(this.getDivisionDisplay(message.divisionKey))} • ${this.escapeHtml(message.runId)}</div>
+                </td>
+                <td>${message.attempts}</td>
+                <td class="small">
+                    ${this.renderDeliveryStatus(message)}
+                    ${message.lastError ? `<div class="text-danger">${this.escapeHtml(message.lastError)}</div>` : ''}
+                    ${message.status === 'queued' && message.attempts > 0 ? `<div class="text-muted">next try ${new Date(message.nextAttemptAt).toLocaleString()}</div>` : ''}
+                </td>
+                <td class="text-end">
+                    ${message.status !== 'sent' ? `<button class="btn btn-sm btn-outline-primary" data-retry="${this.escapeHtml(message.id)}">Retry now</button>` : ''}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    renderDeliveryStatus(message) {
+        const badges = {
+            sent: 'bg-success',
+            delivered: 'bg-success',
+            queued: 'bg-warning text-dark',
+            failed: 'bg-danger'
+        };
+        return `<span class="badge ${badges[message.status] || 'bg-secondary'}">${this.escapeHtml(message.status)}</span>`;
+    }
+
+    async retryEmail(id, button) {
+        button.disabled = true;
+
+        const result = await this.api(`/api/admin/outbox/${encodeURIComponent(id)}/retry`, { method: 'POST' });
+        if (result.ok) {
+            this.showAlert(`Email sent to ${result.data.message.to}`, 'success');
+        } else if (result.status !== 401) {
+            this.showAlert(result.data.error || 'Failed to retry email', 'danger');
+        }
+
+        await this.loadOutbox();
+    }
+
+    async loadWebhooks() {
+        const result = await this.api('/api/admin/webhooks');
+        if (!result.ok) {
+            if (result.status !== 401) this.showAlert(result.data.error || 'Failed to load webhooks', 'danger');
+            return;
+        }
+
+        this.webhooks = result.data.webhooks;
+        const rows = document.getElementById('webhookRows');
+        if (this.webhooks.length === 0) {
+            rows.innerHTML = '<tr><td colspan="4" class="text-muted">No webhooks registered</td></tr>';
+            return;
+        }
+
+        rows.innerHTML = this.webhooks.map(webhook => {
+            const filters = [
+                webhook.divisions.length > 0 ? webhook.divisions.map(key => this.getDivisionDisplay(key)).join(', ') : 'All divisions',
+                webhook.teamCodes.length > 0 ? `teams ${webhook.teamCodes.join(', ')}` : null
+            ].filter(Boolean).join(' • ');
+            const last = webhook.lastDelivery;
+
+            return `
+                <tr>
+                    <td>
+                        ${this.escapeHtml(webhook.url)}${webhook.active ? '' : ' <span class="badge bg-secondary">disabled</span>'}
+                        <div class="text-muted small">${this.escapeHtml(webhook.description || webhook.id)} • secret ${this.escapeHtml(webhook.secretHint)}</div>
+                    </td>
+                    <td class="small">
+                        ${webhook.events.map(event => `<span class="pref-chip">${this.escapeHtml(event)}</span>`).join(' ')}
+                        <div class="text-muted">${this.escapeHtml(filters)}</div>
+                    </td>
+                    <td class="small">
+                        ${webhook.stats.delivered} delivered • ${webhook.stats.queued} waiting • ${webhook.stats.failed} failed
+                        ${last ? `<div class="text-muted">last ${this.renderDeliveryStatus(last)} ${new Date(last.lastAttemptAt || last.createdAt).toLocaleString()}</div>` : ''}
+                    </td>
+                    <td class="text-end text-nowrap">
+                        <button class="btn btn-sm btn-outline-primary" data-action="test" data-id="${this.escapeHtml(webhook.id)}">Test</button>
+                        <button class="btn btn-sm btn-outline-secondary" data-action="deliveries" data-id="${this.escapeHtml(webhook.id)}">History</button>
+                        <button class="btn btn-sm btn-outline-secondary" data-action="${webhook.active ? 'disable' : 'enable'}" data-id="${this.escapeHtml(webhook.id)}">${webhook.active ? 'Disable' : 'Enable'}</button>
+                        <button class="btn btn-sm btn-outline-secondary" data-action="rotate" data-id="${this.escapeHtml(webhook.id)}">New secret</button>
+                        <button class="btn btn-sm btn-outline-danger" data-action="delete" data-id="${this.escapeHtml(webhook.id)}">Delete</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async createWebhook() {
+        const division = document.getElementById('webhookDivision').value;
+        const body = {
+            url: document.getElementById('webhookUrl').value.trim(),
+            description: document.getElementById('webhookDescription').value.trim(),
+            events: [...document.querySelectorAll('input[name="webhookEvents"]:checked')].map(input => input.value),
+            divisions: division ? [division] : [],
+            teamCodes: document.getElementById('webhookTeamCodes').value
+                .split(/[\s,;]+/)
+                .map(code => code.trim())
+                .filter(Boolean)
+        };
+
+        const result = await this.api('/api/admin/webhooks', {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+
+        if (result.ok) {
+            document.getElementById('webhookForm').reset();
+            this.showWebhookSecret(result.data.webhook);
+            await this.loadWebhooks();
+        } else if (result.status !== 401) {
+            this.showAlert(result.data.error || 'Failed to register webhook', 'danger');
+        }
+    }
+
+    // The secret is only returned when a webhook is created or its secret is rotated
+    showWebhookSecret(webhook) {
+        const box = document.getElementById('webhookSecret');
+        box.innerHTML = `
+            Signing secret for ${this.escapeHtml(webhook.url)} - copy it now, it won't be shown again:
+            <code class="d-block mt-1 user-select-all">${this.escapeHtml(webhook.secret)}</code>
+        `;
+        box.classList.remove('d-none');
+    }
+
+    async handleWebhookAction(action, id, button) {
+        const webhook = this.webhooks.find(hook => hook.id === id);
+        if (!webhook) return;
+
+        if (action === 'deliveries') {
+            await this.loadWebhookDeliveries(id);
+            return;
+        }
+        if (action === 'delete' && !confirm(`Delete the webhook for ${webhook.url}?`)) return;
+        if (action === 'rotate' && !confirm(`Issue a new secret for ${webhook.url}? The receiver must be updated to keep accepting deliveries.`)) return;
+
+        button.disabled = true;
+        const url = `/api/admin/webhooks/${encodeURIComponent(id)}${action === 'test' ? '/test' : ''}`;
+        const options = {
+            test: { method: 'POST' },
+            delete: { method: 'DELETE' },
+            enable: { method: 'PUT', body: JSON.stringify({ active: true }) },
+            disable: { method: 'PUT', body: JSON.stringify({ active: false }) },
+            rotate: { method: 'PUT', body: JSON.stringify({ rotateSecret: true }) }
+        }[action];
+
+        const result = await this.api(url, options);
+        if (result.ok) {
+            if (action === 'rotate') {
+                this.showWebhookSecret(result.data.webhook);
+            } else {
+                this.showAlert(action === 'test' ? `Test event delivered to ${webhook.url}` : 'Webhook updated', 'success');
+            }
+        } else if (result.status !== 401) {
+            const error = result.data.delivery?.lastError || result.data.error || 'Failed to update webhook';
+            this.showAlert(action === 'test' ? `Test event failed: ${error}` : error, 'danger');
+        }
+
+        await this.loadWebhooks();
+        if (action === 'test') await this.loadWebhookDeliveries(id);
+    }
+
+    async loadWebhookDeliveries(id) {
+        const panel = document.getElementById('webhookDeliveries');
+        const webhook = this.webhooks.find(hook => hook.id === id);
+        if (!webhook) {
+            panel.classList.add('d-none');
+            return;
+        }
+
+        const result = await this.api(`/api/admin/webhooks/${encodeURIComponent(id)}/deliveries?limit=50`);
+        if (!result.ok) {
+            if (result.status !== 401) this.showAlert(result.data.error || 'Failed to load deliveries', 'danger');
+            return;
+        }
+
+        const { deliveries } = result.data;
+        document.getElementById('webhookDeliveriesTitle').textContent = `Recent deliveries to ${webhook.url}`;
+        document.getElementById('webhookDeliveryRows').innerHTML = deliveries.length === 0
+            ? '<tr><td colspan="4" class="text-muted">Nothing delivered yet</td></tr>'
+            : deliveries.map(delivery => `
+                <tr>
+                    <td>
+                        ${this.escapeHtml(delivery.event)}${delivery.division ? ` • ${this.escapeHtml(this.getDivisionDisplay(delivery.division))}` : ''}
+                        <div class="text-muted small">${this.escapeHtml(delivery.runId)} • ${delivery.changeCount} item(s)</div>
+                    </td>
+                    <td>${delivery.attempts}</td>
+                    <td class="small">
+                        ${this.renderDeliveryStatus(delivery)}
+                        ${delivery.responseStatus ? ` HTTP ${delivery.responseStatus}` : ''}
+                        ${delivery.lastError ? `<div class="text-danger">${this.escapeHtml(delivery.lastError)}</div>` : ''}
+                        ${delivery.status === 'queued' && delivery.attempts > 0 ? `<div class="text-muted">next try ${new Date(delivery.nextAttemptAt).toLocaleString()}</div>` : ''}
+                    </td>
+                    <td class="text-end">
+                        ${delivery.status !== 'delivered' ? `<button class="btn btn-sm btn-outline-primary" data-retry="${this.escapeHtml(delivery.id)}" data-webhook="${this.escapeHtml(id)}">Retry now</button>` : ''}
+                    </td>
+                </tr>
+            `).join('');
+        panel.classList.remove('d-none');
+    }
+
+    async retryWebhookDelivery(id, button) {
+        button.disabled = true;
+
+        const result = await this.api(`/api/admin/webhooks/deliveries/${encodeURIComponent(id)}/retry`, { method: 'POST' });
+        if (result.ok) {
+            this.showAlert('Webhook delivered', 'success');
+        } else if (result.status !== 401) {
+            this.showAlert(result.data.delivery?.lastError || result.data.error || 'Failed to retry delivery', 'danger');
+        }
+
+        await this.loadWebhooks();
+        await this.loadWebhookDeliveries(button.dataset.webhook);
+    }
+
+    async reactivate(dryRun) {
+        const emails = document.getElementById('reactivateEmails').value
+            .split(/[\s,;]+/)
+            .map(email => email.trim())
+            .filter(Boolean);
+
+        if (!dryRun && !confirm(`Reactivate ${emails.length > 0 ? 'the listed' : 'ALL inactive'} subscribers?`)) return;
+
+        const result = await this.api('/api/admin/subscribers/reactivate', {
+            method: 'POST',
+            body: JSON.stringify({ emails: emails.length > 0 ? emails : undefined, dryRun })
+        });
+        if (!result.ok) {
+            if (result.status !== 401) this.showAlert(result.data.error || 'Failed to reactivate subscribers', 'danger');
+            return;
+        }
+
+        const { reactivatedCount, emails: matched } = result.data;
+        const list = matched.map(email => `<li>${this.escapeHtml(email)}</li>`).join('');
+        document.getElementById('reactivateResult').innerHTML = dryRun
+            ? `<div class="alert alert-info"><strong>${reactivatedCount} subscriber(s) would be reactivated</strong><ul class="mb-0">${list}</ul></div>`
+            : `<div class="alert alert-success"><strong>Reactivated ${reactivatedCount} subscriber(s)</strong><ul class="mb-0">${list}</ul></div>`;
+        document.getElementById('reactivateBtn').disabled = !dryRun || reactivatedCount === 0;
+
+        if (!dryRun) {
+            await this.loadSubscribers();
+            await this.loadStats();
+        }
+    }
+
+    async generateStories() {
+        const button = document.getElementById('generateStoriesBtn');
+        button.disabled = true;
+
+        const result = await this.api('/api/stories/generate', { method: 'POST' });
+        if (result.ok) {
+            this.showAlert(`Generated ${result.data.stories.length} stories`, 'success');
+        } else if (result.status !== 401) {
+            this.showAlert(result.data.error || 'Failed to generate stories', 'danger');
+        }
+
+        button.disabled = false;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+
+    showAlert(message, type) {
+        const alertDiv = document.createElement('div');
+        alertDiv.className = `alert alert-${type} alert-dismissible fade show`;
+        alertDiv.innerHTML = `
+            ${this.escapeHtml(message)}
+            <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+        `;
+        document.getElementById('alerts').prepend(alertDiv);
+
+        // Auto-dismiss after 5 seconds
+        setTimeout(() => {
+            if (alertDiv.parentNode) {
+                alertDiv.remove();
+            }
+        }, 5000);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new AdminConsole();
+});
@@ -4,8 +4,8 @@ class YSBAStandingsApp {
         this.standingsData = null;
         this.lastUpdateTime = null;
         this.autoRefreshInterval = null;
-        this.statusUpdateInterval = null; // Add interval for status updates
-        this.autoRefreshEnabled = true;
+        this.eventSource = null;
+        this.liveVersion = null;
         this.isLoading = false;
         this.debug = localStorage.getItem('debug') === 'true';
         
@@ -42,7 +42,7 @@ class YSBAStandingsApp {
         this.loadStandings();
         this.setupEventListeners();
         this.startAutoRefresh();
-        this.startStatusUpdates();
+        this.startLiveUpdates();
         this.initSubscriptionForm();
         this.updateLastYsbaUpdateTime();
     }
@@ -73,22 +73,6 @@ class YSBAStandingsApp {
         // Status button - load status when modal is shown
         document.getElementById('statusBtn').addEventListener('click', () => {
             this.loadStatus();
-            this.startStatusUpdates();
-        });
-
-        // Stop status updates when modal is hidden
-        const statusModal = document.getElementById('statusModal');
-        if (statusModal) {
-            statusModal.addEventListener('hidden.bs.modal', () => {
-                this.stopStatusUpdates();
-            });
-        }
-
-        // Auto-refresh when page becomes visible
-        document.addEventListener('visibilitychange', () => {
-            if (!document.hidden && this.shouldAutoRefresh()) {
-                this.loadStandings();
-            }
         });
     }
 
@@ -472,93 +456,32 @@ class YSBAStandingsApp {
         return `${Math.floor(diffInSeconds / 86400)}d ago`;
     }
 
-    shouldAutoRefresh() {
-        if (!this.lastUpdateTime) return true;
-        const now = new Date();
-        const timeSinceUpdate = now - this.lastUpdateTime;
-        return timeSinceUpdate > 5 * 60 * 1000; // 5 minutes
-    }
-
     startAutoRefresh() {
         // Update the "last updated" display every minute
         this.autoRefreshInterval = setInterval(() => {
             this.updateLastUpdatedTime();
         }, 60000);
-
-        // Auto-refresh standings every 10 minutes if page is visible
-        setInterval(() => {
-            if (!document.hidden && this.shouldAutoRefresh()) {
-                this.loadStandings();
-            }
-        }, 10 * 60 * 1000);
     }
 
-    startStatusUpdates() {
-        // Clear any existing interval
-        this.stopStatusUpdates();
-        
-        // Start polling for status updates every 5 seconds for reasonable updates
-        this.statusUpdateInterval = setInterval(async () => {
-            try {
-                const response = await fetch('/api/status');
-                const status = await response.json();
-                
-                // Only update if schedule caching is in progress for more responsive updates
-                if (status.scheduleCacheStatus?.isScheduleCachingInProgress) {
-                    this.updateStatusDisplayLightweight(status);
-                } else {
-                    // If caching is complete, refresh once more and then slow down polling
-                    this.updateStatusDisplayLightweight(status);
-                    this.stopStatusUpdates();
-                    // Set a slower interval for general status updates
-                    this.statusUpdateInterval = setInterval(() => {
-                        this.loadStatus();
-                    }, 30000); // 30 seconds for general updates (longer to not interfere with countdown)
-                }
-            } catch (error) {
-                console.error('Error updating status:', error);
-            }
-        }, 5000); // Poll every 5 seconds during active caching for reasonable updates
-    }
+    // Reload when the server says the standings changed (see live-updates.js)
+    startLiveUpdates() {
+        if (this.eventSource || !('EventSource' in window)) return;
 
-    stopStatusUpdates() {
-        if (this.statusUpdateInterval) {
-            clearInterval(this.statusUpdateInterval);
-            this.statusUpdateInterval = null;
-        }
-        // Don't stop countdowns here - only stop them when the modal actually closes
-    }
+        this.eventSource = new EventSource('/api/events?division=9U-select&tier=all-tiers');
 
-    // Lightweight update that only updates the schedule progress without recreating countdown timers
-    updateStatusDisplayLightweight(status) {
-        const scheduleStatus = status.scheduleCacheStatus;
-        const comprehensiveSchedule = status.comprehensiveSchedule;
-        
-        // Find the schedule performance card and update only its content
-        const scheduleCard = document.querySelector('#statusContent .col-12 .card .card-body');
-        if (!scheduleCard) return;
-        
-        let scheduleHtml = `
-            <h6 class="card-title">
-                <i class="bi bi-calendar-event"></i>
-                Team Schedules
-            </h6>
-            <div class="d-flex align-items-center text-success mb-2">
-                <i class="bi bi-check-circle-fill me-2"></i>
-                <span>All team schedules available</span>
-            </div>
-            <div class="progress mb-2" style="height: 8px;">
-                <div class="progress-bar bg-success" 
-                     role="progressbar" 
-                     style="width: 100%">
-                </div>
-            </div>
-            <small class="text-muted mb-3 d-block">
-                Team schedules are cached and load instantly from comprehensive schedule data
-            </small>
-        `;
-        
-        scheduleCard.innerHTML = scheduleHtml;
+        // Sent on every (re)connect: reload if an update landed while disconnected
+        this.eventSource.addEventListener('hello', (event) => {
+            const [version] = Object.values(JSON.parse(event.data).versions);
+            if (this.liveVersion && version && version !== this.liveVersion) {
+                this.loadStandings();
+            }
+            this.liveVersion = version || this.liveVersion;
+        });
+
+        this.eventSource.addEventListener('standings', (event) => {
+            this.liveVersion = JSON.parse(event.data).lastUpdated;
+            this.loadStandings();
+        });
     }
 
     updateStatusDisplay(status) {
@@ -786,7 +709,9 @@ class YSBAStandingsApp {
     }
 
     destroy() {
-        this.stopStatusUpdates();
+        if (this.eventSource) {
+            this.eventSource.close();
+        }
         if (this.autoRefreshInterval) {
             clearInterval(this.autoRefreshInterval);
         }
@@ -1323,7 +1248,8 @@ class YSBAStandingsApp {
                 const result = await response.json();
 
                 if (response.ok && result.success) {
-                    this.showSubscriptionAlert('✅ Successfully subscribed! You\'ll receive notifications when standings change for your selected divisions.', 'success');
+                    // New sign-ups have to confirm from their inbox first
+                    this.showSubscriptionAlert(`📬 ${result.message}`, 'success');
                     form.reset();
                     this.resetDivisionPreferences();
                     this.loadSubscriberCount(); // Refresh count
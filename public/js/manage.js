@@ -2,6 +2,9 @@
 const urlParams = new URLSearchParams(window.location.search);
 const token = urlParams.get('token');
 
+// Teams the subscriber follows: [{ teamCode, team, division }]
+let followedTeams = [];
+
 if (!token) {
     showError('No token provided. This link may be invalid or expired.');
 } else {
@@ -69,14 +72,21 @@ async function loadSubscriberInfo() {
         console.log('Populating form...');
         document.getElementById('name').value = data.name || '';
         document.getElementById('email').value = data.email;
+        const deliveryPreference = data.deliveryPreference || 'instant';
+        document.querySelector(`input[name="deliveryPreference"][value="${deliveryPreference}"]`).checked = true;
+        displayDeliveryPreference(deliveryPreference);
 
         // Show current preferences
         console.log('Displaying current preferences...');
-        await displayCurrentPreferences(data.divisionPreferences || []);
+        followedTeams = data.teamPreferences || [];
+        await displayCurrentPreferences(data.divisionPreferences || [], followedTeams);
         
         // Setup division preferences form
         console.log('Setting up division preferences form...');
         await setupDivisionPreferencesForm(data.divisionPreferences || []);
+        
+        // Setup team follows
+        await setupTeamPreferencesForm();
 
         // Show the form
         console.log('Showing the form...');
@@ -90,7 +100,17 @@ async function loadSubscriberInfo() {
     }
 }
 
-async function displayCurrentPreferences(preferences) {
+const DELIVERY_LABELS = {
+    instant: 'As it happens',
+    daily: 'Daily digest',
+    weekly: 'Weekly digest'
+};
+
+function displayDeliveryPreference(preference) {
+    document.getElementById('current-delivery').textContent = DELIVERY_LABELS[preference] || DELIVERY_LABELS.instant;
+}
+
+async function displayCurrentPreferences(preferences, teams = []) {
     try {
         const response = await fetch('/api/available-divisions');
         const data = await response.json();
@@ -100,8 +120,12 @@ async function displayCurrentPreferences(preferences) {
             return;
         }
 
+        const teamNames = teams.map(team => team.team || team.teamCode);
+
         if (preferences.length === 0) {
-            document.getElementById('current-preference').textContent = 'All divisions (legacy subscription)';
+            document.getElementById('current-preference').textContent = teamNames.length > 0
+                ? teamNames.join(', ')
+                : 'All divisions (legacy subscription)';
             return;
         }
 
@@ -110,7 +134,7 @@ async function displayCurrentPreferences(preferences) {
             return division ? division.display : prefKey;
         });
 
-        document.getElementById('current-preference').textContent = divisionNames.join(', ');
+        document.getElementById('current-preference').textContent = [...divisionNames, ...teamNames].join(', ');
     } catch (error) {
         console.error('Error displaying preferences:', error);
         document.getElementById('current-preference').textContent = 'Error loading preferences';
@@ -230,6 +254,115 @@ function updateSelectionCount() {
     }
 }
 
+async function setupTeamPreferencesForm() {
+    const divisionSelect = document.getElementById('teamDivisionSelect');
+    const teamSelect = document.getElementById('teamSelect');
+    const followBtn = document.getElementById('followTeamBtn');
+    const list = document.getElementById('followedTeams');
+
+    if (!divisionSelect || !teamSelect || !followBtn || !list) return;
+
+    try {
+        const response = await fetch('/api/available-divisions');
+        const data = await response.json();
+
+        if (data.success) {
+            divisionSelect.innerHTML += data.divisions
+                .map(division => `<option value="${division.key}">${division.display}</option>`)
+                .join('');
+        }
+    } catch (error) {
+        console.error('Error loading divisions for team picker:', error);
+    }
+
+    divisionSelect.addEventListener('change', () => loadTeamsForDivision(divisionSelect.value));
+
+    teamSelect.addEventListener('change', () => {
+        followBtn.disabled = !teamSelect.value;
+    });
+
+    followBtn.addEventListener('click', () => {
+        const option = teamSelect.selectedOptions[0];
+        if (!option || !option.value) return;
+
+        if (!followedTeams.some(team => team.teamCode === option.value)) {
+            followedTeams.push({
+                teamCode: option.value,
+                team: option.dataset.team,
+                division: divisionSelect.value
+            });
+        }
+
+        teamSelect.value = '';
+        followBtn.disabled = true;
+        renderFollowedTeams();
+    });
+
+    // Unfollow buttons on the team chips
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-unfollow]');
+        if (!button) return;
+
+        followedTeams = followedTeams.filter(team => team.teamCode !== button.dataset.unfollow);
+        renderFollowedTeams();
+    });
+
+    renderFollowedTeams();
+}
+
+async function loadTeamsForDivision(divisionKey) {
+    const teamSelect = document.getElementById('teamSelect');
+    const followBtn = document.getElementById('followTeamBtn');
+
+    teamSelect.innerHTML = '<option value="">Choose a team…</option>';
+    teamSelect.disabled = true;
+    followBtn.disabled = true;
+
+    if (!divisionKey) return;
+
+    try {
+        const response = await fetch(`/api/available-teams?division=${encodeURIComponent(divisionKey)}`);
+        const data = await response.json();
+
+        if (!data.success || data.teams.length === 0) {
+            teamSelect.innerHTML = '<option value="">No teams available yet</option>';
+            return;
+        }
+
+        teamSelect.innerHTML += data.teams
+            .map(team => `<option value="${escapeHtml(team.teamCode)}" data-team="${escapeHtml(team.team)}">${escapeHtml(team.team)}</option>`)
+            .join('');
+        teamSelect.disabled = false;
+    } catch (error) {
+        console.error('Error loading teams:', error);
+    }
+}
+
+function renderFollowedTeams() {
+    const list = document.getElementById('followedTeams');
+    if (!list) return;
+
+    if (followedTeams.length === 0) {
+        list.innerHTML = '<span class="no-followed-teams">Not following any teams yet</span>';
+        return;
+    }
+
+    list.innerHTML = followedTeams.map(team => `
+        <span class="followed-team">
+            ${escapeHtml(team.team || team.teamCode)}
+            <button type="button" data-unfollow="${escapeHtml(team.teamCode)}" aria-label="Unfollow ${escapeHtml(team.team || team.teamCode)}">
+                <i class="bi bi-x-circle-fill"></i>
+            </button>
+        </span>
+    `).join('');
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+}
+
 function getSelectedDivisionPreferences() {
     const checkboxes = document.querySelectorAll('#divisionsList input[type="checkbox"]:checked');
     return Array.from(checkboxes).map(cb => cb.value);
@@ -247,7 +380,9 @@ document.addEventListener('DOMContentLoaded', function() {
         const data = {
             name: formData.get('name'),
             email: formData.get('email'),
-            divisionPreferences: selectedDivisions
+            divisionPreferences: selectedDivisions,
+            teamPreferences: followedTeams,
+            deliveryPreference: formData.get('deliveryPreference') || 'instant'
         };
 
         // Validate email
@@ -256,9 +391,9 @@ document.addEventListener('DOMContentLoaded', function() {
             return;
         }
 
-        // Validate at least one division selected
-        if (selectedDivisions.length === 0) {
-            showAlert('Please select at least one division to receive notifications for.', 'error');
+        // Validate at least one division or team selected
+        if (selectedDivisions.length === 0 && followedTeams.length === 0) {
+            showAlert('Please select at least one division or follow a team to receive notifications for.', 'error');
             return;
         }
 
@@ -274,11 +409,17 @@ document.addEventListener('DOMContentLoaded', function() {
             const result = await response.json();
 
             if (response.ok) {
-                showAlert('✅ Preferences updated successfully!', 'success');
+                showAlert(result.pendingEmail
+                    ? '✅ Preferences updated! Check your new email address for a link to confirm it.'
+                    : '✅ Preferences updated successfully!', 'success');
                 
-                // Update the current info display
-                document.getElementById('current-email').textContent = data.email;
-                await displayCurrentPreferences(selectedDivisions);
+                // Update the current info display (a new email address only
+                // takes over once it is confirmed)
+                if (!result.pendingEmail) {
+                    document.getElementById('current-email').textContent = data.email;
+                }
+                await displayCurrentPreferences(selectedDivisions, followedTeams);
+                displayDeliveryPreference(data.deliveryPreference);
                 
                 // Update the email field in the form to reflect any changes
                 document.getElementById('email').value = data.email;
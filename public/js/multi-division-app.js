@@ -3,9 +3,10 @@ class MultiDivisionYSBAApp {
     constructor() {
         this.standingsData = null;
         this.lastUpdateTime = null;
-        this.autoRefreshInterval = null;
+        this.eventSource = null;
+        this.liveVersion = null;
+        this.lastSyncTime = null;
         this.statusUpdateInterval = null;
-        this.autoRefreshEnabled = true;
         this.isLoading = false;
         this.debug = localStorage.getItem('debug') === 'true';
         
@@ -29,6 +30,13 @@ class MultiDivisionYSBAApp {
         // Track initial load for fade-in animation
         this.isInitialLoad = true;
         
+        // Past date being viewed (YYYY-MM-DD), null for live standings
+        this.asOfDate = new URLSearchParams(window.location.search).get('asOf');
+        
+        // Standings history per team code, for the position sparklines
+        this.positionHistory = {};
+        this.positionHistoryKey = null;
+        
         this.init();
     }
 
@@ -52,10 +60,11 @@ class MultiDivisionYSBAApp {
         this.setupEventListeners();
         
         // Start background processes
-        this.startAutoRefresh();
+        this.startLiveUpdates();
         this.startStatusUpdates();
         this.initSubscriptionForm();
         this.updateLastYsbaUpdateTime();
+        this.setupOfflineSupport();
     }
 
     async parseCurrentPath() {
@@ -648,29 +657,25 @@ class MultiDivisionYSBAApp {
         // Update active states in mega menu and mobile modal
         this.updateActiveStates();
         
+        // Live updates are per division: follow the new one instead
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+        this.liveVersion = null;
+        this.startLiveUpdates();
+
         // Update UI and load standings
         this.updateUIElements();
         await this.loadStandings(); // Initial load - show loading state
     }
 
     setupEventListeners() {
-
-
-        // Auto-refresh when page becomes visible (with debouncing)
-        let visibilityTimeout;
-        document.addEventListener('visibilitychange', () => {
-            if (!document.hidden && this.shouldAutoRefresh()) {
-                // Add 1-second delay to prevent rapid refreshes
-                clearTimeout(visibilityTimeout);
-                visibilityTimeout = setTimeout(() => {
-                    // Use silent refresh to prevent loading state flash when returning to tab
-                    this.loadStandings(true); // silent=true
-                }, 1000);
-            }
-        });
+        this.setupHistoryPicker();
     }
 
-    async loadStandings(silent = false) {
+    // fresh revalidates with the server instead of using the browser's copy
+    async loadStandings(silent = false, fresh = false) {
         if (this.isLoading) return;
 
         this.isLoading = true;
@@ -685,8 +690,11 @@ class MultiDivisionYSBAApp {
                 division: this.currentDivision,
                 tier: this.currentTier
             });
+            if (this.asOfDate) {
+                params.set('asOf', this.asOfDate);
+            }
 
-            const response = await fetch(`/api/standings?${params}`);
+            const response = await fetch(`/api/standings?${params}`, fresh ? { cache: 'no-cache' } : {});
             const result = await response.json();
 
             if (!response.ok) {
@@ -697,6 +705,9 @@ class MultiDivisionYSBAApp {
                 this.standingsData = result.data;
                 this.lastUpdateTime = new Date(result.data.lastUpdated);
                 this.displayStandings();
+                this.updateHistoryBanner();
+                this.updateOfflineBanner();
+                this.loadPositionHistory();
                 this.updateLastUpdatedTime();
                 this.hideError();
                 this.showStandings();
@@ -715,6 +726,7 @@ class MultiDivisionYSBAApp {
 
         } catch (error) {
             console.error('Error loading standings:', error);
+            this.updateHistoryBanner();
             this.showError(error.message);
         } finally {
             this.isLoading = false;
@@ -723,6 +735,98 @@ class MultiDivisionYSBAApp {
     }
 
 
+    // History date picker - reloads the table as it stood on the chosen date
+    setupHistoryPicker() {
+        const input = document.getElementById('asOfDate');
+        const resetBtn = document.getElementById('historyResetBtn');
+        if (!input) return;
+
+        // Dates are Ontario days, same as the server's asOf
+        input.max = new Date().toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
+        input.value = this.asOfDate || '';
+
+        input.addEventListener('change', () => {
+            this.setAsOfDate(input.value && input.value < input.max ? input.value : null);
+        });
+
+        resetBtn?.addEventListener('click', () => {
+            input.value = '';
+            this.setAsOfDate(null);
+        });
+    }
+
+    setAsOfDate(date) {
+        if (this.asOfDate === date) return;
+
+        this.asOfDate = date;
+
+        // Keep the date in the URL so the view can be shared
+        const url = new URL(window.location.href);
+        if (date) {
+            url.searchParams.set('asOf', date);
+        } else {
+            url.searchParams.delete('asOf');
+        }
+        window.history.replaceState({}, '', url);
+
+        this.loadStandings();
+    }
+
+    updateHistoryBanner() {
+        const banner = document.getElementById('historyBanner');
+        const dateLabel = document.getElementById('historyBannerDate');
+        if (!banner || !dateLabel) return;
+
+        if (!this.asOfDate) {
+            banner.style.display = 'none';
+            return;
+        }
+
+        const [year, month, day] = this.asOfDate.split('-').map(Number);
+        dateLabel.textContent = new Date(year, month - 1, day).toLocaleDateString('en-US', {
+            month: 'long',
+            day: 'numeric',
+            year: 'numeric'
+        });
+        banner.style.display = 'flex';
+    }
+
+    // Service worker caches the app shell and data; the banner says how old the data is
+    setupOfflineSupport() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js').catch(error => {
+                console.error('Service worker registration failed:', error);
+            });
+        }
+
+        window.addEventListener('offline', () => this.updateOfflineBanner());
+        window.addEventListener('online', () => {
+            this.updateOfflineBanner();
+            this.loadStandings(true);
+        });
+        this.updateOfflineBanner();
+    }
+
+    updateOfflineBanner() {
+        const banner = document.getElementById('offlineBanner');
+        const timeLabel = document.getElementById('offlineBannerTime');
+        if (!banner || !timeLabel) return;
+
+        if (navigator.onLine || !this.lastUpdateTime) {
+            banner.style.display = 'none';
+            return;
+        }
+
+        timeLabel.textContent = this.lastUpdateTime.toLocaleString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+        banner.style.display = 'flex';
+    }
+
     // Division filtering methods (only used if supported)
     setDivisionFilter(division) {
         if (this.currentDivisionFilter === division) return;
@@ -872,7 +976,10 @@ class MultiDivisionYSBAApp {
                 ${this.createPositionBadge(position)}
             </td>
             <td class="team-col">
-                <div class="team-name">${this.escapeHtml(team.team)}</div>
+                <div class="team-cell">
+                    <div class="team-name">${this.escapeHtml(team.team)}</div>
+                    <span class="position-sparkline">${this.createSparkline(this.getVisibleHistory(team.teamCode))}</span>
+                </div>
             </td>
             <td class="stat-col">${team.gamesPlayed}</td>
             <td class="stat-col text-success">${team.wins}</td>
@@ -893,35 +1000,120 @@ class MultiDivisionYSBAApp {
         return `<span class="position-badge">${position}</span>`;
     }
 
+    // Load every team's standings history for the current division (one request)
+    async loadPositionHistory() {
+        const key = `${this.currentDivision}/${this.currentTier}/${this.lastUpdateTime?.getTime()}`;
+        if (this.positionHistoryKey === key) {
+            this.renderSparklines();
+            return;
+        }
+
+        try {
+            const params = new URLSearchParams({
+                division: this.currentDivision,
+                tier: this.currentTier
+            });
+
+            const response = await fetch(`/api/standings/history?${params}`);
+            const result = await response.json();
+
+            if (result.success && result.data) {
+                this.positionHistory = result.data.teams || {};
+                this.positionHistoryKey = key;
+                this.renderSparklines();
+            }
+        } catch (error) {
+            console.error('Error loading position history:', error);
+        }
+    }
+
+    // History points up to the date being viewed (all of them for live standings)
+    getVisibleHistory(teamCode, history = this.positionHistory[teamCode]) {
+        if (!history) return [];
+        if (!this.asOfDate) return history;
+
+        return history.filter(point =>
+            new Date(point.date).toLocaleDateString('en-CA', { timeZone: 'America/Toronto' }) <= this.asOfDate
+        );
+    }
+
+    renderSparklines() {
+        document.querySelectorAll('#standingsTableBody tr[data-team-code]').forEach(row => {
+            const container = row.querySelector('.position-sparkline');
+            if (container) {
+                container.innerHTML = this.createSparkline(this.getVisibleHistory(row.getAttribute('data-team-code')));
+            }
+        });
+    }
+
+    // Small inline SVG of a team's position over the season (1st at the top)
+    createSparkline(history) {
+        if (!history || history.length < 2) return '';
+
+        const width = 48;
+        const height = 16;
+        const padding = 2;
+        const teamCount = Math.max(this.standingsData?.teams?.length || 0, ...history.map(point => point.position));
+
+        const firstTime = new Date(history[0].date).getTime();
+        const span = new Date(history[history.length - 1].date).getTime() - firstTime || 1;
+
+        const coords = history.map(point => {
+            const x = padding + ((new Date(point.date).getTime() - firstTime) / span) * (width - padding * 2);
+            const y = teamCount > 1
+                ? padding + ((point.position - 1) / (teamCount - 1)) * (height - padding * 2)
+                : height / 2;
+            return [x.toFixed(1), y.toFixed(1)];
+        });
+
+        const first = history[0];
+        const last = history[history.length - 1];
+        let trendClass = 'flat';
+        if (last.position < first.position) trendClass = 'up';
+        else if (last.position > first.position) trendClass = 'down';
+
+        const since = new Date(first.date).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            timeZone: 'America/Toronto'
+        });
+        const [lastX, lastY] = coords[coords.length - 1];
+
+        return `
+            <svg class="sparkline ${trendClass}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">
+                <title>Position ${first.position} → ${last.position} since ${since}</title>
+                <polyline points="${coords.map(coord => coord.join(',')).join(' ')}" fill="none" stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round"/>
+                <circle cx="${lastX}" cy="${lastY}" r="2"/>
+            </svg>
+        `;
+    }
+
     // ... [Include all the rest of the methods from the original app.js file]
     // Status, subscription, schedule, and utility methods remain the same
 
 
     async updateLastUpdatedTime() {
-        const element = document.getElementById('lastUpdated');
-        if (!element) return;
-
         try {
             // Get the actual GitHub Action completion time for accurate "Last synced"
             const response = await fetch('/api/last-ysba-update');
             const data = await response.json();
             
             if (data.success && data.lastYsbaUpdate) {
-                const updateTime = new Date(data.lastYsbaUpdate);
-                const timeAgo = this.getTimeAgo(updateTime);
-                element.textContent = timeAgo;
-            } else if (this.lastUpdateTime) {
-                // Fallback to division-specific time if metadata not available
-                const timeAgo = this.getTimeAgo(this.lastUpdateTime);
-                element.textContent = timeAgo;
+                this.lastSyncTime = new Date(data.lastYsbaUpdate);
             }
         } catch (error) {
             console.error('Error updating last synced time:', error);
-            // Fallback to division-specific time on error
-            if (this.lastUpdateTime) {
-                const timeAgo = this.getTimeAgo(this.lastUpdateTime);
-                element.textContent = timeAgo;
-            }
+        }
+
+        this.renderLastUpdatedTime();
+    }
+
+    // Falls back to the division's own time if the sync metadata isn't available
+    renderLastUpdatedTime() {
+        const element = document.getElementById('lastUpdated');
+        const updateTime = this.lastSyncTime || this.lastUpdateTime;
+        if (element && updateTime) {
+            element.textContent = this.getTimeAgo(updateTime);
         }
     }
 
@@ -935,29 +1127,59 @@ class MultiDivisionYSBAApp {
         return `${Math.floor(diffInSeconds / 86400)}d ago`;
     }
 
-    shouldAutoRefresh() {
-        if (!this.lastUpdateTime) return true;
-        const now = new Date();
-        const timeSinceUpdate = now - this.lastUpdateTime;
-        return timeSinceUpdate > 5 * 60 * 1000; // 5 minutes
-    }
+    // The server pushes an event when this division's file changes (see
+    // live-updates.js); EventSource reconnects by itself after a redeploy
+    startLiveUpdates() {
+        if (this.eventSource || !('EventSource' in window)) return;
 
-    startAutoRefresh() {
-        if (this.autoRefreshInterval) return;
-        
-        this.autoRefreshInterval = setInterval(() => {
-            if (this.autoRefreshEnabled && !document.hidden && this.shouldAutoRefresh()) {
-                // Use silent refresh to prevent loading state flash
-                this.loadStandings(true); // silent=true
+        const params = new URLSearchParams({
+            division: this.currentDivision,
+            tier: this.currentTier
+        });
+        this.eventSource = new EventSource(`/api/events?${params}`);
+
+        // Sent on every (re)connect: reload if an update landed while disconnected
+        this.eventSource.addEventListener('hello', (event) => {
+            const [version] = Object.values(JSON.parse(event.data).versions);
+            if (this.liveVersion && version && version !== this.liveVersion) {
+                this.refreshLiveStandings([]);
             }
-        }, 30000); // Check every 30 seconds
+            this.liveVersion = version || this.liveVersion;
+        });
+
+        this.eventSource.addEventListener('standings', (event) => {
+            const update = JSON.parse(event.data);
+            this.liveVersion = update.lastUpdated;
+            this.refreshLiveStandings(update.changedTeams);
+        });
+    }
+
+    async refreshLiveStandings(changedTeams) {
+        // Past standings don't change; the live table loads when going back to it
+        if (this.asOfDate) return;
+
+        await this.loadStandings(true, true);
+        this.updateLastUpdatedTime();
+        this.highlightChangedRows(changedTeams);
+    }
+
+    highlightChangedRows(changedTeams) {
+        changedTeams.forEach(({ teamCode }) => {
+            const row = document.querySelector(`#standingsTableBody tr[data-team-code="${CSS.escape(teamCode)}"]`);
+            if (!row) return;
+
+            row.classList.remove('row-updated');
+            void row.offsetWidth; // restart the animation
+            row.classList.add('row-updated');
+            row.addEventListener('animationend', () => row.classList.remove('row-updated'), { once: true });
+        });
     }
 
     startStatusUpdates() {
         if (this.statusUpdateInterval) return;
         
         this.statusUpdateInterval = setInterval(() => {
-            this.updateLastUpdatedTime();
+            this.renderLastUpdatedTime();
         }, 30000); // Update every 30 seconds
     }
 
@@ -1019,6 +1241,21 @@ class MultiDivisionYSBAApp {
             const divisionKey = this.currentDivision || '9U-select';
             const tierKey = this.currentTier || 'all-tiers';
             
+            const teamParams = new URLSearchParams({ division: divisionKey, tier: tierKey });
+            const teamPageLink = document.getElementById('teamPageLink');
+            if (teamPageLink) {
+                teamPageLink.href = `/team/${encodeURIComponent(teamCode)}?${teamParams}`;
+            }
+            
+            // webcal:// opens the subscribe dialog in Apple/Google/Outlook calendars
+            const teamCalendarLink = document.getElementById('teamCalendarLink');
+            if (teamCalendarLink) {
+                teamCalendarLink.href = `webcal://${window.location.host}/api/team/${encodeURIComponent(teamCode)}/schedule.ics?${teamParams}`;
+            }
+            
+            // Standings history for the trend chart loads alongside the schedule
+            const historyPromise = this.loadTeamHistory(teamCode, divisionKey, tierKey);
+            
             const response = await fetch(`/api/team/${teamCode}/schedule?division=${divisionKey}&tier=${tierKey}`);
             const loadTime = Date.now() - startTime;
             
@@ -1039,6 +1276,7 @@ class MultiDivisionYSBAApp {
             
             if (result.success && result.data) {
                 this.displayNewSchedule(result.data, teamName, this.getTeamData(teamCode));
+                this.displayTeamTrendChart(this.getVisibleHistory(teamCode, await historyPromise));
                 
                 // Show subtle performance indicator to user if very fast
                 if (result.fromCache && loadTime < 300) {
@@ -1055,6 +1293,92 @@ class MultiDivisionYSBAApp {
         }
     }
 
+    async loadTeamHistory(teamCode, divisionKey, tierKey) {
+        try {
+            const params = new URLSearchParams({ division: divisionKey, tier: tierKey });
+            const response = await fetch(`/api/team/${teamCode}/history?${params}`);
+            const result = await response.json();
+            return result.success && result.data ? result.data.history : [];
+        } catch (error) {
+            console.error('Error loading team history:', error);
+            return [];
+        }
+    }
+
+    // Points and win percentage by date, drawn above the schedule tabs
+    displayTeamTrendChart(history) {
+        const container = document.getElementById('teamTrendChart');
+        if (!container) return;
+
+        if (!history || history.length < 2) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="trend-chart-legend">
+                <span class="trend-legend-item points">Points</span>
+                <span class="trend-legend-item win-pct">Win %</span>
+            </div>
+            ${this.createTrendChart(history)}
+        `;
+        container.style.display = 'block';
+    }
+
+    createTrendChart(history) {
+        const width = 460;
+        const height = 170;
+        const margin = { top: 10, right: 40, bottom: 24, left: 32 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        const maxPoints = Math.max(2, ...history.map(point => point.points));
+        const firstTime = new Date(history[0].date).getTime();
+        const span = new Date(history[history.length - 1].date).getTime() - firstTime || 1;
+
+        const x = date => margin.left + ((new Date(date).getTime() - firstTime) / span) * plotWidth;
+        const pointsY = points => margin.top + plotHeight - (points / maxPoints) * plotHeight;
+        const pctY = pct => margin.top + plotHeight - parseFloat(pct) * plotHeight;
+
+        const line = yFor => history.map(point => `${x(point.date).toFixed(1)},${yFor(point).toFixed(1)}`).join(' ');
+        const formatDate = date => new Date(date).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            timeZone: 'America/Toronto'
+        });
+
+        // Horizontal grid at 0, half and full scale
+        const grid = [0, 0.5, 1].map(fraction => {
+            const y = margin.top + plotHeight - fraction * plotHeight;
+            return `
+                <line class="trend-grid" x1="${margin.left}" x2="${margin.left + plotWidth}" y1="${y}" y2="${y}"/>
+                <text class="trend-axis points" x="${margin.left - 6}" y="${y + 3}" text-anchor="end">${Math.round(maxPoints * fraction)}</text>
+                <text class="trend-axis win-pct" x="${margin.left + plotWidth + 6}" y="${y + 3}">${fraction.toFixed(3).replace(/^0/, '')}</text>
+            `;
+        }).join('');
+
+        const dots = history.map(point => `
+            <circle class="trend-dot points" cx="${x(point.date).toFixed(1)}" cy="${pointsY(point.points).toFixed(1)}" r="2.5">
+                <title>${formatDate(point.date)}: ${point.points} pts, position ${point.position}</title>
+            </circle>
+            <circle class="trend-dot win-pct" cx="${x(point.date).toFixed(1)}" cy="${pctY(point.winPercentage).toFixed(1)}" r="2.5">
+                <title>${formatDate(point.date)}: ${point.winPercentage} (${point.wins}-${point.losses}-${point.ties})</title>
+            </circle>
+        `).join('');
+
+        return `
+            <svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Points and win percentage by date">
+                ${grid}
+                <polyline class="trend-line points" points="${line(point => pointsY(point.points))}"/>
+                <polyline class="trend-line win-pct" points="${line(point => pctY(point.winPercentage))}"/>
+                ${dots}
+                <text class="trend-axis" x="${margin.left}" y="${height - 6}">${formatDate(history[0].date)}</text>
+                <text class="trend-axis" x="${margin.left + plotWidth}" y="${height - 6}" text-anchor="end">${formatDate(history[history.length - 1].date)}</text>
+            </svg>
+        `;
+    }
+
     showScheduleLoading() {
         document.getElementById('scheduleLoadingState')?.classList.add('show');
         document.getElementById('scheduleErrorState')?.classList.remove('show');
@@ -1213,7 +1537,8 @@ class MultiDivisionYSBAApp {
             const gameDate = new Date(game.date);
             formattedDate = gameDate.toLocaleDateString('en-US', {
                 month: 'short',
-                day: 'numeric'
+                day: 'numeric',
+                timeZone: 'America/Toronto' // Game dates are instants; show the Ontario calendar day
             });
         }
 
@@ -1301,6 +1626,7 @@ class MultiDivisionYSBAApp {
 
         // Load and setup division checkboxes
         await this.setupDivisionPreferences();
+        this.setupPushToggle();
 
         // Setup modal event listeners for FRESH division setup every time
         const modal = document.getElementById('notificationsModal');
@@ -1355,7 +1681,8 @@ class MultiDivisionYSBAApp {
                 const result = await response.json();
                 
                 if (result.success) {
-                    this.showSubscriptionAlert('Successfully subscribed! You\'ll receive email notifications for standings changes.', 'success');
+                    // New sign-ups have to confirm from their inbox first
+                    this.showSubscriptionAlert(result.message, 'success');
                     form.reset();
                     this.resetDivisionPreferences();
                     this.loadSubscriberCount();
@@ -1371,6 +1698,48 @@ class MultiDivisionYSBAApp {
         });
     }
 
+    // Push notifications for the division on this page, next to the email form
+    setupPushToggle() {
+        const container = document.getElementById('pushNotifications');
+        const button = document.getElementById('pushToggleBtn');
+        const push = new PushNotifications();
+        if (!container || !button || !push.isSupported()) return;
+
+        const divisionKey = () => (this.getCurrentDivisionKey() || '').replace(/(\d+)u-/i, '$1U-');
+        const render = () => {
+            const following = push.isFollowing('divisions', divisionKey());
+            document.getElementById('pushToggleLabel').textContent = following
+                ? 'Turn off push notifications'
+                : 'Turn on push notifications';
+            button.classList.toggle('btn-primary', following);
+            button.classList.toggle('btn-outline-primary', !following);
+            if (this.divisionConfig && this.tierConfig) {
+                document.getElementById('pushDivisionName').textContent =
+                    `${this.divisionConfig.displayName} - ${this.tierConfig.displayName}`;
+            }
+        };
+
+        container.style.display = 'block';
+        render();
+        document.getElementById('notificationsModal')?.addEventListener('show.bs.modal', render);
+
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            try {
+                const following = await push.toggle('divisions', divisionKey());
+                this.showSubscriptionAlert(following
+                    ? 'Push notifications are on for this division on this device.'
+                    : 'Push notifications for this division are off.', 'success');
+            } catch (error) {
+                console.error('Push notification error:', error);
+                this.showSubscriptionAlert(error.message, 'danger');
+            } finally {
+                button.disabled = false;
+                render();
+            }
+        });
+    }
+
     async setupDivisionPreferences() {
         try {
             const response = await fetch('/api/available-divisions');
@@ -2102,8 +2471,8 @@ class MultiDivisionYSBAApp {
 
     // Cleanup method
     destroy() {
-        if (this.autoRefreshInterval) {
-            clearInterval(this.autoRefreshInterval);
+        if (this.eventSource) {
+            this.eventSource.close();
         }
         if (this.statusUpdateInterval) {
             clearInterval(this.statusUpdateInterval);
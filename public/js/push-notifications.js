@@ -0,0 +1,96 @@
+// YSBA Live Web Push - subscribes this browser through /sw.js and keeps the
+// divisions and teams it follows in sync with the server (/api/push/subscribe)
+class PushNotifications {
+    constructor() {
+        this.storageKey = 'ysba-push-topics';
+    }
+
+    isSupported() {
+        return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    }
+
+    // { divisions: [...file keys], teamCodes: [...] } followed on this device
+    getTopics() {
+        try {
+            const topics = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return { divisions: topics.divisions || [], teamCodes: topics.teamCodes || [] };
+        } catch (error) {
+            return { divisions: [], teamCodes: [] };
+        }
+    }
+
+    // type is 'divisions' or 'teamCodes'
+    isFollowing(type, value) {
+        return Notification.permission === 'granted' && this.getTopics()[type].includes(value);
+    }
+
+    // Follow or stop following a division or team; resolves to the new state.
+    // Throws with a readable message when the browser or server says no.
+    async toggle(type, value) {
+        const topics = this.getTopics();
+        const following = topics[type].includes(value);
+        topics[type] = following ? topics[type].filter(item => item !== value) : [...topics[type], value];
+
+        if (topics.divisions.length === 0 && topics.teamCodes.length === 0) {
+            await this.unsubscribe();
+            localStorage.removeItem(this.storageKey);
+            return false;
+        }
+
+        const subscription = await this.getSubscription();
+        const response = await fetch('/api/push/subscribe', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ subscription, ...topics })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Could not turn on push notifications');
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(topics));
+        return !following;
+    }
+
+    // This browser's push subscription, asking for permission the first time
+    async getSubscription() {
+        const response = await fetch('/api/push/public-key');
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Push notifications are not available');
+        }
+
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            throw new Error('Notifications are blocked for this site in your browser settings');
+        }
+
+        await navigator.serviceWorker.register('/sw.js');
+        const registration = await navigator.serviceWorker.ready;
+        const existing = await registration.pushManager.getSubscription();
+        if (existing) return existing;
+
+        return registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: this.urlBase64ToUint8Array(result.publicKey)
+        });
+    }
+
+    async unsubscribe() {
+        const registration = await navigator.serviceWorker.getRegistration();
+        const subscription = registration && await registration.pushManager.getSubscription();
+        if (!subscription) return;
+
+        await fetch('/api/push/unsubscribe', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ endpoint: subscription.endpoint })
+        }).catch(() => {});
+        await subscription.unsubscribe();
+    }
+
+    urlBase64ToUint8Array(value) {
+        const padded = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+    }
+}
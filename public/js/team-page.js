@@ -0,0 +1,241 @@
+// YSBA Team Page - record, splits, head-to-head and schedule for /team/:teamCode
+class TeamPage {
+    constructor() {
+        // /team/518968 -> 518968
+        this.teamCode = decodeURIComponent(window.location.pathname.split('/').filter(s => s)[1] || '');
+
+        // Optional division hint, e.g. /team/518968?division=11U-select&tier=all-tiers
+        const params = new URLSearchParams(window.location.search);
+        this.division = params.get('division');
+        this.tier = params.get('tier');
+
+        this.team = null;
+
+        this.init();
+    }
+
+    async init() {
+        // Caches the app shell for offline use
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js').catch(() => {});
+        }
+
+        if (!this.teamCode) {
+            this.showError('No team specified.');
+            return;
+        }
+
+        try {
+            const params = new URLSearchParams();
+            if (this.division) params.set('division', this.division);
+            if (this.tier) params.set('tier', this.tier);
+
+            const query = params.toString() ? `?${params}` : '';
+            const response = await fetch(`/api/team/${encodeURIComponent(this.teamCode)}${query}`);
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || 'Team not found');
+            }
+
+            this.team = result.data;
+            this.render();
+        } catch (error) {
+            console.error('Error loading team:', error);
+            this.showError(error.message);
+        }
+    }
+
+    render() {
+        const team = this.team;
+
+        document.title = `${team.team} | YSBA Live`;
+        document.getElementById('teamName').textContent = team.team;
+        document.getElementById('teamPosition').textContent = team.position ?? '–';
+
+        const divisionLink = document.getElementById('teamDivisionLink');
+        document.getElementById('teamDivisionName').textContent = team.division.displayName;
+        if (team.division.url) {
+            divisionLink.href = team.division.url;
+        }
+
+        const { record } = team;
+        const positionText = team.position ? `${this.ordinal(team.position)} of ${team.totalTeams}` : 'Not ranked';
+        document.getElementById('teamRecordLine').textContent =
+            `${record.wins}-${record.losses}-${record.ties} · ${record.points} pts · ${record.winPercentage} · ${positionText}`;
+
+        document.getElementById('teamTiebreaker').textContent = team.tiebreaker?.reason || '';
+
+        // webcal:// opens the subscribe dialog in Apple/Google/Outlook calendars
+        document.getElementById('teamCalendarLink').href =
+            `webcal://${window.location.host}/api/team/${encodeURIComponent(this.teamCode)}/schedule.ics`;
+        this.setupPushLink();
+
+        this.renderSplits();
+        this.renderHeadToHead();
+        this.renderSchedule();
+
+        document.getElementById('loadingState').classList.remove('show');
+        document.getElementById('teamContainer').style.display = 'block';
+    }
+
+    // Push notifications for this team's results, moves and schedule changes
+    setupPushLink() {
+        const link = document.getElementById('teamPushLink');
+        const label = document.getElementById('teamPushLabel');
+        const push = new PushNotifications();
+        if (!push.isSupported()) return;
+
+        const render = () => {
+            label.textContent = push.isFollowing('teamCodes', this.teamCode) ? 'Notifications on' : 'Notify me';
+        };
+
+        link.style.display = '';
+        render();
+        link.addEventListener('click', async (e) => {
+            e.preventDefault();
+            try {
+                await push.toggle('teamCodes', this.teamCode);
+                render();
+            } catch (error) {
+                console.error('Push notification error:', error);
+                label.textContent = error.message;
+                setTimeout(render, 5000);
+            }
+        });
+    }
+
+    renderSplits() {
+        const { splits, runs } = this.team;
+        const formatRecord = split => `${split.wins}-${split.losses}-${split.ties}`;
+        const formatDiff = value => (value > 0 ? `+${value}` : `${value}`);
+
+        const lastTenResults = splits.lastTen.results
+            .map(result => `<span class="result-chip ${this.resultClass(result)}">${result}</span>`)
+            .join('');
+
+        const cards = [
+            {
+                label: 'Home',
+                value: formatRecord(splits.home),
+                detail: `${splits.home.winPercentage} · ${splits.home.runsFor}-${splits.home.runsAgainst} runs`
+            },
+            {
+                label: 'Away',
+                value: formatRecord(splits.away),
+                detail: `${splits.away.winPercentage} · ${splits.away.runsFor}-${splits.away.runsAgainst} runs`
+            },
+            {
+                label: `Last ${splits.lastTen.gamesPlayed || 10}`,
+                value: formatRecord(splits.lastTen),
+                detail: `${lastTenResults}${splits.lastTen.streak ? ` <span class="streak">Streak ${splits.lastTen.streak}</span>` : ''}`
+            },
+            {
+                label: 'Runs per Game',
+                value: `${runs.perGame.runsFor} / ${runs.perGame.runsAgainst}`,
+                detail: `For / against · ${formatDiff(runs.perGame.runDifferential)} per game (${formatDiff(runs.runDifferential)} total)`
+            }
+        ];
+
+        document.getElementById('teamSplits').innerHTML = cards.map(card => `
+            <div class="team-stat-card">
+                <div class="team-stat-label">${card.label}</div>
+                <div class="team-stat-value">${card.value}</div>
+                <div class="team-stat-detail">${card.detail}</div>
+            </div>
+        `).join('');
+    }
+
+    renderHeadToHead() {
+        const tbody = document.getElementById('headToHeadBody');
+
+        tbody.innerHTML = this.team.headToHead.map(opponent => `
+            <tr class="team-row-clickable" data-team-code="${this.escapeHtml(opponent.opponentCode)}">
+                <td class="pos-col"><span class="position-badge">${opponent.opponentPosition ?? '–'}</span></td>
+                <td class="team-col"><a class="team-name" href="${this.teamUrl(opponent.opponentCode)}">${this.escapeHtml(opponent.opponent)}</a></td>
+                <td class="stat-col">${opponent.gamesPlayed}</td>
+                <td class="stat-col text-success">${opponent.wins}</td>
+                <td class="stat-col text-danger">${opponent.losses}</td>
+                <td class="stat-col">${opponent.ties}</td>
+                <td class="stat-col">${opponent.runsFor}</td>
+                <td class="stat-col">${opponent.runsAgainst}</td>
+                <td class="stat-col">${opponent.remaining}</td>
+            </tr>
+        `).join('');
+    }
+
+    renderSchedule() {
+        const { playedGames, upcomingGames } = this.team.schedule;
+        const tbody = document.getElementById('teamScheduleBody');
+
+        if (playedGames.length + upcomingGames.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="text-center text-muted">No games scheduled</td></tr>';
+            return;
+        }
+
+        const rows = [...playedGames, ...upcomingGames].map(game => {
+            let resultCell = `<span class="text-muted">${this.escapeHtml(game.time || 'TBD')}</span>`;
+            if (game.result) {
+                resultCell = `<span class="result-chip ${this.resultClass(game.result)}">${game.result}</span> ${game.teamScore}-${game.opponentScore}`;
+            } else if (playedGames.includes(game)) {
+                resultCell = '<span class="text-muted">No result</span>';
+            }
+
+            return `
+                <tr class="${upcomingGames.includes(game) ? 'upcoming-game' : ''}">
+                    <td class="team-col">${this.formatDate(game)}</td>
+                    <td class="team-col">
+                        ${game.isHome ? 'vs' : '@'}
+                        <a class="team-name" href="${this.teamUrl(game.opponentCode)}">${this.escapeHtml(game.opponent)}</a>
+                    </td>
+                    <td class="stat-col">${resultCell}</td>
+                    <td class="team-col text-muted">${this.escapeHtml(game.location || '')}</td>
+                </tr>
+            `;
+        });
+
+        tbody.innerHTML = rows.join('');
+    }
+
+    teamUrl(teamCode) {
+        return `/team/${encodeURIComponent(teamCode)}`;
+    }
+
+    formatDate(game) {
+        if (!game.date) return this.escapeHtml(game.dateText || 'TBD');
+
+        return new Date(game.date).toLocaleDateString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            timeZone: 'America/Toronto' // Game dates are instants; show the Ontario calendar day
+        });
+    }
+
+    resultClass(result) {
+        return { W: 'win', L: 'loss', T: 'tie' }[result] || '';
+    }
+
+    ordinal(n) {
+        const suffixes = ['th', 'st', 'nd', 'rd'];
+        const v = n % 100;
+        return n + (suffixes[(v - 20) % 10] || suffixes[v] || suffixes[0]);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+
+    showError(message) {
+        document.getElementById('loadingState').classList.remove('show');
+        document.getElementById('errorMessage').textContent = message;
+        document.getElementById('errorAlert').classList.add('show');
+    }
+}
+
+// Initialize the page when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.teamPage = new TeamPage();
+});
@@ -0,0 +1,178 @@
+// YSBA Live service worker
+//
+// - Precaches the app shell so the site opens without a connection
+// - Serves standings, divisions and team schedules stale-while-revalidate: the
+//   cached copy right away, refreshed from the network for next time
+// - Shows Web Push notifications sent after each scrape (see push-notifications.js)
+//
+// CACHE_VERSION is rewritten by scripts/update-cache-version.js on each build, so
+// every deploy installs a new worker that drops the previous deploy's caches.
+
+const CACHE_VERSION = '421481';
+const SHELL_CACHE = `ysba-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `ysba-data-${CACHE_VERSION}`;
+
+const SHELL_URLS = [
+    '/',
+    '/standings.html',
+    '/team.html',
+    '/css/styles.css',
+    '/js/multi-division-app.js',
+    '/js/team-page.js',
+    '/js/push-notifications.js',
+    '/js/dev-utils.js',
+    '/js/simplyCountdown.umd.js',
+    '/manifest.json',
+    '/icons/icon.svg',
+    '/icons/android/res/mipmap-xxxhdpi/ic_launcher.png',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js',
+    'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.0/font/bootstrap-icons.css'
+];
+
+// API responses kept for offline use
+const DATA_ROUTES = [
+    /^\/api\/standings$/,
+    /^\/api\/divisions$/,
+    /^\/api\/team\/[^/]+\/schedule$/
+];
+
+// Stylesheets and fonts from these hosts are cached like our own files
+const ASSET_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_URLS);
+        await self.skipWaiting();
+    })());
+});
+
+// Drop the caches of earlier deploys
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('ysba-') && name !== SHELL_CACHE && name !== DATA_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (sameOrigin && request.mode === 'navigate') {
+        // Other pages (admin, confirmation links, backups) always come from the network
+        const shellPage = getShellPage(url.pathname);
+        if (shellPage) event.respondWith(networkFirstPage(request, shellPage));
+    } else if (sameOrigin && DATA_ROUTES.some(route => route.test(url.pathname))) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    } else if (sameOrigin ? isStaticPath(url.pathname) : ASSET_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, sameOrigin));
+    }
+});
+
+function isStaticPath(pathname) {
+    return /^\/(css|js|icons|fonts)\//.test(pathname) || pathname === '/manifest.json';
+}
+
+// The shell page the server renders for a path (see the catch-all route in
+// server-optimized.js), or null if the path isn't part of the app shell
+function getShellPage(pathname) {
+    if (pathname === '/' || pathname === '/index.html') return '/';
+    if (/^\/team\/[^/]+\/?$/i.test(pathname)) return '/team.html';
+    if (/^\/(\d+u|senior)-(rep|select)\/[^/]+$/i.test(pathname)) return '/standings.html';
+    return null;
+}
+
+// Fresh pages online, the cached shell offline
+async function networkFirstPage(request, shellPage) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(shellPage, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(shellPage);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Cached data straight away, updated in the background for the next request.
+// Without a cached copy, or when the page asks for fresh data (cache: 'no-cache'
+// after a live update), wait for the network.
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(request);
+
+    const update = fetch(request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (request.cache === 'no-cache') {
+        return update.catch(error => cached || Promise.reject(error));
+    }
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+// Our versioned files (?v=...) match the precached copy whatever the query
+async function cacheFirst(request, ignoreSearch) {
+    const cached = await caches.match(request, { ignoreSearch });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Payload: { title, body, url, tag, timestamp }
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (error) {
+        data = { body: event.data.text() };
+    }
+
+    event.waitUntil(self.registration.showNotification(data.title || 'YSBA Live', {
+        body: data.body || 'Standings have been updated',
+        icon: '/icons/android/res/mipmap-xxxhdpi/ic_launcher.png',
+        badge: '/icons/android/res/mipmap-mdpi/ic_launcher_monochrome.png',
+        tag: data.tag,
+        renotify: Boolean(data.tag),
+        timestamp: data.timestamp,
+        data: { url: data.url || '/' }
+    }));
+});
+
+// Focus an open YSBA Live tab on the page, or open a new one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin);
+    const target = url.origin === self.location.origin ? url.href : self.location.origin;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const existing = windows.find(client => client.url === target);
+        if (existing) return existing.focus();
+        return self.clients.openWindow(target);
+    })());
+});
@@ -0,0 +1,282 @@
+/**
+ * Web Push notifications for the PWA
+ *
+ * Browsers subscribe through the service worker (public/sw.js) and send their
+ * push subscription to /api/push/subscribe along with the topics they follow:
+ * divisions (file keys like 11U-rep-tier-2) and teams (team codes). After each
+ * scrape the GitHub Action turns the run's change events into one
+ * notification per subscription and division, e.g.
+ *
+ *   Rep 11U - Tier 2
+ *   Final: Newmarket Hawks 5, Barrie Baycats 7
+ *
+ * Division followers get results and schedule changes; table moves only go to
+ * followers of the team that moved, so a busy night doesn't buzz a phone for
+ * every team in the division.
+ *
+ * Messages are signed with the VAPID keys (VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY,
+ * made with `npx web-push generate-vapid-keys`). Subscriptions the push service
+ * reports as gone (404/410) are removed. Pushes aren't retried: the push
+ * service already holds them for offline devices for up to TTL_SECONDS.
+ *
+ * Subscriptions live in a JSON file ({ updatedAt, subscriptions, runs }) and,
+ * when a GitHub Gist is configured, a file in the subscribers gist so the
+ * website and the GitHub Action share them. runs lists recent scrape runs that
+ * were already pushed, so a rerun of the same workflow run pushes nothing.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const webpush = require('web-push');
+const config = require('./config');
+const { EVENT_TYPES, describeEvent, getEventTeamCodes } = require('./src/scraper/change-events');
+
+// Change events worth a notification; record changes come with the results
+const PUSH_EVENT_TYPES = [
+  EVENT_TYPES.RESULT_POSTED,
+  EVENT_TYPES.POSITION_CHANGE,
+  EVENT_TYPES.GAME_RESCHEDULED,
+  EVENT_TYPES.GAME_RELOCATED,
+  EVENT_TYPES.GAME_CANCELLED
+];
+
+const TTL_SECONDS = 12 * 60 * 60;
+const MAX_LINES = 3;
+const MAX_TOPICS = 40;
+const MAX_RUNS = 50;
+
+function divisionTopic(divisionKey) {
+  return `division:${divisionKey}`;
+}
+
+function teamTopic(teamCode) {
+  return `team:${teamCode}`;
+}
+
+// Stable id for a browser's subscription
+function getSubscriptionId(endpoint) {
+  return crypto.createHash('sha256').update(endpoint).digest('hex').slice(0, 16);
+}
+
+class PushNotificationService {
+  // gist: optional { isConfigured(), read(), write(content) } for shared storage.
+  // send(subscription, payload, options) defaults to web-push's sendNotification.
+  constructor({
+    file = path.join(__dirname, 'push-subscriptions.json'),
+    gist = null,
+    publicKey = process.env.VAPID_PUBLIC_KEY,
+    privateKey = process.env.VAPID_PRIVATE_KEY,
+    subject = process.env.VAPID_SUBJECT || 'mailto:notifications@ysbalive.com',
+    siteUrl = process.env.BASE_URL || 'https://ysbalive.com',
+    send = null
+  } = {}) {
+    this.file = file;
+    this.gist = gist;
+    this.publicKey = publicKey || null;
+    this.siteUrl = siteUrl;
+    this.isConfigured = Boolean(publicKey && privateKey);
+    this.send = send || ((subscription, payload, options) => webpush.sendNotification(subscription, payload, {
+      ...options,
+      vapidDetails: { subject, publicKey, privateKey }
+    }));
+  }
+
+  async load() {
+    const parse = content => {
+      const data = JSON.parse(content);
+      return { subscriptions: data.subscriptions || [], runs: data.runs || [] };
+    };
+
+    if (this.gist && this.gist.isConfigured()) {
+      const content = await this.gist.read();
+      if (content) {
+        try {
+          return parse(content);
+        } catch (error) {
+          console.error('❌ Push subscriptions gist file is not valid JSON:', error.message);
+        }
+      }
+    }
+
+    try {
+      return parse(await fs.readFile(this.file, 'utf8'));
+    } catch {
+      return { subscriptions: [], runs: [] };
+    }
+  }
+
+  async save({ subscriptions, runs }) {
+    const content = JSON.stringify({ updatedAt: new Date().toISOString(), subscriptions, runs }, null, 2);
+
+    const tempFile = this.file + '.tmp';
+    await fs.writeFile(tempFile, content);
+    await fs.rename(tempFile, this.file);
+
+    if (this.gist && this.gist.isConfigured()) {
+      const saved = await this.gist.write(content);
+      if (!saved) {
+        console.warn('⚠️  Failed to save push subscriptions to GitHub Gist, local file updated');
+      }
+    }
+  }
+
+  // Save a browser's subscription ({ endpoint, keys: { p256dh, auth } }) with
+  // the divisions and teams it follows, replacing its previous topics
+  async subscribe(subscription, { divisions = [], teamCodes = [] } = {}) {
+    let endpoint;
+    try {
+      endpoint = new URL(subscription?.endpoint);
+    } catch {
+      return { success: false, error: 'A push subscription with an endpoint is required' };
+    }
+    if (endpoint.protocol !== 'https:') {
+      return { success: false, error: 'Push endpoints must use https' };
+    }
+    if (!subscription.keys?.p256dh || !subscription.keys?.auth) {
+      return { success: false, error: 'The push subscription is missing its keys' };
+    }
+    if (!Array.isArray(divisions) || !Array.isArray(teamCodes)) {
+      return { success: false, error: 'divisions and teamCodes must be arrays' };
+    }
+
+    const topics = [...new Set([
+      ...divisions.map(divisionKey => divisionTopic(String(divisionKey))),
+      ...teamCodes.map(teamCode => teamTopic(String(teamCode)))
+    ])];
+    if (topics.length === 0) {
+      return { success: false, error: 'Choose at least one division or team' };
+    }
+    if (topics.length > MAX_TOPICS) {
+      return { success: false, error: `Follow at most ${MAX_TOPICS} divisions and teams` };
+    }
+
+    const state = await this.load();
+    const id = getSubscriptionId(subscription.endpoint);
+    const now = new Date().toISOString();
+    const existing = state.subscriptions.find(entry => entry.id === id);
+    const record = {
+      id,
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+      topics,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      lastSentAt: existing?.lastSentAt || null
+    };
+
+    state.subscriptions = [...state.subscriptions.filter(entry => entry.id !== id), record];
+    await this.save(state);
+
+    return { success: true, id, topics };
+  }
+
+  async unsubscribe(endpoint) {
+    const state = await this.load();
+    const id = getSubscriptionId(String(endpoint || ''));
+    if (!state.subscriptions.some(entry => entry.id === id)) {
+      return { success: false, error: 'Subscription not found' };
+    }
+
+    state.subscriptions = state.subscriptions.filter(entry => entry.id !== id);
+    await this.save(state);
+    return { success: true };
+  }
+
+  // Whether a subscription wants a change event: division followers get results
+  // and schedule changes, team followers everything about their teams
+  follows(subscription, event) {
+    if (getEventTeamCodes(event).some(teamCode => subscription.topics.includes(teamTopic(teamCode)))) {
+      return true;
+    }
+    return event.type !== EVENT_TYPES.POSITION_CHANGE && subscription.topics.includes(divisionTopic(event.division));
+  }
+
+  // Notification payloads ({ title, body, url, tag }) per subscription: one per
+  // division with up to MAX_LINES changes
+  buildNotifications(changeEvents, subscriptions) {
+    const events = changeEvents.filter(event => PUSH_EVENT_TYPES.includes(event.type));
+
+    return subscriptions.map(subscription => {
+      const byDivision = new Map();
+      events
+        .filter(event => this.follows(subscription, event))
+        .forEach(event => {
+          if (!byDivision.has(event.division)) byDivision.set(event.division, []);
+          byDivision.get(event.division).push(describeEvent(event));
+        });
+
+      const notifications = [...byDivision.entries()].map(([divisionKey, lines]) => {
+        const division = config.describeDivisionFile(divisionKey);
+        const more = lines.length - MAX_LINES;
+
+        return {
+          title: lines.length > 1 ? `${division.displayName}: ${lines.length} updates` : division.displayName,
+          body: [...lines.slice(0, MAX_LINES), ...(more > 0 ? [`+${more} more`] : [])].join('\n'),
+          url: `${this.siteUrl}${division.url || ''}`,
+          tag: `ysba-${divisionKey}`
+        };
+      });
+
+      return { subscription, notifications };
+    }).filter(({ notifications }) => notifications.length > 0);
+  }
+
+  // Push a scrape's change events to everyone following the divisions or teams
+  async sendChangeNotifications(changeEvents = [], runId) {
+    if (!this.isConfigured) {
+      console.log('🔔 Web Push not configured (VAPID keys missing) - skipping push notifications');
+      return { sent: 0, failed: 0, removed: 0, skipped: true };
+    }
+
+    const state = await this.load();
+    if (state.runs.includes(runId)) {
+      console.log(`🔔 Push notifications for ${runId} were already sent`);
+      return { sent: 0, failed: 0, removed: 0, skipped: true };
+    }
+
+    const pending = this.buildNotifications(changeEvents, state.subscriptions);
+    if (pending.length === 0) {
+      return { sent: 0, failed: 0, removed: 0, skipped: false };
+    }
+
+    const gone = new Set();
+    let sent = 0;
+    let failed = 0;
+
+    for (const { subscription, notifications } of pending) {
+      for (const notification of notifications) {
+        try {
+          await this.send(
+            { endpoint: subscription.endpoint, keys: subscription.keys },
+            JSON.stringify({ ...notification, timestamp: Date.now() }),
+            { TTL: TTL_SECONDS }
+          );
+          subscription.lastSentAt = new Date().toISOString();
+          sent++;
+        } catch (error) {
+          // The browser unsubscribed or the subscription expired
+          if (error.statusCode === 404 || error.statusCode === 410) {
+            gone.add(subscription.id);
+            break;
+          }
+          failed++;
+          console.error(`❌ Push to subscription ${subscription.id} failed:`, error.statusCode || '', error.message);
+        }
+      }
+    }
+
+    state.subscriptions = state.subscriptions.filter(subscription => !gone.has(subscription.id));
+    state.runs = [...state.runs, runId].slice(-MAX_RUNS);
+    await this.save(state);
+
+    console.log(`🔔 Push: ${sent} sent, ${failed} failed, ${gone.size} expired subscriptions removed`);
+    return { sent, failed, removed: gone.size, skipped: false };
+  }
+}
+
+module.exports = PushNotificationService;
+module.exports.PUSH_EVENT_TYPES = PUSH_EVENT_TYPES;
+module.exports.divisionTopic = divisionTopic;
+module.exports.teamTopic = teamTopic;
+module.exports.getSubscriptionId = getSubscriptionId;
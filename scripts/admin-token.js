@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+/**
+ * Admin credentials helper
+ *
+ * Usage:
+ *   node scripts/admin-token.js hash <password>          # Password hash for ADMIN_USERS
+ *   node scripts/admin-token.js token <username> [hours] # Bearer token for curl/scripts
+ *
+ * Tokens are signed with ADMIN_SESSION_SECRET, so it must match the server's
+ * value, and <username> must be one of the server's admin accounts.
+ */
+
+require('dotenv').config();
+
+const AdminAuth = require('../admin-auth');
+const { hashPassword } = require('../admin-auth');
+
+const [command, value, hours] = process.argv.slice(2);
+
+if (command === 'hash' && value) {
+  console.log(hashPassword(value));
+} else if (command === 'token' && value) {
+  if (!process.env.ADMIN_SESSION_SECRET) {
+    console.error('❌ ADMIN_SESSION_SECRET must be set to the same value as on the server');
+    process.exit(1);
+  }
+
+  const auth = new AdminAuth();
+  console.log(auth.createToken(value, hours ? parseFloat(hours) : undefined));
+} else {
+  console.log('Usage:');
+  console.log('  node scripts/admin-token.js hash <password>');
+  console.log('  node scripts/admin-token.js token <username> [hours]');
+  process.exit(1);
+}
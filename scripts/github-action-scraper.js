@@ -8,15 +8,23 @@
  * 2. Generate optimized JSON files
  * 3. Send email notifications for significant changes
  * 4. Generate new homepage stories when story-worthy events occur
- * 5. Commit and push changes to trigger Render deployment
+ * 5. Send Web Push notifications and deliver registered webhooks for results, standings/schedule changes and stories
+ * 6. Commit and push changes to trigger Render deployment
  */
 
 const YSBAScraper = require('../src/scraper/scraper');
 const DataFormatter = require('../src/scraper/formatter');
 const DataWriter = require('../src/scraper/writer');
 const DataOptimizer = require('../src/scraper/optimizer');
+const StandingsHistory = require('../src/scraper/history');
+const ScheduleChangeLog = require('../src/scraper/schedule-diff');
+const ChangeEventLog = require('../src/scraper/change-events');
+const { EVENT_TYPES, describeEvent, diffStandings } = require('../src/scraper/change-events');
 const EmailService = require('../email-service');
 const AIStoryService = require('../ai-story-service');
+const WebhookService = require('../webhooks');
+const PushNotificationService = require('../push-notifications');
+const { rankTeams, normalizeTeam } = require('../standings-ranking');
 const config = require('../config');
 const fs = require('fs').promises;
 const path = require('path');
@@ -27,8 +35,13 @@ class GitHubActionScraper {
     this.formatter = new DataFormatter();
     this.writer = new DataWriter();
     this.optimizer = new DataOptimizer();
+    this.history = new StandingsHistory();
+    this.scheduleChangeLog = new ScheduleChangeLog();
+    this.changeEventLog = new ChangeEventLog();
     this.emailService = new EmailService();
     this.aiStoryService = new AIStoryService();
+    this.push = new PushNotificationService({ gist: this.emailService.getGistStore('ysba-push-subscriptions.json') });
+    this.webhooks = new WebhookService({ gist: this.emailService.getGistStore('ysba-webhooks.json') });
     this.startTime = Date.now();
   }
 
@@ -37,9 +50,9 @@ class GitHubActionScraper {
     console.log(`📅 ${new Date().toISOString()}`);
     
     try {
-      // Load previous standings for change detection
+      // Without previous standings this is a first run: no emails, initial stories
       const previousStandings = await this.loadPreviousStandings();
-      console.log(`📊 Loaded previous standings for change detection`);
+      console.log(`📊 Loaded previous standings`);
       
       // Get all divisions to scrape
       const divisionsToScrape = this.getDivisionsToScrape();
@@ -116,38 +129,78 @@ class GitHubActionScraper {
         
         // Write individual division files
         console.log('📁 Writing individual division files...');
+        const divisionFiles = {};
+        const scheduleChanges = [];
+        const changeEvents = [];
         for (const [divisionKey, data] of Object.entries(allDivisionData)) {
           const [division, ...tierParts] = divisionKey.split('-');
           const tier = tierParts.join('-');
           
           const divisionFormatted = {
-            standings: this.formatter.formatStandings(data.standings),
+            standings: this.formatter.formatStandings(data.standings, data.schedule),
             schedule: this.formatter.formatSchedule(data.schedule),
             summary: this.formatter.generateDivisionSummary(data.standings, data.schedule)
           };
           
+          // Compare against the file from the previous scrape before overwriting it
+          const previousDivision = await this.writer.readExistingData(path.join('divisions', `${divisionKey}.json`));
+          const divisionScheduleChanges = this.scheduleChangeLog.compareDivision(
+            divisionKey,
+            previousDivision,
+            divisionFormatted,
+            formattedData.metadata.lastUpdated
+          );
+          scheduleChanges.push(...divisionScheduleChanges);
+          changeEvents.push(...this.changeEventLog.compareDivision(
+            divisionKey,
+            previousDivision,
+            divisionFormatted,
+            divisionScheduleChanges,
+            formattedData.metadata.lastUpdated
+          ));
+          
           await this.writer.writeDivisionData(division, tier, divisionFormatted);
+          divisionFiles[divisionKey] = divisionFormatted;
         }
         
+        // Keep a dated copy of the standings for the history endpoints
+        await this.writer.writeStandingsSnapshot(
+          this.history.buildSnapshot(divisionFiles, formattedData.metadata.lastUpdated),
+          this.history
+        );
+        
+        // Rescheduled, cancelled and new games since the last scrape
+        await this.writer.writeScheduleChanges(scheduleChanges, this.scheduleChangeLog);
+        
+        // Standings and schedule events for emails, stories and /api/changes
+        await this.writer.writeChangeEvents(changeEvents, this.changeEventLog);
+        
         // Create optimized files
         console.log('🔧 Creating optimized data files...');
         await this.optimizer.createOptimizedFiles();
         
-        // Check for standings changes and send email notifications
+        // Send email and push notifications and webhooks for this run's change events
+        const runId = this.getRunId(formattedData.metadata.lastUpdated);
         if (this.emailService.isConfigured && previousStandings) {
           console.log('📧 Checking for standings changes...');
-          await this.checkAndSendNotifications(previousStandings, formattedData);
+          await this.checkAndSendNotifications(divisionFiles, changeEvents, runId);
         } else if (!this.emailService.isConfigured) {
           console.log('📧 Email service not configured - skipping notifications');
         }
+        await this.sendPushNotifications(changeEvents, runId);
+        await this.deliverWebhooks(changeEvents, [], runId);
 
         // Check for story-worthy changes and generate new stories
+        let stories = null;
         if (previousStandings) {
           console.log('📰 Checking for story-worthy changes...');
-          await this.checkAndGenerateStories(previousStandings, formattedData);
+          stories = await this.checkAndGenerateStories(previousStandings, formattedData);
         } else {
           console.log('📰 No previous standings for story comparison - generating initial stories...');
-          await this.generateInitialStories(formattedData);
+          stories = await this.generateInitialStories(formattedData);
+        }
+        if (stories && stories.length > 0) {
+          await this.deliverWebhooks([], stories, runId);
         }
         
         const duration = Date.now() - this.startTime;
@@ -233,68 +286,96 @@ class GitHubActionScraper {
     }
   }
 
-  async checkAndSendNotifications(previousStandings, newStandings) {
+  // Identifies this scrape to the email outbox, push notifications and webhooks.
+  // Re-running a workflow run keeps GITHUB_RUN_ID, so nothing is sent twice.
+  getRunId(scrapedAt) {
+    return process.env.GITHUB_RUN_ID ? `gh-${process.env.GITHUB_RUN_ID}` : `local-${scrapedAt}`;
+  }
+
+  // Division emails for standings moves and results, then team emails for
+  // followers of teams that played, moved or had schedule changes. changeEvents
+  // are this run's events (see src/scraper/change-events.js), divisionFiles the
+  // freshly formatted division files by key.
+  async checkAndSendNotifications(divisionFiles, changeEvents = [], runId = this.getRunId(new Date().toISOString())) {
     try {
       console.log('📧 Starting email notification check...');
+
+      // Emails left over from an earlier run that died or hit errors
+      await this.emailService.flushOutbox();
+
       let totalNotificationsSent = 0;
       let divisionsChecked = 0;
       let changesDetected = 0;
       
-      // Check each division for changes
-      if (previousStandings && previousStandings.divisions && newStandings && newStandings.divisions) {
-        for (const [divisionKey, newDivisionData] of Object.entries(newStandings.divisions)) {
-          const oldDivisionData = previousStandings.divisions[divisionKey];
-          
-          if (!oldDivisionData) {
-            console.log(`📧 New division detected: ${divisionKey} - skipping notifications for first appearance`);
-            continue;
-          }
+      for (const [divisionKey, divisionFile] of Object.entries(divisionFiles || {})) {
+        divisionsChecked++;
+        const events = changeEvents.filter(event => event.division === divisionKey);
+        const newTeams = this.convertToEmailFormat(divisionFile.standings?.teams || []);
+        
+        if (events.length === 0) {
+          continue;
+        }
+        
+        if (newTeams.length === 0) {
+          console.log(`📧 Skipping ${divisionKey} - missing data`);
+          continue;
+        }
+        
+        const games = divisionFile.schedule?.allGames || [];
+        const { results, standings } = this.emailService.groupChanges(events);
+        let divisionRecipients = [];
+        
+        // A division email goes out when teams moved or games were played
+        if (standings.length > 0 || results.length > 0) {
+          changesDetected += events.length;
+          console.log(`📧 Changes detected in ${divisionKey}: ${standings.length} standings moves, ${results.length} results`);
+          console.log(`📧 Changes: ${events.map(event => describeEvent(event)).join(' | ')}`);
           
-          // Check each tier within the division
-          for (const [tierKey, newTierData] of Object.entries(newDivisionData.tiers || {})) {
-            divisionsChecked++;
-            const oldTierData = oldDivisionData.tiers?.[tierKey];
-            
-            if (!oldTierData || !newTierData.teams || !oldTierData.teams) {
-              console.log(`📧 Skipping ${divisionKey}/${tierKey} - missing data`);
-              continue;
-            }
+          try {
+            const result = await this.emailService.sendDivisionStandingsUpdate(
+              divisionKey, 
+              newTeams, 
+              events,
+              runId,
+              games
+            );
             
-            // Convert tier data to the format expected by email service
-            const oldTeams = this.convertToEmailFormat(oldTierData.teams);
-            const newTeams = this.convertToEmailFormat(newTierData.teams);
+            // Includes subscribers emailed by an earlier attempt at this run
+            divisionRecipients = result.recipients || [];
             
-            // Debug: Log team counts
-            console.log(`📧 Checking ${divisionKey}/${tierKey}: ${oldTeams.length} old teams, ${newTeams.length} new teams`);
-            
-            // Check for changes in this division/tier
-            const changes = this.emailService.detectStandingsChanges(oldTeams, newTeams);
+            if (result.sent) {
+              totalNotificationsSent += result.count || 0;
+              console.log(`✅ Sent ${result.count || 0} notifications for ${divisionKey}`);
+            } else if (result.skipped > 0) {
+              console.log(`📧 ${divisionKey} notifications were already sent for this run`);
+            } else if (divisionRecipients.length === 0) {
+              console.log(`📧 No subscribers for ${divisionKey}`);
+            }
+          } catch (emailError) {
+            console.error(`❌ Failed to send notifications for ${divisionKey}:`, emailError.message);
+          }
+        }
+        
+        // Followers of individual teams, except those who just got the division email
+        const teamChanges = this.emailService.detectTeamChanges(events);
+        
+        if (teamChanges.length > 0) {
+          try {
+            const result = await this.emailService.sendTeamUpdates(
+              divisionKey,
+              newTeams,
+              teamChanges,
+              divisionRecipients,
+              runId,
+              games
+            );
             
-            if (changes && changes.length > 0) {
-              changesDetected += changes.length;
-              console.log(`📧 Changes detected in ${divisionKey}/${tierKey}: ${changes.length} changes`);
-              console.log(`📧 Changes: ${JSON.stringify(changes)}`);
-              
-              // Construct division key for email service
-              const emailDivisionKey = `${divisionKey}-${tierKey}`;
-              
-              try {
-                const result = await this.emailService.sendDivisionStandingsUpdate(
-                  emailDivisionKey, 
-                  newTeams, 
-                  changes
-                );
-                
-                if (result.sent) {
-                  totalNotificationsSent += result.count || 0;
-                  console.log(`✅ Sent ${result.count || 0} notifications for ${emailDivisionKey}`);
-                } else {
-                  console.log(`📧 No subscribers for ${emailDivisionKey}`);
-                }
-              } catch (emailError) {
-                console.error(`❌ Failed to send notifications for ${emailDivisionKey}:`, emailError.message);
-              }
+            if (result.sent) {
+              totalNotificationsSent += result.count || 0;
+              console.log(`✅ Sent ${result.count || 0} team notifications for ${divisionKey}`);
             }
+          } catch (emailError) {
+            console.error(`❌ Failed to send team notifications for ${divisionKey}:`, emailError.message);
           }
         }
       }
@@ -315,21 +396,45 @@ class GitHubActionScraper {
   }
 
   convertToEmailFormat(teams) {
-    return teams.map(team => ({
-      position: team.pos,
-      team: team.team,
-      teamCode: team.team, // Use team name as unique identifier instead of position-based code
-      wins: team.w,
-      losses: team.l,
-      ties: team.t,
-      winPercentage: team.pct,
-      points: team.points || (team.w * 2 + team.t),
-      runsFor: team.rf,
-      runsAgainst: team.ra
-    }));
+    return teams.map(team => {
+      const stats = normalizeTeam(team);
+      return {
+        position: stats.position,
+        team: stats.team,
+        teamCode: stats.teamCode, // YSBA team id (null in the compact previous standings, which are matched by name)
+        wins: stats.wins,
+        losses: stats.losses,
+        ties: stats.ties,
+        winPercentage: stats.winPercentage.toFixed(3),
+        points: stats.points,
+        runsFor: stats.runsFor,
+        runsAgainst: stats.runsAgainst,
+        tiebreaker: team.tiebreaker || null
+      };
+    });
   }
 
-  // Check for story-worthy changes and generate new stories if needed
+  // Push this run's results, moves and schedule changes to followers' devices
+  async sendPushNotifications(changeEvents = [], runId) {
+    try {
+      await this.push.sendChangeNotifications(changeEvents, runId);
+    } catch (error) {
+      console.error('❌ Error sending push notifications:', error.message);
+    }
+  }
+
+  // POST change events and new stories to registered webhooks, plus any
+  // deliveries still waiting for a retry from earlier runs
+  async deliverWebhooks(changeEvents = [], stories = [], runId) {
+    try {
+      await this.webhooks.deliver(changeEvents, stories, runId);
+    } catch (error) {
+      console.error('❌ Error delivering webhooks:', error.message);
+    }
+  }
+
+  // Check for story-worthy changes and generate new stories if needed; returns
+  // the new stories, or null when the current ones are kept
   async checkAndGenerateStories(previousStandings, newStandings) {
     try {
       console.log('📰 Analyzing standings for story-worthy changes...');
@@ -349,6 +454,7 @@ class GitHubActionScraper {
         
         if (stories && stories.length > 0) {
           console.log(`✅ Generated ${stories.length} new stories based on recent changes`);
+          return stories;
         } else {
           console.log('⚠️ Story generation failed or returned empty results');
         }
@@ -361,6 +467,7 @@ class GitHubActionScraper {
     } catch (error) {
       console.error('❌ Error checking/generating stories:', error.message);
     }
+    return null;
   }
 
   // Generate initial stories when no previous standings exist
@@ -372,6 +479,7 @@ class GitHubActionScraper {
       
       if (stories && stories.length > 0) {
         console.log(`✅ Generated ${stories.length} initial stories`);
+        return stories;
       } else {
         console.log('⚠️ Initial story generation failed or returned empty results');
       }
@@ -379,6 +487,7 @@ class GitHubActionScraper {
     } catch (error) {
       console.error('❌ Error generating initial stories:', error.message);
     }
+    return null;
   }
 
   // Detect story-worthy changes between old and new standings
@@ -398,16 +507,21 @@ class GitHubActionScraper {
         continue;
       }
       
-      // Check each tier within the division
+      // Check each tier within the division, diffed into change events
       for (const [tierKey, newTierData] of Object.entries(newDivisionData.tiers || {})) {
-        const oldTierData = oldDivisionData.tiers?.[tierKey];
+        const oldTierTeams = this.getRankedTierTeams(oldDivisionData.tiers?.[tierKey]);
+        const newTierTeams = this.getRankedTierTeams(newTierData);
         
-        if (!oldTierData || !newTierData.teams || !oldTierData.teams) {
+        if (oldTierTeams.length === 0 || newTierTeams.length === 0) {
           continue;
         }
         
         const divisionName = `${divisionKey}/${tierKey}`;
-        const tierTriggers = this.detectTierStoryTriggers(oldTierData.teams, newTierData.teams, divisionName);
+        const tierTriggers = this.detectTierStoryTriggers(
+          diffStandings(oldTierTeams, newTierTeams),
+          newTierTeams,
+          divisionName
+        );
         triggers.push(...tierTriggers);
       }
     }
@@ -415,105 +529,107 @@ class GitHubActionScraper {
     return triggers;
   }
 
-  // Detect story triggers within a specific tier
-  detectTierStoryTriggers(oldTeams, newTeams, divisionName) {
+  // Teams for a tier, ranked by the shared tiebreaker rules. Handles both the
+  // compact ysba-standings.json tiers ({ teams }) and freshly formatted tiers
+  // ({ standings: { teams }, schedule: { allGames } }).
+  getRankedTierTeams(tierData) {
+    const teams = tierData?.teams || tierData?.standings?.teams;
+    if (!teams || teams.length === 0) return [];
+
+    return rankTeams(teams, tierData.schedule?.allGames);
+  }
+
+  // Detect story triggers within a specific tier from its change events
+  // (see diffStandings). teams is the current ranked table
+  detectTierStoryTriggers(events, teams, divisionName) {
     const triggers = [];
+    const formatRecord = record => `${record.wins}-${record.losses}${record.ties ? `-${record.ties}` : ''}`;
+    const gamesPlayed = record => record.wins + record.losses + (record.ties || 0);
+    const winPct = record => gamesPlayed(record) > 0 ? record.wins / gamesPlayed(record) : 0;
     
-    // Create lookup maps
-    const oldTeamsMap = {};
-    const newTeamsMap = {};
-    
-    oldTeams.forEach(team => oldTeamsMap[team.team] = team);
-    newTeams.forEach(team => newTeamsMap[team.team] = team);
-    
-    // Check each team for story-worthy changes
-    newTeams.forEach(newTeam => {
-      const oldTeam = oldTeamsMap[newTeam.team];
-      
-      if (!oldTeam) {
-        triggers.push({ type: 'new_team', team: newTeam.team, division: divisionName });
-        return;
+    events.forEach(event => {
+      if (event.type === EVENT_TYPES.TEAM_ADDED) {
+        triggers.push({ type: 'new_team', team: event.team, division: divisionName });
       }
       
-      // First win trigger (team went from 0 wins to 1+ wins)
-      if (oldTeam.w === 0 && newTeam.w >= 1) {
-        triggers.push({ 
-          type: 'first_win', 
-          team: newTeam.team, 
-          division: divisionName,
-          record: `${newTeam.w}-${newTeam.l}${newTeam.t ? `-${newTeam.t}` : ''}`
-        });
-      }
-      
-      // Undefeated milestone (team reaches 3+ wins undefeated)
-      if (newTeam.l === 0 && newTeam.w >= 3 && (oldTeam.w < 3 || oldTeam.l > 0)) {
-        triggers.push({ 
-          type: 'undefeated_milestone', 
-          team: newTeam.team, 
-          division: divisionName,
-          record: `${newTeam.w}-${newTeam.l}${newTeam.t ? `-${newTeam.t}` : ''}`
-        });
-      }
-      
-      // Hot streak (team gains 2+ wins since last check and has high win rate)
-      const winsGained = newTeam.w - oldTeam.w;
-      const totalGames = newTeam.w + newTeam.l + (newTeam.t || 0);
-      const winPct = totalGames > 0 ? newTeam.w / totalGames : 0;
-      
-      if (winsGained >= 2 && winPct >= 0.75 && newTeam.w >= 3) {
-        triggers.push({ 
-          type: 'hot_streak', 
-          team: newTeam.team, 
-          division: divisionName,
-          winsGained,
-          record: `${newTeam.w}-${newTeam.l}${newTeam.t ? `-${newTeam.t}` : ''}`
-        });
-      }
-      
-      // Position changes - more sensitive for top positions
-      const positionChange = oldTeam.pos - newTeam.pos; // positive = moved up
-      const isTopPosition = newTeam.pos <= 3 || oldTeam.pos <= 3; // Top 3 positions
-      
-      // Trigger for: 2+ spot changes anywhere, OR 1+ spot changes in top 3
-      if (Math.abs(positionChange) >= 2 || (isTopPosition && Math.abs(positionChange) >= 1)) {
-        triggers.push({ 
-          type: 'position_change', 
-          team: newTeam.team, 
-          division: divisionName,
-          positionChange,
-          oldPosition: oldTeam.pos,
-          newPosition: newTeam.pos
-        });
+      if (event.type === EVENT_TYPES.RECORD_CHANGE) {
+        const { record, previousRecord } = event;
+        
+        // First win trigger (team went from 0 wins to 1+ wins)
+        if (previousRecord.wins === 0 && record.wins >= 1) {
+          triggers.push({ 
+            type: 'first_win', 
+            team: event.team, 
+            division: divisionName,
+            record: formatRecord(record)
+          });
+        }
+        
+        // Undefeated milestone (team reaches 3+ wins undefeated)
+        if (record.losses === 0 && record.wins >= 3 && (previousRecord.wins < 3 || previousRecord.losses > 0)) {
+          triggers.push({ 
+            type: 'undefeated_milestone', 
+            team: event.team, 
+            division: divisionName,
+            record: formatRecord(record)
+          });
+        }
+        
+        // Hot streak (team gains 2+ wins since last check and has high win rate)
+        const winsGained = record.wins - previousRecord.wins;
+        
+        if (winsGained >= 2 && winPct(record) >= 0.75 && record.wins >= 3) {
+          triggers.push({ 
+            type: 'hot_streak', 
+            team: event.team, 
+            division: divisionName,
+            winsGained,
+            record: formatRecord(record)
+          });
+        }
+        
+        // Breakthrough moment (team reaches .500 or better after being below .500)
+        if (winPct(previousRecord) < 0.5 && winPct(record) >= 0.5 && gamesPlayed(record) >= 4) {
+          triggers.push({ 
+            type: 'breakthrough', 
+            team: event.team, 
+            division: divisionName,
+            record: formatRecord(record)
+          });
+        }
       }
       
-      // Breakthrough moment (team reaches .500 or better after being below .500)
-      const oldWinPct = (oldTeam.w + oldTeam.l + (oldTeam.t || 0)) > 0 ? 
-        oldTeam.w / (oldTeam.w + oldTeam.l + (oldTeam.t || 0)) : 0;
-      
-      if (oldWinPct < 0.5 && winPct >= 0.5 && totalGames >= 4) {
-        triggers.push({ 
-          type: 'breakthrough', 
-          team: newTeam.team, 
-          division: divisionName,
-          record: `${newTeam.w}-${newTeam.l}${newTeam.t ? `-${newTeam.t}` : ''}`
-        });
+      if (event.type === EVENT_TYPES.POSITION_CHANGE) {
+        // Position changes - more sensitive for top positions
+        const positionChange = event.previousPosition - event.position; // positive = moved up
+        const isTopPosition = event.position <= 3 || event.previousPosition <= 3; // Top 3 positions
+        
+        // Trigger for: 2+ spot changes anywhere, OR 1+ spot changes in top 3
+        if (Math.abs(positionChange) >= 2 || (isTopPosition && Math.abs(positionChange) >= 1)) {
+          triggers.push({ 
+            type: 'position_change', 
+            team: event.team, 
+            division: divisionName,
+            positionChange,
+            oldPosition: event.previousPosition,
+            newPosition: event.position
+          });
+        }
       }
     });
     
-    // Check for tight division races
-    if (newTeams.length >= 3) {
-      const sortedTeams = [...newTeams].sort((a, b) => b.w - a.w || a.l - b.l);
-      const leader = sortedTeams[0];
-      const secondPlace = sortedTeams[1];
+    // Check for tight division races (teams arrive already ranked)
+    if (teams.length >= 3) {
+      const [leader, secondPlace] = teams.map(normalizeTeam);
       
-      if (leader.w - secondPlace.w <= 1 && leader.w >= 3) {
+      if (leader.wins - secondPlace.wins <= 1 && leader.wins >= 3) {
         triggers.push({ 
           type: 'tight_race', 
           division: divisionName,
           leader: leader.team,
           secondPlace: secondPlace.team,
-          leaderRecord: `${leader.w}-${leader.l}${leader.t ? `-${leader.t}` : ''}`,
-          secondRecord: `${secondPlace.w}-${secondPlace.l}${secondPlace.t ? `-${secondPlace.t}` : ''}`
+          leaderRecord: formatRecord(leader),
+          secondRecord: formatRecord(secondPlace)
         });
       }
     }
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * YSBA Live Digest Emails
+ *
+ * Runs once a day from GitHub Actions (.github/workflows/digests.yml) and
+ * emails subscribers who chose a daily or weekly digest instead of an email
+ * per change. Weekly digests go out on config.WEEKLY_DIGEST_DAY.
+ *
+ * Digests go through the notification outbox with one run id per frequency
+ * and Ontario day, so running the job twice on the same day sends nothing new.
+ *
+ * Usage:
+ *   node scripts/send-digests.js             # daily, plus weekly on the weekly day
+ *   node scripts/send-digests.js weekly      # only weekly digests
+ *   node scripts/send-digests.js --dry-run   # print what would be sent
+ */
+
+const EmailService = require('../email-service');
+const DigestBuilder = require('../digest-builder');
+const { DIGEST_PERIOD_DAYS } = require('../digest-builder');
+const config = require('../config');
+
+class DigestJob {
+  constructor({ emailService = new EmailService(), builder = null } = {}) {
+    this.emailService = emailService;
+    this.builder = builder || new DigestBuilder({ emailService });
+  }
+
+  // Frequencies due at this time: daily always, weekly on the weekly day
+  getDueFrequencies(now = Date.now()) {
+    const weekday = new Date(now).toLocaleDateString('en-CA', { timeZone: config.TIMEZONE, weekday: 'long' });
+    return weekday.toLowerCase() === config.WEEKLY_DIGEST_DAY.toLowerCase() ? ['daily', 'weekly'] : ['daily'];
+  }
+
+  // digest-<frequency>-<Ontario date>, the outbox key prefix for this send
+  getRunId(frequency, now = Date.now()) {
+    const day = new Date(now).toLocaleDateString('en-CA', { timeZone: config.TIMEZONE });
+    return `digest-${frequency}-${day}`;
+  }
+
+  async run(frequencies = this.getDueFrequencies(), { dryRun = false, now = Date.now() } = {}) {
+    console.log(`📰 YSBA Live digests: ${frequencies.join(', ')}${dryRun ? ' (dry run)' : ''}`);
+
+    if (!this.emailService.isConfigured && !dryRun) {
+      console.log('📧 Email service not configured - skipping digests');
+      return [];
+    }
+
+    const results = [];
+    for (const frequency of frequencies) {
+      results.push(await this.sendDigests(frequency, { dryRun, now }));
+    }
+    return results;
+  }
+
+  // Build and send one frequency's digests. Subscribers with nothing new get
+  // no email, but their lastDigestAt still moves on.
+  async sendDigests(frequency, { dryRun = false, now = Date.now() } = {}) {
+    if (!DIGEST_PERIOD_DAYS[frequency]) {
+      throw new Error(`Unknown digest frequency "${frequency}"`);
+    }
+
+    const until = new Date(now);
+    const runId = this.getRunId(frequency, now);
+    const subscribers = await this.emailService.getDigestSubscribers(frequency);
+    const messages = [];
+    let digests = 0;
+
+    for (const subscriber of subscribers) {
+      const since = this.builder.getSince(subscriber, frequency, now);
+      const digest = await this.builder.buildDigest(subscriber, { since, until });
+
+      if (digest.changeCount === 0) {
+        continue;
+      }
+      digests++;
+
+      if (dryRun) {
+        console.log(`\n📧 ${subscriber.email}: ${digest.changeCount} updates`);
+        console.log(this.emailService.generateDigestTextEmail(subscriber, digest, frequency));
+        continue;
+      }
+
+      messages.push({
+        runId,
+        kind: 'digest',
+        divisionKey: null,
+        subscriberId: subscriber.id,
+        to: subscriber.email,
+        subject: `⚾ Your ${frequency === 'weekly' ? 'Weekly' : 'Daily'} YSBA Digest: ${digest.changeCount} update${digest.changeCount === 1 ? '' : 's'}`,
+        html: this.emailService.generateDigestEmail(subscriber, digest, frequency),
+        text: this.emailService.generateDigestTextEmail(subscriber, digest, frequency)
+      });
+    }
+
+    console.log(`📰 ${frequency}: ${subscribers.length} subscribers, ${digests} with updates`);
+
+    if (dryRun) {
+      return { frequency, runId, subscribers: subscribers.length, digests };
+    }
+
+    const delivery = messages.length > 0
+      ? await this.emailService.deliverNotifications(messages)
+      : { count: 0, queued: 0, skipped: 0, retrying: 0, failed: 0 };
+    await this.emailService.markDigestsSent(subscribers.map(subscriber => subscriber.id), until.toISOString());
+
+    return { frequency, runId, subscribers: subscribers.length, digests, ...delivery };
+  }
+}
+
+// Run the job if this file is executed directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const frequencies = args.filter(arg => !arg.startsWith('--'));
+  const job = new DigestJob();
+
+  job.run(frequencies.length > 0 ? frequencies : job.getDueFrequencies(), { dryRun: args.includes('--dry-run') })
+    .then(results => {
+      results.forEach(result => console.log(`✅ ${result.frequency}: ${result.digests} digests (${result.count || 0} sent now)`));
+    })
+    .catch(error => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = DigestJob;
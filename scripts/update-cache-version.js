@@ -11,9 +11,11 @@ console.log(`🔄 Updating cache version to: ${cacheVersion}`);
 // Files to update
 const filesToUpdate = [
   'public/index.html',
+  'public/admin.html',
   'public/backup.html',
   'public/manage.html',
-  'public/standings.html'
+  'public/standings.html',
+  'public/team.html'
 ];
 
 // Update each file
@@ -27,6 +29,9 @@ filesToUpdate.forEach(filePath => {
     content = content.replace(/\/js\/dev-utils\.js\?v=\d+/g, `/js/dev-utils.js?v=${cacheVersion}`);
     content = content.replace(/\/js\/backup\.js\?v=\d+/g, `/js/backup.js?v=${cacheVersion}`);
     content = content.replace(/js\/manage\.js\?v=\d+/g, `js/manage.js?v=${cacheVersion}`);
+    content = content.replace(/\/js\/team-page\.js\?v=\d+/g, `/js/team-page.js?v=${cacheVersion}`);
+    content = content.replace(/\/js\/admin\.js\?v=\d+/g, `/js/admin.js?v=${cacheVersion}`);
+    content = content.replace(/\/js\/push-notifications\.js\?v=\d+/g, `/js/push-notifications.js?v=${cacheVersion}`);
     
     // Update icon version numbers (favicon and app icons)
     content = content.replace(/\/icons\/icon\.svg(\?v=\d+)?/g, `/icons/icon.svg?v=${cacheVersion}`);
@@ -44,4 +49,13 @@ filesToUpdate.forEach(filePath => {
   }
 });
 
+// Version the service worker's caches so each deploy replaces the last one's
+const serviceWorkerPath = 'public/sw.js';
+if (fs.existsSync(serviceWorkerPath)) {
+  const content = fs.readFileSync(serviceWorkerPath, 'utf8')
+    .replace(/const CACHE_VERSION = '\d+';/, `const CACHE_VERSION = '${cacheVersion}';`);
+  fs.writeFileSync(serviceWorkerPath, content);
+  console.log(`✅ Updated ${serviceWorkerPath}`);
+}
+
 console.log(`🎉 Cache version update complete!`); 
\ No newline at end of file
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Local webhook receiver
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=<secret> node scripts/webhook-receiver.js [port]
+ *
+ * Prints each delivery and checks its X-YSBA-Signature against
+ * WEBHOOK_SECRET (the secret shown when the webhook was registered), answering
+ * 401 when it doesn't match. Register http://localhost:<port>/ as a webhook in
+ * the admin console and use "Test", or run the scraper locally.
+ */
+
+require('dotenv').config();
+
+const http = require('http');
+const { verifySignature } = require('../webhooks');
+
+const port = parseInt(process.argv[2], 10) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+
+if (!secret) {
+  console.warn('⚠️  WEBHOOK_SECRET not set - signatures will not be checked');
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const event = req.headers['x-ysba-event'];
+    const delivery = req.headers['x-ysba-delivery'];
+
+    if (secret && !verifySignature(secret, req.headers['x-ysba-timestamp'], body, req.headers['x-ysba-signature'])) {
+      console.log(`❌ ${event} ${delivery}: bad signature`);
+      res.writeHead(401).end();
+      return;
+    }
+
+    console.log(`🪝 ${event} ${delivery}${secret ? ' (signature ok)' : ''}`);
+    try {
+      const payload = JSON.parse(body);
+      (payload.changes || []).forEach(change => console.log(`   • ${change.description}`));
+      (payload.stories || []).forEach(story => console.log(`   • ${story.headline}`));
+      if (payload.message) console.log(`   • ${payload.message}`);
+    } catch {
+      console.log(`   ${body}`);
+    }
+
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🪝 Webhook receiver listening on http://localhost:${port}/`);
+});
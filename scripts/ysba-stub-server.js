@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * YSBA Stub Server
+ *
+ * Mimics the ASP.NET postback flow of xStanding.aspx and xScheduleMM.aspx using
+ * the saved snapshots in fixtures/ysba/. Either scraper engine can be pointed at
+ * it to exercise the full navigate -> select -> search -> paginate flow offline.
+ *
+ * Like the real site, every postback must echo the __VIEWSTATE/__EVENTVALIDATION
+ * issued with the previous response for the same session, otherwise it fails.
+ *
+ * Usage:
+ *   node scripts/ysba-stub-server.js               # listens on port 3100
+ *   YSBA_URL=http://127.0.0.1:3100/Club/xStanding.aspx \
+ *   YSBA_SCHEDULE_URL=http://127.0.0.1:3100/Club/xScheduleMM.aspx npm run test-worker
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const FixtureStore = require('../src/scraper/fixtures');
+const config = require('../config');
+
+const STANDINGS_PATH = '/Club/xStanding.aspx';
+const SCHEDULE_PATH = '/Club/xScheduleMM.aspx';
+const PAGE_TWO_TARGET = 'dgGrid$ctl104$ctl02';
+
+function createStubApp(options = {}) {
+  const fixtures = new FixtureStore(options.fixturesDir || config.SCRAPER_FIXTURES_DIR);
+  const sessions = new Map();
+  const app = express();
+
+  app.use(express.urlencoded({ extended: false }));
+
+  const escapeAttr = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+  // Dropdown values come straight from the configured divisions
+  const divisionOptions = () => {
+    const options = new Map();
+    Object.values(config.DIVISIONS).forEach(division => options.set(division.ysbaValue, division.displayName));
+    return Array.from(options);
+  };
+
+  const tierOptions = () => {
+    const options = new Map();
+    Object.values(config.DIVISIONS).forEach(division => {
+      Object.values(division.tiers).forEach(tier => options.set(tier.ysbaValue, tier.displayName));
+    });
+    return Array.from(options);
+  };
+
+  const renderSelect = (name, choices, selected, autoPostBack = false) => {
+    const onChange = autoPostBack
+      ? ` onchange="javascript:setTimeout(&#39;__doPostBack(\\&#39;${name}\\&#39;,\\&#39;\\&#39;)&#39;, 0)"`
+      : '';
+    const optionsHtml = choices
+      .map(([value, label]) => `<option${value === selected ? ' selected="selected"' : ''} value="${escapeAttr(value)}">${label}</option>`)
+      .join('\n');
+    return `<select name="${name}" id="${name}"${onChange}>\n${optionsHtml}\n</select>`;
+  };
+
+  const renderForm = (pagePath, fields) => {
+    const isSchedule = pagePath === SCHEDULE_PATH;
+    const secondSelect = isSchedule
+      ? renderSelect('ddlCategory', [['1', 'Regular'], ['2', 'Playoffs']], fields.ddlCategory || '1')
+      : renderSelect('ddlTier', tierOptions(), fields.ddlTier || '__ALL__');
+
+    return `<!DOCTYPE html>
+<html>
+<head><title>${pagePath}</title></head>
+<body>
+<form name="form1" method="post" action=".${pagePath.slice(pagePath.lastIndexOf('/'))}" id="form1">
+<input type="hidden" name="__EVENTTARGET" id="__EVENTTARGET" value="" />
+<input type="hidden" name="__EVENTARGUMENT" id="__EVENTARGUMENT" value="" />
+<input type="hidden" name="__VIEWSTATE" id="__VIEWSTATE" value="" />
+<input type="hidden" name="__EVENTVALIDATION" id="__EVENTVALIDATION" value="" />
+${renderSelect('ddlDivision', divisionOptions(), fields.ddlDivision, true)}
+${secondSelect}
+<input type="submit" name="cmdSearch" value="Search" id="cmdSearch" />
+</form>
+</body>
+</html>`;
+  };
+
+  // Stamp fresh form state into a page and remember it for the session
+  const issueState = (session, html) => {
+    session.viewState = crypto.randomBytes(12).toString('base64');
+    session.eventValidation = crypto.randomBytes(12).toString('base64');
+
+    return html
+      .replace(/(name="__VIEWSTATE"[^>]*value=")[^"]*"/, `$1${session.viewState}"`)
+      .replace(/(name="__EVENTVALIDATION"[^>]*value=")[^"]*"/, `$1${session.eventValidation}"`);
+  };
+
+  const getSession = (req, res) => {
+    const cookie = (req.headers.cookie || '').match(/ASP\.NET_SessionId=([^;]+)/);
+    if (cookie && sessions.has(cookie[1])) {
+      return sessions.get(cookie[1]);
+    }
+
+    const id = crypto.randomBytes(12).toString('hex');
+    const session = { id };
+    sessions.set(id, session);
+    res.setHeader('Set-Cookie', `ASP.NET_SessionId=${id}; path=/; HttpOnly`);
+    return session;
+  };
+
+  const handleGet = (pagePath) => (req, res) => {
+    const session = getSession(req, res);
+    res.type('html').send(issueState(session, renderForm(pagePath, {})));
+  };
+
+  const handlePost = (pagePath) => async (req, res) => {
+    const session = getSession(req, res);
+    const fields = req.body || {};
+
+    if (!session.viewState ||
+        fields.__VIEWSTATE !== session.viewState ||
+        fields.__EVENTVALIDATION !== session.eventValidation) {
+      return res.status(500).type('html').send('<h1>Validation of viewstate MAC failed.</h1>');
+    }
+
+    try {
+      let page = null;
+
+      if (fields.cmdSearch) {
+        page = pagePath === SCHEDULE_PATH
+          ? await fixtures.loadPage(fixtures.scheduleFileName(fields.ddlDivision, 1))
+          : await fixtures.loadPage(fixtures.standingsFileName(fields.ddlDivision, fields.ddlTier));
+      } else if (pagePath === SCHEDULE_PATH && fields.__EVENTTARGET === PAGE_TWO_TARGET) {
+        page = await fixtures.loadPage(fixtures.scheduleFileName(fields.ddlDivision, 2));
+      }
+
+      // Autopostbacks and searches without a snapshot re-render the bare form
+      const html = page ? await page.content() : renderForm(pagePath, fields);
+      res.type('html').send(issueState(session, html));
+    } catch (error) {
+      res.status(500).type('html').send(`<h1>${error.message}</h1>`);
+    }
+  };
+
+  app.get(STANDINGS_PATH, handleGet(STANDINGS_PATH));
+  app.post(STANDINGS_PATH, handlePost(STANDINGS_PATH));
+  app.get(SCHEDULE_PATH, handleGet(SCHEDULE_PATH));
+  app.post(SCHEDULE_PATH, handlePost(SCHEDULE_PATH));
+
+  return app;
+}
+
+// Start listening; resolves with the server and the URLs to point a scraper at
+function startStubServer(port = 0, options = {}) {
+  const app = createStubApp(options);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        server,
+        standingsUrl: `${baseUrl}${STANDINGS_PATH}`,
+        scheduleUrl: `${baseUrl}${SCHEDULE_PATH}`
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+// Run the stub server if this file is executed directly
+if (require.main === module) {
+  const port = parseInt(process.env.STUB_PORT || '3100', 10);
+  startStubServer(port).then(({ standingsUrl, scheduleUrl }) => {
+    console.log('🧪 YSBA stub server running');
+    console.log(`   Standings: ${standingsUrl}`);
+    console.log(`   Schedule:  ${scheduleUrl}`);
+  });
+}
+
+module.exports = { createStubApp, startStubServer };
@@ -6,13 +6,69 @@ const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
 const EmailService = require('./email-service');
+const { DELIVERY_PREFERENCES } = require('./email-service');
 const AIStoryService = require('./ai-story-service');
 const config = require('./config');
+const { buildTeamProfile } = require('./team-stats');
+const { followsDivision, GROWTH_INTERVALS } = require('./subscriber-stats');
+const { buildCalendar, countReschedules } = require('./calendar-feed');
+const { buildAtomFeed, FEED_LIMIT, FEED_EVENT_TYPES } = require('./change-feed');
+const StandingsHistory = require('./src/scraper/history');
+const { parseAsOf } = require('./src/scraper/history');
+const ScheduleChangeLog = require('./src/scraper/schedule-diff');
+const { CHANGE_TYPES } = require('./src/scraper/schedule-diff');
+const ChangeEventLog = require('./src/scraper/change-events');
+const { EVENT_TYPES, describeEvent } = require('./src/scraper/change-events');
+const WebhookService = require('./webhooks');
+const PushNotificationService = require('./push-notifications');
+const PublishedDataStore = require('./data-store');
+const { sendCachedJson } = require('./data-store');
+const LiveUpdateService = require('./live-updates');
+const PublicApi = require('./api-v1');
+const AdminAuth = require('./admin-auth');
+const { createRateLimiter } = require('./admin-auth');
 const fs = require('fs').promises;
 
 const app = express();
 const emailService = new EmailService();
 const aiStoryService = new AIStoryService();
+const standingsHistory = new StandingsHistory();
+const scheduleChangeLog = new ScheduleChangeLog();
+const changeEventLog = new ChangeEventLog();
+const webhookService = new WebhookService({ gist: emailService.getGistStore('ysba-webhooks.json') });
+const pushService = new PushNotificationService({ gist: emailService.getGistStore('ysba-push-subscriptions.json') });
+const dataStore = new PublishedDataStore();
+const liveUpdates = new LiveUpdateService({ store: dataStore });
+const publicApi = new PublicApi({ store: dataStore, standingsHistory, changeEventLog });
+const adminAuth = new AdminAuth();
+
+// Rate limits for admin sign-in attempts and admin API calls
+const adminLoginLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many sign-in attempts, please try again in 15 minutes'
+});
+const adminApiLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 60 });
+const adminOnly = [adminApiLimiter, adminAuth.requireAdmin];
+
+// Each sign-up can send a confirmation email, so cap them per IP
+const subscribeLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many sign-up attempts, please try again later'
+});
+
+// Push topic changes save to the gist, so keep them to a reasonable rate too
+const pushLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many push notification changes, please try again later'
+});
+
+// Render terminates TLS in front of the app; trust it for req.ip and secure cookies
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
 
 // Security middleware
 app.use(helmet({
@@ -71,6 +127,23 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Admin pages: the backup page needs a signed-in admin, the console signs you in
+app.use('/backup.html', adminAuth.requireAdminPage);
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// Double opt-in confirmation links from the sign-up email
+app.get('/confirm', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'confirm.html'));
+});
+
+// The service worker is always revalidated so push handling updates with each deploy
+app.get('/sw.js', (req, res) => {
+  res.set('Cache-Control', 'no-cache');
+  res.sendFile(path.join(__dirname, 'public', 'sw.js'));
+});
+
 // Serve static files with cache headers
 app.use(express.static('public', {
   maxAge: process.env.NODE_ENV === 'production' ? '1h' : '0',
@@ -78,6 +151,33 @@ app.use(express.static('public', {
   lastModified: true
 }));
 
+// Published data is read into memory once at startup; API requests wait for it
+const dataReady = dataStore.load().then(() => {
+  dataStore.watch();
+  liveUpdates.start();
+});
+app.use('/api', (req, res, next) => {
+  dataReady.then(() => next(), next);
+});
+
+// The unversioned routes take division, tier and the change feed filters as
+// plain strings; repeated or bracketed query params (?type=a&type=b, ?type[]=a)
+// arrive as arrays or objects. /api/v1 validates its own parameters.
+const SINGLE_QUERY_PARAMS = ['division', 'tier', 'type', 'team', 'since', 'limit'];
+
+app.use('/api', (req, res, next) => {
+  if (/^\/v1(\/|$)/.test(req.path)) return next();
+
+  const invalid = SINGLE_QUERY_PARAMS.find(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: `${invalid} must be a single string`
+    });
+  }
+  next();
+});
+
 // Health check endpoint
 app.get('/api/status', async (req, res) => {
   try {
@@ -124,179 +224,79 @@ app.get('/api/status', async (req, res) => {
   }
 });
 
+// Live standings updates as Server-Sent Events, for one division/tier or all of them
+app.get('/api/events', (req, res) => {
+  const { division, tier = 'all-tiers' } = req.query;
+  const channels = division
+    ? [config.getDivisionFileKey(division, tier)]
+    : null;
+
+  liveUpdates.subscribe(req, res, channels);
+});
+
+// Versioned API with an OpenAPI document (see api-v1.js); the routes below
+// are the unversioned ones the site's pages use
+app.use('/api/v1', publicApi.router());
+
 // API endpoint to serve standings data (backwards compatible with old frontend)
 app.get('/api/standings', async (req, res) => {
   try {
-    const { division = '9U-select', tier = 'all-tiers', refresh } = req.query;
+    const { division = '9U-select', tier = 'all-tiers', asOf } = req.query;
     
     // Default to 9U-select if no division specified (for backwards compatibility)
-    let targetDivision = division || '9U-select';
+    const targetDivision = division || '9U-select';
     const targetTier = tier || 'all-tiers';
+    const divisionKey = config.getDivisionFileKey(targetDivision, targetTier);
     
-    // Normalize division case: ensure U is uppercase for numbered divisions
-    targetDivision = targetDivision.replace(/(\d+)u-/i, '$1U-');
-    
-    // Try individual division file first (most specific)
-    try {
-      // Normalize tier key - remove redundant prefixes if they exist
-      let normalizedTier = targetTier;
-      if (targetDivision.endsWith('-rep') && targetTier.startsWith('rep-')) {
-        normalizedTier = targetTier.substring(4); // Remove "rep-" prefix
-      } else if (targetDivision.endsWith('-select') && targetTier.startsWith('select-')) {
-        normalizedTier = targetTier.substring(7); // Remove "select-" prefix  
-      }
-      
-      // Division files use clean naming: 8U-rep-tier-3.json, 9U-select-all-tiers.json
-      const fileName = `${targetDivision}-${normalizedTier}.json`;
-      
-      const divisionPath = path.join(__dirname, 'public', 'divisions', fileName);
-      console.log(`Looking for division file: ${divisionPath}`);
-      
-      const divisionData = JSON.parse(await fs.readFile(divisionPath, 'utf8'));
-      
-      // Division files don't have lastUpdated, so get it from the main standings file
-      let fileModTime = new Date().toISOString();
-      try {
-        const standingsData = JSON.parse(await fs.readFile(path.join(__dirname, 'public', 'ysba-standings.json'), 'utf8'));
-        fileModTime = standingsData.lastUpdated || fileModTime;
-      } catch (e) {
-        console.log('Could not get lastUpdated from standings file:', e.message);
-      }
-      console.log(`Found division data with ${divisionData?.standings?.teams?.length || 0} teams`);
-      
-      if (divisionData && divisionData.standings && divisionData.standings.teams) {
-        // Convert the nested structure to the expected flat structure
-        const teams = divisionData.standings.teams.map(team => ({
-          position: team.position,
-          team: team.team,
-          teamCode: team.teamCode,
-          gamesPlayed: team.record?.gamesPlayed || 0,
-          wins: team.record?.wins || 0,
-          losses: team.record?.losses || 0,
-          ties: team.record?.ties || 0,
-          points: team.stats?.points || 0,
-          runsFor: team.stats?.runsFor || 0,
-          runsAgainst: team.stats?.runsAgainst || 0,
-          runDifferential: (team.stats?.runsFor || 0) - (team.stats?.runsAgainst || 0),
-          winPercentage: team.record?.winPercentage || "0.000"
-        }));
-        
-        // Sort teams by YSBA criteria: Points desc, Games Played asc, Win% desc, Run Differential desc
-        teams.sort((a, b) => {
-          // 1. Points (descending)
-          if (b.points !== a.points) return b.points - a.points;
-          
-          // 2. Games Played (descending - more games = higher rank)
-          if (b.gamesPlayed !== a.gamesPlayed) return b.gamesPlayed - a.gamesPlayed;
-          
-          // 3. Win Percentage (descending)
-          const aWinPct = parseFloat(a.winPercentage);
-          const bWinPct = parseFloat(b.winPercentage);
-          if (bWinPct !== aWinPct) return bWinPct - aWinPct;
-          
-          // 4. Run Differential (descending)
-          return b.runDifferential - a.runDifferential;
-        });
-        
-        // Reassign positions based on correct sort order
-        teams.forEach((team, index) => {
-          team.position = index + 1;
-        });
-        
-        res.json({
-          success: true,
+    // Standings as they stood on a past date, from the dated snapshots
+    if (asOf) {
+      if (!parseAsOf(asOf)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid asOf date. Use YYYY-MM-DD or an ISO timestamp.',
           data: {
-            teams,
-            lastUpdated: fileModTime,
-            source: 'GitHub Actions'
+            teams: [],
+            lastUpdated: new Date().toISOString(),
+            source: 'Standings history'
           }
         });
-        return;
-      }
-    } catch (error) {
-      console.log('Could not load from division file:', error.message);
-    }
-    
-    // Fallback: try optimized standings file and extract division
-    try {
-      const standingsPath = path.join(__dirname, 'public', 'ysba-standings.json');
-      
-      const standingsData = JSON.parse(await fs.readFile(standingsPath, 'utf8'));
-      
-      // Use the lastUpdated from JSON content (more reliable than file mtime after git operations)
-      const standingsFileModTime = standingsData.lastUpdated || new Date().toISOString();
-      
-      // Parse division name (remove -select/-rep suffix for lookup)
-      let divisionKey = targetDivision.replace('-select', '').replace('-rep', '');
-      let tierKey = targetTier;
-      
-      // Handle special cases for tier mapping - ensure we use the correct keys for data lookup
-      if (targetDivision.includes('select')) {
-        tierKey = 'select-all-tiers';
-      } else if (targetDivision.includes('rep')) {
-        // For rep divisions, check if the tier already has rep- prefix, if not add it for data lookup
-        if (!targetTier.startsWith('rep-') && targetTier !== 'no-tier') {
-          tierKey = `rep-${targetTier}`;
-        } else {
-          tierKey = targetTier;
-        }
       }
       
-      const divisionData = standingsData.divisions[divisionKey];
+      const historical = await standingsHistory.getStandingsAsOf(divisionKey, asOf);
       
-      if (divisionData && divisionData.tiers && divisionData.tiers[tierKey]) {
-        const tierData = divisionData.tiers[tierKey];
-        
-        // Convert optimized format back to old format for backwards compatibility
-        const teams = tierData.teams.map(team => ({
-          position: team.pos,
-          team: team.team,
-          teamCode: team.teamCode || `team-${team.pos}`,
-          gamesPlayed: (team.w + team.l + team.t) || 0,
-          wins: team.w,
-          losses: team.l,
-          ties: team.t,
-          points: team.points || (team.w * 2 + team.t),
-          runsFor: team.rf,
-          runsAgainst: team.ra,
-          runDifferential: (team.rf || 0) - (team.ra || 0),
-          winPercentage: team.pct
-        }));
-        
-        // Sort teams by YSBA criteria: Points desc, Win% desc, Wins desc, Run Differential desc
-        teams.sort((a, b) => {
-          // 1. Points (descending)
-          if (b.points !== a.points) return b.points - a.points;
-          
-          // 2. Win Percentage (descending)
-          const aWinPct = parseFloat(a.winPercentage);
-          const bWinPct = parseFloat(b.winPercentage);
-          if (bWinPct !== aWinPct) return bWinPct - aWinPct;
-          
-          // 3. Wins (descending)
-          if (b.wins !== a.wins) return b.wins - a.wins;
-          
-          // 4. Run Differential (descending)
-          return b.runDifferential - a.runDifferential;
-        });
-        
-        // Reassign positions based on correct sort order
-        teams.forEach((team, index) => {
-          team.position = index + 1;
-        });
-        
-        res.json({
-          success: true,
+      if (!historical) {
+        return res.json({
+          success: false,
+          message: `No standings recorded for ${targetDivision}/${targetTier} on or before ${asOf}`,
           data: {
-            teams,
-            lastUpdated: standingsFileModTime,
-            source: 'GitHub Actions'
+            teams: [],
+            asOf,
+            lastUpdated: null,
+            source: 'Standings history'
           }
         });
-        return;
       }
-    } catch (error) {
-      console.log('Could not serve from optimized standings file:', error.message);
+      
+      return res.json({
+        success: true,
+        data: {
+          teams: historical.teams,
+          asOf,
+          lastUpdated: historical.lastUpdated,
+          source: 'Standings history'
+        }
+      });
+    }
+    
+    // Ranked once per scrape, from the division file or the combined standings file
+    const found = publicApi.findStandings(targetDivision, targetTier);
+    
+    if (found) {
+      const response = dataStore.getResponse(found.key, found.fileIds, () => ({
+        success: true,
+        data: found.standings
+      }));
+      return sendCachedJson(req, res, response);
     }
     
     // If no data found, return empty response (but still valid)
@@ -324,148 +324,148 @@ app.get('/api/standings', async (req, res) => {
   }
 });
 
-// API endpoint to get available divisions
-app.get('/api/divisions', async (req, res) => {
+// API endpoint to get every team's position, record and points over time for one division
+app.get('/api/standings/history', async (req, res) => {
   try {
-    const { filterEmpty } = req.query;
-    const indexPath = path.join(__dirname, 'public', 'ysba-index.json');
+    const { division = '9U-select', tier = 'all-tiers' } = req.query;
     
-    try {
-      const indexData = JSON.parse(await fs.readFile(indexPath, 'utf8'));
-      
-      // Use the lastUpdated from JSON content (more reliable than file mtime after git operations)
-      const indexFileModTime = indexData.lastUpdated || new Date().toISOString();
-      
-      // Convert to frontend-expected format
-      const divisions = {};
-      Object.entries(indexData.divisions).forEach(([key, division]) => {
-        // Convert tier array to tier object for frontend compatibility
-        const tiers = {};
-        if (division.tiers && Array.isArray(division.tiers)) {
-          division.tiers.forEach(tier => {
-            // Improve display names for better UX
-            let displayName;
-            if (tier.key === 'select-all-tiers') {
-              displayName = 'All Teams'; // More friendly than "All Tiers" for select
-            } else {
-              // Remove redundant rep/select prefixes from tier display names
-              let cleanKey = tier.key;
-              if (cleanKey.startsWith('rep-')) {
-                cleanKey = cleanKey.substring(4); // Remove "rep-" prefix
-              } else if (cleanKey.startsWith('select-')) {
-                cleanKey = cleanKey.substring(7); // Remove "select-" prefix
-              }
-              
-              displayName = cleanKey.split('-').map(word => 
-                word.charAt(0).toUpperCase() + word.slice(1)
-              ).join(' ');
-            }
-            
-            // Generate clean tier key for API response (remove redundant prefixes)
-            let cleanTierKey = tier.key;
-            if (cleanTierKey.startsWith('rep-')) {
-              cleanTierKey = cleanTierKey.substring(4); // Remove "rep-" prefix
-            } else if (cleanTierKey.startsWith('select-')) {
-              cleanTierKey = cleanTierKey.substring(7); // Remove "select-" prefix
-            }
-            
-            tiers[cleanTierKey] = {
-              displayName,
-              teams: tier.teams,
-              games: tier.games,
-              originalKey: tier.key // Keep original key for internal mapping if needed
-            };
-          });
-        }
-        
-        // Skip empty divisions if filtering is requested
-        if (filterEmpty && Object.keys(tiers).length === 0) {
-          return;
-        }
-        
-        // Add division type suffixes for proper routing
-        const repDivision = division.tiers && Array.isArray(division.tiers) && division.tiers.some(t => t.key.includes('rep'));
-        const selectDivision = division.tiers && Array.isArray(division.tiers) && division.tiers.some(t => t.key.includes('select'));
-        
-        if (repDivision) {
-          // Get the config division for this key to access shortName and other properties
-          const configDivision = config.DIVISIONS[`${key}-rep`];
-          
-          divisions[`${key}-rep`] = {
-            displayName: `${division.displayName} Rep`,
-            shortName: configDivision?.shortName || `${key.toUpperCase()} Rep`,
-            theme: {
-              primary: '#024220',
-              secondary: '#015c2a',
-              accent: '#facc15'
-            },
-            tiers: Object.fromEntries(
-              Object.entries(tiers).filter(([tierKey, tierData]) => 
-                tierData.originalKey && tierData.originalKey.includes('rep')
-              )
-            ),
-            features: {
-              divisionFilter: false,
-              emailNotifications: true,
-              schedules: true
-            }
-          };
-        }
-        
-        if (selectDivision) {
-          // Get the config division for this key to access features and divisionMapping
-          const configDivision = config.DIVISIONS[`${key}-select`];
-          
-          divisions[`${key}-select`] = {
-            displayName: `${division.displayName} Select`,
-            shortName: configDivision?.shortName || `${key.toUpperCase()} Select`,
-            theme: {
-              primary: '#024220',
-              secondary: '#015c2a',
-              accent: '#facc15'
-            },
-            tiers: Object.fromEntries(
-              Object.entries(tiers).filter(([tierKey, tierData]) => 
-                tierData.originalKey && tierData.originalKey.includes('select')
-              )
-            ),
-            features: configDivision?.features || {
-              divisionFilter: false,
-              emailNotifications: true,
-              schedules: true
-            },
-            divisionMapping: configDivision?.divisionMapping || {}
-          };
-        }
+    const divisionHistory = await standingsHistory.getDivisionHistory(config.getDivisionFileKey(division, tier));
+    
+    res.json({
+      success: true,
+      data: divisionHistory
+    });
+    
+  } catch (error) {
+    console.error('Error serving standings history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load standings history'
+    });
+  }
+});
+
+// API endpoint to get rescheduled, cancelled, added and completed games
+// detected between scrapes (all divisions unless division/tier is given)
+app.get('/api/schedule/changes', async (req, res) => {
+  try {
+    const { division, tier = 'all-tiers', team, since, type } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    const types = type ? type.split(',') : null;
+    
+    const unknownType = types?.find(value => !Object.values(CHANGE_TYPES).includes(value));
+    if (unknownType) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown change type: ${unknownType}`,
+        validTypes: Object.values(CHANGE_TYPES)
       });
-      
-      res.json({
-        success: true,
-        divisions,
-        lastUpdated: indexFileModTime,
-        totalDivisions: Object.keys(divisions).length
+    }
+    
+    if (since && isNaN(new Date(since).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid since date: ${since}`
       });
-    } catch (error) {
-      console.log('Could not load from index file, using config fallback:', error.message);
-      throw error; // Continue to fallback
     }
+    
+    const changes = await scheduleChangeLog.getChanges({
+      division: division ? config.getDivisionFileKey(division, tier) : null,
+      since,
+      types,
+      teamCode: team || null,
+      limit: Number.isFinite(limit) && limit > 0 ? limit : 100
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        changes,
+        count: changes.length
+      }
+    });
+    
   } catch (error) {
-    // Fallback to config-based divisions
-    const divisions = {};
-    Object.entries(config.DIVISIONS).forEach(([key, division]) => {
-      divisions[key] = {
-        displayName: division.displayName,
-        shortName: division.shortName || division.displayName,
-        theme: division.theme || { primary: '#024220' },
-        tiers: division.tiers || {},
-        features: division.features || {
-          divisionFilter: false,
-          emailNotifications: true,
-          schedules: true
-        },
-        divisionMapping: division.divisionMapping || {}
-      };
+    console.error('Error serving schedule changes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load schedule changes'
+    });
+  }
+});
+
+// API endpoint to get standings and schedule change events, newest first
+// (all divisions unless division/tier is given; see src/scraper/change-events.js)
+app.get('/api/changes', async (req, res) => {
+  try {
+    const { division, tier = 'all-tiers', team, since, type } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    const types = type ? type.split(',') : null;
+    
+    const unknownType = types?.find(value => !Object.values(EVENT_TYPES).includes(value));
+    if (unknownType) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown event type: ${unknownType}`,
+        validTypes: Object.values(EVENT_TYPES)
+      });
+    }
+    
+    if (since && isNaN(new Date(since).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid since date: ${since}`
+      });
+    }
+    
+    const events = await changeEventLog.getEvents({
+      division: division ? config.getDivisionFileKey(division, tier) : null,
+      since,
+      types,
+      teamCode: team || null,
+      limit: Number.isFinite(limit) && limit > 0 ? limit : 100
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        events: events.map(event => ({ ...event, description: describeEvent(event) })),
+        count: events.length
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error serving change events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load change events'
     });
+  }
+});
+
+// API endpoint to get available divisions
+app.get('/api/divisions', async (req, res) => {
+  try {
+    const filterEmpty = Boolean(req.query.filterEmpty);
+    
+    // Built from ysba-index.json once per scrape
+    const index = publicApi.findDivisions(filterEmpty);
+    if (!index) {
+      throw new Error('ysba-index.json is not available');
+    }
+    
+    const response = dataStore.getResponse(`divisions:${filterEmpty}`, ['ysba-index.json'], () => ({
+      success: true,
+      divisions: index.divisions,
+      lastUpdated: index.lastUpdated,
+      totalDivisions: Object.keys(index.divisions).length
+    }));
+    sendCachedJson(req, res, response);
+  } catch (error) {
+    console.log('Could not load from index file, using config fallback:', error.message);
+    
+    // Fallback to config-based divisions
+    const divisions = publicApi.getConfigDivisions();
     
     res.json({
       success: true,
@@ -481,16 +481,13 @@ app.get('/api/divisions', async (req, res) => {
 app.get('/api/last-ysba-update', async (req, res) => {
   try {
     // Try to read the actual GitHub Actions metadata for the real sync time
-    const metadataPath = path.join(__dirname, 'public', 'metadata.json');
-    
     let ysbaUpdateDate;
     let source = 'cached JSON';
     
     try {
-      const metadataContent = await fs.readFile(metadataPath, 'utf8');
-      const metadata = JSON.parse(metadataContent);
+      const metadata = dataStore.getFile('metadata.json')?.data;
       
-      if (metadata.generatedAt) {
+      if (metadata?.generatedAt) {
         ysbaUpdateDate = new Date(metadata.generatedAt);
         source = `GitHub Actions (${metadata.source})`;
         console.log(`Using GitHub Actions sync time: ${ysbaUpdateDate.toISOString()}`);
@@ -531,104 +528,29 @@ app.get('/api/team/:teamCode/schedule', async (req, res) => {
     const { division = '9U-select', tier = 'all-tiers' } = req.query;
     
     // Use same path construction logic as standings
-    const targetDivision = division || '9U-select';
-    const targetTier = tier || 'all-tiers';
+    const divisionKey = config.getDivisionFileKey(division || '9U-select', tier || 'all-tiers');
+    const schedule = publicApi.findTeamSchedule(teamCode, divisionKey);
     
-    // Normalize tier key - remove redundant prefixes if they exist
-    let normalizedTier = targetTier;
-    if (targetDivision.endsWith('-rep') && targetTier.startsWith('rep-')) {
-      normalizedTier = targetTier.substring(4); // Remove "rep-" prefix
-    } else if (targetDivision.endsWith('-select') && targetTier.startsWith('select-')) {
-      normalizedTier = targetTier.substring(7); // Remove "select-" prefix  
-    }
-    
-    // Division files use clean naming: 8U-rep-tier-3.json, 9U-select-all-tiers.json
-    const fileName = `${targetDivision}-${normalizedTier}.json`;
-    
-    // Try to get from individual division file
-    try {
-      const divisionPath = path.join(__dirname, 'public', 'divisions', fileName);
-      console.log(`Looking for schedule in: ${divisionPath}`);
-      const divisionData = JSON.parse(await fs.readFile(divisionPath, 'utf8'));
+    if (schedule) {
+      const { fileIds, allGames, playedGames, upcomingGames, lastUpdated } = schedule;
       
-      if (divisionData.schedule && divisionData.schedule.teamSchedules && divisionData.schedule.teamSchedules[teamCode]) {
-        const scheduleData = divisionData.schedule.teamSchedules[teamCode];
-        
-        // Process and fix game data
-        const processGame = (game) => {
-          // Determine opponent based on whether this team is home or away
-          const isHomeTeam = game.homeTeamCode === teamCode;
-          const opponent = isHomeTeam ? game.awayTeam : game.homeTeam;
-          const opponentCode = isHomeTeam ? game.awayTeamCode : game.homeTeamCode;
-          
-          // Fix score text to be from this team's perspective (team score - opponent score)
-          let scoreText = null;
-          if (game.score && game.isCompleted) {
-            const teamScore = isHomeTeam ? game.score.home : game.score.away;
-            const opponentScore = isHomeTeam ? game.score.away : game.score.home;
-            scoreText = `${teamScore}-${opponentScore}`;
-          }
-          
-          return {
-            ...game,
-            opponent,
-            opponentCode,
-            isHome: isHomeTeam,
-            scoreText,
-            teamScore: game.score && isHomeTeam ? game.score.home : game.score?.away,
-            opponentScore: game.score && isHomeTeam ? game.score.away : game.score?.home
-          };
-        };
-        
-        // Get ALL games for this team from the division's complete game list
-        let allTeamGames = [];
-        
-        if (divisionData.schedule.allGames) {
-          // Filter division's allGames for games involving this team
-          allTeamGames = divisionData.schedule.allGames
-            .filter(game => game.homeTeamCode === teamCode || game.awayTeamCode === teamCode)
-            .map(processGame);
-        } else {
-          // Fallback to team's individual game lists if allGames not available
-          allTeamGames = [
-            ...(scheduleData.recentGames || []),
-            ...(scheduleData.nextGames || [])
-          ].map(processGame);
-        }
-        
-        // Sort games by date
-        allTeamGames.sort((a, b) => new Date(a.date) - new Date(b.date));
-        
-        // Filter into played and upcoming based on proper date logic
-        const now = new Date();
-        const playedGames = allTeamGames.filter(game => {
-          // Games are considered played if they have a completion status OR if the date is in the past
-          if (game.isCompleted) return true;
-          if (game.date && new Date(game.date) < now) return true;
-          return false;
-        });
-        const upcomingGames = allTeamGames.filter(game => {
-          // Only show games with future dates, regardless of completion status
-          return game.date && new Date(game.date) >= now;
-        });
-        
-        console.log(`Team ${teamCode}: ${allTeamGames.length} total games, ${playedGames.length} played, ${upcomingGames.length} upcoming`);
-        
-        res.json({
+      // Games start between scrapes, so the played/upcoming split is part of the response key
+      const response = dataStore.getResponse(
+        `team-schedule:${divisionKey}:${teamCode}:${playedGames.length}`,
+        fileIds,
+        () => ({
           success: true,
           data: {
-            allGames: allTeamGames,
+            allGames,
             playedGames,
             upcomingGames,
             teamCode,
-            totalGames: allTeamGames.length,
-            lastUpdated: divisionData.lastUpdated || new Date().toISOString()
+            totalGames: allGames.length,
+            lastUpdated
           }
-        });
-        return;
-      }
-    } catch (error) {
-      console.log('Could not load team schedule from division file:', error.message);
+        })
+      );
+      return sendCachedJson(req, res, response);
     }
     
     res.json({
@@ -659,104 +581,370 @@ app.get('/api/team/:teamCode/schedule', async (req, res) => {
   }
 });
 
-// Email subscription endpoints (keep existing functionality)
-app.post('/api/subscribe', async (req, res) => {
+// Public site URL for links inside calendar and change feeds
+const SITE_URL = process.env.BASE_URL || 'https://ysbalive.com';
+
+// Send an iCalendar feed (calendar apps subscribe to these via webcal://)
+function sendCalendar(res, fileName, calendar) {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${fileName}"`,
+    'Cache-Control': 'public, max-age=900'
+  });
+  res.send(calendar);
+}
+
+// iCalendar feed of one team's games
+app.get('/api/team/:teamCode/schedule.ics', async (req, res) => {
   try {
-    const { email, name, divisionPreferences, divisions } = req.body;
+    const { teamCode } = req.params;
+    const { division, tier } = req.query;
     
-    if (!email || !email.includes('@')) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Valid email address is required' 
+    const found = publicApi.findTeam(teamCode, division ? config.getDivisionFileKey(division, tier) : null);
+    const profile = found && buildTeamProfile(teamCode, found.divisionData);
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: `Team ${teamCode} not found`
       });
     }
-
-    // Support both new format (divisionPreferences) and legacy format (divisions)
-    const prefs = divisionPreferences || divisions;
     
-    const result = await emailService.addSubscriber(email, name, prefs);
-    res.json(result);
+    const changes = await scheduleChangeLog.getChanges({ division: found.divisionKey, teamCode });
+    const calendar = buildCalendar(found.divisionData.schedule?.allGames, {
+      name: `${profile.team} (YSBA)`,
+      teamCode,
+      divisionName: config.describeDivisionFile(found.divisionKey).displayName,
+      url: `${SITE_URL}/team/${teamCode}`,
+      lastUpdated: found.divisionData.summary?.lastUpdated || found.divisionData.schedule?.lastUpdated,
+      sequences: countReschedules(changes)
+    });
+    
+    sendCalendar(res, `ysba-team-${teamCode}.ics`, calendar);
+    
   } catch (error) {
-    console.error('Subscription error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to process subscription',
-      error: error.message 
+    console.error('Error serving team calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build team calendar'
     });
   }
 });
 
-// API endpoint to get subscriber count for a division
-app.get('/api/subscribers/count', async (req, res) => {
+// iCalendar feed of every game in a division/tier
+app.get('/api/division/:division/:tier/schedule.ics', async (req, res) => {
   try {
-    const { division, tier } = req.query;
+    const { tier } = req.params;
+    const divisionKey = config.getDivisionFileKey(req.params.division, tier);
+    const { key: division } = config.describeDivisionFile(divisionKey);
     
-    // For now, return a mock count since we don't have subscriber data loaded
-    // In a real implementation, this would query the actual subscriber database
-    res.json({
-      success: true,
-      count: 0,
-      division,
-      tier
+    const divisionData = dataStore.getDivision(divisionKey);
+    if (!divisionData) {
+      return res.status(404).json({
+        success: false,
+        message: `No schedule found for ${division}/${tier}`
+      });
+    }
+    
+    const divisionConfig = config.getDivisionConfig(division, tier);
+    const divisionName = divisionConfig?.fullName || divisionKey;
+    
+    const changes = await scheduleChangeLog.getChanges({ division: divisionKey });
+    const calendar = buildCalendar(divisionData.schedule?.allGames, {
+      name: `${divisionName} (YSBA)`,
+      divisionName,
+      url: `${SITE_URL}${divisionConfig?.urlPath || ''}`,
+      lastUpdated: divisionData.summary?.lastUpdated || divisionData.schedule?.lastUpdated,
+      sequences: countReschedules(changes)
     });
+    
+    sendCalendar(res, `ysba-${divisionKey}.ics`, calendar);
+    
   } catch (error) {
-    console.error('Error getting subscriber count:', error);
+    console.error('Error serving division calendar:', error);
     res.status(500).json({
       success: false,
-      count: 0,
-      error: error.message
+      message: 'Failed to build division calendar'
     });
   }
 });
 
-app.post('/api/unsubscribe-token', async (req, res) => {
+// Send an Atom feed of change events
+function sendAtomFeed(res, feed) {
+  res.set({
+    'Content-Type': 'application/atom+xml; charset=utf-8',
+    'Cache-Control': 'public, max-age=900'
+  });
+  res.send(feed);
+}
+
+// Atom feed of change events across every division
+app.get('/feeds/all.atom', async (req, res) => {
   try {
-    const { token } = req.body;
+    const [events, log] = await Promise.all([
+      changeEventLog.getEvents({ types: FEED_EVENT_TYPES, limit: FEED_LIMIT }),
+      changeEventLog.read()
+    ]);
     
-    if (!token) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Unsubscribe token is required' 
+    sendAtomFeed(res, buildAtomFeed(events, {
+      title: 'YSBA Live: All Divisions',
+      id: 'changes:all',
+      siteUrl: SITE_URL,
+      selfUrl: `${SITE_URL}/feeds/all.atom`,
+      lastUpdated: log.lastUpdated,
+      showDivision: true,
+      describeDivision: fileKey => config.describeDivisionFile(fileKey)
+    }));
+    
+  } catch (error) {
+    console.error('Error serving change feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build change feed'
+    });
+  }
+});
+
+// Atom feed of change events in one division/tier
+app.get('/feeds/:division/:tier.atom', async (req, res) => {
+  try {
+    const { tier } = req.params;
+    const divisionKey = config.getDivisionFileKey(req.params.division, tier);
+    const { key: division } = config.describeDivisionFile(divisionKey);
+    const divisionConfig = config.getDivisionConfig(division, tier);
+    
+    if (!divisionConfig) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown division ${division}/${tier}`
       });
     }
-
-    const result = await emailService.unsubscribeByToken(token);
-    res.json(result);
+    
+    const [events, log] = await Promise.all([
+      changeEventLog.getEvents({ division: divisionKey, types: FEED_EVENT_TYPES, limit: FEED_LIMIT }),
+      changeEventLog.read()
+    ]);
+    
+    sendAtomFeed(res, buildAtomFeed(events, {
+      title: `YSBA Live: ${divisionConfig.fullName || divisionKey}`,
+      id: `changes:${divisionKey}`,
+      siteUrl: SITE_URL,
+      selfUrl: `${SITE_URL}/feeds/${division}/${tier}.atom`,
+      url: `${SITE_URL}${divisionConfig.urlPath || ''}`,
+      lastUpdated: log.lastUpdated,
+      describeDivision: fileKey => config.describeDivisionFile(fileKey)
+    }));
+    
   } catch (error) {
-    console.error('Unsubscribe error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to process unsubscribe request',
-      error: error.message 
+    console.error('Error serving division change feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build change feed'
     });
   }
 });
 
-// Get subscriber info by token (for manage page)
-app.get('/api/subscriber/:token', async (req, res) => {
+// API endpoint for the team page: record, splits, runs, head-to-head and schedule
+app.get('/api/team/:teamCode', async (req, res) => {
   try {
-    const { token } = req.params;
-    const subscriber = await emailService.getSubscriberByToken(token);
+    const { teamCode } = req.params;
+    const { division, tier } = req.query;
     
-    if (!subscriber) {
+    const profile = publicApi.findTeamProfile(teamCode, division ? config.getDivisionFileKey(division, tier) : null);
+    
+    if (!profile) {
       return res.status(404).json({
         success: false,
-        error: 'Subscriber not found or invalid token'
+        message: `Team ${teamCode} not found`
       });
     }
-
+    
     res.json({
       success: true,
-      email: subscriber.email,
-      name: subscriber.name || '',
-      divisionPreferences: subscriber.divisionPreferences || [],
-      subscribedAt: subscriber.subscribedAt
+      data: profile
     });
+    
   } catch (error) {
-    console.error('Get subscriber error:', error);
+    console.error('Error serving team profile:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to load subscriber information'
+      message: 'Failed to load team'
+    });
+  }
+});
+
+// API endpoint to get a team's position, record and points over time
+app.get('/api/team/:teamCode/history', async (req, res) => {
+  try {
+    const { teamCode } = req.params;
+    const { division, tier = 'all-tiers' } = req.query;
+    
+    // Without a division, the team is looked up in every division it appears in
+    const divisionKey = division ? config.getDivisionFileKey(division, tier) : null;
+    
+    const teamHistory = await standingsHistory.getTeamHistory(teamCode, divisionKey);
+    
+    if (teamHistory.history.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No standings history found for team ${teamCode}`,
+        data: teamHistory
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: teamHistory
+    });
+    
+  } catch (error) {
+    console.error('Error serving team history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load team history'
+    });
+  }
+});
+
+// Email subscription endpoints (keep existing functionality)
+app.post('/api/subscribe', subscribeLimiter, async (req, res) => {
+  try {
+    const { email, name, divisionPreferences, divisions, teamPreferences, deliveryPreference } = req.body;
+    
+    if (!email || !email.includes('@')) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Valid email address is required' 
+      });
+    }
+
+    if (deliveryPreference !== undefined && !DELIVERY_PREFERENCES.includes(deliveryPreference)) {
+      return res.status(400).json({
+        success: false,
+        message: `deliveryPreference must be one of: ${DELIVERY_PREFERENCES.join(', ')}`
+      });
+    }
+
+    // Support both new format (divisionPreferences) and legacy format (divisions)
+    const prefs = divisionPreferences || divisions;
+    
+    const result = await emailService.addSubscriber(email, name, prefs, teamPreferences, deliveryPreference);
+    res.json(result);
+  } catch (error) {
+    console.error('Subscription error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to process subscription',
+      error: error.message 
+    });
+  }
+});
+
+// API endpoint to get subscriber count for a division
+app.get('/api/subscribers/count', async (req, res) => {
+  try {
+    const { division, tier } = req.query;
+    const divisionKey = division ? config.getDivisionFileKey(division, tier) : null;
+
+    // count is the active subscribers getting this division's emails (all of
+    // them without a division); total includes pending and unsubscribed ones
+    const active = await emailService.getActiveSubscribers(divisionKey);
+    const subscribers = await emailService.loadSubscribers();
+    const total = divisionKey
+      ? subscribers.filter(sub => followsDivision(sub, divisionKey)).length
+      : subscribers.length;
+
+    res.json({
+      success: true,
+      count: active.length,
+      active: active.length,
+      total,
+      division,
+      tier
+    });
+  } catch (error) {
+    console.error('Error getting subscriber count:', error);
+    res.status(500).json({
+      success: false,
+      count: 0,
+      error: error.message
+    });
+  }
+});
+
+// Confirm a pending sign-up from the emailed link (confirm.html posts the token)
+app.post('/api/confirm', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Confirmation token is required'
+      });
+    }
+
+    const result = await emailService.confirmSubscriber(token);
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    console.error('Confirm subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm subscription'
+    });
+  }
+});
+
+app.post('/api/unsubscribe-token', async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Unsubscribe token is required' 
+      });
+    }
+
+    const result = await emailService.unsubscribeByToken(token);
+    res.json(result);
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to process unsubscribe request',
+      error: error.message 
+    });
+  }
+});
+
+// Get subscriber info by token (for manage page)
+app.get('/api/subscriber/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+    const subscriber = await emailService.getSubscriberByToken(token);
+    
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscriber not found or invalid token'
+      });
+    }
+
+    res.json({
+      success: true,
+      email: subscriber.email,
+      name: subscriber.name || '',
+      divisionPreferences: subscriber.divisionPreferences || [],
+      teamPreferences: subscriber.teamPreferences || [],
+      deliveryPreference: emailService.getDeliveryPreference(subscriber),
+      subscribedAt: subscriber.subscribedAt
+    });
+  } catch (error) {
+    console.error('Get subscriber error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load subscriber information'
     });
   }
 });
@@ -765,7 +953,14 @@ app.get('/api/subscriber/:token', async (req, res) => {
 app.put('/api/subscriber/:token', async (req, res) => {
   try {
     const { token } = req.params;
-    const { name, email, divisionPreferences } = req.body;
+    const { name, email, divisionPreferences, teamPreferences, deliveryPreference } = req.body;
+
+    if (deliveryPreference !== undefined && !DELIVERY_PREFERENCES.includes(deliveryPreference)) {
+      return res.status(400).json({
+        success: false,
+        error: `deliveryPreference must be one of: ${DELIVERY_PREFERENCES.join(', ')}`
+      });
+    }
 
     // If email is being changed, validate it and check for duplicates
     if (email) {
@@ -786,10 +981,10 @@ app.put('/api/subscriber/:token', async (req, res) => {
         });
       }
 
-      // Only check for duplicates if the email is actually changing
+      // Only check for duplicates if the email is actually changing. Addresses
+      // still awaiting confirmation count as taken.
       if (email.toLowerCase() !== currentSubscriber.email.toLowerCase()) {
-        const existingSubscriber = await emailService.getSubscriberByEmail(email);
-        if (existingSubscriber && existingSubscriber.active) {
+        if (await emailService.isEmailInUse(email, currentSubscriber.id)) {
           return res.status(400).json({
             success: false,
             error: 'This email address is already subscribed'
@@ -801,7 +996,9 @@ app.put('/api/subscriber/:token', async (req, res) => {
     const result = await emailService.updateSubscriber(token, {
       name,
       email,
-      divisionPreferences
+      divisionPreferences,
+      teamPreferences,
+      deliveryPreference
     });
 
     res.json(result);
@@ -814,6 +1011,70 @@ app.put('/api/subscriber/:token', async (req, res) => {
   }
 });
 
+// VAPID public key for pushManager.subscribe()
+app.get('/api/push/public-key', (req, res) => {
+  if (!pushService.isConfigured) {
+    return res.status(503).json({
+      success: false,
+      error: 'Push notifications are not set up'
+    });
+  }
+
+  res.json({
+    success: true,
+    publicKey: pushService.publicKey
+  });
+});
+
+// Save this browser's push subscription with the divisions (file keys) and
+// team codes it follows: { subscription, divisions, teamCodes }
+app.post('/api/push/subscribe', pushLimiter, async (req, res) => {
+  try {
+    if (!pushService.isConfigured) {
+      return res.status(503).json({
+        success: false,
+        error: 'Push notifications are not set up'
+      });
+    }
+
+    const { subscription, divisions = [], teamCodes = [] } = req.body || {};
+    const divisionKeys = emailService.getAvailableDivisions().map(div => div.key);
+    const normalized = Array.isArray(divisions)
+      ? divisions.map(key => divisionKeys.find(divisionKey => divisionKey.toLowerCase() === String(key).toLowerCase()) || key)
+      : divisions;
+    const unknown = Array.isArray(normalized) && normalized.find(key => !divisionKeys.includes(key));
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown division: ${unknown} (see /api/available-divisions)`
+      });
+    }
+
+    const result = await pushService.subscribe(subscription, { divisions: normalized, teamCodes });
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    console.error('Push subscribe error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save push subscription'
+    });
+  }
+});
+
+// Stop pushes to a browser: { endpoint }
+app.post('/api/push/unsubscribe', pushLimiter, async (req, res) => {
+  try {
+    const result = await pushService.unsubscribe(req.body?.endpoint);
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (error) {
+    console.error('Push unsubscribe error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove push subscription'
+    });
+  }
+});
+
 // Get available divisions for subscription
 app.get('/api/available-divisions', (req, res) => {
   try {
@@ -831,6 +1092,42 @@ app.get('/api/available-divisions', (req, res) => {
   }
 });
 
+// Get the teams of one division for the team follow picker
+app.get('/api/available-teams', async (req, res) => {
+  try {
+    const { division } = req.query;
+    
+    if (!division || !emailService.getAvailableDivisions().some(div => div.key === division)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid division key is required (see /api/available-divisions)'
+      });
+    }
+    
+    // A division not scraped yet has no teams to follow
+    const teams = (dataStore.getDivision(division)?.standings?.teams || [])
+      .filter(team => team.teamCode)
+      .map(team => ({
+        teamCode: team.teamCode,
+        team: team.team,
+        position: team.position
+      }))
+      .sort((a, b) => a.team.localeCompare(b.team));
+    
+    res.json({
+      success: true,
+      division,
+      teams
+    });
+  } catch (error) {
+    console.error('Get available teams error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load available teams'
+    });
+  }
+});
+
 // Get AI-generated stories for homepage
 app.get('/api/stories', async (req, res) => {
   try {
@@ -852,8 +1149,8 @@ app.get('/api/stories', async (req, res) => {
   }
 });
 
-// Manually trigger story generation (for testing)
-app.post('/api/stories/generate', async (req, res) => {
+// Manually trigger story generation (admin)
+app.post('/api/stories/generate', adminOnly, async (req, res) => {
   try {
     const stories = await aiStoryService.generateStories();
     
@@ -871,19 +1168,29 @@ app.post('/api/stories/generate', async (req, res) => {
   }
 });
 
-// Export subscribers (for testing/debugging)
-app.get('/api/subscribers/export', async (req, res) => {
+// Export subscribers (admin) - also feeds the SUBSCRIBERS_DATA fallback on backup.html
+app.get('/api/subscribers/export', adminOnly, async (req, res) => {
   try {
     const subscribers = await emailService.loadSubscribers();
+    const envVariableFormat = JSON.stringify(subscribers);
+
     res.json({
       success: true,
       count: subscribers.length,
       subscribers: subscribers.map(sub => ({
         email: sub.email,
         name: sub.name || '',
+        active: sub.active,
         divisionPreferences: sub.divisionPreferences || [],
+        teamPreferences: sub.teamPreferences || [],
+        deliveryPreference: emailService.getDeliveryPreference(sub),
         subscribedAt: sub.subscribedAt
-      }))
+      })),
+      totalSubscribers: subscribers.length,
+      activeSubscribers: subscribers.filter(sub => sub.active).length,
+      dataSize: `${(Buffer.byteLength(envVariableFormat) / 1024).toFixed(1)} KB`,
+      envVariableFormat,
+      gistInfo: await emailService.getGistInfo()
     });
   } catch (error) {
     console.error('Export subscribers error:', error);
@@ -894,8 +1201,8 @@ app.get('/api/subscribers/export', async (req, res) => {
   }
 });
 
-// Test email endpoint for development
-app.post('/api/test-email/:division', async (req, res) => {
+// Test email endpoint (admin)
+app.post('/api/test-email/:division', adminOnly, async (req, res) => {
   try {
     const { division } = req.params;
     const { testEmail } = req.body;
@@ -903,7 +1210,7 @@ app.post('/api/test-email/:division', async (req, res) => {
     if (!emailService.isConfigured) {
       return res.status(500).json({ 
         error: 'Email service not configured',
-        message: 'SendGrid API key not set'
+        message: 'Set SENDGRID_API_KEY, SMTP_HOST or EMAIL_TRANSPORT=file'
       });
     }
 
@@ -914,7 +1221,10 @@ app.post('/api/test-email/:division', async (req, res) => {
       { team: 'Test Team 3', wins: 3, losses: 4, winPercentage: '.429', position: 3 }
     ];
 
-    const mockChanges = ['Test Team 1 moved up to #1 (was #2)', 'Test Team 2 dropped to #2 (was #1)'];
+    const mockChanges = [
+      { type: EVENT_TYPES.POSITION_CHANGE, team: 'Test Team 1', teamCode: null, position: 1, previousPosition: 2 },
+      { type: EVENT_TYPES.POSITION_CHANGE, team: 'Test Team 2', teamCode: null, position: 2, previousPosition: 1 }
+    ];
 
     if (testEmail) {
       // Send to specific email for testing
@@ -945,22 +1255,529 @@ app.post('/api/test-email/:division', async (req, res) => {
   }
 });
 
+// Admin sign-in - sets the session cookie and also returns the token for scripts
+app.post('/api/admin/login', adminLoginLimiter, (req, res) => {
+  const { username, password } = req.body;
+
+  if (!adminAuth.isConfigured) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin access is not configured on this server'
+    });
+  }
+
+  if (!username || !password || !adminAuth.verifyCredentials(username, password)) {
+    console.log(`🔐 Failed admin sign-in for "${username || ''}" from ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid username or password'
+    });
+  }
+
+  const token = adminAuth.createToken(username);
+  adminAuth.setSessionCookie(res, token);
+  console.log(`🔐 Admin signed in: ${username}`);
+
+  res.json({
+    success: true,
+    username,
+    token
+  });
+});
+
+app.post('/api/admin/logout', (req, res) => {
+  adminAuth.clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+// Who is signed in (401 when nobody is)
+app.get('/api/admin/session', adminOnly, (req, res) => {
+  res.json({
+    success: true,
+    username: req.admin
+  });
+});
+
+// Search subscribers: q (email/name), status (active|pending|inactive|all), division, teamCode, page, limit
+app.get('/api/admin/subscribers', adminOnly, async (req, res) => {
+  try {
+    const { q = '', status = 'all', division = '', teamCode = '' } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const search = q.toLowerCase().trim();
+    const statusOf = sub => (sub.active ? 'active' : sub.pending ? 'pending' : 'inactive');
+
+    const subscribers = await emailService.loadSubscribers();
+    const matches = subscribers
+      .filter(sub => status === 'all' || statusOf(sub) === status)
+      .filter(sub => !search ||
+        sub.email.toLowerCase().includes(search) ||
+        (sub.name || '').toLowerCase().includes(search))
+      .filter(sub => !division || (sub.divisionPreferences || []).includes(division))
+      .filter(sub => !teamCode || (sub.teamPreferences || []).some(pref => pref.teamCode === teamCode))
+      .sort((a, b) => new Date(b.subscribedAt) - new Date(a.subscribedAt));
+
+    res.json({
+      success: true,
+      total: matches.length,
+      activeTotal: subscribers.filter(sub => sub.active).length,
+      page,
+      pages: Math.max(Math.ceil(matches.length / limit), 1),
+      subscribers: matches.slice((page - 1) * limit, page * limit).map(sub => ({
+        id: sub.id,
+        email: sub.email,
+        name: sub.name || '',
+        active: sub.active,
+        status: statusOf(sub),
+        divisionPreferences: sub.divisionPreferences || [],
+        teamPreferences: sub.teamPreferences || [],
+        deliveryPreference: emailService.getDeliveryPreference(sub),
+        lastDigestAt: sub.lastDigestAt || null,
+        subscribedAt: sub.subscribedAt,
+        confirmedAt: sub.confirmedAt || null,
+        updatedAt: sub.updatedAt || null
+      }))
+    });
+  } catch (error) {
+    console.error('Admin subscriber search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load subscribers'
+    });
+  }
+});
+
+// Subscriber statistics: totals, unsubscribe rates, growth per interval (day|week|month) and per-division breakdowns
+app.get('/api/admin/subscribers/stats', adminOnly, async (req, res) => {
+  try {
+    const { interval = 'month' } = req.query;
+
+    if (!GROWTH_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        error: `interval must be one of: ${GROWTH_INTERVALS.join(', ')}`
+      });
+    }
+
+    const stats = await emailService.getSubscriberStats({ interval });
+    res.json({
+      success: true,
+      ...stats
+    });
+  } catch (error) {
+    console.error('Admin subscriber stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load subscriber statistics'
+    });
+  }
+});
+
+// Edit a subscriber: name, email, active, divisionPreferences, teamPreferences, deliveryPreference
+app.put('/api/admin/subscribers/:id', adminOnly, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, email, active, divisionPreferences, teamPreferences, deliveryPreference } = req.body;
+
+    const subscriber = await emailService.getSubscriberById(id);
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscriber not found'
+      });
+    }
+
+    if (email !== undefined) {
+      if (typeof email !== 'string' || !email.includes('@')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Valid email address is required'
+        });
+      }
+
+      if (email.toLowerCase().trim() !== subscriber.email.toLowerCase()) {
+        const existingSubscriber = await emailService.getSubscriberByEmail(email.trim());
+        if (existingSubscriber) {
+          return res.status(400).json({
+            success: false,
+            error: 'Another subscriber already uses this email address'
+          });
+        }
+      }
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'active must be true or false'
+      });
+    }
+
+    if (deliveryPreference !== undefined && !DELIVERY_PREFERENCES.includes(deliveryPreference)) {
+      return res.status(400).json({
+        success: false,
+        error: `deliveryPreference must be one of: ${DELIVERY_PREFERENCES.join(', ')}`
+      });
+    }
+
+    // Admins change the address directly, without a confirmation email
+    const result = await emailService.updateSubscriber(id, {
+      name,
+      email,
+      active,
+      divisionPreferences,
+      teamPreferences,
+      deliveryPreference
+    }, { confirmEmail: false });
+    console.log(`🔐 ${req.admin} updated subscriber ${subscriber.email}`);
+
+    res.json({
+      ...result,
+      subscriber: await emailService.getSubscriberById(id)
+    });
+  } catch (error) {
+    console.error('Admin update subscriber error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update subscriber'
+    });
+  }
+});
+
+// Reactivate subscribers by email (all inactive ones when emails is left out); dryRun previews
+app.post('/api/admin/subscribers/reactivate', adminOnly, async (req, res) => {
+  try {
+    const { emails, dryRun = false } = req.body;
+
+    if (emails !== undefined && (!Array.isArray(emails) || emails.some(email => typeof email !== 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'emails must be an array of email addresses'
+      });
+    }
+
+    const result = await emailService.bulkReactivateSubscribers(
+      emails ? emails.map(email => email.toLowerCase().trim()).filter(Boolean) : null,
+      Boolean(dryRun)
+    );
+    if (!result.dryRun) {
+      console.log(`🔐 ${req.admin} reactivated ${result.reactivatedCount} subscribers`);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Admin reactivate error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reactivate subscribers'
+    });
+  }
+});
+
+// Emails sent, queued or failed for one subscriber, newest first
+app.get('/api/admin/subscribers/:id/deliveries', adminOnly, async (req, res) => {
+  try {
+    const subscriber = await emailService.getSubscriberById(req.params.id);
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscriber not found'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    res.json({
+      success: true,
+      email: subscriber.email,
+      deliveries: await emailService.getDeliveryLog(subscriber.id, limit)
+    });
+  } catch (error) {
+    console.error('Admin delivery log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load delivery log'
+    });
+  }
+});
+
+// Notification outbox: status (queued|sent|failed, default failed), runId, limit
+app.get('/api/admin/outbox', adminOnly, async (req, res) => {
+  try {
+    const { status = 'failed', runId = null } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+    if (!['queued', 'sent', 'failed', 'all'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'status must be queued, sent, failed or all'
+      });
+    }
+
+    res.json({
+      success: true,
+      stats: await emailService.outbox.getStats(),
+      messages: await emailService.outbox.list({ status: status === 'all' ? null : status, runId, limit })
+    });
+  } catch (error) {
+    console.error('Admin outbox error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load the outbox'
+    });
+  }
+});
+
+// Send a failed outbox message again now
+app.post('/api/admin/outbox/:id/retry', adminOnly, async (req, res) => {
+  try {
+    const result = await emailService.retryOutboxMessage(req.params.id);
+    if (!result.message) {
+      return res.status(result.error === 'Message not found' ? 404 : 400).json(result);
+    }
+
+    console.log(`🔐 ${req.admin} retried email ${req.params.id}: ${result.success ? 'sent' : result.error}`);
+    res.status(result.success ? 200 : 502).json(result);
+  } catch (error) {
+    console.error('Admin outbox retry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry email'
+    });
+  }
+});
+
+// Registered webhooks (without secrets) with delivery counts
+app.get('/api/admin/webhooks', adminOnly, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      webhooks: await webhookService.list()
+    });
+  } catch (error) {
+    console.error('Admin webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load webhooks'
+    });
+  }
+});
+
+// Register a webhook: { url, description, events, divisions, teamCodes }.
+// The response holds the signing secret, which isn't listed again.
+app.post('/api/admin/webhooks', adminOnly, async (req, res) => {
+  try {
+    const { url, description, events, divisions, teamCodes } = req.body || {};
+    const result = await webhookService.create({ url, description, events, divisions, teamCodes });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    console.log(`🔐 ${req.admin} registered webhook ${result.webhook.id} (${result.webhook.url})`);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Admin webhook create error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register webhook'
+    });
+  }
+});
+
+// Update a webhook's url, description, events, divisions, teamCodes or active
+// flag; rotateSecret: true returns a new secret
+app.put('/api/admin/webhooks/:id', adminOnly, async (req, res) => {
+  try {
+    const result = await webhookService.update(req.params.id, req.body || {});
+    if (!result.success) {
+      return res.status(result.error === 'Webhook not found' ? 404 : 400).json(result);
+    }
+
+    console.log(`🔐 ${req.admin} updated webhook ${req.params.id}${req.body?.rotateSecret ? ' (new secret)' : ''}`);
+    res.json(result);
+  } catch (error) {
+    console.error('Admin webhook update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook'
+    });
+  }
+});
+
+app.delete('/api/admin/webhooks/:id', adminOnly, async (req, res) => {
+  try {
+    const result = await webhookService.remove(req.params.id);
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    console.log(`🔐 ${req.admin} deleted webhook ${req.params.id}`);
+    res.json(result);
+  } catch (error) {
+    console.error('Admin webhook delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook'
+    });
+  }
+});
+
+// Send a ping event to a webhook now
+app.post('/api/admin/webhooks/:id/test', adminOnly, async (req, res) => {
+  try {
+    const result = await webhookService.sendTest(req.params.id);
+    if (!result.delivery) {
+      return res.status(404).json(result);
+    }
+
+    res.status(result.success ? 200 : 502).json(result);
+  } catch (error) {
+    console.error('Admin webhook test error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test event'
+    });
+  }
+});
+
+// Delivery history for a webhook: status (queued|delivered|failed), limit
+app.get('/api/admin/webhooks/:id/deliveries', adminOnly, async (req, res) => {
+  try {
+    const { status = null } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+    if (status && !['queued', 'delivered', 'failed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'status must be queued, delivered or failed'
+      });
+    }
+
+    if (!(await webhookService.get(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      deliveries: await webhookService.listDeliveries({ webhookId: req.params.id, status, limit })
+    });
+  } catch (error) {
+    console.error('Admin webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load webhook deliveries'
+    });
+  }
+});
+
+// Deliver a failed webhook delivery again now
+app.post('/api/admin/webhooks/deliveries/:id/retry', adminOnly, async (req, res) => {
+  try {
+    const result = await webhookService.retry(req.params.id);
+    if (!result.delivery) {
+      return res.status(result.error === 'Delivery not found' ? 404 : 400).json(result);
+    }
+
+    console.log(`🔐 ${req.admin} retried webhook delivery ${req.params.id}: ${result.delivery.status}`);
+    res.status(result.success ? 200 : 502).json(result);
+  } catch (error) {
+    console.error('Admin webhook retry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry webhook delivery'
+    });
+  }
+});
+
+// GitHub Gist backup status (admin, used by backup.html)
+app.get('/api/backup/gist-status', adminOnly, async (req, res) => {
+  try {
+    res.json(await emailService.getGistInfo());
+  } catch (error) {
+    console.error('Gist status error:', error);
+    res.status(500).json({
+      configured: false,
+      error: 'Failed to check GitHub Gist status'
+    });
+  }
+});
+
+// Push the current subscriber list to the GitHub Gist backup (admin)
+app.post('/api/backup/sync-to-gist', adminOnly, async (req, res) => {
+  try {
+    if (!emailService.isGithubConfigured) {
+      return res.status(400).json({
+        success: false,
+        message: 'GitHub Gist not configured - set GITHUB_TOKEN'
+      });
+    }
+
+    const subscribers = await emailService.loadSubscribers();
+    const saved = await emailService.saveToGist(subscribers);
+    console.log(`🔐 ${req.admin} synced ${subscribers.length} subscribers to GitHub Gist`);
+
+    res.status(saved ? 200 : 500).json({
+      success: saved,
+      count: subscribers.length,
+      message: saved ? `Synced ${subscribers.length} subscribers to GitHub Gist` : 'Failed to sync to GitHub Gist'
+    });
+  } catch (error) {
+    console.error('Gist sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync to GitHub Gist'
+    });
+  }
+});
+
 // Catch-all for unknown API routes
 app.use('/api/*', (req, res) => {
   res.status(404).json({
     error: 'API endpoint not found',
     message: `The endpoint ${req.path} does not exist`,
     availableEndpoints: [
+      '/api/v1 (see /api/v1/openapi.json)',
       '/api/status',
+      '/api/events',
       '/api/standings',
+      '/api/standings/history',
+      '/api/schedule/changes',
+      '/api/changes',
       '/api/divisions',
+      '/api/team/:teamCode',
       '/api/team/:teamCode/schedule',
+      '/api/team/:teamCode/history',
+      '/api/team/:teamCode/schedule.ics',
+      '/api/division/:division/:tier/schedule.ics',
       '/api/subscribe',
+      '/api/confirm',
       '/api/unsubscribe-token',
+      '/api/push/public-key',
+      '/api/push/subscribe',
+      '/api/push/unsubscribe',
       '/api/stories',
-      '/api/stories/generate',
-      '/api/test-email/:division',
-      '/api/subscribers/export'
+      '/api/stories/generate (admin)',
+      '/api/test-email/:division (admin)',
+      '/api/subscribers/export (admin)',
+      '/api/admin/login',
+      '/api/admin/logout',
+      '/api/admin/session',
+      '/api/admin/subscribers',
+      '/api/admin/subscribers/stats',
+      '/api/admin/subscribers/:id',
+      '/api/admin/subscribers/reactivate',
+      '/api/admin/subscribers/:id/deliveries',
+      '/api/admin/outbox',
+      '/api/admin/outbox/:id/retry',
+      '/api/admin/webhooks',
+      '/api/admin/webhooks/:id',
+      '/api/admin/webhooks/:id/test',
+      '/api/admin/webhooks/:id/deliveries',
+      '/api/admin/webhooks/deliveries/:id/retry',
+      '/api/backup/gist-status (admin)',
+      '/api/backup/sync-to-gist (admin)'
     ]
   });
 });
@@ -973,9 +1790,15 @@ app.get('*', (req, res) => {
   const divisionRoutePattern = /^\/(\d+u|senior)-(rep|select)\/[^\/]+$/i;
   const isMatchingRoute = divisionRoutePattern.test(requestPath);
   
+  // Team pages (e.g., /team/518968)
+  const teamRoutePattern = /^\/team\/[^\/]+\/?$/i;
+  
   console.log(`🌐 Route request: ${requestPath}, matches pattern: ${isMatchingRoute}`);
   
-  if (isMatchingRoute) {
+  if (teamRoutePattern.test(requestPath)) {
+    console.log(`👥 Serving team.html for: ${requestPath}`);
+    res.sendFile(path.join(__dirname, 'public', 'team.html'));
+  } else if (isMatchingRoute) {
     // Serve standings.html for division pages
     console.log(`📊 Serving standings.html for: ${requestPath}`);
     res.sendFile(path.join(__dirname, 'public', 'standings.html'));
@@ -998,6 +1821,15 @@ const server = app.listen(PORT, HOST, () => {
   console.log(`🔧 Process ID: ${process.pid}`);
 });
 
+// Remove sign-ups that were never confirmed, at startup and every hour
+const cleanupPendingSubscribers = () => {
+  emailService.cleanupPendingSubscribers().catch(error => {
+    console.error('Pending subscriber cleanup error:', error);
+  });
+};
+cleanupPendingSubscribers();
+setInterval(cleanupPendingSubscribers, 60 * 60 * 1000).unref();
+
 // Add error handling for server startup
 server.on('error', (error) => {
   if (error.syscall !== 'listen') {
@@ -1024,6 +1856,8 @@ server.on('error', (error) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down gracefully...');
+  liveUpdates.stop();
+  dataStore.close();
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
@@ -1032,6 +1866,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('🛑 SIGINT received, shutting down gracefully...');
+  liveUpdates.stop();
+  dataStore.close();
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
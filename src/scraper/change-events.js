@@ -0,0 +1,233 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizeTeam } = require('../../standings-ranking');
+const { CHANGE_TYPES } = require('./schedule-diff');
+
+// Typed change events between two scrapes of a division. Everything that
+// reacts to a scrape - standings emails, team emails, digests, homepage story
+// triggers and /api/changes - works from these events instead of comparing
+// standings itself:
+//
+//   position_change   - a team moved up or down the (tiebreaker-ranked) table
+//   record_change     - a team's W-L-T changed
+//   team_added        - a team that wasn't in the standings before
+//   team_removed      - a team that dropped out of the standings
+//   result_posted     - a score appeared, or a posted score was corrected
+//   game_added        - a game that wasn't on the schedule before
+//   game_cancelled    - a game that is gone from the schedule
+//   game_rescheduled  - same game, different date or time
+//   game_relocated    - same date and time, different location
+//
+// Team events carry { team, teamCode } plus position/previousPosition or
+// record/previousRecord ({ wins, losses, ties }). Game events are the schedule
+// diff entries (see schedule-diff.js) with the event type: gameKey, both teams,
+// previous/current slots and score/previousScore.
+//
+// Detected events are appended to data/change-events.json:
+//
+//   { "lastUpdated": "...", "events": [{ "id", "type", "division", "detectedAt", ... }] }
+
+const EVENT_TYPES = {
+  POSITION_CHANGE: 'position_change',
+  RECORD_CHANGE: 'record_change',
+  TEAM_ADDED: 'team_added',
+  TEAM_REMOVED: 'team_removed',
+  RESULT_POSTED: 'result_posted',
+  GAME_ADDED: 'game_added',
+  GAME_CANCELLED: 'game_cancelled',
+  GAME_RESCHEDULED: 'game_rescheduled',
+  GAME_RELOCATED: 'game_relocated'
+};
+
+const STANDINGS_EVENT_TYPES = [
+  EVENT_TYPES.POSITION_CHANGE,
+  EVENT_TYPES.RECORD_CHANGE,
+  EVENT_TYPES.TEAM_ADDED,
+  EVENT_TYPES.TEAM_REMOVED
+];
+
+// Schedule diff entry type -> event type
+const SCHEDULE_EVENT_TYPES = {
+  [CHANGE_TYPES.RESULT_POSTED]: EVENT_TYPES.RESULT_POSTED,
+  [CHANGE_TYPES.ADDED]: EVENT_TYPES.GAME_ADDED,
+  [CHANGE_TYPES.REMOVED]: EVENT_TYPES.GAME_CANCELLED,
+  [CHANGE_TYPES.MOVED]: EVENT_TYPES.GAME_RESCHEDULED,
+  [CHANGE_TYPES.RELOCATED]: EVENT_TYPES.GAME_RELOCATED
+};
+
+const MAX_LOG_ENTRIES = 5000;
+
+function getRecord(stats) {
+  return { wins: stats.wins, losses: stats.losses, ties: stats.ties };
+}
+
+function formatRecord(record) {
+  return `${record.wins}-${record.losses}${record.ties ? `-${record.ties}` : ''}`;
+}
+
+// Standings events between two ranked team lists, in current table order with
+// removed teams last. Teams are matched by team code, or by name when either
+// side has no code (the compact ysba-standings.json teams don't).
+function diffStandings(previousTeams = [], currentTeams = []) {
+  const previous = (previousTeams || []).map(normalizeTeam);
+  const current = (currentTeams || []).map(normalizeTeam);
+  const events = [];
+
+  const byCode = new Map(previous.filter(team => team.teamCode).map(team => [team.teamCode, team]));
+  const byName = new Map(previous.map(team => [team.team, team]));
+  const matched = new Set();
+
+  current.forEach(team => {
+    const before = (team.teamCode && byCode.get(team.teamCode)) || byName.get(team.team);
+    const teamInfo = { team: team.team, teamCode: team.teamCode || before?.teamCode || null };
+
+    if (!before || matched.has(before)) {
+      events.push({ type: EVENT_TYPES.TEAM_ADDED, ...teamInfo, position: team.position, record: getRecord(team) });
+      return;
+    }
+    matched.add(before);
+
+    if (before.position !== team.position) {
+      events.push({ type: EVENT_TYPES.POSITION_CHANGE, ...teamInfo, position: team.position, previousPosition: before.position });
+    }
+
+    if (before.wins !== team.wins || before.losses !== team.losses || before.ties !== team.ties) {
+      events.push({ type: EVENT_TYPES.RECORD_CHANGE, ...teamInfo, record: getRecord(team), previousRecord: getRecord(before) });
+    }
+  });
+
+  previous
+    .filter(team => !matched.has(team))
+    .forEach(team => events.push({
+      type: EVENT_TYPES.TEAM_REMOVED,
+      team: team.team,
+      teamCode: team.teamCode,
+      previousPosition: team.position
+    }));
+
+  return events;
+}
+
+// The event for a schedule diff entry (logged or fresh from diffSchedules)
+function fromScheduleChange(change) {
+  return { ...change, type: SCHEDULE_EVENT_TYPES[change.type] || change.type };
+}
+
+function isStandingsEvent(event) {
+  return STANDINGS_EVENT_TYPES.includes(event.type);
+}
+
+// Team codes an event is about: the team, or both teams of a game
+function getEventTeamCodes(event) {
+  const codes = isStandingsEvent(event) ? [event.teamCode] : [event.homeTeamCode, event.awayTeamCode];
+  return codes.filter(Boolean);
+}
+
+// One line of text per event, used by emails, digests and feeds
+function describeEvent(event) {
+  const matchup = `${event.awayTeam} @ ${event.homeTeam}`;
+  const when = slot => [slot.dateText, slot.time].filter(Boolean).join(' at ');
+
+  switch (event.type) {
+    case EVENT_TYPES.POSITION_CHANGE:
+      return event.position < event.previousPosition
+        ? `${event.team} moved up to #${event.position} (was #${event.previousPosition})`
+        : `${event.team} dropped to #${event.position} (was #${event.previousPosition})`;
+    case EVENT_TYPES.RECORD_CHANGE:
+      return `${event.team} is now ${formatRecord(event.record)} (was ${formatRecord(event.previousRecord)})`;
+    case EVENT_TYPES.TEAM_ADDED:
+      return `${event.team} has joined the standings`;
+    case EVENT_TYPES.TEAM_REMOVED:
+      return `${event.team} is no longer in the standings`;
+    case EVENT_TYPES.RESULT_POSTED:
+      return event.previousScore
+        ? `Corrected final: ${event.awayTeam} ${event.score.away}, ${event.homeTeam} ${event.score.home} (was ${event.previousScore.away}-${event.previousScore.home})`
+        : `Final: ${event.awayTeam} ${event.score.away}, ${event.homeTeam} ${event.score.home}`;
+    case EVENT_TYPES.GAME_RESCHEDULED: {
+      const location = event.current.location !== event.previous.location && event.current.location
+        ? `, ${event.current.location}`
+        : '';
+      return `Rescheduled: ${matchup} is now ${when(event.current)}${location} (was ${when(event.previous)})`;
+    }
+    case EVENT_TYPES.GAME_RELOCATED:
+      return `Location change: ${matchup} on ${when(event.current)} is now at ${event.current.location || 'TBD'} (was ${event.previous.location || 'TBD'})`;
+    case EVENT_TYPES.GAME_ADDED:
+      return `New game: ${matchup} on ${when(event.current)}${event.current.location ? `, ${event.current.location}` : ''}`;
+    case EVENT_TYPES.GAME_CANCELLED:
+      return `Cancelled: ${matchup} on ${when(event.previous)}`;
+    default:
+      return event.homeTeam ? `${matchup}: schedule updated` : `${event.team}: standings updated`;
+  }
+}
+
+class ChangeEventLog {
+  constructor(logFile = path.join(__dirname, '../../data/change-events.json')) {
+    this.logFile = logFile;
+  }
+
+  // Log entries for one division file between its previous and new formatted
+  // data ({ standings: { teams } }) plus the division's schedule diff entries
+  // from ScheduleChangeLog.compareDivision. Like the schedule diff, standings
+  // aren't compared without a previous file or when the new table is empty.
+  compareDivision(divisionKey, previousData, currentData, scheduleChanges = [], detectedAt = new Date().toISOString()) {
+    const previousTeams = previousData?.standings?.teams;
+    const currentTeams = currentData?.standings?.teams || [];
+    let standingsEvents = [];
+
+    if (previousTeams && currentTeams.length === 0 && previousTeams.length > 0) {
+      console.log(`⚠️  ${divisionKey}: new standings are empty - skipping standings change detection`);
+    } else if (previousTeams) {
+      standingsEvents = diffStandings(previousTeams, currentTeams).map(event => ({
+        id: `${divisionKey}:${event.teamCode || event.team}:${event.type}:${detectedAt}`,
+        division: divisionKey,
+        detectedAt,
+        ...event
+      }));
+    }
+
+    const gameEvents = scheduleChanges.map(change => {
+      const event = fromScheduleChange(change);
+      return { ...event, id: `${divisionKey}:${event.gameKey}:${event.type}:${detectedAt}`, division: divisionKey, detectedAt };
+    });
+
+    return [...standingsEvents, ...gameEvents];
+  }
+
+  async read() {
+    try {
+      const log = JSON.parse(await fs.readFile(this.logFile, 'utf8'));
+      return { lastUpdated: log.lastUpdated || null, events: log.events || [] };
+    } catch (error) {
+      return { lastUpdated: null, events: [] }; // Nothing recorded yet
+    }
+  }
+
+  // Logged events, newest scrape first (detection order within a scrape). Filters: division file key, since (an
+  // ISO date or time), types (array of EVENT_TYPES values), teamCode, limit.
+  async getEvents({ division = null, since = null, types = null, teamCode = null, limit = null } = {}) {
+    const { events } = await this.read();
+    const sinceDate = since ? new Date(since) : null;
+
+    if (sinceDate && isNaN(sinceDate.getTime())) {
+      throw new Error(`Invalid since date: ${since}`);
+    }
+
+    const filtered = events
+      .filter(event => !division || event.division === division)
+      .filter(event => !sinceDate || new Date(event.detectedAt) > sinceDate)
+      .filter(event => !types || types.includes(event.type))
+      .filter(event => !teamCode || getEventTeamCodes(event).includes(teamCode))
+      .sort((a, b) => new Date(b.detectedAt) - new Date(a.detectedAt));
+
+    return limit ? filtered.slice(0, limit) : filtered;
+  }
+}
+
+module.exports = ChangeEventLog;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.MAX_LOG_ENTRIES = MAX_LOG_ENTRIES;
+module.exports.diffStandings = diffStandings;
+module.exports.fromScheduleChange = fromScheduleChange;
+module.exports.isStandingsEvent = isStandingsEvent;
+module.exports.getEventTeamCodes = getEventTeamCodes;
+module.exports.describeEvent = describeEvent;
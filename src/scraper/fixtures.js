@@ -0,0 +1,84 @@
+const fs = require('fs').promises;
+const path = require('path');
+const HtmlPage = require('./html-page');
+const config = require('../../config');
+
+// Saved HTML snapshots of the YSBA standings/schedule result pages.
+// Used to replay scrapes offline (SCRAPER_SOURCE=fixtures) and written by the
+// recorder during live runs (SCRAPER_RECORD_FIXTURES=true).
+class FixtureStore {
+  constructor(fixturesDir = config.SCRAPER_FIXTURES_DIR) {
+    this.fixturesDir = fixturesDir;
+  }
+
+  // YSBA values like "-10" and "__ALL__" are kept readable but filesystem-safe
+  safeValue(value) {
+    return String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+  }
+
+  standingsFileName(ysbaDiv, ysbaTier) {
+    return `standings-${this.safeValue(ysbaDiv)}-${this.safeValue(ysbaTier)}.html`;
+  }
+
+  scheduleFileName(ysbaDiv, pageNumber = 1) {
+    return `schedule-${this.safeValue(ysbaDiv)}-page${pageNumber}.html`;
+  }
+
+  // Load a snapshot as a page, or null if it hasn't been recorded
+  async loadPage(fileName) {
+    const filePath = path.join(this.fixturesDir, fileName);
+
+    try {
+      const html = await fs.readFile(filePath, 'utf8');
+      return new HtmlPage(html, filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async openStandingsPage(ysbaDiv, ysbaTier) {
+    const fileName = this.standingsFileName(ysbaDiv, ysbaTier);
+    const page = await this.loadPage(fileName);
+
+    if (!page) {
+      throw new Error(`No standings fixture for YSBA ${ysbaDiv}/${ysbaTier} (expected ${fileName} in ${this.fixturesDir})`);
+    }
+
+    return page;
+  }
+
+  // Page 1 is required; later pages are optional, just like the live pagination link
+  async openSchedulePage(ysbaDiv, pageNumber = 1) {
+    const fileName = this.scheduleFileName(ysbaDiv, pageNumber);
+    const page = await this.loadPage(fileName);
+
+    if (!page && pageNumber === 1) {
+      throw new Error(`No schedule fixture for YSBA division ${ysbaDiv} (expected ${fileName} in ${this.fixturesDir})`);
+    }
+
+    return page;
+  }
+
+  async saveSnapshot(fileName, html) {
+    await fs.mkdir(this.fixturesDir, { recursive: true });
+
+    const filePath = path.join(this.fixturesDir, fileName);
+    await fs.writeFile(filePath, html, 'utf8');
+    console.log(`📼 Recorded fixture: ${fileName}`);
+
+    return filePath;
+  }
+
+  async recordStandings(ysbaDiv, ysbaTier, html) {
+    return this.saveSnapshot(this.standingsFileName(ysbaDiv, ysbaTier), html);
+  }
+
+  async recordSchedule(ysbaDiv, pageNumber, html) {
+    return this.saveSnapshot(this.scheduleFileName(ysbaDiv, pageNumber), html);
+  }
+}
+
+module.exports = FixtureStore;
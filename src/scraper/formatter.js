@@ -1,4 +1,6 @@
 const config = require('../../config');
+const { rankTeams } = require('../../standings-ranking');
+const { isGamePlayed } = require('./game-time');
 
 class DataFormatter {
   constructor() {
@@ -42,7 +44,7 @@ class DataFormatter {
       }
 
       formattedData.divisions[division].tiers[reconstructedTier] = {
-        standings: this.formatStandings(tierData.standings),
+        standings: this.formatStandings(tierData.standings, tierData.schedule),
         schedule: this.formatSchedule(tierData.schedule),
         summary: this.generateDivisionSummary(tierData.standings, tierData.schedule)
       };
@@ -51,8 +53,8 @@ class DataFormatter {
     return formattedData;
   }
 
-  // Format standings data
-  formatStandings(standingsData) {
+  // Format standings data, ranked by the shared YSBA tiebreaker rules
+  formatStandings(standingsData, scheduleData = null) {
     if (!standingsData || !standingsData.teams) {
       return {
         teams: [],
@@ -61,8 +63,10 @@ class DataFormatter {
       };
     }
 
+    const rankedTeams = rankTeams(standingsData.teams, scheduleData?.allGames);
+
     return {
-      teams: standingsData.teams.map(team => ({
+      teams: rankedTeams.map(team => ({
         position: team.position,
         team: team.team,
         teamCode: team.teamCode,
@@ -78,7 +82,8 @@ class DataFormatter {
           runsFor: team.runsFor,
           runsAgainst: team.runsAgainst,
           runDifferential: team.runsFor - team.runsAgainst
-        }
+        },
+        tiebreaker: team.tiebreaker
       })),
       lastUpdated: standingsData.lastUpdated || (this.lastUpdated || new Date().toISOString()),
       totalTeams: standingsData.teams.length
@@ -147,7 +152,7 @@ class DataFormatter {
   getRecentGames(allGames, limit = 10) {
     const now = new Date();
     return allGames
-      .filter(game => game.isCompleted || (game.date && new Date(game.date) < now))
+      .filter(game => isGamePlayed(game, now))
       .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0))
       .slice(0, limit)
       .map(game => this.formatGames([game])[0]);
@@ -158,8 +163,8 @@ class DataFormatter {
     const now = new Date();
     return allGames
       .filter(game => {
-        // Only show games with future dates, regardless of completion status
-        return game.date && new Date(game.date) >= now;
+        // Only dated games that haven't started or been scored yet
+        return game.date && !isGamePlayed(game, now);
       })
       .sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0))
       .slice(0, limit)
@@ -182,9 +187,8 @@ class DataFormatter {
     if (standingsData && standingsData.teams) {
       summary.totalTeams = standingsData.teams.length;
       
-      // Find top team (highest win percentage)
-      const topTeam = standingsData.teams
-        .sort((a, b) => parseFloat(b.winPercentage) - parseFloat(a.winPercentage))[0];
+      // Top team is whoever the tiebreaker rules put first
+      const [topTeam] = rankTeams(standingsData.teams, scheduleData?.allGames);
       
       if (topTeam) {
         summary.topTeam = {
@@ -247,7 +251,7 @@ class DataFormatter {
 
       // Simplified format for API
       apiData.divisions[division][reconstructedTier] = {
-        standings: tierData.standings?.teams?.map(team => ({
+        standings: rankTeams(tierData.standings?.teams, tierData.schedule?.allGames).map(team => ({
           pos: team.position,
           team: team.team,
           code: team.teamCode,
@@ -257,7 +261,7 @@ class DataFormatter {
           pct: team.winPercentage,
           rf: team.runsFor,
           ra: team.runsAgainst
-        })) || [],
+        })),
         recentGames: this.getRecentGames(tierData.schedule?.allGames || [], 5),
         nextGames: this.getUpcomingGames(tierData.schedule?.allGames || [], 5)
       };
@@ -0,0 +1,55 @@
+// Stable identities for scheduled games. The YSBA schedule has no game ids,
+// and a rescheduled game changes its date, time and often its diamond, so a
+// game is identified by its matchup instead: home team, away team and which
+// meeting of that home/away pairing it is, in date order.
+//
+//   "511075-518967-1" -> first game Barrie hosts Vaughan this season
+//
+// The key survives a game moving to another date or location. It only shifts
+// if a rescheduled game jumps past another meeting of the same pairing.
+
+function getMatchupKey(game) {
+  return `${game.homeTeamCode || game.homeTeam}-${game.awayTeamCode || game.awayTeam}`;
+}
+
+// Keys for a list of games, in the same order as the list
+function assignGameKeys(games) {
+  const byMatchup = new Map();
+
+  games.forEach((game, index) => {
+    const matchup = getMatchupKey(game);
+    if (!byMatchup.has(matchup)) byMatchup.set(matchup, []);
+    byMatchup.get(matchup).push({ game, index });
+  });
+
+  const keys = new Array(games.length);
+
+  byMatchup.forEach((entries, matchup) => {
+    // Date order; undated games after dated ones, then listing order
+    entries
+      .slice()
+      .sort((a, b) => {
+        if (!a.game.date || !b.game.date) {
+          return (!a.game.date - !b.game.date) || a.index - b.index;
+        }
+        return (new Date(a.game.date) - new Date(b.game.date)) || a.index - b.index;
+      })
+      .forEach((entry, meeting) => {
+        keys[entry.index] = `${matchup}-${meeting + 1}`;
+      });
+  });
+
+  return keys;
+}
+
+// Copies of the games with a gameKey field added
+function withGameKeys(games) {
+  const keys = assignGameKeys(games);
+  return games.map((game, index) => ({ ...game, gameKey: keys[index] }));
+}
+
+module.exports = {
+  getMatchupKey,
+  assignGameKeys,
+  withGameKeys
+};
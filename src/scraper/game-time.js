@@ -0,0 +1,200 @@
+const config = require('../../config');
+
+// Game dates on the YSBA schedule are wall-clock times in Ontario with no year
+// ("Sat, May 3" / "6:30 PM"). These helpers turn them into real instants,
+// independent of the timezone of the machine doing the scraping.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Months before this (0-based) belong to a season that started the previous
+// spring, e.g. a January game in a schedule that began in April
+const SEASON_START_MONTH = 2; // March
+
+// How far back to look for a year whose calendar matches the listed weekday
+const MAX_SEASONS_BACK = 6;
+
+const formatterCache = new Map();
+
+function getZoneFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+// Offset of the zone from UTC at a given instant, in milliseconds (EDT = -4h)
+function getZoneOffset(instantMs, timeZone) {
+  const parts = {};
+  getZoneFormatter(timeZone).formatToParts(new Date(instantMs)).forEach(part => {
+    parts[part.type] = parseInt(part.value, 10);
+  });
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instantMs / 1000) * 1000;
+}
+
+// Wall-clock time in a zone -> Date. Re-checks the offset at the result so
+// times near a DST switch land on the right side of it: repeated times (fall
+// back) resolve to the first occurrence, skipped times (spring forward) move
+// forward by the gap.
+function zonedTimeToDate(year, monthIndex, day, hours = 0, minutes = 0, timeZone = config.TIMEZONE) {
+  const wallClock = Date.UTC(year, monthIndex, day, hours, minutes);
+
+  const firstOffset = getZoneOffset(wallClock, timeZone);
+  const firstGuess = wallClock - firstOffset;
+  const secondOffset = getZoneOffset(firstGuess, timeZone);
+
+  if (secondOffset !== firstOffset) {
+    const secondGuess = wallClock - secondOffset;
+    if (getZoneOffset(secondGuess, timeZone) === secondOffset) {
+      return new Date(secondGuess);
+    }
+  }
+
+  return new Date(firstGuess);
+}
+
+// Season being played at a given moment: before March we're still in (or
+// between) last year's season
+function resolveSeasonYear(referenceDate = new Date(), timeZone = config.TIMEZONE) {
+  if (config.SEASON_YEAR) {
+    return config.SEASON_YEAR;
+  }
+
+  const parts = {};
+  getZoneFormatter(timeZone).formatToParts(referenceDate).forEach(part => {
+    parts[part.type] = parseInt(part.value, 10);
+  });
+
+  return parts.month - 1 >= SEASON_START_MONTH ? parts.year : parts.year - 1;
+}
+
+// Calendar year of a month/day within a season. When the listing includes the
+// weekday, it must agree with the calendar - if it doesn't, the schedule is
+// from another season (an archived snapshot, or next season's schedule posted
+// early), so use the nearest year where it does, preferring past seasons.
+function resolveGameYear(monthIndex, day, weekdayIndex, seasonYear) {
+  const year = monthIndex < SEASON_START_MONTH ? seasonYear + 1 : seasonYear;
+
+  if (weekdayIndex === null || weekdayIndex === undefined) {
+    return year;
+  }
+
+  const candidates = [year, year - 1, year + 1];
+  for (let offset = 2; offset <= MAX_SEASONS_BACK; offset++) {
+    candidates.push(year - offset);
+  }
+
+  const match = candidates.find(candidate =>
+    new Date(Date.UTC(candidate, monthIndex, day)).getUTCDay() === weekdayIndex
+  );
+
+  return match || year;
+}
+
+// "Sat, May 3", "May 3", "Sat, May 3, 2025" or "5/3/2025"
+function parseDateText(dateText) {
+  const text = (dateText || '').trim();
+
+  const named = text.match(/^(?:([A-Za-z]{3})[a-z]*\.?,?\s+)?([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2})(?:,?\s+(\d{4}))?$/);
+  if (named) {
+    const monthIndex = MONTHS.indexOf(named[2].toLowerCase());
+    if (monthIndex === -1) return null;
+
+    const weekdayIndex = named[1] ? WEEKDAYS.indexOf(named[1].toLowerCase()) : -1;
+    return {
+      monthIndex,
+      day: parseInt(named[3], 10),
+      weekdayIndex: weekdayIndex === -1 ? null : weekdayIndex,
+      year: named[4] ? parseInt(named[4], 10) : null
+    };
+  }
+
+  const numeric = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (numeric) {
+    return {
+      monthIndex: parseInt(numeric[1], 10) - 1,
+      day: parseInt(numeric[2], 10),
+      weekdayIndex: null,
+      year: parseInt(numeric[3], 10)
+    };
+  }
+
+  return null;
+}
+
+// "6:30 PM", "10:00 am" or "18:30" -> { hours, minutes }; null for "-", "TBA", etc.
+function parseTimeText(timeText) {
+  const match = (timeText || '').trim().match(/^(\d{1,2}):(\d{2})\s*([AaPp][Mm])?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const meridiem = match[3] ? match[3].toLowerCase() : null;
+
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+// Start of a game as a Date, or null if the date can't be read. Games with no
+// listed time start at midnight local time.
+function parseGameDateTime(dateText, timeText, options = {}) {
+  const timeZone = options.timeZone || config.TIMEZONE;
+  const date = parseDateText(dateText);
+  if (!date) return null;
+
+  const seasonYear = options.seasonYear || resolveSeasonYear(options.referenceDate, timeZone);
+  const year = date.year || resolveGameYear(date.monthIndex, date.day, date.weekdayIndex, seasonYear);
+  const time = parseTimeText(timeText) || { hours: 0, minutes: 0 };
+
+  return zonedTimeToDate(year, date.monthIndex, date.day, time.hours, time.minutes, timeZone);
+}
+
+// A game counts as played once it has a score or once it has started. Games
+// without a listed time stay upcoming until their day is over.
+function isGamePlayed(game, now = new Date()) {
+  if (game.isCompleted) return true;
+  if (!game.date) return false;
+
+  const start = new Date(game.date).getTime();
+  if (isNaN(start)) return false;
+
+  const kickoff = parseTimeText(game.time) ? start : start + 24 * 60 * 60 * 1000;
+  return kickoff <= now.getTime();
+}
+
+// Split games into played and upcoming; every game lands in exactly one list
+function splitPlayedAndUpcoming(games, now = new Date()) {
+  const playedGames = [];
+  const upcomingGames = [];
+
+  games.forEach(game => {
+    (isGamePlayed(game, now) ? playedGames : upcomingGames).push(game);
+  });
+
+  return { playedGames, upcomingGames };
+}
+
+module.exports = {
+  zonedTimeToDate,
+  resolveSeasonYear,
+  resolveGameYear,
+  parseDateText,
+  parseTimeText,
+  parseGameDateTime,
+  isGamePlayed,
+  splitPlayedAndUpcoming
+};
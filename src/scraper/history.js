@@ -0,0 +1,202 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const { zonedTimeToDate } = require('./game-time');
+
+// Dated standings snapshots. Every scrape that changes the standings adds one
+// compact file to data/history/, listed in data/history/index.json:
+//
+//   { "snapshots": [{ "file": "standings-2025-07-01T18-30-05Z.json", "lastUpdated": "..." }] }
+//
+// Each snapshot holds the ranked table of every division file, keyed the same
+// way as public/divisions/ (e.g. "9U-select-all-tiers").
+
+const INDEX_FILE = 'index.json';
+
+class StandingsHistory {
+  constructor(historyDir = path.join(__dirname, '../../data/history')) {
+    this.historyDir = historyDir;
+    this.snapshotCache = new Map(); // Snapshot files never change once written
+  }
+
+  // Compact snapshot of formatted division data ({ standings: { teams } } per division file)
+  buildSnapshot(divisionFiles, lastUpdated = new Date().toISOString()) {
+    const divisions = {};
+
+    for (const [divisionKey, data] of Object.entries(divisionFiles)) {
+      const teams = data.standings?.teams || [];
+      if (teams.length === 0) continue;
+
+      divisions[divisionKey] = {
+        teams: teams.map(team => ({
+          pos: team.position,
+          code: team.teamCode || null,
+          team: team.team,
+          gp: team.record.gamesPlayed,
+          w: team.record.wins,
+          l: team.record.losses,
+          t: team.record.ties,
+          pts: team.stats.points,
+          pct: team.record.winPercentage,
+          rf: team.stats.runsFor,
+          ra: team.stats.runsAgainst
+        }))
+      };
+    }
+
+    return { lastUpdated, divisions };
+  }
+
+  // File name for a snapshot taken at the given time (sorts chronologically)
+  getSnapshotFileName(lastUpdated) {
+    const stamp = new Date(lastUpdated).toISOString().replace(/\.\d{3}Z$/, 'Z').replace(/:/g, '-');
+    return `standings-${stamp}.json`;
+  }
+
+  // Snapshot list, oldest first
+  async listSnapshots() {
+    try {
+      const index = JSON.parse(await fs.readFile(path.join(this.historyDir, INDEX_FILE), 'utf8'));
+      return (index.snapshots || [])
+        .slice()
+        .sort((a, b) => new Date(a.lastUpdated) - new Date(b.lastUpdated));
+    } catch (error) {
+      return []; // No history recorded yet
+    }
+  }
+
+  async readSnapshot(file) {
+    if (!this.snapshotCache.has(file)) {
+      const snapshot = JSON.parse(await fs.readFile(path.join(this.historyDir, file), 'utf8'));
+      this.snapshotCache.set(file, snapshot);
+    }
+    return this.snapshotCache.get(file);
+  }
+
+  // Latest snapshot taken on or before asOf (see parseAsOf), or null if none
+  async getSnapshotAsOf(asOf) {
+    const cutoff = parseAsOf(asOf);
+    if (!cutoff) {
+      throw new Error(`Invalid asOf date: ${asOf}`);
+    }
+
+    const snapshots = await this.listSnapshots();
+    const entry = snapshots.filter(snapshot => new Date(snapshot.lastUpdated) <= cutoff).pop();
+
+    return entry ? this.readSnapshot(entry.file) : null;
+  }
+
+  // Standings of one division file as of a date, in the /api/standings team shape
+  async getStandingsAsOf(divisionKey, asOf) {
+    const snapshot = await this.getSnapshotAsOf(asOf);
+    const teams = snapshot?.divisions?.[divisionKey]?.teams;
+
+    if (!teams) return null;
+
+    return {
+      teams: teams.map(expandTeam).sort((a, b) => a.position - b.position),
+      lastUpdated: snapshot.lastUpdated
+    };
+  }
+
+  // Position, record and points of a team over time. Only snapshots where
+  // something about the team changed are included. Searches every division
+  // unless divisionKey is given.
+  async getTeamHistory(teamCode, divisionKey = null) {
+    const snapshots = await this.listSnapshots();
+    const history = [];
+    let teamName = null;
+    let foundIn = null;
+
+    for (const entry of snapshots) {
+      const snapshot = await this.readSnapshot(entry.file);
+      const divisionKeys = divisionKey ? [divisionKey] : Object.keys(snapshot.divisions || {});
+
+      for (const key of divisionKeys) {
+        const team = snapshot.divisions?.[key]?.teams?.find(candidate => candidate.code === teamCode);
+        if (!team) continue;
+
+        appendHistoryPoint(history, team, snapshot.lastUpdated);
+
+        teamName = team.team;
+        foundIn = key;
+        break;
+      }
+    }
+
+    return { teamCode, team: teamName, division: foundIn, history };
+  }
+
+  // History of every team in one division file, keyed by team code - one
+  // request's worth of data for the standings page sparklines
+  async getDivisionHistory(divisionKey) {
+    const snapshots = await this.listSnapshots();
+    const teams = {};
+
+    for (const entry of snapshots) {
+      const snapshot = await this.readSnapshot(entry.file);
+
+      (snapshot.divisions?.[divisionKey]?.teams || []).forEach(team => {
+        if (!team.code) return;
+
+        appendHistoryPoint(teams[team.code] || (teams[team.code] = []), team, snapshot.lastUpdated);
+      });
+    }
+
+    return { division: divisionKey, teams };
+  }
+}
+
+// Compact snapshot team -> /api/standings team
+function expandTeam(team) {
+  return {
+    position: team.pos,
+    team: team.team,
+    teamCode: team.code,
+    gamesPlayed: team.gp,
+    wins: team.w,
+    losses: team.l,
+    ties: team.t,
+    points: team.pts,
+    runsFor: team.rf,
+    runsAgainst: team.ra,
+    runDifferential: (team.rf || 0) - (team.ra || 0),
+    winPercentage: team.pct
+  };
+}
+
+// Add a team's snapshot entry to its history unless nothing about it changed
+function appendHistoryPoint(history, team, date) {
+  const { team: name, teamCode, ...stats } = expandTeam(team);
+  const previous = history[history.length - 1];
+
+  if (previous) {
+    const { date: previousDate, ...previousStats } = previous;
+    if (JSON.stringify(previousStats) === JSON.stringify(stats)) return;
+  }
+
+  history.push({ date, ...stats });
+}
+
+// asOf -> the last instant it covers. A plain date ("2025-07-01") means the
+// end of that day in Ontario; a full timestamp is used as-is.
+function parseAsOf(asOf, timeZone = config.TIMEZONE) {
+  if (!asOf) return null;
+
+  const dateOnly = String(asOf).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnly) {
+    const [year, month, day] = dateOnly.slice(1).map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+    const nextDay = zonedTimeToDate(year, month - 1, day + 1, 0, 0, timeZone);
+    return new Date(nextDay.getTime() - 1);
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(asOf)) return null;
+
+  const instant = new Date(asOf);
+  return isNaN(instant.getTime()) ? null : instant;
+}
+
+module.exports = StandingsHistory;
+module.exports.parseAsOf = parseAsOf;
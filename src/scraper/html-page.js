@@ -0,0 +1,31 @@
+const { parseHTML } = require('linkedom');
+
+// Minimal stand-in for a Puppeteer Page backed by static HTML.
+// Supports the calls the scraper's extraction code makes, so parsers written for
+// page.evaluate() run unchanged against saved or fetched markup.
+class HtmlPage {
+  constructor(html, url = null) {
+    this.html = html;
+    this.url = url;
+    this.document = parseHTML(html).document;
+  }
+
+  // Run a parser against this page's document (passed as the final argument)
+  async evaluate(pageFunction, ...args) {
+    return pageFunction(...args, this.document);
+  }
+
+  async content() {
+    return this.html;
+  }
+
+  async $(selector) {
+    return this.document.querySelector(selector);
+  }
+
+  async close() {
+    // Nothing to release - kept for parity with Puppeteer pages
+  }
+}
+
+module.exports = HtmlPage;
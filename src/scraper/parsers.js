@@ -0,0 +1,210 @@
+// DOM parsers for the YSBA dgGrid tables.
+//
+// These functions run in two places: inside Chromium via page.evaluate(), and in
+// Node against a linkedom document (fixtures, recorded snapshots). Puppeteer
+// serializes them with toString(), so they must stay self-contained - no
+// references to anything outside the function body. The DOM root is always the
+// last argument and falls back to the browser's global document.
+
+// Parse the standings grid from xStanding.aspx
+function parseStandingsTable(teamMappingJson, root = document) {
+  const teamMapping = JSON.parse(teamMappingJson);
+
+  const table = root.getElementById('dgGrid');
+  if (!table) {
+    throw new Error('Standings table not found');
+  }
+
+  const rows = Array.from(table.querySelectorAll('tr'));
+  if (rows.length === 0) {
+    throw new Error('No data rows found in standings table');
+  }
+
+  const headerRow = rows.find(row => {
+    const cells = row.querySelectorAll('th, td');
+    return Array.from(cells).some(cell =>
+      cell.textContent.trim().toLowerCase().includes('team') ||
+      cell.textContent.trim().toLowerCase().includes('gp') ||
+      cell.textContent.trim().toLowerCase().includes('wins') ||
+      cell.textContent.trim().toLowerCase().includes('name')
+    );
+  });
+
+  if (!headerRow) {
+    throw new Error('Header row not found');
+  }
+
+  const dataRows = rows.filter(row => {
+    const firstCell = row.querySelector('td');
+    if (!firstCell) return false;
+
+    const cellText = firstCell.textContent.trim();
+    return cellText && !cellText.toLowerCase().includes('team') &&
+           !cellText.toLowerCase().includes('name') &&
+           !cellText.toLowerCase().includes('standing');
+  });
+
+  const teams = dataRows.map((row, index) => {
+    const cells = Array.from(row.querySelectorAll('td'));
+    const cellTexts = cells.map(cell => cell.textContent.trim());
+
+    if (cells.length < 7) {
+      return null;
+    }
+
+    // Extract team code from link
+    const firstCellLink = cells[0].querySelector('a');
+    const secondCellLink = cells[1] ? cells[1].querySelector('a') : null;
+    let teamCode = null;
+
+    if (firstCellLink) {
+      const href = firstCellLink.getAttribute('href') || '';
+      const codeMatch = href.match(/tmcd=(\d+)/);
+      teamCode = codeMatch ? codeMatch[1] : null;
+    }
+
+    if (!teamCode && secondCellLink) {
+      const href = secondCellLink.getAttribute('href') || '';
+      const codeMatch = href.match(/tmcd=(\d+)/);
+      teamCode = codeMatch ? codeMatch[1] : null;
+    }
+
+    if (!teamCode) {
+      for (let i = 0; i < Math.min(cells.length, 3); i++) {
+        const cellText = cells[i].textContent.trim();
+        const textCodeMatch = cellText.match(/\b(5\d{5})\b/);
+        if (textCodeMatch) {
+          teamCode = textCodeMatch[1];
+          break;
+        }
+      }
+    }
+
+    let teamName = teamCode && teamMapping[teamCode] ? teamMapping[teamCode] : null;
+
+    if (!teamName) {
+      teamName = cells[1] ? cells[1].textContent.trim() :
+                cells[0] ? cells[0].textContent.trim() :
+                `Team ${teamCode || index + 1}`;
+    }
+
+    const cellValues = cellTexts.slice(2, 9).map(text => {
+      const num = parseInt(text);
+      return isNaN(num) ? 0 : num;
+    });
+
+    const gamesPlayed = cellValues[0] || 0;
+    const wins = parseInt(cellValues[1]) || 0;
+    const losses = parseInt(cellValues[2]) || 0;
+    const ties = parseInt(cellValues[3]) || 0;
+
+    let winPercentage = '.000';
+    const totalGames = wins + losses + ties;
+
+    if (totalGames > 0) {
+      const percentage = ((wins + 0.5 * ties) / totalGames) * 100;
+      winPercentage = (percentage / 100).toFixed(3);
+    }
+
+    return {
+      position: index + 1,
+      team: teamName,
+      teamCode: teamCode || `unknown-${index + 1}`,
+      gamesPlayed,
+      wins,
+      losses,
+      ties,
+      points: cellValues[4] || 0,
+      runsFor: cellValues[5] || 0,
+      runsAgainst: cellValues[6] || 0,
+      winPercentage
+    };
+  }).filter(team => team !== null);
+
+  return {
+    teams,
+    lastUpdated: new Date().toISOString(),
+    source: 'YSBA Website'
+  };
+}
+
+// Parse one page of the schedule grid from xScheduleMM.aspx
+function parseScheduleTable(root = document) {
+  const games = [];
+
+  const table = root.getElementById('dgGrid');
+  if (!table) return games;
+
+  const rows = Array.from(table.querySelectorAll('tr'));
+
+  rows.forEach((row, index) => {
+    if (index === 0) return; // Skip header
+
+    const cells = Array.from(row.querySelectorAll('td'));
+    if (cells.length < 8) return;
+
+    try {
+      const dateText = cells[0] ? cells[0].textContent.trim() : '';
+      const timeText = cells[1] ? cells[1].textContent.trim() : '';
+      const division = cells[2] ? cells[2].textContent.trim() : '';
+      const gameTier = cells[3] ? cells[3].textContent.trim() : '';
+      const awayTeamText = cells[4] ? cells[4].textContent.trim() : '';
+      const homeTeamText = cells[5] ? cells[5].textContent.trim() : '';
+      const location = cells[6] ? cells[6].textContent.trim() : '';
+      const scoreText = cells[7] ? cells[7].textContent.trim() : '';
+
+      const extractTeamCodeAndName = (teamText) => {
+        const match = teamText.match(/^\((\d+)\)\s+(.+)$/);
+        if (match) {
+          return { code: match[1], name: match[2] };
+        }
+        return { code: teamText, name: teamText };
+      };
+
+      const awayTeamInfo = extractTeamCodeAndName(awayTeamText);
+      const homeTeamInfo = extractTeamCodeAndName(homeTeamText);
+
+      if (!dateText || !awayTeamInfo.code || !homeTeamInfo.code) return;
+
+      let homeScore = null;
+      let awayScore = null;
+      let isCompleted = false;
+
+      if (scoreText && scoreText !== '-' && scoreText.includes('-')) {
+        const scoreParts = scoreText.split('-');
+        if (scoreParts.length === 2) {
+          awayScore = parseInt(scoreParts[0].trim());
+          homeScore = parseInt(scoreParts[1].trim());
+          isCompleted = !isNaN(homeScore) && !isNaN(awayScore);
+        }
+      }
+
+      games.push({
+        date: null, // Resolved from dateText/time in Node (see game-time.js)
+        dateText: dateText,
+        time: timeText,
+        homeTeam: homeTeamInfo.name,
+        homeTeamCode: homeTeamInfo.code,
+        awayTeam: awayTeamInfo.name,
+        awayTeamCode: awayTeamInfo.code,
+        homeScore: homeScore,
+        awayScore: awayScore,
+        location: location,
+        division: division,
+        gameTier: gameTier,
+        isCompleted: isCompleted,
+        scoreText: scoreText
+      });
+
+    } catch (error) {
+      console.warn('Error parsing game row:', error);
+    }
+  });
+
+  return games;
+}
+
+module.exports = {
+  parseStandingsTable,
+  parseScheduleTable
+};
@@ -0,0 +1,158 @@
+const HtmlPage = require('./html-page');
+const config = require('../../config');
+
+// Plain HTTP client for the YSBA ASP.NET WebForms pages.
+// Replays what the browser does: GET the form, then POST it back with the
+// __VIEWSTATE/__EVENTVALIDATION hidden fields carried over from the last response.
+class AspNetPostbackClient {
+  constructor(url, options = {}) {
+    this.url = url;
+    this.timeout = options.timeout || config.REQUEST_TIMEOUT;
+    this.userAgent = options.userAgent || config.USER_AGENT;
+    this.cookies = new Map();
+    this.page = null;
+    this.overrides = {}; // Dropdown selections not yet posted back
+  }
+
+  async open() {
+    const response = await this.request('GET');
+    this.page = await this.readPage(response);
+    this.assertForm();
+    return this.page;
+  }
+
+  // Change a dropdown. Dropdowns with AutoPostBack re-render the form server-side
+  // (e.g. the tier list depends on the division), so post those immediately.
+  async select(name, value) {
+    const select = this.page.document.querySelector(`select[name="${name}"]`);
+    if (!select) {
+      throw new Error(`Form field ${name} not found`);
+    }
+
+    const hasOption = Array.from(select.querySelectorAll('option'))
+      .some(option => option.getAttribute('value') === value);
+    if (!hasOption) {
+      throw new Error(`Option ${value} not available for ${name}`);
+    }
+
+    this.overrides[name] = value;
+
+    const onChange = select.getAttribute('onchange') || '';
+    if (onChange.includes('__doPostBack')) {
+      await this.postBack({ __EVENTTARGET: name, __EVENTARGUMENT: '' });
+    }
+
+    return this.page;
+  }
+
+  // Click a submit button (e.g. #cmdSearch)
+  async submit(buttonName) {
+    const button = this.page.document.querySelector(`input[name="${buttonName}"]`);
+    if (!button) {
+      throw new Error(`Submit button ${buttonName} not found`);
+    }
+
+    return this.postBack({ [buttonName]: button.getAttribute('value') || '' });
+  }
+
+  // Follow a javascript:__doPostBack('target','argument') link, e.g. grid pagination
+  async doPostBack(eventTarget, eventArgument = '') {
+    return this.postBack({ __EVENTTARGET: eventTarget, __EVENTARGUMENT: eventArgument });
+  }
+
+  async postBack(extraFields) {
+    const fields = { ...this.collectFormFields(), ...this.overrides, ...extraFields };
+    const response = await this.request('POST', new URLSearchParams(fields).toString());
+
+    this.page = await this.readPage(response);
+    this.overrides = {};
+    this.assertForm();
+    return this.page;
+  }
+
+  // Current value of every successful control in the form, as a browser would submit it
+  collectFormFields() {
+    const fields = {};
+    const form = this.page.document.querySelector('form') || this.page.document;
+
+    form.querySelectorAll('input').forEach(input => {
+      const name = input.getAttribute('name');
+      const type = (input.getAttribute('type') || 'text').toLowerCase();
+      if (!name || ['submit', 'button', 'image', 'reset', 'file'].includes(type)) return;
+      if (['checkbox', 'radio'].includes(type) && !input.hasAttribute('checked')) return;
+
+      fields[name] = input.getAttribute('value') || (type === 'checkbox' ? 'on' : '');
+    });
+
+    form.querySelectorAll('select').forEach(select => {
+      const name = select.getAttribute('name');
+      if (!name) return;
+
+      const options = Array.from(select.querySelectorAll('option'));
+      const selected = options.find(option => option.hasAttribute('selected')) || options[0];
+      if (selected) {
+        fields[name] = selected.getAttribute('value') ?? selected.textContent.trim();
+      }
+    });
+
+    return fields;
+  }
+
+  assertForm() {
+    if (!this.page.document.querySelector('input[name="__VIEWSTATE"]')) {
+      throw new Error(`No ASP.NET form state found at ${this.url}`);
+    }
+  }
+
+  async request(method, body = null) {
+    const headers = {
+      'User-Agent': this.userAgent,
+      'Accept': 'text/html,application/xhtml+xml'
+    };
+
+    if (this.cookies.size > 0) {
+      headers['Cookie'] = Array.from(this.cookies, ([name, value]) => `${name}=${value}`).join('; ');
+    }
+
+    if (body !== null) {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      headers['Referer'] = this.url;
+    }
+
+    const response = await fetch(this.url, {
+      method,
+      headers,
+      body,
+      redirect: 'follow',
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    this.storeCookies(response);
+
+    if (!response.ok) {
+      throw new Error(`${method} ${this.url} failed with HTTP ${response.status}`);
+    }
+
+    return response;
+  }
+
+  storeCookies(response) {
+    const setCookies = typeof response.headers.getSetCookie === 'function'
+      ? response.headers.getSetCookie()
+      : [response.headers.get('set-cookie')].filter(Boolean);
+
+    setCookies.forEach(cookie => {
+      const [pair] = cookie.split(';');
+      const separator = pair.indexOf('=');
+      if (separator > 0) {
+        this.cookies.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+      }
+    });
+  }
+
+  async readPage(response) {
+    return new HtmlPage(await response.text(), this.url);
+  }
+}
+
+module.exports = AspNetPostbackClient;
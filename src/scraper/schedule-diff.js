@@ -0,0 +1,246 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { assignGameKeys, getMatchupKey } = require('./game-keys');
+
+// Schedule changes between two scrapes of a division. Games are matched per
+// matchup (home team + away team code), so a game that changes date, time or
+// diamond is reported as one moved/relocated game instead of a removal plus an
+// addition:
+//
+//   added          - a game that wasn't on the schedule before
+//   removed        - a game that is gone (cancelled or dropped by the league)
+//   moved          - same game, different date or time (the diamond may change too)
+//   relocated      - same date and time, different location
+//   result-posted  - a score appeared, or a posted score was corrected
+//
+// Each change carries the game's key from game-keys.js, taken from the
+// previous schedule for games that were already listed, so a game keeps the
+// identity of its original slot however often it is rescheduled.
+//
+// Detected changes are appended to data/schedule-changes.json:
+//
+//   { "lastUpdated": "...", "changes": [{ "id", "type", "division", "detectedAt", "gameKey", ... }] }
+
+const CHANGE_TYPES = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  MOVED: 'moved',
+  RELOCATED: 'relocated',
+  RESULT_POSTED: 'result-posted'
+};
+
+const MAX_LOG_ENTRIES = 2000;
+
+function getScore(game) {
+  const home = game.score?.home ?? game.homeScore;
+  const away = game.score?.away ?? game.awayScore;
+  return game.isCompleted && Number.isFinite(home) && Number.isFinite(away) ? { home, away } : null;
+}
+
+// Where and when a game is played
+function getGameSlot(game) {
+  return {
+    date: game.date || null,
+    dateText: game.dateText || null,
+    time: game.time || null,
+    location: game.location || null
+  };
+}
+
+// Date and time only; games without a parsed date fall back to the listed text
+function getTimeSlotKey(game) {
+  return `${game.date || game.dateText || ''}|${game.time || ''}`;
+}
+
+function describeGame(game, gameKey) {
+  return {
+    gameKey,
+    homeTeam: game.homeTeam,
+    homeTeamCode: game.homeTeamCode || null,
+    awayTeam: game.awayTeam,
+    awayTeamCode: game.awayTeamCode || null
+  };
+}
+
+// Games grouped by matchup, each with its key and listing index
+function groupByMatchup(games) {
+  const keys = assignGameKeys(games);
+  const groups = new Map();
+
+  games.forEach((game, index) => {
+    const matchup = getMatchupKey(game);
+    if (!groups.has(matchup)) groups.set(matchup, []);
+    groups.get(matchup).push({ game, gameKey: keys[index] });
+  });
+
+  return groups;
+}
+
+// Pairs previous and current games of one matchup that satisfy matches(),
+// removing them from both lists
+function pairGames(previous, current, matches) {
+  const pairs = [];
+
+  for (let i = 0; i < previous.length; i++) {
+    const j = current.findIndex(entry => matches(previous[i].game, entry.game));
+    if (j === -1) continue;
+
+    pairs.push([previous[i], current[j]]);
+    previous.splice(i--, 1);
+    current.splice(j, 1);
+  }
+
+  return pairs;
+}
+
+const byDate = (a, b) => {
+  if (!a.game.date || !b.game.date) return !a.game.date - !b.game.date;
+  return new Date(a.game.date) - new Date(b.game.date);
+};
+
+// Changes between two lists of schedule.allGames entries, in current schedule order
+function diffSchedules(previousGames = [], currentGames = []) {
+  const previousGroups = groupByMatchup(previousGames || []);
+  const currentGroups = groupByMatchup(currentGames || []);
+  const changes = [];
+
+  const matchups = new Set([...previousGroups.keys(), ...currentGroups.keys()]);
+
+  for (const matchup of matchups) {
+    const previous = (previousGroups.get(matchup) || []).slice();
+    const current = (currentGroups.get(matchup) || []).slice();
+
+    // Unchanged slots first, then same time at another diamond, then the
+    // remaining games in date order are the same games at new times
+    const unchanged = pairGames(previous, current, (a, b) =>
+      getTimeSlotKey(a) === getTimeSlotKey(b) && (a.location || '') === (b.location || ''));
+    const relocated = pairGames(previous, current, (a, b) => getTimeSlotKey(a) === getTimeSlotKey(b));
+
+    previous.sort(byDate);
+    current.sort(byDate);
+    const moved = previous
+      .splice(0, Math.min(previous.length, current.length))
+      .map((entry, index) => [entry, current[index]]);
+    current.splice(0, moved.length);
+
+    const addChange = (type, [before, after]) => changes.push({
+      type,
+      ...describeGame(after.game, before.gameKey),
+      previous: getGameSlot(before.game),
+      current: getGameSlot(after.game),
+      order: after.game
+    });
+
+    moved.forEach(pair => addChange(CHANGE_TYPES.MOVED, pair));
+    relocated.forEach(pair => addChange(CHANGE_TYPES.RELOCATED, pair));
+
+    [...unchanged, ...relocated, ...moved].forEach(([before, after]) => {
+      const previousScore = getScore(before.game);
+      const score = getScore(after.game);
+
+      if (score && (!previousScore || previousScore.home !== score.home || previousScore.away !== score.away)) {
+        changes.push({
+          type: CHANGE_TYPES.RESULT_POSTED,
+          ...describeGame(after.game, before.gameKey),
+          current: getGameSlot(after.game),
+          score,
+          previousScore,
+          order: after.game
+        });
+      }
+    });
+
+    current.forEach(entry => changes.push({
+      type: CHANGE_TYPES.ADDED,
+      ...describeGame(entry.game, entry.gameKey),
+      previous: null,
+      current: getGameSlot(entry.game),
+      order: entry.game
+    }));
+
+    previous.forEach(entry => changes.push({
+      type: CHANGE_TYPES.REMOVED,
+      ...describeGame(entry.game, entry.gameKey),
+      previous: getGameSlot(entry.game),
+      current: null,
+      order: null
+    }));
+  }
+
+  // Follow the current schedule's order; removed games go last
+  const position = new Map((currentGames || []).map((game, index) => [game, index]));
+  return changes
+    .map((change, index) => ({ change, index }))
+    .sort((a, b) => {
+      const aPosition = position.has(a.change.order) ? position.get(a.change.order) : Infinity;
+      const bPosition = position.has(b.change.order) ? position.get(b.change.order) : Infinity;
+      return (aPosition - bPosition) || a.index - b.index;
+    })
+    .map(({ change }) => {
+      const { order, ...rest } = change;
+      return rest;
+    });
+}
+
+class ScheduleChangeLog {
+  constructor(logFile = path.join(__dirname, '../../data/schedule-changes.json')) {
+    this.logFile = logFile;
+  }
+
+  // Log entries for one division file's changes between its previous and new
+  // formatted data ({ schedule: { allGames } }). Nothing is reported without a
+  // previous file (first scrape) or when the new schedule came back empty,
+  // which is a failed scrape rather than a cancelled season.
+  compareDivision(divisionKey, previousData, currentData, detectedAt = new Date().toISOString()) {
+    const previousGames = previousData?.schedule?.allGames;
+    const currentGames = currentData?.schedule?.allGames || [];
+
+    if (!previousGames) return [];
+    if (currentGames.length === 0 && previousGames.length > 0) {
+      console.log(`⚠️  ${divisionKey}: new schedule is empty - skipping schedule change detection`);
+      return [];
+    }
+
+    return diffSchedules(previousGames, currentGames).map(change => ({
+      id: `${divisionKey}:${change.gameKey}:${change.type}:${detectedAt}`,
+      division: divisionKey,
+      detectedAt,
+      ...change
+    }));
+  }
+
+  async read() {
+    try {
+      const log = JSON.parse(await fs.readFile(this.logFile, 'utf8'));
+      return { lastUpdated: log.lastUpdated || null, changes: log.changes || [] };
+    } catch (error) {
+      return { lastUpdated: null, changes: [] }; // Nothing recorded yet
+    }
+  }
+
+  // Logged changes, newest scrape first (schedule order within a scrape). Filters: division file key, since (an
+  // ISO date or time), types (array of CHANGE_TYPES values), teamCode, limit.
+  async getChanges({ division = null, since = null, types = null, teamCode = null, limit = null } = {}) {
+    const { changes } = await this.read();
+    const sinceDate = since ? new Date(since) : null;
+
+    if (sinceDate && isNaN(sinceDate.getTime())) {
+      throw new Error(`Invalid since date: ${since}`);
+    }
+
+    const filtered = changes
+      .filter(change => !division || change.division === division)
+      .filter(change => !sinceDate || new Date(change.detectedAt) > sinceDate)
+      .filter(change => !types || types.includes(change.type))
+      .filter(change => !teamCode || change.homeTeamCode === teamCode || change.awayTeamCode === teamCode)
+      .sort((a, b) => new Date(b.detectedAt) - new Date(a.detectedAt));
+
+    return limit ? filtered.slice(0, limit) : filtered;
+  }
+}
+
+module.exports = ScheduleChangeLog;
+module.exports.CHANGE_TYPES = CHANGE_TYPES;
+module.exports.MAX_LOG_ENTRIES = MAX_LOG_ENTRIES;
+module.exports.getGameSlot = getGameSlot;
+module.exports.diffSchedules = diffSchedules;
@@ -1,5 +1,9 @@
 const puppeteer = require('puppeteer');
 const config = require('../../config');
+const FixtureStore = require('./fixtures');
+const AspNetPostbackClient = require('./postback-client');
+const { parseGameDateTime, splitPlayedAndUpcoming } = require('./game-time');
+const { parseStandingsTable, parseScheduleTable } = require('./parsers');
 
 // Team name mapping for teams based on YSBA team listings
 const TEAM_NAME_MAPPING = {
@@ -20,10 +24,28 @@ const TEAM_NAME_MAPPING = {
 };
 
 class YSBAScraper {
-  constructor() {
+  constructor(options = {}) {
     this.browser = null;
     this.isBrowserBusy = false;
     this.browserOperationQueue = [];
+
+    // Where pages come from: the live YSBA site or saved HTML snapshots
+    this.source = options.source || config.SCRAPER_SOURCE;
+    this.fixtures = new FixtureStore(options.fixturesDir || config.SCRAPER_FIXTURES_DIR);
+    this.recordFixtures = options.recordFixtures ?? config.SCRAPER_RECORD_FIXTURES;
+
+    // How live pages are fetched: plain HTTP postbacks, with Puppeteer as the fallback
+    this.engine = options.engine || config.SCRAPER_ENGINE;
+    this.engineFallback = options.engineFallback ?? config.SCRAPER_ENGINE_FALLBACK;
+    this.standingsUrl = options.standingsUrl || config.YSBA_URL;
+    this.scheduleUrl = options.scheduleUrl || config.YSBA_SCHEDULE_URL;
+
+    // Season the schedule belongs to; null infers it from today's date
+    this.seasonYear = options.seasonYear ?? config.SEASON_YEAR;
+  }
+
+  isFixtureSource() {
+    return this.source === 'fixtures';
   }
 
   async initBrowser() {
@@ -110,6 +132,21 @@ class YSBAScraper {
   }
 
   async performDivisionScrape(ysbaDiv, ysbaTier, divisionKey) {
+    if (this.isFixtureSource()) {
+      console.log(`Loading standings fixture for YSBA ${ysbaDiv}/${ysbaTier}...`);
+      const page = await this.fixtures.openStandingsPage(ysbaDiv, ysbaTier);
+      return await this.extractStandingsFromPage(page);
+    }
+
+    if (this.engine === 'http') {
+      try {
+        return await this.performHttpStandingsScrape(ysbaDiv, ysbaTier);
+      } catch (error) {
+        if (!this.engineFallback) throw error;
+        console.warn(`⚠️  HTTP standings scrape failed for YSBA ${ysbaDiv}/${ysbaTier}: ${error.message} - falling back to Puppeteer`);
+      }
+    }
+
     return await this.withBrowserSession(async () => {
       const browser = await this.initBrowser();
       const page = await browser.newPage();
@@ -133,7 +170,7 @@ class YSBAScraper {
         }
 
         console.log('Navigating to YSBA standings page...');
-        await page.goto(config.YSBA_URL, { 
+        await page.goto(this.standingsUrl, { 
           waitUntil: isProduction ? 'domcontentloaded' : 'networkidle2',
           timeout: config.REQUEST_TIMEOUT 
         });
@@ -153,127 +190,12 @@ class YSBAScraper {
 
         await page.waitForSelector('#dgGrid', { timeout: 15000 });
 
-        console.log('Extracting standings data...');
-        const standingsData = await page.evaluate((teamMappingJson) => {
-          const teamMapping = JSON.parse(teamMappingJson);
-          
-          const table = document.getElementById('dgGrid');
-          if (!table) {
-            throw new Error('Standings table not found');
-          }
-
-          const rows = Array.from(table.querySelectorAll('tr'));
-          if (rows.length === 0) {
-            throw new Error('No data rows found in standings table');
-          }
-
-          const headerRow = rows.find(row => {
-            const cells = row.querySelectorAll('th, td');
-            return Array.from(cells).some(cell => 
-              cell.textContent.trim().toLowerCase().includes('team') ||
-              cell.textContent.trim().toLowerCase().includes('gp') ||
-              cell.textContent.trim().toLowerCase().includes('wins') ||
-              cell.textContent.trim().toLowerCase().includes('name')
-            );
-          });
-
-          if (!headerRow) {
-            throw new Error('Header row not found');
-          }
-
-          const dataRows = rows.filter(row => {
-            const firstCell = row.querySelector('td');
-            if (!firstCell) return false;
-            
-            const cellText = firstCell.textContent.trim();
-            return cellText && !cellText.toLowerCase().includes('team') && 
-                   !cellText.toLowerCase().includes('name') &&
-                   !cellText.toLowerCase().includes('standing');
-          });
-
-          const teams = dataRows.map((row, index) => {
-            const cells = Array.from(row.querySelectorAll('td'));
-            const cellTexts = cells.map(cell => cell.textContent.trim());
-
-            if (cells.length < 7) {
-              return null;
-            }
-
-            // Extract team code from link
-            const firstCellLink = cells[0].querySelector('a');
-            const secondCellLink = cells[1] ? cells[1].querySelector('a') : null;
-            let teamCode = null;
-            
-            if (firstCellLink) {
-              const href = firstCellLink.getAttribute('href') || '';
-              const codeMatch = href.match(/tmcd=(\d+)/);
-              teamCode = codeMatch ? codeMatch[1] : null;
-            }
-            
-            if (!teamCode && secondCellLink) {
-              const href = secondCellLink.getAttribute('href') || '';
-              const codeMatch = href.match(/tmcd=(\d+)/);
-              teamCode = codeMatch ? codeMatch[1] : null;
-            }
-            
-            if (!teamCode) {
-              for (let i = 0; i < Math.min(cells.length, 3); i++) {
-                const cellText = cells[i].textContent.trim();
-                const textCodeMatch = cellText.match(/\b(5\d{5})\b/);
-                if (textCodeMatch) {
-                  teamCode = textCodeMatch[1];
-                  break;
-                }
-              }
-            }
-
-            let teamName = teamCode && teamMapping[teamCode] ? teamMapping[teamCode] : null;
-            
-            if (!teamName) {
-              teamName = cells[1] ? cells[1].textContent.trim() : 
-                        cells[0] ? cells[0].textContent.trim() : 
-                        `Team ${teamCode || index + 1}`;
-            }
-
-            const cellValues = cellTexts.slice(2, 9).map(text => {
-              const num = parseInt(text);
-              return isNaN(num) ? 0 : num;
-            });
-
-            const gamesPlayed = cellValues[0] || 0;
-            const wins = parseInt(cellValues[1]) || 0;
-            const losses = parseInt(cellValues[2]) || 0;
-            const ties = parseInt(cellValues[3]) || 0;
-            
-            let winPercentage = '.000';
-            const totalGames = wins + losses + ties;
-            
-            if (totalGames > 0) {
-              const percentage = ((wins + 0.5 * ties) / totalGames) * 100;
-              winPercentage = (percentage / 100).toFixed(3);
-            }
+        if (this.recordFixtures) {
+          await this.fixtures.recordStandings(ysbaDiv, ysbaTier, await page.content());
+        }
 
-            return {
-              position: index + 1,
-              team: teamName,
-              teamCode: teamCode || `unknown-${index + 1}`,
-              gamesPlayed,
-              wins,
-              losses,
-              ties,
-              points: cellValues[4] || 0,
-              runsFor: cellValues[5] || 0,
-              runsAgainst: cellValues[6] || 0,
-              winPercentage
-            };
-          }).filter(team => team !== null);
-
-          return {
-            teams,
-            lastUpdated: new Date().toISOString(),
-            source: 'YSBA Website'
-          };
-        }, JSON.stringify(TEAM_NAME_MAPPING));
+        console.log('Extracting standings data...');
+        const standingsData = await this.extractStandingsFromPage(page);
 
         await page.close();
         return standingsData;
@@ -285,6 +207,32 @@ class YSBAScraper {
     }, `scrape-${divisionKey}-${ysbaDiv}-${ysbaTier}`);
   }
 
+  // Standings via direct form postback: select division and tier, then submit the search
+  async performHttpStandingsScrape(ysbaDiv, ysbaTier) {
+    const client = new AspNetPostbackClient(this.standingsUrl);
+
+    console.log(`Posting standings search for YSBA ${ysbaDiv}/${ysbaTier}...`);
+    await client.open();
+    await client.select('ddlDivision', ysbaDiv);
+    await client.select('ddlTier', ysbaTier);
+    const page = await client.submit('cmdSearch');
+
+    if (!(await page.$('#dgGrid'))) {
+      throw new Error('Standings table not found in search response');
+    }
+
+    if (this.recordFixtures) {
+      await this.fixtures.recordStandings(ysbaDiv, ysbaTier, await page.content());
+    }
+
+    return await this.extractStandingsFromPage(page);
+  }
+
+  // Extract standings from a loaded results page (Puppeteer page or HtmlPage)
+  async extractStandingsFromPage(page) {
+    return await page.evaluate(parseStandingsTable, JSON.stringify(TEAM_NAME_MAPPING));
+  }
+
   async scrapeScheduleForDivision(division, tier) {
     const divisionConfig = config.getDivisionConfig(division);
     if (!divisionConfig) {
@@ -301,6 +249,21 @@ class YSBAScraper {
     
     console.log(`Scraping schedule for ${division}/${tier} (YSBA: ${ysbaDiv}/${ysbaTier})`);
 
+    if (this.isFixtureSource()) {
+      return await this.scrapeScheduleFromFixtures(ysbaDiv, division, tier);
+    }
+
+    if (this.engine === 'http') {
+      try {
+        const allGames = await this.performHttpScheduleScrape(ysbaDiv);
+        console.log(`✓ Successfully scraped ${allGames.length} games for ${division}/${tier}`);
+        return this.processAllGames(allGames);
+      } catch (error) {
+        if (!this.engineFallback) throw error;
+        console.warn(`⚠️  HTTP schedule scrape failed for ${division}/${tier}: ${error.message} - falling back to Puppeteer`);
+      }
+    }
+
     return await this.withBrowserSession(async () => {
       const browser = await this.initBrowser();
       const page = await browser.newPage();
@@ -326,7 +289,7 @@ class YSBAScraper {
         console.log('Navigating to YSBA schedule page...');
         const navigationTimeout = isProduction ? 45000 : config.REQUEST_TIMEOUT;
         
-        await page.goto('https://www.yorksimcoebaseball.com/Club/xScheduleMM.aspx', { 
+        await page.goto(this.scheduleUrl, { 
           waitUntil: isProduction ? 'domcontentloaded' : 'networkidle2',
           timeout: navigationTimeout
         });
@@ -349,6 +312,10 @@ class YSBAScraper {
         const waitTimeout = isProduction ? 20000 : 15000;
         await page.waitForSelector('#dgGrid', { timeout: waitTimeout });
 
+        if (this.recordFixtures) {
+          await this.fixtures.recordSchedule(ysbaDiv, 1, await page.content());
+        }
+
         console.log('Extracting games from page 1...');
         let allGames = await this.extractGamesFromPage(page);
 
@@ -361,6 +328,10 @@ class YSBAScraper {
             await page2Link.click();
             await page.waitForSelector('#dgGrid', { timeout: 10000 });
             await this.sleep(isProduction ? 1000 : 2000);
+
+            if (this.recordFixtures) {
+              await this.fixtures.recordSchedule(ysbaDiv, 2, await page.content());
+            }
             
             console.log('Extracting games from page 2...');
             const page2Games = await this.extractGamesFromPage(page);
@@ -381,112 +352,68 @@ class YSBAScraper {
     }, `scrape-schedule-${division}-${tier}`);
   }
 
-  async extractGamesFromPage(page) {
-    return await page.evaluate(() => {
-      const games = [];
-      
-      const table = document.getElementById('dgGrid');
-      if (!table) return games;
+  // Schedule via direct form postback, following the grid's page 2 link if present
+  async performHttpScheduleScrape(ysbaDiv) {
+    const client = new AspNetPostbackClient(this.scheduleUrl);
 
-      const rows = Array.from(table.querySelectorAll('tr'));
-      
-      rows.forEach((row, index) => {
-        if (index === 0) return; // Skip header
-        
-        const cells = Array.from(row.querySelectorAll('td'));
-        if (cells.length < 8) return;
+    console.log(`Posting schedule search for YSBA division ${ysbaDiv}...`);
+    await client.open();
+    await client.select('ddlDivision', ysbaDiv);
+    await client.select('ddlCategory', '1'); // Regular season
+    const firstPage = await client.submit('cmdSearch');
 
-        try {
-          const dateText = cells[0] ? cells[0].textContent.trim() : '';
-          const timeText = cells[1] ? cells[1].textContent.trim() : '';
-          const division = cells[2] ? cells[2].textContent.trim() : '';
-          const gameTier = cells[3] ? cells[3].textContent.trim() : '';
-          const awayTeamText = cells[4] ? cells[4].textContent.trim() : '';
-          const homeTeamText = cells[5] ? cells[5].textContent.trim() : '';
-          const location = cells[6] ? cells[6].textContent.trim() : '';
-          const scoreText = cells[7] ? cells[7].textContent.trim() : '';
-
-          const extractTeamCodeAndName = (teamText) => {
-            const match = teamText.match(/^\((\d+)\)\s+(.+)$/);
-            if (match) {
-              return { code: match[1], name: match[2] };
-            }
-            return { code: teamText, name: teamText };
-          };
-
-          const awayTeamInfo = extractTeamCodeAndName(awayTeamText);
-          const homeTeamInfo = extractTeamCodeAndName(homeTeamText);
-
-          if (!dateText || !awayTeamInfo.code || !homeTeamInfo.code) return;
-
-          let gameDate = null;
-          try {
-            if (dateText && dateText !== '-') {
-              const currentYear = new Date().getFullYear();
-              let fullDateText = dateText;
-              
-              if (!dateText.includes(currentYear.toString()) && !dateText.includes((currentYear+1).toString())) {
-                fullDateText = `${dateText}, ${currentYear}`;
-              }
-              
-              let tempDate = new Date(fullDateText);
-              if (!isNaN(tempDate.getTime())) {
-                if (timeText && timeText !== '-') {
-                  try {
-                    const fullDateTimeText = `${fullDateText} ${timeText}`;
-                    gameDate = new Date(fullDateTimeText);
-                    
-                    if (isNaN(gameDate.getTime())) {
-                      gameDate = tempDate;
-                    }
-                  } catch (e) {
-                    gameDate = tempDate;
-                  }
-                } else {
-                  gameDate = tempDate;
-                }
-              }
-            }
-          } catch (e) {
-            console.warn('Error parsing date:', dateText, e.message);
-          }
+    if (!(await firstPage.$('#dgGrid'))) {
+      throw new Error('Schedule table not found in search response');
+    }
 
-          let homeScore = null;
-          let awayScore = null;
-          let isCompleted = false;
-          
-          if (scoreText && scoreText !== '-' && scoreText.includes('-')) {
-            const scoreParts = scoreText.split('-');
-            if (scoreParts.length === 2) {
-              awayScore = parseInt(scoreParts[0].trim());
-              homeScore = parseInt(scoreParts[1].trim());
-              isCompleted = !isNaN(homeScore) && !isNaN(awayScore);
-            }
-          }
+    if (this.recordFixtures) {
+      await this.fixtures.recordSchedule(ysbaDiv, 1, await firstPage.content());
+    }
 
-          games.push({
-            date: gameDate ? gameDate.toISOString() : null,
-            dateText: dateText,
-            time: timeText,
-            homeTeam: homeTeamInfo.name,
-            homeTeamCode: homeTeamInfo.code,
-            awayTeam: awayTeamInfo.name,
-            awayTeamCode: awayTeamInfo.code,
-            homeScore: homeScore,
-            awayScore: awayScore,
-            location: location,
-            division: division,
-            gameTier: gameTier,
-            isCompleted: isCompleted,
-            scoreText: scoreText
-          });
+    let allGames = await this.extractGamesFromPage(firstPage);
 
-        } catch (error) {
-          console.warn('Error parsing game row:', error);
+    if (await firstPage.$('a[href*="dgGrid$ctl104$ctl02"]')) {
+      console.log('Found page 2, posting back for more games...');
+      try {
+        const secondPage = await client.doPostBack('dgGrid$ctl104$ctl02');
+
+        if (this.recordFixtures) {
+          await this.fixtures.recordSchedule(ysbaDiv, 2, await secondPage.content());
         }
-      });
 
-      return games;
+        allGames = allGames.concat(await this.extractGamesFromPage(secondPage));
+      } catch (paginationError) {
+        console.log('Error handling pagination, continuing with page 1 data:', paginationError.message);
+      }
+    }
+
+    return allGames;
+  }
+
+  // Replay a schedule scrape from saved snapshots (page 2 only if it was recorded)
+  async scrapeScheduleFromFixtures(ysbaDiv, division, tier) {
+    console.log(`Loading schedule fixtures for YSBA division ${ysbaDiv}...`);
+
+    const firstPage = await this.fixtures.openSchedulePage(ysbaDiv, 1);
+    let allGames = await this.extractGamesFromPage(firstPage);
+
+    const secondPage = await this.fixtures.openSchedulePage(ysbaDiv, 2);
+    if (secondPage) {
+      allGames = allGames.concat(await this.extractGamesFromPage(secondPage));
+    }
+
+    console.log(`✓ Loaded ${allGames.length} games for ${division}/${tier} from fixtures`);
+    return this.processAllGames(allGames);
+  }
+
+  // Extract games from a loaded schedule page, resolving each "Sat, May 3" /
+  // "6:30 PM" pair to a real instant in Ontario time
+  async extractGamesFromPage(page) {
+    const games = await page.evaluate(parseScheduleTable);
+
+    return games.map(game => {
+      const date = parseGameDateTime(game.dateText, game.time, { seasonYear: this.seasonYear });
+      return { ...game, date: date ? date.toISOString() : null };
     });
   }
 
@@ -523,17 +450,11 @@ class YSBAScraper {
       const games = teamGames[teamCode];
       
       games.sort((a, b) => {
-        if (!a.date || !b.date) return 0;
+        if (!a.date || !b.date) return !a.date - !b.date; // Undated games last
         return new Date(a.date) - new Date(b.date);
       });
 
-      const playedGames = games.filter(game => {
-        if (game.isCompleted) return true;
-        if (game.date && new Date(game.date) < now) return true;
-        return false;
-      });
-      
-      const upcomingGames = games.filter(game => !game.isCompleted && game.date && new Date(game.date) >= now);
+      const { playedGames, upcomingGames } = splitPlayedAndUpcoming(games, now);
 
       teamGames[teamCode] = {
         allGames: games,
@@ -3,7 +3,10 @@ const YSBAScraper = require('./scraper');
 const DataFormatter = require('./formatter');
 const DataWriter = require('./writer');
 const DataOptimizer = require('./optimizer');
+const StandingsHistory = require('./history');
+const ScheduleChangeLog = require('./schedule-diff');
 const config = require('../../config');
+const path = require('path');
 
 class YSBAWorker {
   constructor() {
@@ -11,6 +14,8 @@ class YSBAWorker {
     this.formatter = new DataFormatter();
     this.writer = new DataWriter();
     this.optimizer = new DataOptimizer();
+    this.history = new StandingsHistory();
+    this.scheduleChangeLog = new ScheduleChangeLog();
     this.isRunning = false;
     this.runCount = 0;
     this.lastRun = null;
@@ -128,19 +133,40 @@ class YSBAWorker {
         
         // Write individual division files for faster loading
         console.log('📁 Writing individual division files...');
+        const divisionFiles = {};
+        const scheduleChanges = [];
         for (const [divisionKey, data] of Object.entries(allDivisionData)) {
           const [division, ...tierParts] = divisionKey.split('-');
           const tier = tierParts.join('-');
           
           const divisionFormatted = {
-            standings: this.formatter.formatStandings(data.standings),
+            standings: this.formatter.formatStandings(data.standings, data.schedule),
             schedule: this.formatter.formatSchedule(data.schedule),
             summary: this.formatter.generateDivisionSummary(data.standings, data.schedule)
           };
           
+          // Compare against the file from the previous scrape before overwriting it
+          const previousDivision = await this.writer.readExistingData(path.join('divisions', `${divisionKey}.json`));
+          scheduleChanges.push(...this.scheduleChangeLog.compareDivision(
+            divisionKey,
+            previousDivision,
+            divisionFormatted,
+            formattedData.metadata.lastUpdated
+          ));
+          
           await this.writer.writeDivisionData(division, tier, divisionFormatted);
+          divisionFiles[divisionKey] = divisionFormatted;
         }
         
+        // Keep a dated copy of the standings for the history endpoints
+        await this.writer.writeStandingsSnapshot(
+          this.history.buildSnapshot(divisionFiles, formattedData.metadata.lastUpdated),
+          this.history
+        );
+        
+        // Rescheduled, cancelled and new games since the last scrape
+        await this.writer.writeScheduleChanges(scheduleChanges, this.scheduleChangeLog);
+        
         // Clean up old error logs
         await this.writer.cleanupErrorLogs();
         
@@ -1,5 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { MAX_LOG_ENTRIES } = require('./schedule-diff');
+const { MAX_LOG_ENTRIES: MAX_EVENT_LOG_ENTRIES } = require('./change-events');
 
 class DataWriter {
   constructor() {
@@ -150,6 +152,118 @@ class DataWriter {
     }
   }
 
+  // Add a dated standings snapshot to data/history/ (skipped when nothing
+  // changed since the last one)
+  async writeStandingsSnapshot(snapshot, history) {
+    const historyDir = path.join(this.outputDir, 'history');
+    await fs.mkdir(historyDir, { recursive: true });
+
+    try {
+      const snapshots = await history.listSnapshots();
+      const latest = snapshots[snapshots.length - 1];
+
+      if (latest && !(await this.hasDataChanged(snapshot, path.join('history', latest.file)))) {
+        console.log(`✓ Standings unchanged since ${latest.lastUpdated} - no new snapshot`);
+        return {
+          success: true,
+          written: false,
+          file: latest.file
+        };
+      }
+
+      const file = history.getSnapshotFileName(snapshot.lastUpdated);
+      await fs.writeFile(path.join(historyDir, file), JSON.stringify(snapshot, null, 0), 'utf8');
+
+      const index = {
+        snapshots: [
+          ...snapshots.filter(entry => entry.file !== file),
+          { file, lastUpdated: snapshot.lastUpdated }
+        ]
+      };
+      await fs.writeFile(path.join(historyDir, 'index.json'), JSON.stringify(index, null, 2), 'utf8');
+
+      console.log(`✓ Standings snapshot written: ${file} (${index.snapshots.length} total)`);
+
+      return {
+        success: true,
+        written: true,
+        file
+      };
+
+    } catch (error) {
+      console.error('Error writing standings snapshot:', error.message);
+      throw error;
+    }
+  }
+
+  // Append schedule changes (see schedule-diff.js) to data/schedule-changes.json,
+  // keeping the most recent MAX_LOG_ENTRIES
+  async writeScheduleChanges(entries, changeLog) {
+    if (entries.length === 0) {
+      console.log('✓ No schedule changes detected');
+      return {
+        success: true,
+        written: false,
+        count: 0
+      };
+    }
+
+    try {
+      const log = await changeLog.read();
+      const changes = [...log.changes, ...entries].slice(-MAX_LOG_ENTRIES);
+      const lastUpdated = entries[entries.length - 1].detectedAt;
+
+      await fs.mkdir(path.dirname(changeLog.logFile), { recursive: true });
+      await fs.writeFile(changeLog.logFile, JSON.stringify({ lastUpdated, changes }, null, 2), 'utf8');
+
+      console.log(`✓ Schedule changes logged: ${entries.length} new (${changes.length} total)`);
+
+      return {
+        success: true,
+        written: true,
+        count: entries.length
+      };
+
+    } catch (error) {
+      console.error('Error writing schedule changes:', error.message);
+      throw error;
+    }
+  }
+
+  // Append change events (see change-events.js) to data/change-events.json,
+  // keeping the most recent MAX_EVENT_LOG_ENTRIES
+  async writeChangeEvents(entries, eventLog) {
+    if (entries.length === 0) {
+      console.log('✓ No change events detected');
+      return {
+        success: true,
+        written: false,
+        count: 0
+      };
+    }
+
+    try {
+      const log = await eventLog.read();
+      const events = [...log.events, ...entries].slice(-MAX_EVENT_LOG_ENTRIES);
+      const lastUpdated = entries[entries.length - 1].detectedAt;
+
+      await fs.mkdir(path.dirname(eventLog.logFile), { recursive: true });
+      await fs.writeFile(eventLog.logFile, JSON.stringify({ lastUpdated, events }, null, 2), 'utf8');
+
+      console.log(`✓ Change events logged: ${entries.length} new (${events.length} total)`);
+
+      return {
+        success: true,
+        written: true,
+        count: entries.length
+      };
+
+    } catch (error) {
+      console.error('Error writing change events:', error.message);
+      throw error;
+    }
+  }
+
   // Write metadata about the scraping run
   async writeMetadata(metadata) {
     await this.ensureDirectories();
@@ -0,0 +1,243 @@
+// YSBA standings ranking - the single place tiebreaker rules live.
+// Used by the standings API, the scraper's formatter (so published files carry
+// canonical positions), email change detection and AI story analysis.
+//
+// Order of criteria (reproduces the order the YSBA site lists its tables in):
+//   1. Win percentage (ties count as half a win)
+//   2. Points (2 per win, 1 per tie)
+//   3. Wins
+//   4. Run differential
+//   5. Head-to-head points among the tied teams (only when they've all met)
+//   6. Fewest runs allowed
+//   7. YSBA listing order (keeps the result deterministic)
+//
+// A tied group is re-ranked from the top of the list every time a criterion
+// splits it, so a three-way tie broken down to two teams gets a fresh
+// head-to-head comparison between just those two.
+
+const TIEBREAKERS = [
+  {
+    rule: 'winPercentage',
+    label: 'win percentage',
+    direction: 'desc',
+    value: (team) => team.winPercentage,
+    format: (value) => value.toFixed(3)
+  },
+  {
+    rule: 'points',
+    label: 'points',
+    direction: 'desc',
+    value: (team) => team.points,
+    format: (value) => `${value} pts`
+  },
+  {
+    rule: 'wins',
+    label: 'wins',
+    direction: 'desc',
+    value: (team) => team.wins,
+    format: (value) => `${value} W`
+  },
+  {
+    rule: 'runDifferential',
+    label: 'run differential',
+    direction: 'desc',
+    value: (team) => team.runDifferential,
+    format: (value) => (value > 0 ? `+${value}` : `${value}`)
+  },
+  {
+    rule: 'headToHead',
+    label: 'head-to-head',
+    direction: 'desc',
+    value: (team, context) => context.headToHead.get(team),
+    format: (value) => `${value} pts`
+  },
+  {
+    rule: 'runsAgainst',
+    label: 'runs allowed',
+    direction: 'asc',
+    value: (team) => team.runsAgainst,
+    format: (value) => `${value} RA`
+  },
+  {
+    rule: 'ysbaOrder',
+    label: 'YSBA listing order',
+    direction: 'asc',
+    value: (team) => team.listedPosition,
+    format: (value) => `#${value}`
+  }
+];
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+// Flatten any of the standings shapes in use (scraper/API teams, formatted
+// record/stats teams, compact ysba-standings.json teams) into one set of stats
+function normalizeTeam(team) {
+  const record = team.record || {};
+  const stats = team.stats || {};
+
+  const wins = toNumber(team.wins ?? record.wins ?? team.w);
+  const losses = toNumber(team.losses ?? record.losses ?? team.l);
+  const ties = toNumber(team.ties ?? record.ties ?? team.t);
+  const gamesPlayed = toNumber(team.gamesPlayed ?? record.gamesPlayed) || wins + losses + ties;
+  const runsFor = toNumber(team.runsFor ?? stats.runsFor ?? team.rf);
+  const runsAgainst = toNumber(team.runsAgainst ?? stats.runsAgainst ?? team.ra);
+  const pct = team.winPercentage ?? record.winPercentage ?? team.pct;
+
+  return {
+    team: team.team,
+    teamCode: team.teamCode || team.code || null,
+    position: team.position ?? team.pos ?? null,
+    gamesPlayed,
+    wins,
+    losses,
+    ties,
+    points: toNumber(team.points ?? stats.points) || wins * 2 + ties,
+    runsFor,
+    runsAgainst,
+    runDifferential: runsFor - runsAgainst,
+    winPercentage: pct !== undefined && pct !== null
+      ? toNumber(pct)
+      : (gamesPlayed > 0 ? (wins + ties * 0.5) / gamesPlayed : 0)
+  };
+}
+
+// Completed games in either the raw scraper shape or the formatted score shape
+function normalizeGame(game) {
+  const homeScore = game.homeScore ?? game.score?.home;
+  const awayScore = game.awayScore ?? game.score?.away;
+
+  if (!game.isCompleted || !Number.isFinite(homeScore) || !Number.isFinite(awayScore)) {
+    return null;
+  }
+
+  return {
+    home: { code: game.homeTeamCode || null, name: game.homeTeam },
+    away: { code: game.awayTeamCode || null, name: game.awayTeam },
+    homeScore,
+    awayScore
+  };
+}
+
+// Compact standings files have no team codes, so fall back to matching by name
+const isSameTeam = (entry, side) =>
+  (entry.teamCode && side.code) ? entry.teamCode === side.code : entry.team === side.name;
+
+// Points each team earned in games played against the rest of the group,
+// or null if some pair in the group never met (head-to-head doesn't apply)
+function headToHeadPoints(group, games) {
+  const points = new Map(group.map(entry => [entry, 0]));
+  const met = new Set();
+
+  games.forEach(game => {
+    const home = group.findIndex(entry => isSameTeam(entry, game.home));
+    const away = group.findIndex(entry => isSameTeam(entry, game.away));
+    if (home === -1 || away === -1 || home === away) return;
+
+    met.add(Math.min(home, away) + ':' + Math.max(home, away));
+
+    if (game.homeScore > game.awayScore) {
+      points.set(group[home], points.get(group[home]) + 2);
+    } else if (game.awayScore > game.homeScore) {
+      points.set(group[away], points.get(group[away]) + 2);
+    } else {
+      points.set(group[home], points.get(group[home]) + 1);
+      points.set(group[away], points.get(group[away]) + 1);
+    }
+  });
+
+  const pairs = (group.length * (group.length - 1)) / 2;
+  return met.size === pairs ? points : null;
+}
+
+// Order a group of entries, recording on each boundary which criterion split it
+function rankGroup(group, games) {
+  if (group.length <= 1) return group;
+
+  const context = { headToHead: headToHeadPoints(group, games) };
+
+  for (const tiebreaker of TIEBREAKERS) {
+    if (tiebreaker.rule === 'headToHead' && !context.headToHead) continue;
+
+    const values = new Map(group.map(entry => [entry, tiebreaker.value(entry, context)]));
+    const distinct = Array.from(new Set(values.values()))
+      .sort((a, b) => (tiebreaker.direction === 'desc' ? b - a : a - b));
+
+    if (distinct.length <= 1) continue;
+
+    const subgroups = distinct.map(value =>
+      rankGroup(group.filter(entry => values.get(entry) === value), games)
+    );
+
+    for (let i = 0; i < subgroups.length - 1; i++) {
+      const above = subgroups[i][subgroups[i].length - 1];
+      const below = subgroups[i + 1][0];
+      const split = {
+        tiebreaker,
+        aboveValue: values.get(above),
+        belowValue: values.get(below)
+      };
+      above.splitBelow = { ...split, other: below };
+      below.splitAbove = { ...split, other: above };
+    }
+
+    return subgroups.flat();
+  }
+
+  return group;
+}
+
+// Describe how a team's place was decided against a team level on win percentage with it
+function describeTiebreak(entry) {
+  const candidates = [
+    entry.splitAbove && { ...entry.splitAbove, relation: 'behind', own: entry.splitAbove.belowValue, theirs: entry.splitAbove.aboveValue },
+    entry.splitBelow && { ...entry.splitBelow, relation: 'ahead of', own: entry.splitBelow.aboveValue, theirs: entry.splitBelow.belowValue }
+  ].filter(split => split && split.tiebreaker.rule !== 'winPercentage');
+
+  if (candidates.length === 0) return null;
+
+  const { tiebreaker, relation, other, own, theirs } = candidates[0];
+  const detail = `${tiebreaker.format(own)} vs ${tiebreaker.format(theirs)}`;
+
+  return {
+    rule: tiebreaker.rule,
+    opponent: other.team,
+    opponentCode: other.teamCode,
+    reason: `${relation === 'ahead of' ? 'Ahead of' : 'Behind'} ${other.team} on ${tiebreaker.label} (${detail})`
+  };
+}
+
+// Rank a division's teams. Accepts any standings shape and returns copies in
+// ranked order with position (or pos) reassigned and a `tiebreaker` explaining
+// any place decided by something other than win percentage. `games` is the
+// division's schedule (schedule.allGames) and is only needed for head-to-head.
+function rankTeams(teams, games = []) {
+  if (!Array.isArray(teams) || teams.length === 0) return [];
+
+  const completedGames = (games || []).map(normalizeGame).filter(Boolean);
+  const entries = teams.map((original, index) => {
+    const stats = normalizeTeam(original);
+    return { ...stats, listedPosition: stats.position ?? index + 1, original };
+  });
+
+  return rankGroup(entries, completedGames).map((entry, index) => {
+    const ranked = { ...entry.original };
+
+    if ('pos' in ranked && !('position' in ranked)) {
+      ranked.pos = index + 1;
+    } else {
+      ranked.position = index + 1;
+    }
+
+    ranked.tiebreaker = describeTiebreak(entry);
+    return ranked;
+  });
+}
+
+module.exports = {
+  TIEBREAKERS,
+  normalizeTeam,
+  rankTeams
+};
@@ -0,0 +1,170 @@
+/**
+ * Subscriber statistics
+ *
+ * Summarises subscribers.json for the admin console: totals, active vs
+ * unsubscribed, growth per day/week/month and a breakdown per division.
+ *
+ *   - active: confirmed and still subscribed
+ *   - pending: signed up but never confirmed (see double opt-in in
+ *     email-service.js); left out of growth and unsubscribe rates
+ *   - inactive: unsubscribed or deactivated by an admin. unsubscribedAt is
+ *     recorded from now on; older records fall back to updatedAt
+ *
+ * Subscribers without divisionPreferences predate division selection and get
+ * every division's emails, so they count towards every division.
+ */
+
+const GROWTH_INTERVALS = ['day', 'week', 'month'];
+const GROWTH_PERIODS = {
+  day: 30,
+  week: 26,
+  month: 24
+};
+
+// Whether a subscriber gets emails for a division
+function followsDivision(subscriber, divisionKey) {
+  if (!Array.isArray(subscriber.divisionPreferences)) {
+    return true;
+  }
+  return subscriber.divisionPreferences.includes(divisionKey);
+}
+
+function statusOf(subscriber) {
+  if (subscriber.active) return 'active';
+  if (subscriber.pending) return 'pending';
+  return 'inactive';
+}
+
+// Share of confirmed subscribers who have since left, to three places
+function unsubscribeRate(active, inactive) {
+  const confirmed = active + inactive;
+  return confirmed === 0 ? 0 : Math.round((inactive / confirmed) * 1000) / 1000;
+}
+
+// Start of the UTC day, Monday-based week or month containing date
+function periodStart(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+}
+
+// The period starting steps periods after (or before) start
+function shiftPeriod(start, interval, steps = 1) {
+  const shifted = new Date(start);
+  if (interval === 'month') {
+    shifted.setUTCMonth(shifted.getUTCMonth() + steps);
+  } else {
+    shifted.setUTCDate(shifted.getUTCDate() + steps * (interval === 'week' ? 7 : 1));
+  }
+  return shifted;
+}
+
+// 2025-05-05 for days and weeks (the Monday), 2025-05 for months
+function periodLabel(start, interval) {
+  const iso = start.toISOString();
+  return interval === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+function parseDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : null;
+}
+
+// Subscriptions and unsubscriptions per period, with the number of active
+// subscribers at the end of each. Covers the last GROWTH_PERIODS periods, or
+// back to the first subscriber if that's more recent.
+function buildGrowth(subscribers, interval, now) {
+  const joined = [];
+  const left = [];
+
+  subscribers.forEach(subscriber => {
+    const status = statusOf(subscriber);
+    const subscribedAt = parseDate(subscriber.subscribedAt);
+    if (status === 'pending' || !subscribedAt) return;
+
+    joined.push(subscribedAt);
+    if (status === 'inactive') {
+      left.push(parseDate(subscriber.unsubscribedAt) || parseDate(subscriber.updatedAt) || subscribedAt);
+    }
+  });
+
+  if (joined.length === 0) {
+    return [];
+  }
+
+  const last = periodStart(now, interval);
+  const earliest = shiftPeriod(last, interval, 1 - GROWTH_PERIODS[interval]);
+  let first = periodStart(new Date(Math.min(...joined)), interval);
+  if (first < earliest) first = earliest;
+
+  // Everyone who joined or left before the first period is already in the running total
+  let active = joined.filter(date => date < first).length - left.filter(date => date < first).length;
+  const growth = [];
+
+  for (let start = first; start <= last; start = shiftPeriod(start, interval)) {
+    const end = shiftPeriod(start, interval);
+    const inPeriod = date => date >= start && date < end;
+    const subscribed = joined.filter(inPeriod).length;
+    const unsubscribed = left.filter(inPeriod).length;
+    active += subscribed - unsubscribed;
+    growth.push({ period: periodLabel(start, interval), subscribed, unsubscribed, active });
+  }
+
+  return growth;
+}
+
+// Counts per division: every division offered at sign-up, plus any other
+// division key subscribers still have in their preferences
+function buildDivisionBreakdown(subscribers, divisions) {
+  const breakdown = new Map(divisions.map(({ key, display }) => [key, { key, display }]));
+  subscribers.forEach(subscriber => {
+    (subscriber.divisionPreferences || []).forEach(key => {
+      if (!breakdown.has(key)) breakdown.set(key, { key, display: key });
+    });
+  });
+
+  return [...breakdown.values()].map(division => {
+    const counts = { active: 0, pending: 0, inactive: 0 };
+    subscribers.forEach(subscriber => {
+      if (followsDivision(subscriber, division.key)) counts[statusOf(subscriber)]++;
+    });
+
+    return {
+      ...division,
+      ...counts,
+      total: counts.active + counts.pending + counts.inactive,
+      unsubscribeRate: unsubscribeRate(counts.active, counts.inactive)
+    };
+  });
+}
+
+// Everything the admin statistics endpoint returns. divisions is
+// EmailService.getAvailableDivisions().
+function buildSubscriberStats(subscribers, { divisions = [], interval = 'month', now = new Date() } = {}) {
+  if (!GROWTH_INTERVALS.includes(interval)) {
+    throw new Error(`Unknown growth interval: ${interval}`);
+  }
+
+  const totals = { total: subscribers.length, active: 0, pending: 0, inactive: 0 };
+  subscribers.forEach(subscriber => {
+    totals[statusOf(subscriber)]++;
+  });
+  totals.allDivisions = subscribers.filter(subscriber => subscriber.active && !Array.isArray(subscriber.divisionPreferences)).length;
+
+  return {
+    totals,
+    unsubscribeRate: unsubscribeRate(totals.active, totals.inactive),
+    interval,
+    growth: buildGrowth(subscribers, interval, now),
+    divisions: buildDivisionBreakdown(subscribers, divisions),
+    generatedAt: now.toISOString()
+  };
+}
+
+module.exports = buildSubscriberStats;
+module.exports.GROWTH_INTERVALS = GROWTH_INTERVALS;
+module.exports.followsDivision = followsDivision;
@@ -0,0 +1,171 @@
+/**
+ * Team statistics computed from a division's schedule
+ *
+ * Everything on the team page - record, home/away and last-10 splits, runs
+ * per game and head-to-head records - comes from schedule.allGames in the
+ * division files, so it stays consistent with the games listed on the page.
+ */
+
+const { splitPlayedAndUpcoming } = require('./src/scraper/game-time');
+
+const LAST_N_GAMES = 10;
+
+// A game from one team's point of view, or null if the team didn't play in it
+function toTeamGame(game, teamCode) {
+  const isHome = game.homeTeamCode === teamCode;
+  if (!isHome && game.awayTeamCode !== teamCode) return null;
+
+  const homeScore = game.score?.home ?? game.homeScore;
+  const awayScore = game.score?.away ?? game.awayScore;
+  const hasScore = game.isCompleted && Number.isFinite(homeScore) && Number.isFinite(awayScore);
+
+  const teamScore = hasScore ? (isHome ? homeScore : awayScore) : null;
+  const opponentScore = hasScore ? (isHome ? awayScore : homeScore) : null;
+
+  let result = null;
+  if (hasScore) {
+    if (teamScore > opponentScore) result = 'W';
+    else if (teamScore < opponentScore) result = 'L';
+    else result = 'T';
+  }
+
+  return {
+    date: game.date || null,
+    dateText: game.dateText,
+    time: game.time,
+    location: game.location,
+    isHome,
+    opponent: isHome ? game.awayTeam : game.homeTeam,
+    opponentCode: isHome ? game.awayTeamCode : game.homeTeamCode,
+    isCompleted: Boolean(game.isCompleted),
+    teamScore,
+    opponentScore,
+    result
+  };
+}
+
+// All of a team's games in date order (undated games last)
+function getTeamGames(allGames, teamCode) {
+  return (allGames || [])
+    .map(game => toTeamGame(game, teamCode))
+    .filter(Boolean)
+    .sort((a, b) => {
+      if (!a.date || !b.date) return !a.date - !b.date;
+      return new Date(a.date) - new Date(b.date);
+    });
+}
+
+// W/L/T and runs over a set of team games; only games with a result count
+function summarizeGames(games) {
+  const decided = games.filter(game => game.result);
+  const summary = {
+    gamesPlayed: decided.length,
+    wins: decided.filter(game => game.result === 'W').length,
+    losses: decided.filter(game => game.result === 'L').length,
+    ties: decided.filter(game => game.result === 'T').length,
+    runsFor: decided.reduce((sum, game) => sum + game.teamScore, 0),
+    runsAgainst: decided.reduce((sum, game) => sum + game.opponentScore, 0)
+  };
+
+  // Same convention as the YSBA table: a tie is half a win
+  summary.winPercentage = summary.gamesPlayed > 0
+    ? ((summary.wins + summary.ties * 0.5) / summary.gamesPlayed).toFixed(3)
+    : '0.000';
+
+  return summary;
+}
+
+// Current run of identical results, e.g. "W3"; null before any results
+function getStreak(decidedGames) {
+  if (decidedGames.length === 0) return null;
+
+  const latest = decidedGames[decidedGames.length - 1].result;
+  let count = 0;
+  for (let i = decidedGames.length - 1; i >= 0 && decidedGames[i].result === latest; i--) {
+    count++;
+  }
+
+  return `${latest}${count}`;
+}
+
+// Teams that only appear in the schedule (e.g. crossover opponents) have no standings row
+function getTeamNameFromSchedule(allGames, teamCode) {
+  const game = allGames.find(candidate => candidate.homeTeamCode === teamCode || candidate.awayTeamCode === teamCode);
+  return game.homeTeamCode === teamCode ? game.homeTeam : game.awayTeam;
+}
+
+const perGame = (runs, gamesPlayed) => (gamesPlayed > 0 ? Math.round((runs / gamesPlayed) * 100) / 100 : 0);
+
+// Full team page data from one division file ({ standings, schedule })
+function buildTeamProfile(teamCode, divisionData) {
+  const standingsTeams = divisionData.standings?.teams || [];
+  const standing = standingsTeams.find(team => team.teamCode === teamCode) || null;
+  const games = getTeamGames(divisionData.schedule?.allGames, teamCode);
+
+  if (!standing && games.length === 0) {
+    return null;
+  }
+
+  const decided = games.filter(game => game.result);
+  const record = summarizeGames(decided);
+  record.points = record.wins * 2 + record.ties;
+
+  const lastGames = decided.slice(-LAST_N_GAMES);
+  const { playedGames, upcomingGames } = splitPlayedAndUpcoming(games);
+
+  // Every other team in the division, in standings order, even if not played yet
+  const headToHead = standingsTeams
+    .filter(team => team.teamCode !== teamCode)
+    .map(opponent => {
+      const meetings = games.filter(game => game.opponentCode === opponent.teamCode);
+      return {
+        opponent: opponent.team,
+        opponentCode: opponent.teamCode,
+        opponentPosition: opponent.position,
+        ...summarizeGames(meetings),
+        remaining: meetings.filter(game => upcomingGames.includes(game)).length
+      };
+    });
+
+  return {
+    teamCode,
+    team: standing?.team || getTeamNameFromSchedule(divisionData.schedule.allGames, teamCode),
+    position: standing?.position ?? null,
+    totalTeams: standingsTeams.length,
+    tiebreaker: standing?.tiebreaker || null,
+    record,
+    splits: {
+      home: summarizeGames(decided.filter(game => game.isHome)),
+      away: summarizeGames(decided.filter(game => !game.isHome)),
+      lastTen: {
+        ...summarizeGames(lastGames),
+        results: lastGames.map(game => game.result),
+        streak: getStreak(decided)
+      }
+    },
+    runs: {
+      runsFor: record.runsFor,
+      runsAgainst: record.runsAgainst,
+      runDifferential: record.runsFor - record.runsAgainst,
+      perGame: {
+        runsFor: perGame(record.runsFor, record.gamesPlayed),
+        runsAgainst: perGame(record.runsAgainst, record.gamesPlayed),
+        runDifferential: perGame(record.runsFor - record.runsAgainst, record.gamesPlayed)
+      }
+    },
+    headToHead,
+    schedule: {
+      totalGames: games.length,
+      playedGames,
+      upcomingGames
+    }
+  };
+}
+
+module.exports = {
+  LAST_N_GAMES,
+  toTeamGame,
+  getTeamGames,
+  summarizeGames,
+  buildTeamProfile
+};
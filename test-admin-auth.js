@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Admin Auth Tests
+ *
+ * Checks admin-auth.js: password hashing, signed session tokens, reading the
+ * token from a cookie or bearer header, the admin middleware and the rate
+ * limiter. Uses fake request/response objects, so no server is started.
+ *
+ * Usage:
+ *   npm run test-admin-auth
+ */
+
+const assert = require('assert');
+const AdminAuth = require('./admin-auth');
+const { SESSION_COOKIE, hashPassword, verifyPassword, parseCookies, createRateLimiter } = require('./admin-auth');
+
+const SECRET = 'test-session-secret';
+
+// Minimal stand-ins for express req/res
+const fakeRequest = (headers = {}, extra = {}) => ({ headers, ip: '203.0.113.7', originalUrl: '/backup.html', ...extra });
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    redirectedTo: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    redirect(url) {
+      this.redirectedTo = url;
+    }
+  };
+}
+
+// Runs middleware and reports whether it called next()
+function runMiddleware(middleware, req, res = fakeResponse()) {
+  let passed = false;
+  middleware(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+}
+
+class AdminAuthTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Admin Auth Tests Started');
+    console.log('===========================\n');
+
+    // Keep the constructor's setup messages out of the test output
+    const log = console.log;
+    console.log = () => {};
+    this.auth = new AdminAuth({ ADMIN_USERS: `alice:${hashPassword('correct horse')}`, ADMIN_SESSION_SECRET: SECRET });
+    this.unconfigured = new AdminAuth({});
+    console.log = log;
+
+    await this.test('hashes and verifies passwords', () => this.testPasswords());
+    await this.test('loads accounts from ADMIN_USERS or ADMIN_PASSWORD', () => this.testLoadUsers());
+    await this.test('accepts valid signed tokens only', () => this.testTokens());
+    await this.test('reads tokens from bearer headers and cookies', () => this.testTokenFromRequest());
+    await this.test('sets and clears the session cookie', () => this.testSessionCookie());
+    await this.test('requireAdmin answers 503, 401 or passes through', () => this.testRequireAdmin());
+    await this.test('requireAdminPage redirects to the sign-in page', () => this.testRequireAdminPage());
+    await this.test('rate limiter blocks after the limit per IP', () => this.testRateLimiter());
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  async testPasswords() {
+    const hash = hashPassword('secret');
+    assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+    assert.notStrictEqual(hashPassword('secret'), hash, 'each hash gets its own salt');
+
+    assert.strictEqual(verifyPassword('secret', hash), true);
+    assert.strictEqual(verifyPassword('Secret', hash), false);
+    assert.strictEqual(verifyPassword('secret', 'plain-text'), false);
+    assert.strictEqual(verifyPassword('secret', undefined), false);
+
+    assert.strictEqual(this.auth.verifyCredentials('alice', 'correct horse'), true);
+    assert.strictEqual(this.auth.verifyCredentials('alice', 'wrong'), false);
+    assert.strictEqual(this.auth.verifyCredentials('mallory', 'correct horse'), false);
+  }
+
+  async testLoadUsers() {
+    const users = this.auth.loadUsers({ ADMIN_USERS: `alice:${hashPassword('a')}, bob:${hashPassword('b')},broken` });
+    assert.deepStrictEqual([...users.keys()], ['alice', 'bob']);
+
+    const single = this.auth.loadUsers({ ADMIN_PASSWORD: 'local' });
+    assert.deepStrictEqual([...single.keys()], ['admin']);
+    assert.strictEqual(verifyPassword('local', single.get('admin')), true);
+
+    const renamed = this.auth.loadUsers({ ADMIN_PASSWORD: 'local', ADMIN_USERNAME: 'coach' });
+    assert.deepStrictEqual([...renamed.keys()], ['coach']);
+
+    assert.strictEqual(this.unconfigured.isConfigured, false);
+    assert.strictEqual(this.auth.isConfigured, true);
+  }
+
+  async testTokens() {
+    const token = this.auth.createToken('alice');
+    assert.strictEqual(this.auth.verifyToken(token), 'alice');
+
+    // Tampered payload or signature
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'alice', exp: Date.now() + 1e9 })).toString('base64url');
+    assert.strictEqual(this.auth.verifyToken(`${forged}.${signature}`), null);
+    assert.strictEqual(this.auth.verifyToken(`${payload}.${signature.slice(1)}x`), null);
+    assert.strictEqual(this.auth.verifyToken('not-a-token'), null);
+    assert.strictEqual(this.auth.verifyToken(null), null);
+
+    // Expired
+    assert.strictEqual(this.auth.verifyToken(this.auth.createToken('alice', -1)), null);
+
+    // Signed with another secret
+    const log = console.log;
+    console.log = () => {};
+    const other = new AdminAuth({ ADMIN_USERS: `alice:${hashPassword('x')}`, ADMIN_SESSION_SECRET: 'other' });
+    console.log = log;
+    assert.strictEqual(this.auth.verifyToken(other.createToken('alice')), null);
+
+    // Account removed since the token was issued
+    assert.strictEqual(this.auth.verifyToken(this.auth.createToken('bob')), null);
+  }
+
+  async testTokenFromRequest() {
+    assert.deepStrictEqual(parseCookies('a=1; b=hello%20there; broken; c=x=y'), { a: '1', b: 'hello there', c: 'x=y' });
+    assert.deepStrictEqual(parseCookies(undefined), {});
+
+    const token = this.auth.createToken('alice');
+    assert.strictEqual(this.auth.getTokenFromRequest(fakeRequest({ authorization: `Bearer ${token}` })), token);
+    assert.strictEqual(this.auth.getTokenFromRequest(fakeRequest({ cookie: `theme=dark; ${SESSION_COOKIE}=${token}` })), token);
+    assert.strictEqual(this.auth.getTokenFromRequest(fakeRequest({ authorization: 'Basic abc' })), null);
+
+    assert.strictEqual(this.auth.getAdmin(fakeRequest({ cookie: `${SESSION_COOKIE}=${token}` })), 'alice');
+    assert.strictEqual(this.auth.getAdmin(fakeRequest()), null);
+  }
+
+  async testSessionCookie() {
+    const res = fakeResponse();
+    this.auth.setSessionCookie(res, 'abc.def');
+    const cookie = res.headers['Set-Cookie'];
+    assert.ok(cookie.startsWith(`${SESSION_COOKIE}=abc.def;`));
+    assert.ok(cookie.includes('HttpOnly'));
+    assert.ok(cookie.includes('SameSite=Strict'));
+    assert.ok(cookie.includes('Max-Age=43200'));
+    assert.ok(!cookie.includes('Secure'), 'Secure only in production');
+
+    this.auth.clearSessionCookie(res);
+    assert.ok(res.headers['Set-Cookie'].includes('Max-Age=0'));
+
+    const log = console.log;
+    console.log = () => {};
+    const production = new AdminAuth({ NODE_ENV: 'production', ADMIN_PASSWORD: 'x', ADMIN_SESSION_SECRET: SECRET });
+    console.log = log;
+    production.setSessionCookie(res, 'abc.def');
+    assert.ok(res.headers['Set-Cookie'].includes('Secure'));
+  }
+
+  async testRequireAdmin() {
+    const disabled = runMiddleware(this.unconfigured.requireAdmin, fakeRequest());
+    assert.strictEqual(disabled.passed, false);
+    assert.strictEqual(disabled.res.statusCode, 503);
+
+    const anonymous = runMiddleware(this.auth.requireAdmin, fakeRequest());
+    assert.strictEqual(anonymous.passed, false);
+    assert.strictEqual(anonymous.res.statusCode, 401);
+    assert.deepStrictEqual(anonymous.res.body, { success: false, error: 'Admin sign-in required' });
+
+    const req = fakeRequest({ authorization: `Bearer ${this.auth.createToken('alice')}` });
+    const signedIn = runMiddleware(this.auth.requireAdmin, req);
+    assert.strictEqual(signedIn.passed, true);
+    assert.strictEqual(req.admin, 'alice');
+  }
+
+  async testRequireAdminPage() {
+    const anonymous = runMiddleware(this.auth.requireAdminPage, fakeRequest());
+    assert.strictEqual(anonymous.passed, false);
+    assert.strictEqual(anonymous.res.redirectedTo, '/admin?next=%2Fbackup.html');
+
+    const disabled = runMiddleware(this.unconfigured.requireAdminPage, fakeRequest());
+    assert.strictEqual(disabled.res.redirectedTo, '/admin?next=%2Fbackup.html');
+
+    const signedIn = runMiddleware(
+      this.auth.requireAdminPage,
+      fakeRequest({ cookie: `${SESSION_COOKIE}=${this.auth.createToken('alice')}` })
+    );
+    assert.strictEqual(signedIn.passed, true);
+  }
+
+  async testRateLimiter() {
+    const limiter = createRateLimiter({ windowMs: 60 * 1000, max: 2, message: 'Slow down' });
+
+    assert.strictEqual(runMiddleware(limiter, fakeRequest()).passed, true);
+    const second = runMiddleware(limiter, fakeRequest());
+    assert.strictEqual(second.passed, true);
+    assert.strictEqual(second.res.headers['RateLimit-Remaining'], 0);
+
+    const blocked = runMiddleware(limiter, fakeRequest());
+    assert.strictEqual(blocked.passed, false);
+    assert.strictEqual(blocked.res.statusCode, 429);
+    assert.deepStrictEqual(blocked.res.body, { success: false, error: 'Slow down' });
+    assert.ok(blocked.res.headers['Retry-After'] > 0);
+
+    // Other clients have their own window
+    assert.strictEqual(runMiddleware(limiter, fakeRequest({}, { ip: '198.51.100.1' })).passed, true);
+
+    limiter.reset();
+    assert.strictEqual(runMiddleware(limiter, fakeRequest()).passed, true);
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new AdminAuthTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
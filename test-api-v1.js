@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+
+/**
+ * API v1 Tests
+ *
+ * Checks api-v1.js and openapi.js: parameter parsing and validation, 400/404
+ * error bodies, standings, teams and changes in the documented shapes, and
+ * every published division file answering within the OpenAPI schemas. Uses a
+ * data store over a temporary public directory (and one over public/) and a
+ * local express server.
+ *
+ * Usage:
+ *   npm run test-api-v1
+ */
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const config = require('./config');
+const PublishedDataStore = require('./data-store');
+const PublicApi = require('./api-v1');
+const { OPENAPI_DOCUMENT, listOperations, parseParameters, validate } = require('./openapi');
+
+const standingsTeam = (position, code, wins, losses) => ({
+  position,
+  team: `Team ${code}`,
+  teamCode: code,
+  record: { gamesPlayed: wins + losses, wins, losses, ties: 0, winPercentage: (wins / (wins + losses)).toFixed(3) },
+  stats: { points: wins * 2, runsFor: wins * 5, runsAgainst: losses * 5, runDifferential: (wins - losses) * 5 }
+});
+
+const game = (date, homeCode, awayCode, homeScore, awayScore) => ({
+  date,
+  time: '6:00 PM',
+  homeTeam: `Team ${homeCode}`,
+  homeTeamCode: homeCode,
+  awayTeam: `Team ${awayCode}`,
+  awayTeamCode: awayCode,
+  location: 'Diamond 1',
+  isCompleted: homeScore !== null,
+  score: homeScore !== null ? { home: homeScore, away: awayScore } : null
+});
+
+const divisionFile = teams => JSON.stringify({
+  standings: { teams, lastUpdated: '2025-05-04T12:00:00.000Z', totalTeams: teams.length },
+  schedule: {
+    allGames: [game('2025-05-03T14:00:00.000Z', '1', '2', 5, 3), game('2099-06-07T14:00:00.000Z', '2', '1', null, null)],
+    teamSchedules: { 1: {}, 2: {} }
+  }
+});
+
+const INDEX_FILE = JSON.stringify({
+  lastUpdated: '2025-05-04T12:00:00.000Z',
+  divisions: {
+    '11U': {
+      displayName: '11U',
+      tiers: [{ key: 'rep-tier-2', teams: 2, games: 2 }, { key: 'select-all-tiers', teams: 0, games: 0 }]
+    }
+  }
+});
+
+// GET a JSON response: { status, headers, body }
+const get = (url, headers = {}) => new Promise((resolve, reject) => {
+  http.get(url, { headers }, res => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: body ? JSON.parse(body) : null }));
+  }).on('error', reject);
+});
+
+class ApiV1Tester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 API v1 Tests Started');
+    console.log('=======================\n');
+
+    this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-api-'));
+
+    // Keep store and error messages out of the test output
+    const { log, warn, error } = console;
+    const quiet = fn => async () => {
+      console.log = console.warn = console.error = () => {};
+      try {
+        await fn();
+      } finally {
+        Object.assign(console, { log, warn, error });
+      }
+    };
+
+    try {
+      await this.test('parses and checks parameters against the document', () => this.testParameters());
+      await this.test('serves the OpenAPI document with a handler per operation', quiet(() => this.testDocument()));
+      await this.test('answers bad and unknown requests with 400 and 404', quiet(() => this.testErrors()));
+      await this.test('serves standings in any division spelling with ETags', quiet(() => this.testStandings()));
+      await this.test('serves team profiles, schedules, history and changes', quiet(() => this.testTeamsAndChanges()));
+      await this.test('refuses responses that break the schema outside production', quiet(() => this.testResponseValidation()));
+      await this.test('answers every published division within the schemas', quiet(() => this.testPublishedData()));
+    } finally {
+      await this.teardown();
+      await fs.rm(this.tempDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  // An API over fresh published files (or publicDir), served by a local server
+  async setup(name, { files = {}, publicDir = null, strictResponses = true } = {}) {
+    await this.teardown();
+
+    if (!publicDir) {
+      publicDir = path.join(this.tempDir, name);
+      await fs.mkdir(path.join(publicDir, 'divisions'), { recursive: true });
+      await fs.writeFile(path.join(publicDir, 'ysba-standings.json'), JSON.stringify({ lastUpdated: '2025-05-04T12:00:00.000Z' }));
+      for (const [fileId, content] of Object.entries(files)) {
+        await fs.writeFile(path.join(publicDir, fileId), content);
+      }
+    }
+
+    this.store = new PublishedDataStore({ publicDir });
+    await this.store.load();
+
+    this.historyCalls = [];
+    this.changeCalls = [];
+    this.api = new PublicApi({
+      store: this.store,
+      strictResponses,
+      standingsHistory: {
+        getStandingsAsOf: async () => null,
+        getDivisionHistory: async divisionKey => ({ division: divisionKey, teams: {} }),
+        getTeamHistory: async (teamCode, divisionKey) => {
+          this.historyCalls.push({ teamCode, divisionKey });
+          return {
+            teamCode,
+            team: teamCode === '1' ? 'Team 1' : null,
+            division: teamCode === '1' ? '11U-rep-tier-2' : null,
+            history: teamCode === '1' ? [{ date: '2025-05-04T12:00:00.000Z', position: 1, wins: 1 }] : []
+          };
+        }
+      },
+      changeEventLog: {
+        getEvents: async filters => {
+          this.changeCalls.push(filters);
+          return [{
+            id: '11U-rep-tier-2:1:position_change:2025-05-04T12:00:00.000Z',
+            type: 'position_change',
+            division: '11U-rep-tier-2',
+            detectedAt: '2025-05-04T12:00:00.000Z',
+            team: 'Team 1',
+            teamCode: '1',
+            position: 1,
+            previousPosition: 2
+          }];
+        }
+      }
+    });
+
+    const app = express();
+    app.use('/api/v1', this.api.router());
+    this.server = app.listen(0);
+    await new Promise(resolve => this.server.once('listening', resolve));
+    this.baseUrl = `http://localhost:${this.server.address().port}/api/v1`;
+  }
+
+  async teardown() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+    }
+    this.server = null;
+  }
+
+  testParameters() {
+    const { operation } = listOperations().find(entry => entry.operationId === 'listChanges');
+
+    const parsed = parseParameters(operation, { params: {}, query: { type: 'position_change,game_added', limit: '20' } });
+    assert.deepStrictEqual(parsed.errors, []);
+    assert.deepStrictEqual(parsed.values, { tier: 'all-tiers', type: ['position_change', 'game_added'], limit: 20 });
+
+    const invalid = parseParameters(operation, { params: {}, query: { type: 'bogus', limit: '0', since: 'yesterday', team: ['1', '2'] } });
+    assert.deepStrictEqual(invalid.errors.map(error => error.field).sort(), ['limit', 'since', 'team', 'type[0]']);
+
+    assert.deepStrictEqual(validate({ type: ['string', 'null'] }, null), []);
+    assert.deepStrictEqual(validate({ type: 'object', required: ['a'], properties: { a: { type: 'integer' } } }, { a: 1.5 }), [
+      { field: 'a', message: 'must be integer' }
+    ]);
+  }
+
+  async testDocument() {
+    await this.setup('document');
+
+    const response = await get(`${this.baseUrl}/openapi.json`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.openapi, OPENAPI_DOCUMENT.openapi);
+    assert.ok(response.body.paths['/divisions/{division}/tiers/{tier}/standings']);
+
+    listOperations().forEach(({ operationId }) => {
+      assert.strictEqual(typeof this.api[operationId], 'function', `no handler for ${operationId}`);
+    });
+  }
+
+  async testErrors() {
+    await this.setup('errors', { files: { 'divisions/11U-rep-tier-2.json': divisionFile([standingsTeam(1, '1', 1, 0)]) } });
+
+    const malformed = await get(`${this.baseUrl}/divisions/eleven/tiers/tier-2/standings`);
+    assert.strictEqual(malformed.status, 400);
+    assert.strictEqual(malformed.body.success, false);
+    assert.strictEqual(malformed.body.error.code, 'invalid_request');
+    assert.deepStrictEqual(malformed.body.error.details.map(detail => detail.field), ['division']);
+    assert.deepStrictEqual(validate(OPENAPI_DOCUMENT.components.schemas.Error, malformed.body), []);
+
+    const unknownDivision = await get(`${this.baseUrl}/divisions/19U-rep/tiers/tier-2/standings`);
+    assert.strictEqual(unknownDivision.status, 404);
+    assert.strictEqual(unknownDivision.body.error.code, 'not_found');
+
+    // Known to the site, nothing published yet
+    const notPublished = await get(`${this.baseUrl}/divisions/13U-rep/tiers/tier-1/standings`);
+    assert.strictEqual(notPublished.status, 404);
+
+    const unknownTeam = await get(`${this.baseUrl}/teams/404`);
+    assert.strictEqual(unknownTeam.status, 404);
+
+    const badDate = await get(`${this.baseUrl}/divisions/11U-rep/tiers/tier-2/standings?asOf=2025-13-45`);
+    assert.strictEqual(badDate.status, 400);
+
+    const noRoute = await get(`${this.baseUrl}/leagues`);
+    assert.strictEqual(noRoute.status, 404);
+    assert.strictEqual(noRoute.body.error.code, 'not_found');
+  }
+
+  async testStandings() {
+    await this.setup('standings', {
+      files: {
+        'ysba-index.json': INDEX_FILE,
+        'divisions/11U-rep-tier-2.json': divisionFile([standingsTeam(2, '1', 1, 1), standingsTeam(1, '2', 2, 0)])
+      }
+    });
+
+    const standings = await get(`${this.baseUrl}/divisions/11U-rep/tiers/tier-2/standings`);
+    assert.strictEqual(standings.status, 200);
+    assert.strictEqual(standings.body.success, true);
+    assert.deepStrictEqual(standings.body.data.division, {
+      key: '11U-rep',
+      tier: 'tier-2',
+      displayName: 'Rep 11U - Tier 2',
+      url: '/11U-rep/tier-2'
+    });
+    assert.deepStrictEqual(standings.body.data.teams.map(team => [team.position, team.teamCode]), [[1, '2'], [2, '1']]);
+
+    // Lowercase and prefixed spellings reach the same resource
+    const spelled = await get(`${this.baseUrl}/divisions/11u-rep/tiers/rep-tier-2/standings`);
+    assert.strictEqual(spelled.status, 200);
+    assert.strictEqual(spelled.headers.etag, standings.headers.etag);
+
+    const cached = await get(`${this.baseUrl}/divisions/11U-rep/tiers/tier-2/standings`, { 'If-None-Match': standings.headers.etag });
+    assert.strictEqual(cached.status, 304);
+
+    const divisions = await get(`${this.baseUrl}/divisions?filterEmpty=true`);
+    assert.strictEqual(divisions.status, 200);
+    assert.deepStrictEqual(divisions.body.data.divisions.map(division => division.key), ['11U-rep', '11U-select']);
+    assert.deepStrictEqual(divisions.body.data.divisions[0].tiers, [{ key: 'tier-2', displayName: 'Tier 2', teams: 2, games: 2 }]);
+  }
+
+  async testTeamsAndChanges() {
+    await this.setup('teams', {
+      files: { 'divisions/11U-rep-tier-2.json': divisionFile([standingsTeam(1, '1', 1, 0), standingsTeam(2, '2', 0, 1)]) }
+    });
+
+    const team = await get(`${this.baseUrl}/teams/1`);
+    assert.strictEqual(team.status, 200);
+    assert.strictEqual(team.body.data.team, 'Team 1');
+    assert.strictEqual(team.body.data.division.url, '/11U-rep/tier-2');
+
+    // A division that doesn't list the team
+    const elsewhere = await get(`${this.baseUrl}/teams/1?division=13U-rep&tier=tier-1`);
+    assert.strictEqual(elsewhere.status, 404);
+
+    const schedule = await get(`${this.baseUrl}/teams/2/schedule`);
+    assert.strictEqual(schedule.status, 200);
+    assert.strictEqual(schedule.body.data.totalGames, 2);
+    assert.deepStrictEqual(schedule.body.data.playedGames.map(entry => entry.scoreText), ['3-5']);
+    assert.strictEqual(schedule.body.data.upcomingGames[0].opponentCode, '1');
+
+    const history = await get(`${this.baseUrl}/teams/1/history?division=11u-rep&tier=tier-2`);
+    assert.strictEqual(history.status, 200);
+    assert.deepStrictEqual(this.historyCalls.pop(), { teamCode: '1', divisionKey: '11U-rep-tier-2' });
+    assert.strictEqual((await get(`${this.baseUrl}/teams/2/history`)).status, 404);
+
+    const changes = await get(`${this.baseUrl}/changes?division=11U-rep&tier=tier-2&type=position_change&limit=5`);
+    assert.strictEqual(changes.status, 200);
+    assert.strictEqual(changes.body.data.count, 1);
+    assert.match(changes.body.data.events[0].description, /Team 1/);
+    assert.deepStrictEqual(this.changeCalls.pop(), {
+      division: '11U-rep-tier-2',
+      since: undefined,
+      types: ['position_change'],
+      teamCode: null,
+      limit: 5
+    });
+  }
+
+  async testResponseValidation() {
+    // A scrape that published a row with a text position
+    const broken = divisionFile([{ ...standingsTeam(1, '1', 1, 0), position: 'first' }]);
+
+    await this.setup('strict', { files: { 'divisions/11U-rep-tier-2.json': broken } });
+    const strict = await get(`${this.baseUrl}/teams/1`);
+    assert.strictEqual(strict.status, 500);
+    assert.strictEqual(strict.body.error.code, 'internal_error');
+
+    await this.setup('lenient', { files: { 'divisions/11U-rep-tier-2.json': broken }, strictResponses: false });
+    const lenient = await get(`${this.baseUrl}/teams/1`);
+    assert.strictEqual(lenient.status, 200);
+  }
+
+  async testPublishedData() {
+    await this.setup('published', { publicDir: path.join(__dirname, 'public') });
+
+    const divisions = await get(`${this.baseUrl}/divisions`);
+    assert.strictEqual(divisions.status, 200);
+
+    for (const divisionKey of this.store.getDivisionKeys()) {
+      const { key, tier } = config.describeDivisionFile(divisionKey);
+      const standings = await get(`${this.baseUrl}/divisions/${key}/tiers/${tier}/standings`);
+      assert.strictEqual(standings.status, 200, `${divisionKey}: ${JSON.stringify(standings.body.error)}`);
+
+      // One team page and schedule per division
+      const teamCode = standings.body.data.teams[0]?.teamCode;
+      if (!teamCode) continue;
+      for (const resource of ['', '/schedule']) {
+        const response = await get(`${this.baseUrl}/teams/${teamCode}${resource}?division=${key}&tier=${tier}`);
+        assert.strictEqual(response.status, 200, `${divisionKey} team ${teamCode}${resource}: ${JSON.stringify(response.body.error)}`);
+      }
+    }
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApiV1Tester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Calendar Feed Tests
+ *
+ * Checks the iCalendar output of calendar-feed.js: stable UIDs across
+ * reschedules, line folding and escaping, all-day games and final scores.
+ *
+ * Usage:
+ *   npm run test-calendar
+ */
+
+const assert = require('assert');
+const { buildCalendar, countReschedules, escapeText, foldLine } = require('./calendar-feed');
+const { assignGameKeys } = require('./src/scraper/game-keys');
+
+const game = (date, time, homeCode, awayCode, extra = {}) => ({
+  date,
+  dateText: date.slice(0, 10),
+  time,
+  homeTeam: `Team ${homeCode}`,
+  homeTeamCode: homeCode,
+  awayTeam: `Team ${awayCode}`,
+  awayTeamCode: awayCode,
+  location: 'Diamond 1',
+  isCompleted: false,
+  score: null,
+  ...extra
+});
+
+const sampleGames = [
+  game('2025-05-03T22:00:00.000Z', '6:00 PM', '1', '2'),
+  game('2025-05-10T22:00:00.000Z', '6:00 PM', '1', '2'),
+  game('2025-05-17T22:00:00.000Z', '6:00 PM', '2', '3'),
+  game('2025-05-24T04:00:00.000Z', 'TBD', '3', '1')
+];
+
+const LAST_UPDATED = '2025-05-01T12:00:00.000Z';
+
+// Unfolded VEVENT property maps, keyed by UID
+function parseEvents(calendar) {
+  const lines = calendar.replace(/\r\n /g, '').split('\r\n');
+  const events = {};
+  let current = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') current = {};
+    else if (line === 'END:VEVENT') {
+      events[current.UID] = current;
+      current = null;
+    } else if (current) {
+      const separator = line.indexOf(':');
+      current[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  });
+
+  return events;
+}
+
+class CalendarFeedTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Calendar Feed Tests Started');
+    console.log('==============================\n');
+
+    await this.test('numbers meetings of the same matchup in date order', () => this.testGameKeys());
+    await this.test('keeps a game\'s UID and raises SEQUENCE when it is rescheduled', () => this.testRescheduledUid());
+    await this.test('writes timed games in UTC and TBD games as all-day', () => this.testEventTimes());
+    await this.test('adds the final score once a game is completed', () => this.testFinalScore());
+    await this.test('narrows a team feed to that team\'s games', () => this.testTeamFeed());
+    await this.test('escapes text and folds long lines', () => this.testEscapingAndFolding());
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  async testGameKeys() {
+    // Listed out of order; the earlier date is still meeting 1
+    const keys = assignGameKeys([sampleGames[1], sampleGames[2], sampleGames[0]]);
+    assert.deepStrictEqual(keys, ['1-2-2', '2-3-1', '1-2-1']);
+  }
+
+  async testRescheduledUid() {
+    const before = parseEvents(buildCalendar(sampleGames, { lastUpdated: LAST_UPDATED }));
+
+    // The Team 2 @ Team 3 game moves to another day and diamond
+    const rescheduled = sampleGames.map((entry, index) => (index === 2
+      ? { ...entry, date: '2025-06-14T18:00:00.000Z', time: '2:00 PM', location: 'Diamond 4' }
+      : entry));
+    const sequences = countReschedules([
+      { type: 'moved', gameKey: '2-3-1' },
+      { type: 'relocated', gameKey: '2-3-1' },
+      { type: 'result-posted', gameKey: '1-2-1' }
+    ]);
+    const after = parseEvents(buildCalendar(rescheduled, { lastUpdated: LAST_UPDATED, sequences }));
+
+    assert.deepStrictEqual(Object.keys(after).sort(), Object.keys(before).sort());
+    assert.strictEqual(after['2-3-1@ysbalive.com'].DTSTART, '20250614T180000Z');
+    assert.strictEqual(after['2-3-1@ysbalive.com'].LOCATION, 'Diamond 4');
+
+    // Moves and relocations raise SEQUENCE so clients apply the new time
+    assert.strictEqual(before['2-3-1@ysbalive.com'].SEQUENCE, '0');
+    assert.strictEqual(after['2-3-1@ysbalive.com'].SEQUENCE, '2');
+    assert.strictEqual(after['1-2-1@ysbalive.com'].SEQUENCE, '0');
+  }
+
+  async testEventTimes() {
+    const events = parseEvents(buildCalendar(sampleGames, { lastUpdated: LAST_UPDATED }));
+
+    assert.strictEqual(events['1-2-1@ysbalive.com'].DTSTART, '20250503T220000Z');
+    assert.strictEqual(events['1-2-1@ysbalive.com'].DTEND, '20250504T000000Z');
+    assert.strictEqual(events['1-2-1@ysbalive.com'].DTSTAMP, '20250501T120000Z');
+
+    // Midnight UTC-4 on May 24 is still May 24 in Ontario
+    assert.strictEqual(events['3-1-1@ysbalive.com']['DTSTART;VALUE=DATE'], '20250524');
+    assert.strictEqual(events['3-1-1@ysbalive.com']['DTEND;VALUE=DATE'], '20250525');
+  }
+
+  async testFinalScore() {
+    const completed = sampleGames.map((entry, index) => (index === 0
+      ? { ...entry, isCompleted: true, score: { home: 7, away: 4 } }
+      : entry));
+
+    const before = parseEvents(buildCalendar(sampleGames, { lastUpdated: LAST_UPDATED }));
+    const after = parseEvents(buildCalendar(completed, { lastUpdated: LAST_UPDATED }));
+
+    assert.ok(!before['1-2-1@ysbalive.com'].DESCRIPTION.includes('Final'));
+    assert.ok(after['1-2-1@ysbalive.com'].DESCRIPTION.startsWith('Final: Team 2 4\\, Team 1 7\\n'));
+  }
+
+  async testTeamFeed() {
+    const calendar = buildCalendar(sampleGames, { teamCode: '1', lastUpdated: LAST_UPDATED });
+    const events = parseEvents(calendar);
+
+    assert.deepStrictEqual(Object.keys(events).sort(), ['1-2-1@ysbalive.com', '1-2-2@ysbalive.com', '3-1-1@ysbalive.com']);
+    assert.strictEqual(events['1-2-1@ysbalive.com'].SUMMARY, 'vs Team 2');
+    assert.strictEqual(events['3-1-1@ysbalive.com'].SUMMARY, '@ Team 3');
+
+    const division = parseEvents(buildCalendar(sampleGames, { lastUpdated: LAST_UPDATED }));
+    assert.strictEqual(division['2-3-1@ysbalive.com'].SUMMARY, 'Team 3 @ Team 2');
+  }
+
+  async testEscapingAndFolding() {
+    assert.strictEqual(escapeText('Park; Field 2, North\nGate\\B'), 'Park\\; Field 2\\, North\\nGate\\\\B');
+
+    const long = `DESCRIPTION:${'é'.repeat(60)}`;
+    const folded = foldLine(long).split('\r\n');
+    assert.ok(folded.length > 1);
+    folded.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, `line is ${Buffer.byteLength(line)} octets`));
+    assert.strictEqual(folded.map((line, index) => (index ? line.slice(1) : line)).join(''), long);
+
+    const calendar = buildCalendar(sampleGames, { lastUpdated: LAST_UPDATED });
+    assert.ok(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(!/[^\r]\n/.test(calendar), 'every line should end in CRLF');
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new CalendarFeedTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+/**
+ * Change Event Tests
+ *
+ * Checks the typed change events in src/scraper/change-events.js: standings
+ * and schedule diffs as events, their descriptions, the event log behind
+ * /api/changes, and the homepage story triggers built from them. Uses a
+ * temporary log file.
+ *
+ * Usage:
+ *   npm run test-change-events
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ChangeEventLog = require('./src/scraper/change-events');
+const { EVENT_TYPES, diffStandings, fromScheduleChange, describeEvent, getEventTeamCodes } = require('./src/scraper/change-events');
+const { diffSchedules } = require('./src/scraper/schedule-diff');
+const DataWriter = require('./src/scraper/writer');
+const GitHubActionScraper = require('./scripts/github-action-scraper');
+
+const DIVISION = '11U-rep-tier-2';
+
+const team = (position, name, teamCode, wins, losses, ties = 0) => ({
+  position, team: name, teamCode, wins, losses, ties
+});
+
+const previousTeams = [
+  team(1, 'Aurora Jays', '1', 3, 0),
+  team(2, 'Barrie Baycats', '2', 2, 1),
+  team(3, 'Caledon Nationals', '3', 0, 2),
+  team(4, 'Durham Dragons', '4', 0, 2)
+];
+
+const currentTeams = [
+  team(1, 'Barrie Baycats', '2', 3, 1),
+  team(2, 'Aurora Jays', '1', 3, 1),
+  team(3, 'Caledon Nationals', '3', 1, 2),
+  team(4, 'Etobicoke Eagles', '5', 0, 0)
+];
+
+const game = (dateText, homeCode, homeTeam, awayCode, awayTeam, extra = {}) => ({
+  date: new Date(`${dateText} 2025 18:00`).toISOString(),
+  dateText,
+  time: '6:00 PM',
+  homeTeam,
+  homeTeamCode: homeCode,
+  awayTeam,
+  awayTeamCode: awayCode,
+  location: 'Diamond 1',
+  isCompleted: false,
+  score: null,
+  ...extra
+});
+
+class ChangeEventTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Change Event Tests Started');
+    console.log('=============================\n');
+
+    this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-change-events-'));
+
+    try {
+      await this.test('turns standings differences into team events', () => this.testDiffStandings());
+      await this.test('turns schedule diff entries into game events', () => this.testScheduleEvents());
+      await this.test('describes every event type', () => this.testDescribeEvents());
+      await this.test('compares division files like the schedule diff', () => this.testCompareDivision());
+      await this.test('logs events and filters them newest first', () => this.testEventLog());
+      await this.test('finds story triggers in change events', () => this.testStoryTriggers());
+    } finally {
+      await fs.rm(this.tempDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  testDiffStandings() {
+    assert.deepStrictEqual(diffStandings(previousTeams, currentTeams), [
+      { type: 'position_change', team: 'Barrie Baycats', teamCode: '2', position: 1, previousPosition: 2 },
+      { type: 'record_change', team: 'Barrie Baycats', teamCode: '2', record: { wins: 3, losses: 1, ties: 0 }, previousRecord: { wins: 2, losses: 1, ties: 0 } },
+      { type: 'position_change', team: 'Aurora Jays', teamCode: '1', position: 2, previousPosition: 1 },
+      { type: 'record_change', team: 'Aurora Jays', teamCode: '1', record: { wins: 3, losses: 1, ties: 0 }, previousRecord: { wins: 3, losses: 0, ties: 0 } },
+      { type: 'record_change', team: 'Caledon Nationals', teamCode: '3', record: { wins: 1, losses: 2, ties: 0 }, previousRecord: { wins: 0, losses: 2, ties: 0 } },
+      { type: 'team_added', team: 'Etobicoke Eagles', teamCode: '5', position: 4, record: { wins: 0, losses: 0, ties: 0 } },
+      { type: 'team_removed', team: 'Durham Dragons', teamCode: '4', previousPosition: 4 }
+    ]);
+
+    // Compact ysba-standings.json teams have no codes and are matched by name
+    const compact = [{ pos: 1, team: 'Aurora Jays', w: 3, l: 0, t: 0 }, { pos: 2, team: 'Barrie Baycats', w: 2, l: 1, t: 0 }];
+    const events = diffStandings(compact, currentTeams.slice(0, 2));
+    assert.deepStrictEqual(events.filter(event => event.type === 'position_change').map(event => event.teamCode), ['2', '1']);
+    assert.ok(!events.some(event => event.type === 'team_added'));
+
+    assert.deepStrictEqual(diffStandings(previousTeams, previousTeams), []);
+  }
+
+  testScheduleEvents() {
+    const played = game('Sat, May 3', '2', 'Barrie Baycats', '1', 'Aurora Jays');
+    const moved = game('Sat, May 10', '3', 'Caledon Nationals', '4', 'Durham Dragons');
+    const relocated = game('Sun, May 11', '1', 'Aurora Jays', '3', 'Caledon Nationals');
+    const cancelled = game('Mon, May 12', '4', 'Durham Dragons', '2', 'Barrie Baycats');
+    const added = game('Tue, May 13', '2', 'Barrie Baycats', '3', 'Caledon Nationals');
+
+    const events = diffSchedules([played, moved, relocated, cancelled], [
+      { ...played, isCompleted: true, score: { home: 7, away: 5 } },
+      { ...moved, date: new Date('Sat, May 17 2025 18:00').toISOString(), dateText: 'Sat, May 17' },
+      { ...relocated, location: 'Diamond 2' },
+      added
+    ]).map(fromScheduleChange);
+
+    assert.deepStrictEqual(events.map(event => event.type).sort(), [
+      'game_added', 'game_cancelled', 'game_relocated', 'game_rescheduled', 'result_posted'
+    ]);
+
+    const result = events.find(event => event.type === EVENT_TYPES.RESULT_POSTED);
+    assert.deepStrictEqual(result.score, { home: 7, away: 5 });
+    assert.deepStrictEqual(getEventTeamCodes(result), ['2', '1']);
+    assert.deepStrictEqual(getEventTeamCodes({ type: 'position_change', team: 'Aurora Jays', teamCode: '1' }), ['1']);
+  }
+
+  testDescribeEvents() {
+    const [positionUp, barrieRecord, positionDown, , , added, removed] = diffStandings(previousTeams, currentTeams);
+    assert.strictEqual(describeEvent(positionUp), 'Barrie Baycats moved up to #1 (was #2)');
+    assert.strictEqual(describeEvent(positionDown), 'Aurora Jays dropped to #2 (was #1)');
+    assert.strictEqual(describeEvent(barrieRecord), 'Barrie Baycats is now 3-1 (was 2-1)');
+    assert.strictEqual(describeEvent(added), 'Etobicoke Eagles has joined the standings');
+    assert.strictEqual(describeEvent(removed), 'Durham Dragons is no longer in the standings');
+
+    const first = game('Sat, May 3', '2', 'Barrie Baycats', '1', 'Aurora Jays');
+    const describe = (before, after) => describeEvent(fromScheduleChange(diffSchedules(before, after)[0]));
+    assert.strictEqual(describe([first], [{ ...first, isCompleted: true, score: { home: 7, away: 5 } }]), 'Final: Aurora Jays 5, Barrie Baycats 7');
+    assert.strictEqual(
+      describe([first], [{ ...first, dateText: 'Sat, May 10', date: new Date('Sat, May 10 2025 18:00').toISOString() }]),
+      'Rescheduled: Aurora Jays @ Barrie Baycats is now Sat, May 10 at 6:00 PM (was Sat, May 3 at 6:00 PM)'
+    );
+    assert.strictEqual(describe([], [first]), 'New game: Aurora Jays @ Barrie Baycats on Sat, May 3 at 6:00 PM, Diamond 1');
+    assert.strictEqual(describe([first], []), 'Cancelled: Aurora Jays @ Barrie Baycats on Sat, May 3 at 6:00 PM');
+  }
+
+  testCompareDivision() {
+    const log = new ChangeEventLog(path.join(this.tempDir, 'compare.json'));
+    const detectedAt = '2025-05-04T12:00:00.000Z';
+    const played = game('Sat, May 3', '2', 'Barrie Baycats', '1', 'Aurora Jays');
+    const scheduleChanges = diffSchedules([played], [{ ...played, isCompleted: true, score: { home: 7, away: 5 } }])
+      .map(change => ({ id: `${DIVISION}:${change.gameKey}:${change.type}:${detectedAt}`, division: DIVISION, detectedAt, ...change }));
+
+    const events = log.compareDivision(
+      DIVISION,
+      { standings: { teams: previousTeams } },
+      { standings: { teams: currentTeams } },
+      scheduleChanges,
+      detectedAt
+    );
+
+    assert.strictEqual(events.length, 8);
+    assert.strictEqual(events[0].id, `${DIVISION}:2:position_change:${detectedAt}`);
+    assert.ok(events.every(event => event.division === DIVISION && event.detectedAt === detectedAt));
+    assert.strictEqual(events[7].type, 'result_posted');
+    assert.strictEqual(events[7].id, `${DIVISION}:${scheduleChanges[0].gameKey}:result_posted:${detectedAt}`);
+
+    // First scrape, or a scrape that came back with an empty table
+    assert.deepStrictEqual(log.compareDivision(DIVISION, null, { standings: { teams: currentTeams } }, [], detectedAt), []);
+    assert.deepStrictEqual(log.compareDivision(DIVISION, { standings: { teams: previousTeams } }, { standings: { teams: [] } }, [], detectedAt), []);
+  }
+
+  async testEventLog() {
+    const log = new ChangeEventLog(path.join(this.tempDir, 'log', 'change-events.json'));
+    const writer = new DataWriter();
+    const scrape = (detectedAt, division, previous, current) =>
+      log.compareDivision(division, { standings: { teams: previous } }, { standings: { teams: current } }, [], detectedAt);
+
+    assert.deepStrictEqual(await log.getEvents(), []);
+
+    await writer.writeChangeEvents(scrape('2025-05-04T12:00:00.000Z', DIVISION, previousTeams, currentTeams), log);
+    await writer.writeChangeEvents(scrape('2025-05-05T12:00:00.000Z', '13U-rep-tier-2', [team(1, 'Oshawa Legionaires', '8', 1, 0)], [team(1, 'Oshawa Legionaires', '8', 2, 0)]), log);
+
+    const all = await log.getEvents();
+    assert.strictEqual(all.length, 8);
+    assert.strictEqual(all[0].division, '13U-rep-tier-2');
+    assert.strictEqual((await log.read()).lastUpdated, '2025-05-05T12:00:00.000Z');
+
+    assert.strictEqual((await log.getEvents({ division: DIVISION })).length, 7);
+    assert.strictEqual((await log.getEvents({ since: '2025-05-04T12:00:00.000Z' })).length, 1);
+    assert.deepStrictEqual((await log.getEvents({ types: ['position_change'] })).map(event => event.team), ['Barrie Baycats', 'Aurora Jays']);
+    assert.deepStrictEqual((await log.getEvents({ teamCode: '1' })).map(event => event.type), ['position_change', 'record_change']);
+    assert.strictEqual((await log.getEvents({ limit: 2 })).length, 2);
+    await assert.rejects(() => log.getEvents({ since: 'yesterday' }), /Invalid since date/);
+  }
+
+  testStoryTriggers() {
+    const scraper = new GitHubActionScraper();
+    const standings = [
+      team(1, 'Aurora Jays', '1', 4, 0),
+      team(2, 'Barrie Baycats', '2', 3, 2),
+      team(3, 'Caledon Nationals', '3', 2, 2),
+      team(4, 'Durham Dragons', '4', 0, 4)
+    ];
+    const before = [
+      team(1, 'Aurora Jays', '1', 2, 0),
+      team(2, 'Caledon Nationals', '3', 2, 1),
+      team(3, 'Barrie Baycats', '2', 1, 2),
+      team(4, 'Durham Dragons', '4', 0, 4)
+    ];
+    const standingsOf = (teams, divisions = {}) => ({ divisions: { '13U': { tiers: { 'rep-tier-2': { teams } } }, ...divisions } });
+    const triggers = scraper.detectStoryTriggers(standingsOf(before), standingsOf(standings));
+    const found = triggers.map(trigger => `${trigger.type}:${trigger.team || trigger.leader}`);
+
+    assert.ok(found.includes('undefeated_milestone:Aurora Jays'));
+    assert.ok(found.includes('hot_streak:Aurora Jays'));
+    assert.ok(found.includes('position_change:Barrie Baycats'));
+    assert.ok(found.includes('breakthrough:Barrie Baycats'));
+    assert.ok(found.includes('tight_race:Aurora Jays'));
+    assert.ok(triggers.every(trigger => trigger.division === '13U/rep-tier-2'));
+
+    // Tight races are reported on every run; new divisions get their own trigger
+    const quiet = scraper.detectStoryTriggers(standingsOf(standings), standingsOf(standings, { '15U': { tiers: {} } }));
+    assert.deepStrictEqual(quiet.map(trigger => trigger.type), ['tight_race', 'new_division']);
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ChangeEventTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
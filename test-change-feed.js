@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * Change Feed Tests
+ *
+ * Checks the Atom output of change-feed.js: one entry per change event with
+ * a stable id, newest first, division names in the league-wide feed, and
+ * escaping of team names.
+ *
+ * Usage:
+ *   npm run test-change-feed
+ */
+
+const assert = require('assert');
+const { buildAtomFeed, escapeXml, FEED_LIMIT } = require('./change-feed');
+
+const DIVISION = '11U-rep-tier-2';
+
+const positionEvent = (detectedAt, team, position, previousPosition, division = DIVISION) => ({
+  id: `${division}:${team}:position_change:${detectedAt}`,
+  type: 'position_change',
+  division,
+  detectedAt,
+  team,
+  teamCode: null,
+  position,
+  previousPosition
+});
+
+const resultEvent = {
+  id: `${DIVISION}:2-1-1:result_posted:2025-05-04T12:00:00.000Z`,
+  type: 'result_posted',
+  division: DIVISION,
+  detectedAt: '2025-05-04T12:00:00.000Z',
+  gameKey: '2-1-1',
+  homeTeam: 'Barrie Baycats',
+  homeTeamCode: '2',
+  awayTeam: 'Aurora & District Jays',
+  awayTeamCode: '1',
+  current: { date: '2025-05-03T22:00:00.000Z', dateText: 'Sat, May 3', time: '6:00 PM', location: 'Diamond 1' },
+  score: { home: 7, away: 5 },
+  previousScore: null
+};
+
+const describeDivision = divisionKey => ({
+  displayName: divisionKey === DIVISION ? '11U Rep - Tier 2' : divisionKey,
+  url: divisionKey === DIVISION ? '/11U-rep/tier-2' : null
+});
+
+// Entry elements as { id, title, updated, category, link }
+function parseEntries(feed) {
+  return [...feed.matchAll(/<entry>([\s\S]*?)<\/entry>/g)].map(([, entry]) => ({
+    id: entry.match(/<id>(.*)<\/id>/)[1],
+    title: entry.match(/<title>(.*)<\/title>/)[1],
+    updated: entry.match(/<updated>(.*)<\/updated>/)[1],
+    category: entry.match(/<category term="(.*)"\/>/)[1],
+    link: entry.match(/<link rel="alternate" type="text\/html" href="(.*)"\/>/)[1]
+  }));
+}
+
+class ChangeFeedTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Change Feed Tests Started');
+    console.log('============================\n');
+
+    await this.test('writes one entry per event, newest first', () => this.testEntries());
+    await this.test('keeps entry ids stable between requests', () => this.testStableIds());
+    await this.test('names the division in the league-wide feed', () => this.testLeagueFeed());
+    await this.test('escapes text and limits the number of entries', () => this.testEscapingAndLimit());
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  async testEntries() {
+    const feed = buildAtomFeed([
+      resultEvent,
+      positionEvent('2025-05-05T12:00:00.000Z', 'Barrie Baycats', 1, 2)
+    ], {
+      title: 'YSBA Live: 11U Rep - Tier 2',
+      id: `changes:${DIVISION}`,
+      siteUrl: 'https://ysbalive.com',
+      selfUrl: 'https://ysbalive.com/feeds/11U-rep/tier-2.atom',
+      describeDivision
+    });
+
+    assert.ok(feed.startsWith('<?xml version="1.0" encoding="utf-8"?>\n<feed xmlns="http://www.w3.org/2005/Atom">'));
+    assert.ok(feed.includes('<id>tag:ysbalive.com,2025:changes:11U-rep-tier-2</id>'));
+    assert.ok(feed.includes('<link rel="self" type="application/atom+xml" href="https://ysbalive.com/feeds/11U-rep/tier-2.atom"/>'));
+    assert.ok(feed.includes('<updated>2025-05-05T12:00:00.000Z</updated>\n  <author>'));
+
+    const entries = parseEntries(feed);
+    assert.deepStrictEqual(entries.map(entry => entry.category), ['position_change', 'result_posted']);
+    assert.strictEqual(entries[0].title, 'Barrie Baycats moved up to #1 (was #2)');
+    assert.strictEqual(entries[1].title, 'Final: Aurora &amp; District Jays 5, Barrie Baycats 7');
+    assert.strictEqual(entries[1].link, 'https://ysbalive.com/11U-rep/tier-2');
+
+    // Nothing logged yet: still a valid feed, dated by the log
+    const empty = buildAtomFeed([], { lastUpdated: '2025-05-01T00:00:00.000Z' });
+    assert.ok(empty.includes('<updated>2025-05-01T00:00:00.000Z</updated>'));
+    assert.strictEqual(parseEntries(empty).length, 0);
+  }
+
+  async testStableIds() {
+    const event = positionEvent('2025-05-05T12:00:00.000Z', 'Barrie Baycats', 1, 2);
+    const first = parseEntries(buildAtomFeed([event], { describeDivision }));
+    const second = parseEntries(buildAtomFeed([positionEvent('2025-05-06T12:00:00.000Z', 'Aurora Jays', 2, 1), event], { describeDivision }));
+
+    assert.strictEqual(second[1].id, first[0].id);
+    assert.strictEqual(first[0].id, 'tag:ysbalive.com,2025:change:11U-rep-tier-2%3ABarrie%20Baycats%3Aposition_change%3A2025-05-05T12%3A00%3A00.000Z');
+  }
+
+  async testLeagueFeed() {
+    const feed = buildAtomFeed([
+      resultEvent,
+      positionEvent('2025-05-05T12:00:00.000Z', 'Oshawa Legionaires', 1, 2, '13U-rep-tier-2')
+    ], { showDivision: true, describeDivision });
+
+    assert.deepStrictEqual(parseEntries(feed).map(entry => entry.title), [
+      '13U-rep-tier-2: Oshawa Legionaires moved up to #1 (was #2)',
+      '11U Rep - Tier 2: Final: Aurora &amp; District Jays 5, Barrie Baycats 7'
+    ]);
+  }
+
+  async testEscapingAndLimit() {
+    assert.strictEqual(escapeXml('A & B <C> "D" \'E\''), 'A &amp; B &lt;C&gt; &quot;D&quot; &apos;E&apos;');
+
+    const events = Array.from({ length: FEED_LIMIT + 10 }, (_, index) =>
+      positionEvent(new Date(Date.UTC(2025, 4, 1) + index * 60000).toISOString(), `Team ${index}`, 1, 2));
+    const entries = parseEntries(buildAtomFeed(events, { describeDivision }));
+
+    assert.strictEqual(entries.length, FEED_LIMIT);
+    assert.strictEqual(entries[0].title, `Team ${FEED_LIMIT + 9} moved up to #1 (was #2)`);
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ChangeFeedTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+/**
+ * Data Store Tests
+ *
+ * Checks data-store.js: published files are read once, memoized responses are
+ * reused until one of their files changes on disk, the team index, and
+ * conditional GETs (ETag / If-None-Match, Last-Modified / If-Modified-Since).
+ * Uses a temporary public directory and a local express server.
+ *
+ * Usage:
+ *   npm run test-data-store
+ */
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const PublishedDataStore = require('./data-store');
+const { CACHE_CONTROL, divisionFileId, sendCachedJson } = require('./data-store');
+
+const divisionFile = (lastUpdated, teamCodes) => JSON.stringify({
+  standings: {
+    lastUpdated,
+    teams: teamCodes.map((teamCode, index) => ({ position: index + 1, team: `Team ${teamCode}`, teamCode }))
+  },
+  schedule: {
+    allGames: [{ homeTeamCode: teamCodes[0], awayTeamCode: '999', date: '2025-05-03' }]
+  }
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// GET with the given headers, like a browser revalidating its copy
+// (fetch() would add Cache-Control: no-cache to conditional requests)
+const get = (url, headers = {}) => new Promise((resolve, reject) => {
+  http.get(url, { headers }, res => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+  }).on('error', reject);
+});
+
+class DataStoreTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Data Store Tests Started');
+    console.log('===========================\n');
+
+    this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-store-'));
+
+    // Keep reload messages out of the test output
+    const { log, warn, error } = console;
+    const quiet = fn => async () => {
+      console.log = console.warn = console.error = () => {};
+      try {
+        await fn();
+      } finally {
+        Object.assign(console, { log, warn, error });
+      }
+    };
+
+    try {
+      await this.test('loads published files and indexes teams', quiet(() => this.testLoad()));
+      await this.test('indexes teams by the division whose standings list them', quiet(() => this.testTeamIndex()));
+      await this.test('reuses a response until its file changes', quiet(() => this.testMemoize()));
+      await this.test('reloads changed files and keeps the last good version', quiet(() => this.testReload()));
+      await this.test('answers conditional GETs with 304', quiet(() => this.testConditionalGet()));
+    } finally {
+      this.store?.close();
+      await fs.rm(this.tempDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  // A loaded store over a fresh public directory
+  async setup(name) {
+    this.store?.close();
+
+    this.publicDir = path.join(this.tempDir, name);
+    await fs.mkdir(path.join(this.publicDir, 'divisions'), { recursive: true });
+    await fs.writeFile(path.join(this.publicDir, 'ysba-standings.json'), JSON.stringify({ lastUpdated: '2025-05-04T12:00:00.000Z' }));
+    await fs.writeFile(path.join(this.publicDir, 'divisions', '11U-rep-tier-2.json'), divisionFile('2025-05-04T12:00:00.000Z', ['1', '2']));
+    await fs.writeFile(path.join(this.publicDir, 'divisions', '13U-rep-tier-1.json'), divisionFile('2025-05-04T12:00:00.000Z', ['3']));
+
+    this.store = new PublishedDataStore({ publicDir: this.publicDir, debounceMs: 50 });
+    await this.store.load();
+    return this.store;
+  }
+
+  async testLoad() {
+    const store = await this.setup('load');
+
+    assert.deepStrictEqual(store.getDivisionKeys(), ['11U-rep-tier-2', '13U-rep-tier-1']);
+    assert.strictEqual(store.getDivision('11U-rep-tier-2').standings.teams.length, 2);
+    assert.strictEqual(store.getDivision('15U-rep-tier-1'), null);
+    assert.strictEqual(store.getFile('ysba-standings.json').data.lastUpdated, '2025-05-04T12:00:00.000Z');
+    assert.strictEqual(store.getFile('ysba-index.json'), null);
+
+    // Teams are found from the standings and from the schedule
+    assert.strictEqual(store.findTeamDivision('3'), '13U-rep-tier-1');
+    assert.strictEqual(store.findTeamDivision('999'), '11U-rep-tier-2');
+    assert.strictEqual(store.findTeamDivision('404'), null);
+  }
+
+  async testTeamIndex() {
+    const store = await this.setup('team-index');
+    const divisionsDir = path.join(this.publicDir, 'divisions');
+
+    // No-tier files list every tier's games; this one sorts before the tier files
+    // and mentions teams 2 and 3 in its schedule only
+    await fs.writeFile(path.join(divisionsDir, '11U-rep-no-tier.json'), JSON.stringify({
+      standings: { teams: [] },
+      schedule: { allGames: [{ homeTeamCode: '2', awayTeamCode: '3', date: '2025-05-03' }, { homeTeamCode: '7', awayTeamCode: '2', date: '2025-05-04' }] }
+    }));
+    await store.reload('divisions/11U-rep-no-tier.json');
+
+    assert.strictEqual(store.findTeamDivision('2'), '11U-rep-tier-2');
+    assert.strictEqual(store.findTeamDivision('3'), '13U-rep-tier-1');
+    // Only mentioned in a schedule
+    assert.strictEqual(store.findTeamDivision('7'), '11U-rep-no-tier');
+
+    // Reloading a file moves its teams
+    await fs.writeFile(path.join(divisionsDir, '11U-rep-tier-2.json'), divisionFile('2025-05-04T12:30:00.000Z', ['1']));
+    await fs.writeFile(path.join(divisionsDir, '13U-rep-tier-1.json'), divisionFile('2025-05-04T12:30:00.000Z', ['2', '3']));
+    await store.reload('divisions/11U-rep-tier-2.json');
+    await store.reload('divisions/13U-rep-tier-1.json');
+    assert.strictEqual(store.findTeamDivision('2'), '13U-rep-tier-1');
+  }
+
+  async testMemoize() {
+    const store = await this.setup('memoize');
+    let builds = 0;
+    const fileIds = [divisionFileId('11U-rep-tier-2'), 'ysba-standings.json'];
+    const build = (divisionData, standingsData) => {
+      builds++;
+      return { teams: divisionData.standings.teams.length, lastUpdated: standingsData.lastUpdated };
+    };
+
+    const first = store.getResponse('standings:11U-rep-tier-2', fileIds, build);
+    const second = store.getResponse('standings:11U-rep-tier-2', fileIds, build);
+    assert.strictEqual(builds, 1);
+    assert.strictEqual(first, second);
+    assert.deepStrictEqual(JSON.parse(first.body), { teams: 2, lastUpdated: '2025-05-04T12:00:00.000Z' });
+    assert.match(first.etag, /^"[0-9a-f]{20}"$/);
+
+    // Changing either file rebuilds it with a new ETag
+    await fs.writeFile(path.join(this.publicDir, 'ysba-standings.json'), JSON.stringify({ lastUpdated: '2025-05-04T12:30:00.000Z' }));
+    assert.strictEqual(await store.reload('ysba-standings.json'), true);
+    const third = store.getResponse('standings:11U-rep-tier-2', fileIds, build);
+    assert.strictEqual(builds, 2);
+    assert.notStrictEqual(third.etag, first.etag);
+
+    // Missing files and empty results aren't built or kept
+    assert.strictEqual(store.getResponse('standings:15U-rep-tier-1', [divisionFileId('15U-rep-tier-1')], build), null);
+    assert.strictEqual(store.memoize('team:404', fileIds, () => null), null);
+    assert.strictEqual(store.memos.has('team:404'), false);
+  }
+
+  async testReload() {
+    const store = await this.setup('reload');
+    store.watch();
+    const events = [];
+    store.on('division', event => events.push(event));
+    const filePath = path.join(this.publicDir, 'divisions', '11U-rep-tier-2.json');
+
+    // Rewriting the same content changes nothing
+    await fs.writeFile(filePath, divisionFile('2025-05-04T12:00:00.000Z', ['1', '2']));
+    await wait(300);
+    assert.strictEqual(events.length, 0);
+
+    await fs.writeFile(filePath, divisionFile('2025-05-04T12:30:00.000Z', ['2', '1', '4']));
+    await wait(300);
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].divisionKey, '11U-rep-tier-2');
+    assert.strictEqual(events[0].previous.standings.teams.length, 2);
+    assert.strictEqual(store.getDivision('11U-rep-tier-2').standings.teams.length, 3);
+    assert.strictEqual(store.findTeamDivision('4'), '11U-rep-tier-2');
+
+    // A half-written file keeps the previous version
+    await fs.writeFile(filePath, '{"standings": {');
+    await wait(300);
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(store.getDivision('11U-rep-tier-2').standings.lastUpdated, '2025-05-04T12:30:00.000Z');
+
+    // New division files are picked up
+    await fs.writeFile(path.join(this.publicDir, 'divisions', '15U-rep-tier-1.json'), divisionFile('2025-05-04T13:00:00.000Z', ['5']));
+    await wait(300);
+    assert.deepStrictEqual(store.getDivisionKeys(), ['11U-rep-tier-2', '13U-rep-tier-1', '15U-rep-tier-1']);
+  }
+
+  async testConditionalGet() {
+    const store = await this.setup('conditional');
+    const app = express();
+    app.get('/api/standings', (req, res) => {
+      sendCachedJson(req, res, store.getResponse('standings', [divisionFileId('11U-rep-tier-2')], data => data.standings));
+    });
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const url = `http://localhost:${server.address().port}/api/standings`;
+
+    try {
+      const first = await get(url);
+      assert.strictEqual(first.status, 200);
+      assert.strictEqual(first.headers['cache-control'], CACHE_CONTROL);
+      assert.match(first.headers['content-type'], /^application\/json/);
+      assert.strictEqual(JSON.parse(first.body).teams.length, 2);
+      const { etag, 'last-modified': lastModified } = first.headers;
+
+      const cached = await get(url, { 'If-None-Match': etag });
+      assert.strictEqual(cached.status, 304);
+      assert.strictEqual(cached.body, '');
+
+      const byDate = await get(url, { 'If-Modified-Since': lastModified });
+      assert.strictEqual(byDate.status, 304);
+
+      const stale = await get(url, { 'If-None-Match': '"something-else"' });
+      assert.strictEqual(stale.status, 200);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new DataStoreTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+
+/**
+ * Digest Email Tests
+ *
+ * Checks daily and weekly digests: the deliveryPreference on subscribers,
+ * keeping digest subscribers out of instant emails, building a digest from
+ * standings history and the schedule change log, and the digest job in
+ * scripts/send-digests.js. Uses temporary files and records emails instead
+ * of sending them.
+ *
+ * Usage:
+ *   npm run test-digests
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const EmailService = require('./email-service');
+const NotificationOutbox = require('./notification-outbox');
+const DigestBuilder = require('./digest-builder');
+const DigestJob = require('./scripts/send-digests');
+const StandingsHistory = require('./src/scraper/history');
+const ScheduleChangeLog = require('./src/scraper/schedule-diff');
+
+const DIVISION = '11U-rep-tier-2';
+const OTHER_DIVISION = '13U-rep-tier-1';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-06-08T11:00:00.000Z').getTime(); // A Sunday morning in Ontario
+
+const snapshotTeam = (pos, code, team) => ({ pos, code, team, gp: 4, w: 2, l: 2, t: 0, pts: 4, pct: '0.500', rf: 20, ra: 20 });
+
+const snapshots = [
+  {
+    lastUpdated: '2025-06-06T12:00:00.000Z',
+    divisions: {
+      [DIVISION]: { teams: [snapshotTeam(1, '1', 'Aurora Jays'), snapshotTeam(2, '2', 'Barrie Baycats'), snapshotTeam(3, '3', 'Caledon Nationals')] },
+      [OTHER_DIVISION]: { teams: [snapshotTeam(1, '7', 'Newmarket Hawks'), snapshotTeam(2, '8', 'Oshawa Legionaires')] }
+    }
+  },
+  {
+    lastUpdated: '2025-06-07T20:00:00.000Z',
+    divisions: {
+      [DIVISION]: { teams: [snapshotTeam(1, '2', 'Barrie Baycats'), snapshotTeam(2, '1', 'Aurora Jays'), snapshotTeam(3, '3', 'Caledon Nationals')] },
+      [OTHER_DIVISION]: { teams: [snapshotTeam(1, '8', 'Oshawa Legionaires'), snapshotTeam(2, '7', 'Newmarket Hawks')] }
+    }
+  }
+];
+
+const change = (division, type, homeTeamCode, homeTeam, awayTeamCode, awayTeam, detectedAt, extra = {}) => ({
+  id: `${division}:${homeTeamCode}-${awayTeamCode}:${type}:${detectedAt}`,
+  division,
+  detectedAt,
+  type,
+  homeTeam,
+  homeTeamCode,
+  awayTeam,
+  awayTeamCode,
+  ...extra
+});
+
+const changes = [
+  change(DIVISION, 'result-posted', '2', 'Barrie Baycats', '1', 'Aurora Jays', '2025-06-07T20:00:00.000Z', {
+    score: { home: 7, away: 5 }
+  }),
+  change(DIVISION, 'moved', '3', 'Caledon Nationals', '1', 'Aurora Jays', '2025-06-07T20:00:00.000Z', {
+    previous: { dateText: 'Sat, Jun 14', time: '6:00 PM', location: 'Diamond 1' },
+    current: { dateText: 'Sun, Jun 15', time: '6:00 PM', location: 'Diamond 1' }
+  }),
+  change(OTHER_DIVISION, 'result-posted', '8', 'Oshawa Legionaires', '7', 'Newmarket Hawks', '2025-06-07T20:00:00.000Z', {
+    score: { home: 3, away: 2 }
+  }),
+  change(OTHER_DIVISION, 'removed', '9', 'Pickering Red Sox', '10', 'Richmond Hill Phoenix', '2025-06-07T20:00:00.000Z', {
+    previous: { dateText: 'Sat, Jun 14', time: '10:00 AM', location: 'Diamond 2' }
+  }),
+  // Long before any digest period
+  change(DIVISION, 'added', '1', 'Aurora Jays', '3', 'Caledon Nationals', '2025-05-01T20:00:00.000Z', {
+    current: { dateText: 'Sat, May 10', time: '6:00 PM', location: 'Diamond 1' }
+  })
+];
+
+class DigestTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Digest Email Tests Started');
+    console.log('=============================\n');
+
+    this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-digests-'));
+
+    try {
+      await this.writeFixtures();
+      await this.test('stores and updates the delivery preference', () => this.testDeliveryPreference());
+      await this.test('keeps digest subscribers out of instant emails', () => this.testInstantEmails());
+      await this.test('works out the period a digest covers', () => this.testGetSince());
+      await this.test('builds digest sections per division and followed team', () => this.testBuildDigest());
+      await this.test('sends digests once per day and records lastDigestAt', () => this.testDigestJob());
+      await this.test('sends weekly digests on the weekly digest day', () => this.testDueFrequencies());
+    } finally {
+      await fs.rm(this.tempDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  // Standings history snapshots and a schedule change log in the temp dir
+  async writeFixtures() {
+    this.historyDir = path.join(this.tempDir, 'history');
+    this.changeLogFile = path.join(this.tempDir, 'schedule-changes.json');
+    const history = new StandingsHistory(this.historyDir);
+
+    await fs.mkdir(this.historyDir);
+    const index = [];
+    for (const snapshot of snapshots) {
+      const file = history.getSnapshotFileName(snapshot.lastUpdated);
+      await fs.writeFile(path.join(this.historyDir, file), JSON.stringify(snapshot));
+      index.push({ file, lastUpdated: snapshot.lastUpdated });
+    }
+    await fs.writeFile(path.join(this.historyDir, 'index.json'), JSON.stringify({ snapshots: index }));
+    await fs.writeFile(this.changeLogFile, JSON.stringify({ lastUpdated: changes[0].detectedAt, changes }));
+  }
+
+  createBuilder(service) {
+    return new DigestBuilder({
+      emailService: service,
+      history: new StandingsHistory(this.historyDir),
+      scheduleChangeLog: new ScheduleChangeLog(this.changeLogFile)
+    });
+  }
+
+  async createService() {
+    const service = new EmailService();
+    const dir = await fs.mkdtemp(path.join(this.tempDir, 'run-'));
+
+    service.subscribersFile = path.join(dir, 'subscribers.json');
+    service.backupDir = path.join(dir, 'backup');
+    service.outbox = new NotificationOutbox({ file: path.join(dir, 'outbox.json') });
+    service.isGithubConfigured = false;
+    service.isConfigured = true;
+    service.sent = [];
+    service.sendEmail = async (to, subject, html, text) => {
+      service.sent.push({ to, subject, html, text });
+    };
+
+    await fs.writeFile(service.subscribersFile, '[]');
+    return service;
+  }
+
+  // Sign up and confirm, like a subscriber clicking the confirmation link
+  async subscribe(service, email, ...args) {
+    await service.addSubscriber(email, ...args);
+    const subscriber = await service.getSubscriberByEmail(email);
+    await service.confirmSubscriber(service.createConfirmationToken(subscriber));
+    service.sent = [];
+    return service.getSubscriberByEmail(email);
+  }
+
+  async testDeliveryPreference() {
+    const service = await this.createService();
+
+    const weekly = await this.subscribe(service, 'weekly@example.com', 'Pat', [DIVISION], [], 'weekly');
+    assert.strictEqual(weekly.deliveryPreference, 'weekly');
+    assert.strictEqual(weekly.lastDigestAt, null);
+
+    const unknown = await this.subscribe(service, 'hourly@example.com', '', [DIVISION], [], 'hourly');
+    assert.strictEqual(unknown.deliveryPreference, 'instant');
+
+    // Legacy subscribers without the field get instant emails
+    assert.strictEqual(service.getDeliveryPreference({}), 'instant');
+
+    // Switching to a digest starts it now rather than re-sending what was already emailed
+    await service.updateSubscriber(unknown.id, { deliveryPreference: 'daily' });
+    const daily = await service.getSubscriberById(unknown.id);
+    assert.strictEqual(daily.deliveryPreference, 'daily');
+    assert.strictEqual(daily.lastDigestAt, daily.updatedAt);
+
+    // Leaving it out of an update keeps it
+    await service.updateSubscriber(unknown.id, { name: 'Sam', deliveryPreference: undefined });
+    assert.strictEqual((await service.getSubscriberById(unknown.id)).deliveryPreference, 'daily');
+
+    assert.deepStrictEqual((await service.getDigestSubscribers('weekly')).map(sub => sub.email), ['weekly@example.com']);
+    assert.deepStrictEqual((await service.getDigestSubscribers('daily')).map(sub => sub.email), ['hourly@example.com']);
+  }
+
+  async testInstantEmails() {
+    const service = await this.createService();
+    const standings = snapshots[1].divisions[DIVISION].teams.map(team => ({
+      position: team.pos, team: team.team, teamCode: team.code, wins: team.w, losses: team.l, winPercentage: team.pct
+    }));
+
+    await this.subscribe(service, 'instant@example.com', '', [DIVISION]);
+    await this.subscribe(service, 'daily@example.com', '', [DIVISION], [], 'daily');
+    await this.subscribe(service, 'weekly-fan@example.com', '', [], [{ teamCode: '2', team: 'Barrie Baycats', division: DIVISION }], 'weekly');
+
+    const divisionResult = await service.sendDivisionStandingsUpdate(DIVISION, standings, ['Barrie Baycats moved up to #1'], 'run-1');
+    assert.strictEqual(divisionResult.count, 1);
+
+    const teamResult = await service.sendTeamUpdates(DIVISION, standings, [
+      { teamCode: '2', team: 'Barrie Baycats', changes: ['Barrie Baycats moved up to #1'] }
+    ], divisionResult.recipients, 'run-1');
+    assert.strictEqual(teamResult.sent, false);
+
+    assert.deepStrictEqual(service.sent.map(email => email.to), ['instant@example.com']);
+  }
+
+  async testGetSince() {
+    const builder = this.createBuilder(await this.createService());
+
+    assert.strictEqual(builder.getSince({}, 'daily', NOW).getTime(), NOW - DAY_MS);
+    assert.strictEqual(builder.getSince({}, 'weekly', NOW).getTime(), NOW - 7 * DAY_MS);
+
+    const lastDigestAt = new Date(NOW - 3 * DAY_MS).toISOString();
+    assert.strictEqual(builder.getSince({ lastDigestAt }, 'weekly', NOW).toISOString(), lastDigestAt);
+
+    // Never further back than MAX_LOOKBACK_DAYS
+    const longAgo = new Date(NOW - 90 * DAY_MS).toISOString();
+    assert.strictEqual(builder.getSince({ lastDigestAt: longAgo }, 'weekly', NOW).getTime(), NOW - DigestBuilder.MAX_LOOKBACK_DAYS * DAY_MS);
+  }
+
+  async testBuildDigest() {
+    const builder = this.createBuilder(await this.createService());
+    const since = new Date(NOW - DAY_MS);
+    const until = new Date(NOW);
+
+    const digest = await builder.buildDigest({
+      divisionPreferences: [DIVISION],
+      teamPreferences: [
+        { teamCode: '2', team: 'Barrie Baycats', division: DIVISION },
+        { teamCode: '8', team: 'Oshawa Legionaires', division: OTHER_DIVISION }
+      ]
+    }, { since, until });
+
+    assert.strictEqual(digest.sections.length, 2);
+    const [division, followed] = digest.sections;
+
+    assert.strictEqual(division.divisionKey, DIVISION);
+    assert.strictEqual(division.teams, null);
+    assert.deepStrictEqual(division.positionChanges, [
+      'Barrie Baycats moved up to #1 (was #2)',
+      'Aurora Jays dropped to #2 (was #1)'
+    ]);
+    assert.deepStrictEqual(division.results, ['Final: Aurora Jays 5, Barrie Baycats 7']);
+    assert.strictEqual(division.scheduleChanges.length, 1);
+    assert.ok(division.scheduleChanges[0].startsWith('Rescheduled: Aurora Jays @ Caledon Nationals'));
+
+    // Only Oshawa's changes from the division the subscriber doesn't get in full
+    assert.strictEqual(followed.divisionKey, OTHER_DIVISION);
+    assert.deepStrictEqual(followed.teams, ['Oshawa Legionaires']);
+    assert.deepStrictEqual(followed.positionChanges, ['Oshawa Legionaires moved up to #1 (was #2)']);
+    assert.deepStrictEqual(followed.results, ['Final: Newmarket Hawks 2, Oshawa Legionaires 3']);
+    assert.deepStrictEqual(followed.scheduleChanges, []);
+    assert.strictEqual(digest.changeCount, 6);
+
+    // A quiet period has nothing to send
+    const quiet = await builder.buildDigest({ divisionPreferences: [DIVISION] }, {
+      since: new Date('2025-06-07T21:00:00.000Z'),
+      until
+    });
+    assert.deepStrictEqual(quiet.sections, []);
+    assert.strictEqual(quiet.changeCount, 0);
+  }
+
+  async testDigestJob() {
+    const service = await this.createService();
+    const job = new DigestJob({ emailService: service, builder: this.createBuilder(service) });
+
+    const daily = await this.subscribe(service, 'daily@example.com', 'Pat', [DIVISION], [], 'daily');
+    await this.subscribe(service, 'quiet@example.com', '', ['15U-rep-tier-1'], [], 'daily');
+    await this.subscribe(service, 'instant@example.com', '', [DIVISION]);
+
+    const [result] = await job.run(['daily'], { now: NOW });
+    assert.strictEqual(result.runId, 'digest-daily-2025-06-08');
+    assert.strictEqual(result.subscribers, 2);
+    assert.strictEqual(result.digests, 1);
+    assert.strictEqual(result.count, 1);
+
+    assert.strictEqual(service.sent.length, 1);
+    const [email] = service.sent;
+    assert.strictEqual(email.to, 'daily@example.com');
+    assert.strictEqual(email.subject, '⚾ Your Daily YSBA Digest: 4 updates');
+    assert.ok(email.text.includes('Barrie Baycats moved up to #1 (was #2)'));
+    assert.ok(email.text.includes('Final: Aurora Jays 5, Barrie Baycats 7'));
+    assert.ok(email.html.includes(`/manage?token=${daily.id}`));
+
+    // Everyone processed moves on, including the subscriber with nothing new
+    const subscribers = await service.loadSubscribers();
+    const lastDigest = email => subscribers.find(sub => sub.email === email).lastDigestAt;
+    assert.strictEqual(lastDigest('daily@example.com'), new Date(NOW).toISOString());
+    assert.strictEqual(lastDigest('quiet@example.com'), new Date(NOW).toISOString());
+    assert.strictEqual(lastDigest('instant@example.com'), null);
+
+    // Running again the same day sends nothing new
+    service.sent = [];
+    const reset = await service.loadSubscribers();
+    reset.forEach(sub => { sub.lastDigestAt = null; });
+    await service.saveSubscribers(reset);
+    const [rerun] = await job.run(['daily'], { now: NOW + 60 * 60 * 1000 });
+    assert.strictEqual(rerun.runId, result.runId);
+    assert.strictEqual(rerun.skipped, 1);
+    assert.deepStrictEqual(service.sent, []);
+  }
+
+  async testDueFrequencies() {
+    const job = new DigestJob({ emailService: await this.createService() });
+
+    assert.deepStrictEqual(job.getDueFrequencies(NOW), ['daily', 'weekly']);
+    assert.deepStrictEqual(job.getDueFrequencies(NOW + DAY_MS), ['daily']);
+
+    // 11pm Saturday in Ontario is already Sunday in UTC
+    assert.deepStrictEqual(job.getDueFrequencies(new Date('2025-06-08T03:00:00.000Z').getTime()), ['daily']);
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new DigestTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
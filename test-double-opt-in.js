@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+
+/**
+ * Double Opt-In Tests
+ *
+ * Checks the subscription confirmation flow in EmailService: pending sign-ups,
+ * signed confirmation links, re-sending on repeat sign-ups, confirming a
+ * changed email address and cleanup of sign-ups that were never confirmed. Uses a temporary subscribers file and
+ * records emails instead of sending them.
+ *
+ * Usage:
+ *   npm run test-double-opt-in
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const EmailService = require('./email-service');
+
+const HOUR = 60 * 60 * 1000;
+
+class DoubleOptInTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Double Opt-In Tests Started');
+    console.log('==============================\n');
+
+    this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-opt-in-'));
+
+    try {
+      await this.test('new sign-ups stay pending and get a confirmation link', () => this.testPendingSignUp());
+      await this.test('the confirmation link activates the subscriber once', () => this.testConfirm());
+      await this.test('rejects tampered, expired and outdated links', () => this.testInvalidLinks());
+      await this.test('signing up again re-sends, throttled', () => this.testResend());
+      await this.test('existing subscribers get a manage link instead', () => this.testAlreadySubscribed());
+      await this.test('unsubscribed addresses can sign up again', () => this.testResubscribe());
+      await this.test('a new email address takes over once confirmed', () => this.testEmailChange());
+      await this.test('addresses awaiting confirmation count as taken', () => this.testEmailInUse());
+      await this.test('cleans up sign-ups that were never confirmed', () => this.testCleanup());
+      await this.test('bulk reactivate skips unconfirmed sign-ups', () => this.testBulkReactivate());
+    } finally {
+      await fs.rm(this.tempDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  // EmailService on an empty subscribers file in the temp folder, recording sent emails
+  async createService(subscribers = []) {
+    const service = new EmailService();
+    const dir = await fs.mkdtemp(path.join(this.tempDir, 'run-'));
+
+    service.subscribersFile = path.join(dir, 'subscribers.json');
+    service.backupDir = path.join(dir, 'backup');
+    service.baseUrl = 'https://ysbalive.test';
+    service.isGithubConfigured = false;
+    service.isConfigured = true;
+    service.sent = [];
+    service.sendEmail = async (to, subject, html, text) => {
+      service.sent.push({ to, subject, text });
+    };
+
+    await fs.writeFile(service.subscribersFile, JSON.stringify(subscribers));
+    return service;
+  }
+
+  // Token from the link in the last email sent
+  lastConfirmationToken(service) {
+    const { text } = service.sent[service.sent.length - 1];
+    return text.match(/\/confirm\?token=(\S+)/)[1];
+  }
+
+  async testPendingSignUp() {
+    const service = await this.createService();
+    const result = await service.addSubscriber('Parent@Example.com', 'Pat', ['11U-rep-tier-2']);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.pending, true);
+
+    const subscriber = await service.getSubscriberByEmail('parent@example.com');
+    assert.strictEqual(subscriber.active, false);
+    assert.strictEqual(subscriber.pending, true);
+    assert.strictEqual(subscriber.confirmedAt, null);
+    assert.deepStrictEqual(await service.getActiveSubscribers('11U-rep-tier-2'), []);
+
+    assert.strictEqual(service.sent.length, 1);
+    assert.strictEqual(service.sent[0].to, 'parent@example.com');
+    assert.ok(service.sent[0].text.includes('https://ysbalive.test/confirm?token='));
+  }
+
+  async testConfirm() {
+    const service = await this.createService();
+    await service.addSubscriber('parent@example.com', '', ['11U-rep-tier-2']);
+    const token = this.lastConfirmationToken(service);
+
+    const result = await service.confirmSubscriber(token);
+    const subscriber = await service.getSubscriberByEmail('parent@example.com');
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.token, subscriber.id);
+    assert.strictEqual(subscriber.active, true);
+    assert.strictEqual(subscriber.pending, false);
+    assert.ok(subscriber.confirmedAt);
+    assert.strictEqual((await service.getActiveSubscribers('11U-rep-tier-2')).length, 1);
+
+    // Clicking the link again is harmless
+    const again = await service.confirmSubscriber(token);
+    assert.strictEqual(again.success, true);
+    assert.strictEqual(again.alreadyConfirmed, true);
+  }
+
+  async testInvalidLinks() {
+    const service = await this.createService();
+    await service.addSubscriber('parent@example.com');
+    const subscriber = await service.getSubscriberByEmail('parent@example.com');
+    const [payload, signature] = this.lastConfirmationToken(service).split('.');
+
+    assert.strictEqual((await service.confirmSubscriber(`${payload}.${signature.slice(1)}x`)).success, false);
+    assert.strictEqual((await service.confirmSubscriber('garbage')).success, false);
+    assert.strictEqual((await service.confirmSubscriber(undefined)).success, false);
+
+    // Signed by a different server
+    const other = await this.createService();
+    assert.strictEqual((await service.confirmSubscriber(other.createConfirmationToken(subscriber))).success, false);
+
+    const expired = await service.confirmSubscriber(service.createConfirmationToken(subscriber, -1));
+    assert.strictEqual(expired.success, false);
+    assert.strictEqual(expired.expired, true);
+
+    // Link for the old address after the email was changed
+    const oldToken = service.createConfirmationToken(subscriber);
+    await service.updateSubscriber(subscriber.id, { email: 'new@example.com' });
+    assert.strictEqual((await service.confirmSubscriber(oldToken)).success, false);
+
+    assert.strictEqual((await service.getSubscriberById(subscriber.id)).active, false);
+  }
+
+  async testResend() {
+    const service = await this.createService();
+    await service.addSubscriber('parent@example.com', '', ['9U-select-all-tiers']);
+    await service.addSubscriber('parent@example.com', 'Pat', ['10U-select-all-tiers']);
+
+    // Second sign-up updates the pending record but doesn't email again so soon
+    const subscribers = await service.loadSubscribers();
+    assert.strictEqual(subscribers.length, 1);
+    assert.deepStrictEqual(subscribers[0].divisionPreferences, ['10U-select-all-tiers']);
+    assert.strictEqual(subscribers[0].name, 'Pat');
+    assert.strictEqual(service.sent.length, 1);
+
+    // After the resend interval it goes out again
+    subscribers[0].confirmationSentAt = new Date(Date.now() - HOUR).toISOString();
+    await service.saveSubscribers(subscribers);
+    const result = await service.addSubscriber('parent@example.com');
+    assert.strictEqual(result.pending, true);
+    assert.strictEqual(service.sent.length, 2);
+
+    assert.strictEqual((await service.confirmSubscriber(this.lastConfirmationToken(service))).success, true);
+  }
+
+  async testAlreadySubscribed() {
+    const service = await this.createService();
+    await service.addSubscriber('parent@example.com', '', ['9U-select-all-tiers']);
+    await service.confirmSubscriber(this.lastConfirmationToken(service));
+    service.sent = [];
+
+    const result = await service.addSubscriber('parent@example.com', '', ['13U-rep-tier-1']);
+    const subscriber = await service.getSubscriberByEmail('parent@example.com');
+
+    // Same answer as a new sign-up, preferences untouched, manage link emailed
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.message, (await (await this.createService()).addSubscriber('other@example.com')).message);
+    assert.deepStrictEqual(subscriber.divisionPreferences, ['9U-select-all-tiers']);
+    assert.strictEqual(subscriber.active, true);
+    assert.strictEqual(service.sent.length, 1);
+    assert.ok(service.sent[0].text.includes(`/manage.html?token=${subscriber.id}`));
+
+    await service.addSubscriber('parent@example.com');
+    assert.strictEqual(service.sent.length, 1, 'throttled');
+  }
+
+  async testResubscribe() {
+    const service = await this.createService();
+    await service.addSubscriber('parent@example.com');
+    await service.confirmSubscriber(this.lastConfirmationToken(service));
+    const { id } = await service.getSubscriberByEmail('parent@example.com');
+    const staleToken = this.lastConfirmationToken(service);
+
+    await service.unsubscribeById(id);
+    assert.strictEqual((await service.confirmSubscriber(staleToken)).success, false, 'unsubscribing ends old links');
+
+    const subscribers = await service.loadSubscribers();
+    subscribers[0].confirmationSentAt = new Date(Date.now() - HOUR).toISOString();
+    await service.saveSubscribers(subscribers);
+
+    await service.addSubscriber('parent@example.com', '', ['8U-rep-tier-3']);
+    let subscriber = await service.getSubscriberById(id);
+    assert.strictEqual(subscriber.pending, true);
+    assert.strictEqual(subscriber.active, false);
+
+    await service.confirmSubscriber(this.lastConfirmationToken(service));
+    subscriber = await service.getSubscriberById(id);
+    assert.strictEqual(subscriber.active, true);
+    assert.deepStrictEqual(subscriber.divisionPreferences, ['8U-rep-tier-3']);
+  }
+
+  async testEmailChange() {
+    const service = await this.createService();
+    await service.addSubscriber('parent@example.com', '', ['11U-rep-tier-2']);
+    await service.confirmSubscriber(this.lastConfirmationToken(service));
+    const { id } = await service.getSubscriberByEmail('parent@example.com');
+    service.sent = [];
+
+    const result = await service.updateSubscriber(id, { email: 'New@Example.com', name: 'Pat' });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.pendingEmail, 'new@example.com');
+
+    // The old address keeps getting emails; the link goes to the new one
+    let subscriber = await service.getSubscriberById(id);
+    assert.strictEqual(subscriber.email, 'parent@example.com');
+    assert.strictEqual(subscriber.pendingEmail, 'new@example.com');
+    assert.strictEqual(subscriber.name, 'Pat');
+    assert.strictEqual(subscriber.active, true);
+    assert.deepStrictEqual((await service.getActiveSubscribers('11U-rep-tier-2')).map(sub => sub.email), ['parent@example.com']);
+    assert.deepStrictEqual(service.sent.map(email => email.to), ['new@example.com']);
+    const token = this.lastConfirmationToken(service);
+
+    // Saving again doesn't re-send so soon, or cancel the change
+    await service.updateSubscriber(id, { email: 'new@example.com' });
+    await service.updateSubscriber(id, { email: 'parent@example.com', deliveryPreference: 'daily' });
+    assert.strictEqual(service.sent.length, 1);
+    assert.strictEqual((await service.getSubscriberById(id)).pendingEmail, 'new@example.com');
+
+    const expired = await service.confirmSubscriber(service.createConfirmationToken({ id, email: 'new@example.com' }, -1));
+    assert.strictEqual(expired.expired, true);
+
+    const confirmed = await service.confirmSubscriber(token);
+    assert.strictEqual(confirmed.success, true);
+    assert.strictEqual(confirmed.token, id);
+    subscriber = await service.getSubscriberById(id);
+    assert.strictEqual(subscriber.email, 'new@example.com');
+    assert.strictEqual(subscriber.pendingEmail, null);
+    assert.strictEqual(subscriber.active, true);
+    assert.strictEqual((await service.confirmSubscriber(token)).alreadyConfirmed, true);
+
+    // Admins skip the confirmation
+    await service.updateSubscriber(id, { email: 'admin-set@example.com' }, { confirmEmail: false });
+    assert.strictEqual((await service.getSubscriberById(id)).email, 'admin-set@example.com');
+    assert.strictEqual(service.sent.length, 1);
+  }
+
+  async testEmailInUse() {
+    const recent = new Date(Date.now() - HOUR).toISOString();
+    const old = new Date(Date.now() - 72 * HOUR).toISOString();
+    const service = await this.createService([
+      { id: 'a', email: 'active@example.com', active: true, pending: false, subscribedAt: old },
+      { id: 'b', email: 'signing-up@example.com', active: false, pending: true, subscribedAt: recent, confirmationSentAt: recent },
+      { id: 'c', email: 'gone@example.com', active: false, pending: false, subscribedAt: old },
+      { id: 'd', email: 'mover@example.com', active: true, pending: false, subscribedAt: old, pendingEmail: 'moving@example.com', pendingEmailSentAt: recent },
+      { id: 'e', email: 'slow@example.com', active: true, pending: false, subscribedAt: old, pendingEmail: 'abandoned@example.com', pendingEmailSentAt: old }
+    ]);
+
+    assert.strictEqual(await service.isEmailInUse('Active@example.com'), true);
+    assert.strictEqual(await service.isEmailInUse('signing-up@example.com'), true);
+    assert.strictEqual(await service.isEmailInUse('moving@example.com'), true);
+    assert.strictEqual(await service.isEmailInUse('gone@example.com'), false);
+    assert.strictEqual(await service.isEmailInUse('abandoned@example.com'), false);
+    assert.strictEqual(await service.isEmailInUse('active@example.com', 'a'), false);
+
+    // Taken between asking for the change and confirming it
+    await service.updateSubscriber('a', { email: 'late@example.com' });
+    const token = this.lastConfirmationToken(service);
+    await service.addSubscriber('late@example.com');
+    assert.strictEqual((await service.confirmSubscriber(token)).success, false);
+    assert.strictEqual((await service.getSubscriberById('a')).email, 'active@example.com');
+  }
+
+  async testCleanup() {
+    const old = new Date(Date.now() - 72 * HOUR).toISOString();
+    const recent = new Date(Date.now() - HOUR).toISOString();
+    const service = await this.createService([
+      { id: 'a', email: 'stale@example.com', active: false, pending: true, confirmedAt: null, subscribedAt: old, confirmationSentAt: old },
+      { id: 'b', email: 'fresh@example.com', active: false, pending: true, confirmedAt: null, subscribedAt: recent, confirmationSentAt: recent },
+      { id: 'c', email: 'returning@example.com', active: false, pending: true, confirmedAt: old, subscribedAt: old, confirmationSentAt: old },
+      { id: 'd', email: 'legacy@example.com', active: true, subscribedAt: old },
+      { id: 'e', email: 'gone@example.com', active: false, subscribedAt: old }
+    ]);
+
+    const result = await service.cleanupPendingSubscribers();
+    assert.deepStrictEqual(result, { removed: 1, reverted: 1 });
+
+    const subscribers = await service.loadSubscribers();
+    assert.deepStrictEqual(subscribers.map(sub => sub.id), ['b', 'c', 'd', 'e']);
+    assert.strictEqual(subscribers.find(sub => sub.id === 'c').pending, false);
+
+    assert.deepStrictEqual(await service.cleanupPendingSubscribers(), { removed: 0, reverted: 0 });
+  }
+
+  async testBulkReactivate() {
+    const old = new Date(Date.now() - 72 * HOUR).toISOString();
+    const service = await this.createService([
+      { id: 'a', email: 'unconfirmed@example.com', active: false, pending: true, confirmedAt: null, subscribedAt: old },
+      { id: 'b', email: 'unsubscribed@example.com', active: false, subscribedAt: old }
+    ]);
+
+    const preview = await service.bulkReactivateSubscribers(null, true);
+    assert.deepStrictEqual(preview.emails, ['unsubscribed@example.com']);
+
+    const listed = await service.bulkReactivateSubscribers(['unconfirmed@example.com', 'unsubscribed@example.com']);
+    assert.strictEqual(listed.reactivatedCount, 1);
+    assert.strictEqual((await service.getSubscriberById('a')).active, false);
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new DoubleOptInTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
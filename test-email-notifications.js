@@ -9,11 +9,18 @@
  * Usage:
  *   npm run test-emails          # Run full test suite
  *   node test-email-notifications.js --send  # Include actual email sending test
+ *
+ * Runs end-to-end without SendGrid using a local transport, e.g.
+ *   EMAIL_TRANSPORT=file npm run test-emails          # .eml files in ./sent-emails
+ *   SMTP_HOST=localhost SMTP_PORT=1025 npm run test-emails  # MailHog or similar
+ *
+ * With SendGrid the plain test email only goes out with --send (to TEST_EMAIL).
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const EmailService = require('./email-service');
+const { EVENT_TYPES, diffStandings } = require('./src/scraper/change-events');
 
 class EmailNotificationTester {
   constructor() {
@@ -54,13 +61,14 @@ class EmailNotificationTester {
     console.log('🔧 Test 1: Email Service Configuration');
     console.log('-------------------------------------');
     
-    console.log(`SendGrid configured: ${this.emailService.isConfigured}`);
+    console.log(`Email transport: ${this.emailService.isConfigured ? this.emailService.transport.describe() : 'none'}`);
     console.log(`GitHub Gist configured: ${this.emailService.isGithubConfigured}`);
     console.log(`From email: ${this.emailService.fromEmail}`);
     console.log(`Base URL: ${this.emailService.baseUrl}`);
     
     if (!this.emailService.isConfigured) {
-      console.log('⚠️  SendGrid not configured - emails will not be sent');
+      console.log('⚠️  No email transport configured - emails will not be sent');
+      console.log('   Set EMAIL_TRANSPORT=file to write them to disk instead');
     }
     console.log('');
   }
@@ -89,7 +97,7 @@ class EmailNotificationTester {
           return teams.map(team => ({
             position: team.pos,
             team: team.team,
-            teamCode: team.team, // Use team name as unique identifier instead of position-based code
+            teamCode: team.code || null, // Compact standings have no team ids; teams are matched by name
             wins: team.w,
             losses: team.l,
             ties: team.t,
@@ -132,10 +140,10 @@ class EmailNotificationTester {
     ];
 
     console.log('Testing with mock standings...');
-    const changes = this.emailService.detectStandingsChanges(oldStandings, newStandings);
+    const changes = diffStandings(oldStandings, newStandings);
     
     console.log(`Detected ${changes.length} changes:`);
-    changes.forEach(change => console.log(`  - ${change}`));
+    changes.forEach(change => console.log(`  - ${this.emailService.describeChange(change)}`));
     
     if (changes.length === 0) {
       console.log('⚠️  No changes detected - this could be the problem!');
@@ -175,11 +183,18 @@ class EmailNotificationTester {
     console.log('-------------------------------');
 
     if (!this.emailService.isConfigured) {
-      console.log('⚠️  SendGrid not configured - skipping email test');
+      console.log('⚠️  No email transport configured - skipping email test');
       return;
     }
 
     try {
+      // Local transports can always take the plain test email
+      if (this.emailService.transport.name !== 'sendgrid' || process.argv.includes('--send')) {
+        const testAddress = process.env.TEST_EMAIL || 'test@example.com';
+        const result = await this.emailService.sendTestEmail(testAddress);
+        console.log(`✅ Test email sent to ${testAddress}${result.file ? ` (${result.file})` : ''}`);
+      }
+
       const mockStandings = [
         { team: 'Midland Penetang Twins 9U DS', wins: 8, losses: 0, winPercentage: '1.000' },
         { team: 'Vaughan Vikings 9U DS', wins: 6, losses: 2, winPercentage: '0.750' },
@@ -187,8 +202,8 @@ class EmailNotificationTester {
       ];
 
       const mockChanges = [
-        'Richmond Hill Phoenix 9U DS moved up to #2 (was #3)',
-        'Vaughan Vikings 9U DS dropped to #3 (was #2)'
+        { type: EVENT_TYPES.POSITION_CHANGE, team: 'Richmond Hill Phoenix 9U DS', teamCode: null, position: 2, previousPosition: 3 },
+        { type: EVENT_TYPES.POSITION_CHANGE, team: 'Vaughan Vikings 9U DS', teamCode: null, position: 3, previousPosition: 2 }
       ];
 
       console.log('Attempting to send test notification...');
@@ -283,7 +298,7 @@ class EmailNotificationTester {
             const newTeams = convertToEmailFormat(newTierData.teams);
             
             // Check for changes using email service
-            const changes = this.emailService.detectStandingsChanges(oldTeams, newTeams);
+            const changes = diffStandings(oldTeams, newTeams);
             
             console.log(`   🔍 Changes: ${changes.length}`);
             
@@ -300,7 +315,7 @@ class EmailNotificationTester {
               
               console.log(`   ✅ Would send ${subscribers.length} notifications for ${emailDivisionKey}`);
               if (changes.length <= 2) {
-                changes.forEach(change => console.log(`      - ${change}`));
+                changes.forEach(change => console.log(`      - ${this.emailService.describeChange(change)}`));
               }
             } else {
               console.log(`   ⚠️  No changes detected`);
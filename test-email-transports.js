@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Email Transport Tests
+ *
+ * Checks email-transports.js: picking a transport from the environment, the
+ * .eml file backend and the SMTP backend against a small fake SMTP server
+ * started on localhost. Nothing is sent to SendGrid.
+ *
+ * Usage:
+ *   npm run test-email-transports
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const EmailService = require('./email-service');
+const { createTransport, SendGridTransport, SmtpTransport, FileTransport } = require('./email-transports');
+
+const MESSAGE = {
+  to: 'parent@example.com',
+  from: { email: 'notifications@ysbalive.com', name: 'YSBA Live' },
+  subject: 'Standings update',
+  html: '<h1>Standings changed</h1>',
+  text: 'Standings changed'
+};
+
+// Accepts one connection's worth of SMTP and keeps what was sent
+function startFakeSmtpServer() {
+  const received = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let envelope = { from: null, to: [], data: '' };
+
+    socket.write('220 fake.smtp ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        envelope.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        received.push(envelope);
+        envelope = { from: null, to: [], data: '' };
+        socket.write('250 OK queued\r\n');
+      }
+
+      let lineEnd;
+      while (!inData && (lineEnd = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 fake.smtp\r\n');
+        } else if (command === 'MAIL') {
+          envelope.from = line.match(/<(.*)>/)[1];
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          envelope.to.push(line.match(/<(.*)>/)[1]);
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received }));
+  });
+}
+
+class EmailTransportTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Email Transport Tests Started');
+    console.log('================================\n');
+
+    this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-transports-'));
+
+    try {
+      await this.test('picks the transport from the environment', () => this.testCreateTransport());
+      await this.test('rejects incomplete or unknown settings', () => this.testInvalidSettings());
+      await this.test('file transport writes a complete .eml file', () => this.testFileTransport());
+      await this.test('SMTP transport delivers to the server', () => this.testSmtpTransport());
+      await this.test('EmailService sends through the given transport', () => this.testEmailService());
+    } finally {
+      await fs.rm(this.tempDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  async testCreateTransport() {
+    assert.strictEqual(createTransport({}), null);
+    assert.strictEqual(createTransport({ SENDGRID_API_KEY: 'your_api_key_here' }), null);
+
+    assert.ok(createTransport({ SENDGRID_API_KEY: 'SG.key' }) instanceof SendGridTransport);
+    assert.ok(createTransport({ SMTP_HOST: 'localhost' }) instanceof SmtpTransport);
+    assert.ok(createTransport({ SENDGRID_API_KEY: 'SG.key', SMTP_HOST: 'localhost' }) instanceof SendGridTransport);
+
+    // EMAIL_TRANSPORT wins over whatever else is set
+    const smtp = createTransport({ EMAIL_TRANSPORT: 'SMTP', SENDGRID_API_KEY: 'SG.key', SMTP_HOST: 'mail.local', SMTP_PORT: '1025' });
+    assert.ok(smtp instanceof SmtpTransport);
+    assert.strictEqual(smtp.describe(), 'SMTP (mail.local:1025)');
+
+    const file = createTransport({ EMAIL_TRANSPORT: 'file', SENDGRID_API_KEY: 'SG.key', EMAIL_FILE_DIR: this.tempDir });
+    assert.ok(file instanceof FileTransport);
+    assert.strictEqual(file.dir, this.tempDir);
+    assert.strictEqual(createTransport({ EMAIL_TRANSPORT: 'file' }).dir, path.join(__dirname, 'sent-emails'));
+  }
+
+  async testInvalidSettings() {
+    assert.throws(() => createTransport({ EMAIL_TRANSPORT: 'sendgrid' }), /SENDGRID_API_KEY/);
+    assert.throws(() => createTransport({ EMAIL_TRANSPORT: 'smtp' }), /SMTP_HOST/);
+    assert.throws(() => createTransport({ EMAIL_TRANSPORT: 'pigeon' }), /Unknown EMAIL_TRANSPORT "pigeon"/);
+  }
+
+  async testFileTransport() {
+    const dir = path.join(this.tempDir, 'emails');
+    const transport = new FileTransport(dir);
+    const result = await transport.send({ ...MESSAGE, to: 'Parent+Team@Example.com' });
+
+    assert.strictEqual(path.dirname(result.file), dir);
+    assert.match(path.basename(result.file), /^\d{4}-\d{2}-\d{2}T.*-parent_team@example\.com\.eml$/);
+    assert.ok(result.messageId);
+
+    const eml = await fs.readFile(result.file, 'utf8');
+    assert.ok(eml.includes('From: YSBA Live <notifications@ysbalive.com>'));
+    assert.ok(eml.includes('To: Parent+Team@example.com'));
+    assert.ok(eml.includes('Subject: Standings update'));
+    assert.ok(eml.includes('Content-Type: text/plain'));
+    assert.ok(eml.includes('Content-Type: text/html'));
+    assert.ok(eml.includes('<h1>Standings changed</h1>'));
+  }
+
+  async testSmtpTransport() {
+    const { server, port, received } = await startFakeSmtpServer();
+
+    try {
+      const transport = createTransport({ EMAIL_TRANSPORT: 'smtp', SMTP_HOST: '127.0.0.1', SMTP_PORT: String(port) });
+      const result = await transport.send(MESSAGE);
+
+      assert.ok(result.messageId);
+      assert.strictEqual(received.length, 1);
+      assert.strictEqual(received[0].from, 'notifications@ysbalive.com');
+      assert.deepStrictEqual(received[0].to, ['parent@example.com']);
+      assert.ok(received[0].data.includes('Subject: Standings update'));
+      assert.ok(received[0].data.includes('Standings changed'));
+    } finally {
+      server.close();
+    }
+  }
+
+  async testEmailService() {
+    const sent = [];
+    const transport = {
+      name: 'memory',
+      describe: () => 'memory',
+      send: async message => {
+        sent.push(message);
+        return { messageId: 'm-1' };
+      }
+    };
+
+    const log = console.log;
+    console.log = () => {};
+    const service = new EmailService(transport);
+    const unconfigured = new EmailService(null);
+    console.log = log;
+
+    assert.strictEqual(service.isConfigured, true);
+    assert.strictEqual(unconfigured.isConfigured, false);
+
+    console.log = () => {};
+    const result = await service.sendEmail('parent@example.com', 'Hello', '<p>Hi</p>', 'Hi');
+    console.log = log;
+
+    assert.strictEqual(result.messageId, 'm-1');
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].to, 'parent@example.com');
+    assert.strictEqual(sent[0].from.email, service.fromEmail);
+    assert.strictEqual(sent[0].text, 'Hi');
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new EmailTransportTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
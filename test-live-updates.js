@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+
+/**
+ * Live Update Tests
+ *
+ * Checks live-updates.js: row-level standings diffs, the hello event with
+ * channel versions, per-division channels and events sent when a division
+ * file is rewritten. Uses a data store over a temporary public directory and
+ * a local express server streaming /api/events. Also checks that the
+ * standings page (public/js/multi-division-app.js, run in a vm sandbox with a
+ * fake EventSource) follows the division it switches to.
+ *
+ * Usage:
+ *   npm run test-live-updates
+ */
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const PublishedDataStore = require('./data-store');
+const LiveUpdateService = require('./live-updates');
+const { diffStandings } = require('./live-updates');
+
+const team = (teamCode, position, wins, losses) => ({
+  position,
+  team: `Team ${teamCode}`,
+  teamCode,
+  record: { gamesPlayed: wins + losses, wins, losses, ties: 0, winPercentage: (wins / (wins + losses)).toFixed(3) },
+  stats: { points: wins * 2, runsFor: wins * 5, runsAgainst: losses * 5, runDifferential: (wins - losses) * 5 }
+});
+
+const divisionFile = (lastUpdated, teams) => JSON.stringify({
+  standings: { teams, lastUpdated, totalTeams: teams.length },
+  schedule: { allGames: [] }
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class LiveUpdateTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Live Update Tests Started');
+    console.log('============================\n');
+
+    this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-live-'));
+
+    // Keep watcher summaries out of the test output
+    const { log, warn, error } = console;
+    const quiet = fn => async () => {
+      console.log = console.warn = console.error = () => {};
+      try {
+        await fn();
+      } finally {
+        Object.assign(console, { log, warn, error });
+      }
+    };
+
+    try {
+      await this.test('finds the rows that changed between two scrapes', () => this.testDiff());
+      await this.test('starts each stream with the versions of its channels', quiet(() => this.testHello()));
+      await this.test('sends a rewritten division file to its channel only', quiet(() => this.testChannels()));
+      await this.test('ignores unchanged and half-written files', quiet(() => this.testUnchanged()));
+      await this.test('the standings page follows the division it switches to', () => this.testPageSwitchesDivision());
+    } finally {
+      await this.teardown();
+      await fs.rm(this.tempDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  // The standings page class, loaded without a DOM; EventSource records the streams it opens
+  async loadStandingsPage() {
+    const source = await fs.readFile(path.join(__dirname, 'public', 'js', 'multi-division-app.js'), 'utf8');
+    const eventSources = [];
+
+    class FakeEventSource {
+      constructor(url) {
+        this.url = url;
+        this.closed = false;
+        eventSources.push(this);
+      }
+
+      addEventListener() {}
+
+      close() {
+        this.closed = true;
+      }
+    }
+
+    const window = { EventSource: FakeEventSource, history: { pushState() {} }, addEventListener() {} };
+    const context = vm.createContext({
+      window,
+      document: { addEventListener() {}, querySelector: () => null },
+      localStorage: { getItem: () => null },
+      EventSource: FakeEventSource,
+      URLSearchParams
+    });
+    vm.runInContext(`${source}\nthis.MultiDivisionYSBAApp = MultiDivisionYSBAApp;`, context);
+
+    return { App: context.MultiDivisionYSBAApp, eventSources };
+  }
+
+  async testPageSwitchesDivision() {
+    const { App, eventSources } = await this.loadStandingsPage();
+
+    // Skip init(): no DOM or server here
+    const app = Object.create(App.prototype);
+    Object.assign(app, { eventSource: null, liveVersion: null, allDivisions: {}, currentDivision: '11U-rep', currentTier: 'tier-2' });
+    app.updateActiveStates = app.updateUIElements = () => {};
+    app.loadStandings = async () => {};
+
+    app.startLiveUpdates();
+    app.liveVersion = '2025-05-04T12:00:00.000Z';
+    await app.navigateToDivision('13U-rep', 'tier-1');
+
+    assert.strictEqual(eventSources.length, 2);
+    assert.strictEqual(eventSources[0].url, '/api/events?division=11U-rep&tier=tier-2');
+    assert.strictEqual(eventSources[0].closed, true);
+    assert.strictEqual(eventSources[1].url, '/api/events?division=13U-rep&tier=tier-1');
+    assert.strictEqual(eventSources[1].closed, false);
+    assert.strictEqual(app.eventSource, eventSources[1]);
+    // The old division's version would look like a missed update on the new stream
+    assert.strictEqual(app.liveVersion, null);
+  }
+
+  // A service on a store watching fresh division files, streamed by a local server
+  async setup(name, files) {
+    await this.teardown();
+
+    const dir = path.join(this.tempDir, name, 'divisions');
+    await fs.mkdir(dir, { recursive: true });
+    for (const [key, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(dir, `${key}.json`), content);
+    }
+
+    this.store = new PublishedDataStore({ publicDir: path.join(this.tempDir, name), debounceMs: 50 });
+    await this.store.load();
+    this.store.watch();
+    this.service = new LiveUpdateService({ store: this.store });
+    this.service.start();
+
+    const app = express();
+    app.get('/api/events', (req, res) => {
+      this.service.subscribe(req, res, req.query.division ? [req.query.division] : null);
+    });
+    this.server = app.listen(0);
+    await new Promise(resolve => this.server.once('listening', resolve));
+    this.streams = [];
+    return dir;
+  }
+
+  async teardown() {
+    this.streams?.forEach(stream => stream.destroy());
+    this.service?.stop();
+    this.store?.close();
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+    }
+    this.service = null;
+    this.store = null;
+    this.server = null;
+  }
+
+  // Open /api/events and collect its events as { event, id, data }
+  async connect(division = null) {
+    const query = division ? `?division=${division}` : '';
+    const events = [];
+
+    await new Promise((resolve, reject) => {
+      const req = http.get(`http://localhost:${this.server.address().port}/api/events${query}`, res => {
+        if (!res.headers['content-type'].startsWith('text/event-stream')) {
+          reject(new Error(`Expected an event stream, got ${res.headers['content-type']}`));
+          return;
+        }
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          buffer += chunk;
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+          blocks.forEach(block => {
+            const fields = Object.fromEntries(block.split('\n')
+              .filter(line => /^(event|id|data): /.test(line))
+              .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+            if (fields.event) {
+              events.push({ event: fields.event, id: fields.id, data: JSON.parse(fields.data) });
+            }
+          });
+          if (events.length > 0) resolve();
+        });
+      });
+      req.on('error', reject);
+      this.streams.push(req);
+    });
+
+    return events;
+  }
+
+  testDiff() {
+    const before = [team('1', 1, 5, 1), team('2', 2, 4, 2), team('3', 3, 1, 5)];
+    const after = [team('2', 1, 5, 2), team('1', 2, 5, 2), team('3', 3, 1, 5), team('4', 4, 0, 1)];
+
+    assert.deepStrictEqual(diffStandings(before, after), [
+      { teamCode: '2', team: 'Team 2', position: 1, previousPosition: 2 },
+      { teamCode: '1', team: 'Team 1', position: 2, previousPosition: 1 },
+      { teamCode: '4', team: 'Team 4', position: 4, previousPosition: null }
+    ]);
+    assert.deepStrictEqual(diffStandings(before, before), []);
+  }
+
+  async testHello() {
+    await this.setup('hello', {
+      '11U-rep-tier-2': divisionFile('2025-05-04T12:00:00.000Z', [team('1', 1, 5, 1)]),
+      '13U-rep-tier-1': divisionFile('2025-05-04T12:05:00.000Z', [team('2', 1, 3, 3)])
+    });
+
+    const [hello] = await this.connect('11U-rep-tier-2');
+    assert.strictEqual(hello.event, 'hello');
+    assert.deepStrictEqual(hello.data.versions, { '11U-rep-tier-2': '2025-05-04T12:00:00.000Z' });
+
+    const [all] = await this.connect();
+    assert.deepStrictEqual(Object.keys(all.data.versions).sort(), ['11U-rep-tier-2', '13U-rep-tier-1']);
+    assert.strictEqual(this.service.clients.size, 2);
+  }
+
+  async testChannels() {
+    const dir = await this.setup('channels', {
+      '11U-rep-tier-2': divisionFile('2025-05-04T12:00:00.000Z', [team('1', 1, 5, 1), team('2', 2, 4, 2)]),
+      '13U-rep-tier-1': divisionFile('2025-05-04T12:00:00.000Z', [team('3', 1, 3, 3)])
+    });
+
+    const division = await this.connect('11U-rep-tier-2');
+    const other = await this.connect('13U-rep-tier-1');
+    const all = await this.connect();
+
+    await fs.writeFile(path.join(dir, '11U-rep-tier-2.json'),
+      divisionFile('2025-05-04T12:30:00.000Z', [team('2', 1, 5, 2), team('1', 2, 5, 2)]));
+    await wait(400);
+
+    const [update] = division.filter(entry => entry.event === 'standings');
+    assert.ok(update, 'division channel got no standings event');
+    assert.strictEqual(update.id, '11U-rep-tier-2@2025-05-04T12:30:00.000Z');
+    assert.deepStrictEqual(update.data, {
+      division: '11U-rep-tier-2',
+      lastUpdated: '2025-05-04T12:30:00.000Z',
+      changedTeams: [
+        { teamCode: '2', team: 'Team 2', position: 1, previousPosition: 2 },
+        { teamCode: '1', team: 'Team 1', position: 2, previousPosition: 1 }
+      ]
+    });
+    assert.strictEqual(all.filter(entry => entry.event === 'standings').length, 1);
+    assert.strictEqual(other.filter(entry => entry.event === 'standings').length, 0);
+  }
+
+  async testUnchanged() {
+    const content = divisionFile('2025-05-04T12:00:00.000Z', [team('1', 1, 5, 1)]);
+    const dir = await this.setup('unchanged', { '11U-rep-tier-2': content });
+    const events = await this.connect();
+
+    // Rewritten with the same lastUpdated, then caught mid-write
+    await fs.writeFile(path.join(dir, '11U-rep-tier-2.json'), content);
+    await wait(200);
+    await fs.writeFile(path.join(dir, '11U-rep-tier-2.json'), content.slice(0, 20));
+    await wait(200);
+    assert.strictEqual(events.filter(entry => entry.event === 'standings').length, 0);
+
+    // A new division file is published with every team as changed
+    await fs.writeFile(path.join(dir, '15U-rep-tier-1.json'), divisionFile('2025-05-04T13:00:00.000Z', [team('5', 1, 1, 0)]));
+    await wait(400);
+    const updates = events.filter(entry => entry.event === 'standings');
+    assert.strictEqual(updates.length, 1);
+    assert.strictEqual(updates[0].data.division, '15U-rep-tier-1');
+    assert.deepStrictEqual(updates[0].data.changedTeams.map(entry => entry.previousPosition), [null]);
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new LiveUpdateTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
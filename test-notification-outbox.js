@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+
+/**
+ * Notification Outbox Tests
+ *
+ * Checks notification-outbox.js and how EmailService uses it: idempotent
+ * queueing per scrape run, saving after every send, retries with backoff,
+ * permanent failures, manual retries and the per-subscriber delivery log.
+ * Uses temporary files and records emails instead of sending them.
+ *
+ * Usage:
+ *   npm run test-notification-outbox
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const EmailService = require('./email-service');
+const NotificationOutbox = require('./notification-outbox');
+const { GIST_SAVE_EVERY, MAX_ATTEMPTS, createMessageKey, isPermanentError } = require('./notification-outbox');
+
+const MINUTE = 60 * 1000;
+const DIVISION = '11U-rep-tier-2';
+
+const message = (subscriberId, runId = 'run-1') => ({
+  runId,
+  kind: 'division',
+  divisionKey: DIVISION,
+  subscriberId,
+  to: `${subscriberId}@example.com`,
+  subject: 'Standings updated',
+  html: '<p>Standings</p>',
+  text: 'Standings'
+});
+
+// Error like the ones SendGrid and nodemailer throw
+const sendError = (text, fields = {}) => Object.assign(new Error(text), fields);
+
+class NotificationOutboxTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Notification Outbox Tests Started');
+    console.log('====================================\n');
+
+    this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-outbox-'));
+
+    // Keep queue and retry messages out of the test output
+    const { log, warn, error } = console;
+    const quiet = fn => async () => {
+      console.log = console.warn = console.error = () => {};
+      try {
+        await fn();
+      } finally {
+        Object.assign(console, { log, warn, error });
+      }
+    };
+
+    try {
+      await this.test('queues each key once', quiet(() => this.testIdempotency()));
+      await this.test('saves the result after every send', quiet(() => this.testSavesProgress()));
+      await this.test('retries failed sends with backoff', quiet(() => this.testBackoff()));
+      await this.test('gives up on permanent rejections', quiet(() => this.testPermanentErrors()));
+      await this.test('requeues failed messages on request', quiet(() => this.testManualRetry()));
+      await this.test('keeps a delivery log for 30 days', quiet(() => this.testRetention()));
+      await this.test('uses the gist as shared storage when configured', quiet(() => this.testGistStorage()));
+      await this.test('writes the gist in batches while sending', quiet(() => this.testGistBatching()));
+      await this.test('a rerun of the same scrape emails nobody twice', quiet(() => this.testEmailServiceRerun()));
+    } finally {
+      await fs.rm(this.tempDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  async createOutbox(options = {}) {
+    const dir = await fs.mkdtemp(path.join(this.tempDir, 'run-'));
+    return new NotificationOutbox({ file: path.join(dir, 'outbox.json'), ...options });
+  }
+
+  async testIdempotency() {
+    const outbox = await this.createOutbox();
+
+    const first = await outbox.enqueue([message('a'), message('b')]);
+    assert.deepStrictEqual([first.queued, first.skipped], [2, 0]);
+    assert.strictEqual(first.keys[0], `run-1:division:${DIVISION}:a`);
+
+    const again = await outbox.enqueue([message('a'), message('b'), message('c')]);
+    assert.deepStrictEqual([again.queued, again.skipped], [1, 2]);
+
+    // Same subscriber in the next scrape is a new message
+    const nextRun = await outbox.enqueue([message('a', 'run-2')]);
+    assert.strictEqual(nextRun.queued, 1);
+    assert.deepStrictEqual(await outbox.getStats(), { queued: 4, sent: 0, failed: 0 });
+
+    assert.strictEqual(createMessageKey({ runId: 'r', kind: 'team', subscriberId: 's' }), 'r:team:all:s');
+  }
+
+  async testSavesProgress() {
+    const outbox = await this.createOutbox();
+    await outbox.enqueue([message('a'), message('b'), message('c')]);
+
+    // While sending b, a is already marked sent on disk
+    const seen = [];
+    const result = await outbox.flush(async msg => {
+      const saved = JSON.parse(await fs.readFile(outbox.file, 'utf8')).messages;
+      seen.push(saved.filter(entry => entry.status === 'sent').map(entry => entry.subscriberId));
+      return { messageId: `id-${msg.subscriberId}` };
+    });
+
+    assert.deepStrictEqual(seen, [[], ['a'], ['a', 'b']]);
+    assert.deepStrictEqual([result.sent, result.retrying, result.failed], [3, 0, 0]);
+
+    const [sent] = await outbox.list({ subscriberId: 'a' });
+    assert.strictEqual(sent.status, 'sent');
+    assert.strictEqual(sent.messageId, 'id-a');
+    assert.ok(sent.sentAt);
+
+    // Nothing left to send
+    assert.strictEqual((await outbox.flush(async () => assert.fail('sent twice'))).results.length, 0);
+  }
+
+  async testBackoff() {
+    const outbox = await this.createOutbox();
+    const start = Date.now();
+    await outbox.enqueue([message('a')], start);
+
+    const failing = async () => {
+      throw sendError('connect ETIMEDOUT', { code: 'ETIMEDOUT' });
+    };
+
+    let result = await outbox.flush(failing, start);
+    assert.strictEqual(result.retrying, 1);
+    let [queued] = await outbox.list();
+    assert.strictEqual(queued.status, 'queued');
+    assert.strictEqual(queued.attempts, 1);
+    assert.strictEqual(queued.lastError, 'connect ETIMEDOUT');
+    assert.strictEqual(new Date(queued.nextAttemptAt).getTime(), start + 2 * MINUTE);
+
+    // Not due yet
+    assert.strictEqual((await outbox.flush(failing, start + MINUTE)).results.length, 0);
+
+    // Doubles each time until MAX_ATTEMPTS, then fails for good
+    let now = start;
+    for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt++) {
+      now = new Date(queued.nextAttemptAt).getTime();
+      result = await outbox.flush(failing, now);
+      [queued] = await outbox.list();
+      if (attempt < MAX_ATTEMPTS) {
+        assert.strictEqual(new Date(queued.nextAttemptAt).getTime() - now, 2 ** attempt * MINUTE);
+      }
+    }
+    assert.strictEqual(result.failed, 1);
+    assert.strictEqual(queued.status, 'failed');
+    assert.strictEqual(queued.attempts, MAX_ATTEMPTS);
+
+    // A transient failure followed by success
+    await outbox.enqueue([message('b')], start);
+    await outbox.flush(failing, start);
+    result = await outbox.flush(async () => ({ messageId: 'ok' }), start + 2 * MINUTE);
+    assert.strictEqual(result.sent, 1);
+  }
+
+  async testPermanentErrors() {
+    assert.strictEqual(isPermanentError(sendError('Bad Request', { code: 400 })), true);
+    assert.strictEqual(isPermanentError(sendError('Too Many Requests', { code: 429 })), false);
+    assert.strictEqual(isPermanentError(sendError('Internal Server Error', { code: 500 })), false);
+    assert.strictEqual(isPermanentError(sendError('Mailbox unavailable', { code: 'EENVELOPE', responseCode: 550 })), true);
+    assert.strictEqual(isPermanentError(sendError('Try again later', { code: 'EENVELOPE', responseCode: 451 })), false);
+    assert.strictEqual(isPermanentError(new Error('socket hang up')), false);
+
+    const outbox = await this.createOutbox();
+    await outbox.enqueue([message('a')]);
+    const result = await outbox.flush(async () => {
+      throw sendError('Bad Request', { code: 400 });
+    });
+
+    assert.strictEqual(result.failed, 1);
+    const [failed] = await outbox.list({ status: 'failed' });
+    assert.strictEqual(failed.attempts, 1);
+    assert.ok(!('html' in failed), 'list leaves out bodies');
+  }
+
+  async testManualRetry() {
+    const outbox = await this.createOutbox();
+    const { keys: [id] } = await outbox.enqueue([message('a')]);
+    await outbox.flush(async () => {
+      throw sendError('Bad Request', { code: 400 });
+    });
+
+    const retry = await outbox.retry(id);
+    assert.strictEqual(retry.success, true);
+    assert.strictEqual(retry.message.status, 'queued');
+    assert.strictEqual(retry.message.attempts, 0);
+
+    const sent = [];
+    await outbox.flush(async msg => sent.push(msg.html));
+    assert.deepStrictEqual(sent, ['<p>Standings</p>'], 'the body was kept for the retry');
+
+    assert.strictEqual((await outbox.retry(id)).error, 'Message was already sent');
+    assert.strictEqual((await outbox.retry('missing')).error, 'Message not found');
+  }
+
+  async testRetention() {
+    const outbox = await this.createOutbox();
+    const longAgo = Date.now() - 31 * 24 * 60 * MINUTE;
+
+    await outbox.enqueue([message('old'), message('waiting')], longAgo);
+    const [oldId] = (await outbox.list()).filter(msg => msg.subscriberId === 'old').map(msg => msg.id);
+    await outbox.flush(async msg => {
+      if (msg.subscriberId === 'waiting') throw new Error('timeout');
+    }, longAgo);
+
+    // Sent messages drop their bodies
+    const saved = JSON.parse(await fs.readFile(outbox.file, 'utf8')).messages;
+    const oldMessage = saved.find(msg => msg.id === oldId);
+    assert.strictEqual(oldMessage.html, undefined);
+    assert.strictEqual(oldMessage.subject, 'Standings updated');
+
+    // The next enqueue prunes the old sent message but keeps the queued one
+    await outbox.enqueue([message('new')]);
+
+    const remaining = (await outbox.list()).map(msg => msg.subscriberId).sort();
+    assert.deepStrictEqual(remaining, ['new', 'waiting']);
+  }
+
+  async testGistStorage() {
+    let gistContent = null;
+    let configured = true;
+    const outbox = await this.createOutbox({
+      gist: {
+        isConfigured: () => configured,
+        read: async () => gistContent,
+        write: async content => {
+          gistContent = content;
+          return true;
+        }
+      }
+    });
+
+    await outbox.enqueue([message('a')]);
+    assert.strictEqual(JSON.parse(gistContent).messages.length, 1);
+
+    // The gist wins over the local file, e.g. after another process sent it
+    const shared = JSON.parse(gistContent);
+    shared.messages[0].status = 'sent';
+    gistContent = JSON.stringify(shared);
+    assert.deepStrictEqual(await outbox.getStats(), { queued: 0, sent: 1, failed: 0 });
+
+    configured = false;
+    assert.deepStrictEqual(await outbox.getStats(), { queued: 1, sent: 0, failed: 0 });
+  }
+
+  async testGistBatching() {
+    let gistContent = null;
+    const gistWrites = [];
+    const outbox = await this.createOutbox({
+      gist: {
+        isConfigured: () => true,
+        read: async () => gistContent,
+        write: async content => {
+          gistContent = content;
+          gistWrites.push(JSON.parse(content).messages.filter(msg => msg.status === 'sent').length);
+          return true;
+        }
+      }
+    });
+
+    const count = GIST_SAVE_EVERY * 2 + 3;
+    await outbox.enqueue(Array.from({ length: count }, (_, index) => message(`s${index}`)));
+    gistWrites.length = 0;
+
+    // The local file still follows every send
+    let localSent = 0;
+    await outbox.flush(async () => {
+      const saved = JSON.parse(await fs.readFile(outbox.file, 'utf8')).messages;
+      assert.strictEqual(saved.filter(msg => msg.status === 'sent').length, localSent);
+      localSent++;
+      return {};
+    });
+
+    assert.deepStrictEqual(gistWrites, [GIST_SAVE_EVERY, GIST_SAVE_EVERY * 2, count]);
+  }
+
+  async testEmailServiceRerun() {
+    const dir = await fs.mkdtemp(path.join(this.tempDir, 'service-'));
+    const service = new EmailService({ name: 'memory', describe: () => 'memory', send: async () => ({}) });
+
+    service.subscribersFile = path.join(dir, 'subscribers.json');
+    service.backupDir = path.join(dir, 'backup');
+    service.outbox = new NotificationOutbox({ file: path.join(dir, 'outbox.json') });
+    service.isGithubConfigured = false;
+
+    const now = new Date().toISOString();
+    await fs.writeFile(service.subscribersFile, JSON.stringify(['a', 'b', 'c'].map(id => ({
+      id,
+      email: `${id}@example.com`,
+      active: true,
+      divisionPreferences: [DIVISION],
+      subscribedAt: now
+    }))));
+
+    // The first attempt at the run dies after emailing a
+    const sent = [];
+    service.sendEmail = async to => {
+      if (to === 'b@example.com') throw new Error('connect ECONNRESET');
+      sent.push(to);
+    };
+
+    const standings = [{ team: 'Test Team', position: 1, wins: 1, losses: 0, winPercentage: '1.000' }];
+    const first = await service.sendDivisionStandingsUpdate(DIVISION, standings, ['Test Team moved up to #1 (was #2)'], 'gh-1');
+    assert.deepStrictEqual([first.count, first.retrying, first.queued], [2, 1, 3]);
+    assert.deepStrictEqual(first.recipients, ['a', 'b', 'c']);
+
+    // Rerun of the same scrape: nothing new is queued, nobody is emailed again
+    service.sendEmail = async to => sent.push(to);
+    const rerun = await service.sendDivisionStandingsUpdate(DIVISION, standings, ['Test Team moved up to #1 (was #2)'], 'gh-1');
+    assert.deepStrictEqual([rerun.count, rerun.skipped, rerun.sent], [0, 3, false]);
+    assert.deepStrictEqual(rerun.recipients, ['a', 'b', 'c']);
+    assert.deepStrictEqual(sent, ['a@example.com', 'c@example.com']);
+
+    // b goes out once its retry is due
+    const [waiting] = await service.outbox.list({ status: 'queued' });
+    await service.outbox.flush(msg => service.sendEmail(msg.to), new Date(waiting.nextAttemptAt).getTime());
+    assert.deepStrictEqual(sent, ['a@example.com', 'c@example.com', 'b@example.com']);
+
+    const log = await service.getDeliveryLog('b');
+    assert.strictEqual(log.length, 1);
+    assert.strictEqual(log[0].status, 'sent');
+    assert.strictEqual(log[0].attempts, 2);
+
+    // An admin retries a rejected email from the console
+    service.sendEmail = async () => {
+      throw sendError('Bad Request', { code: 400 });
+    };
+    const rejected = await service.sendDivisionStandingsUpdate(DIVISION, standings, [], 'gh-2');
+    assert.strictEqual(rejected.failed, 3);
+
+    const [failed] = await service.outbox.list({ status: 'failed', subscriberId: 'a' });
+    assert.strictEqual((await service.retryOutboxMessage(failed.id)).error, 'Bad Request');
+
+    service.sendEmail = async to => sent.push(to);
+    const retried = await service.retryOutboxMessage(failed.id);
+    assert.strictEqual(retried.success, true);
+    assert.strictEqual(retried.message.status, 'sent');
+    assert.strictEqual(sent[sent.length - 1], 'a@example.com');
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new NotificationOutboxTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+/**
+ * Push Notification Tests
+ *
+ * Checks push-notifications.js: division and team topics, one notification
+ * per division, removal of expired subscriptions, idempotent reruns and
+ * subscription checks. Uses a temporary file and records pushes instead of
+ * sending them.
+ *
+ * Usage:
+ *   npm run test-push-notifications
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const PushNotificationService = require('./push-notifications');
+const { getSubscriptionId } = require('./push-notifications');
+
+const DIVISION = '11U-rep-tier-2';
+const DETECTED_AT = '2025-05-04T12:00:00.000Z';
+
+const resultEvent = (homeTeamCode, awayTeamCode, division = DIVISION) => ({
+  id: `${division}:${homeTeamCode}-${awayTeamCode}:result_posted:${DETECTED_AT}`,
+  type: 'result_posted',
+  division,
+  detectedAt: DETECTED_AT,
+  gameKey: `${homeTeamCode}-${awayTeamCode}`,
+  homeTeam: `Team ${homeTeamCode}`,
+  homeTeamCode,
+  awayTeam: `Team ${awayTeamCode}`,
+  awayTeamCode,
+  current: { dateText: 'Sat, May 3', time: '6:00 PM', location: 'Diamond 1' },
+  score: { home: 7, away: 5 },
+  previousScore: null
+});
+
+const positionEvent = (teamCode, position, previousPosition) => ({
+  id: `${DIVISION}:${teamCode}:position_change:${DETECTED_AT}`,
+  type: 'position_change',
+  division: DIVISION,
+  detectedAt: DETECTED_AT,
+  team: `Team ${teamCode}`,
+  teamCode,
+  position,
+  previousPosition
+});
+
+const recordEvent = teamCode => ({
+  id: `${DIVISION}:${teamCode}:record_change:${DETECTED_AT}`,
+  type: 'record_change',
+  division: DIVISION,
+  detectedAt: DETECTED_AT,
+  team: `Team ${teamCode}`,
+  teamCode,
+  record: { wins: 3, losses: 1, ties: 0 },
+  previousRecord: { wins: 2, losses: 1, ties: 0 }
+});
+
+const browser = name => ({
+  endpoint: `https://push.example.com/send/${name}`,
+  keys: { p256dh: `p256dh-${name}`, auth: `auth-${name}` }
+});
+
+// Push service error like the ones web-push throws
+const pushError = statusCode => Object.assign(new Error(`Received unexpected response code ${statusCode}`), { statusCode });
+
+class PushNotificationTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Push Notification Tests Started');
+    console.log('==================================\n');
+
+    this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-push-'));
+
+    // Keep push summaries out of the test output
+    const { log, warn, error } = console;
+    const quiet = fn => async () => {
+      console.log = console.warn = console.error = () => {};
+      try {
+        await fn();
+      } finally {
+        Object.assign(console, { log, warn, error });
+      }
+    };
+
+    try {
+      await this.test('sends division followers results, team followers their moves', quiet(() => this.testTopics()));
+      await this.test('sends one notification per division', quiet(() => this.testGrouping()));
+      await this.test('removes expired subscriptions', quiet(() => this.testExpired()));
+      await this.test('a rerun of the same scrape pushes nothing twice', quiet(() => this.testRerun()));
+      await this.test('validates subscriptions and replaces their topics', quiet(() => this.testSubscriptions()));
+    } finally {
+      await fs.rm(this.tempDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  // A service that records pushes; failures maps endpoint -> status code
+  setup(name, failures = {}) {
+    this.pushes = [];
+    return new PushNotificationService({
+      file: path.join(this.tempDir, `${name}.json`),
+      publicKey: 'test-public-key',
+      privateKey: 'test-private-key',
+      siteUrl: 'https://ysbalive.com',
+      send: async (subscription, payload, options) => {
+        if (failures[subscription.endpoint]) throw pushError(failures[subscription.endpoint]);
+        this.pushes.push({ endpoint: subscription.endpoint, keys: subscription.keys, payload: JSON.parse(payload), options });
+      }
+    });
+  }
+
+  async testTopics() {
+    const push = this.setup('topics');
+    await push.subscribe(browser('division'), { divisions: [DIVISION] });
+    await push.subscribe(browser('team'), { teamCodes: ['3'] });
+    await push.subscribe(browser('other'), { divisions: ['13U-rep-tier-2'] });
+
+    const result = await push.sendChangeNotifications([
+      resultEvent('2', '1'),
+      recordEvent('2'),
+      positionEvent('2', 1, 2),
+      positionEvent('3', 4, 3)
+    ], 'run-1');
+
+    assert.strictEqual(result.sent, 2);
+    const byEndpoint = Object.fromEntries(this.pushes.map(entry => [entry.endpoint.split('/').pop(), entry]));
+    assert.deepStrictEqual(Object.keys(byEndpoint).sort(), ['division', 'team']);
+
+    assert.strictEqual(byEndpoint.division.payload.title, 'Rep 11U - Tier 2');
+    assert.strictEqual(byEndpoint.division.payload.body, 'Final: Team 1 5, Team 2 7');
+    assert.strictEqual(byEndpoint.division.payload.url, 'https://ysbalive.com/11U-rep/tier-2');
+    assert.strictEqual(byEndpoint.division.payload.tag, `ysba-${DIVISION}`);
+    assert.deepStrictEqual(byEndpoint.division.keys, browser('division').keys);
+    assert.strictEqual(byEndpoint.division.options.TTL, 12 * 60 * 60);
+
+    assert.strictEqual(byEndpoint.team.payload.body, 'Team 3 dropped to #4 (was #3)');
+  }
+
+  async testGrouping() {
+    const push = this.setup('grouping');
+    await push.subscribe(browser('fan'), { divisions: [DIVISION, '13U-rep-tier-2'] });
+
+    await push.sendChangeNotifications([
+      resultEvent('2', '1'),
+      resultEvent('4', '3'),
+      resultEvent('6', '5'),
+      resultEvent('8', '7'),
+      resultEvent('10', '9'),
+      resultEvent('12', '11', '13U-rep-tier-2')
+    ], 'run-1');
+
+    assert.strictEqual(this.pushes.length, 2);
+    const [first, second] = this.pushes.map(entry => entry.payload);
+    assert.strictEqual(first.title, 'Rep 11U - Tier 2: 5 updates');
+    assert.deepStrictEqual(first.body.split('\n'), [
+      'Final: Team 1 5, Team 2 7',
+      'Final: Team 3 5, Team 4 7',
+      'Final: Team 5 5, Team 6 7',
+      '+2 more'
+    ]);
+    assert.strictEqual(second.tag, 'ysba-13U-rep-tier-2');
+    assert.strictEqual(second.body, 'Final: Team 11 5, Team 12 7');
+  }
+
+  async testExpired() {
+    const gone = browser('gone');
+    const flaky = browser('flaky');
+    const push = this.setup('expired', { [gone.endpoint]: 410, [flaky.endpoint]: 500 });
+    await push.subscribe(gone, { divisions: [DIVISION] });
+    await push.subscribe(flaky, { divisions: [DIVISION] });
+    await push.subscribe(browser('ok'), { divisions: [DIVISION] });
+
+    const result = await push.sendChangeNotifications([resultEvent('2', '1')], 'run-1');
+    assert.deepStrictEqual(result, { sent: 1, failed: 1, removed: 1, skipped: false });
+
+    // Only the subscription the push service reported gone is dropped
+    const { subscriptions } = await push.load();
+    assert.deepStrictEqual(subscriptions.map(entry => entry.endpoint.split('/').pop()).sort(), ['flaky', 'ok']);
+    assert.ok(subscriptions.find(entry => entry.endpoint === browser('ok').endpoint).lastSentAt);
+  }
+
+  async testRerun() {
+    const push = this.setup('rerun');
+    await push.subscribe(browser('fan'), { teamCodes: ['2'] });
+
+    await push.sendChangeNotifications([resultEvent('2', '1')], 'gh-42');
+    const rerun = await push.sendChangeNotifications([resultEvent('2', '1')], 'gh-42');
+    assert.strictEqual(rerun.skipped, true);
+    assert.strictEqual(this.pushes.length, 1);
+
+    await push.sendChangeNotifications([resultEvent('2', '3')], 'gh-43');
+    assert.strictEqual(this.pushes.length, 2);
+
+    // Without VAPID keys nothing is sent
+    const unconfigured = new PushNotificationService({
+      file: path.join(this.tempDir, 'rerun.json'),
+      publicKey: null,
+      privateKey: null,
+      send: async () => assert.fail('should not send')
+    });
+    assert.strictEqual(unconfigured.isConfigured, false);
+    assert.strictEqual((await unconfigured.sendChangeNotifications([resultEvent('2', '4')], 'gh-44')).skipped, true);
+  }
+
+  async testSubscriptions() {
+    const push = this.setup('subscriptions');
+
+    assert.strictEqual((await push.subscribe({}, { divisions: [DIVISION] })).error, 'A push subscription with an endpoint is required');
+    assert.strictEqual((await push.subscribe({ ...browser('a'), endpoint: 'http://push.example.com/a' }, { divisions: [DIVISION] })).error, 'Push endpoints must use https');
+    assert.strictEqual((await push.subscribe({ endpoint: browser('a').endpoint }, { divisions: [DIVISION] })).error, 'The push subscription is missing its keys');
+    assert.strictEqual((await push.subscribe(browser('a'), {})).error, 'Choose at least one division or team');
+
+    const first = await push.subscribe(browser('a'), { divisions: [DIVISION], teamCodes: [3] });
+    assert.strictEqual(first.id, getSubscriptionId(browser('a').endpoint));
+    assert.deepStrictEqual(first.topics, [`division:${DIVISION}`, 'team:3']);
+
+    // Subscribing again replaces the topics
+    const second = await push.subscribe(browser('a'), { teamCodes: ['5'] });
+    assert.deepStrictEqual(second.topics, ['team:5']);
+    let { subscriptions } = await push.load();
+    assert.strictEqual(subscriptions.length, 1);
+    assert.strictEqual(subscriptions[0].createdAt <= subscriptions[0].updatedAt, true);
+
+    assert.ok((await push.unsubscribe(browser('a').endpoint)).success);
+    assert.strictEqual((await push.unsubscribe(browser('a').endpoint)).error, 'Subscription not found');
+    ({ subscriptions } = await push.load());
+    assert.deepStrictEqual(subscriptions, []);
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new PushNotificationTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+
+/**
+ * Schedule Diff Tests
+ *
+ * Checks that src/scraper/schedule-diff.js classifies schedule changes between
+ * two scrapes, and that DataWriter keeps the change log in a temporary folder.
+ *
+ * Usage:
+ *   npm run test-schedule-diff
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ScheduleChangeLog = require('./src/scraper/schedule-diff');
+const { diffSchedules, CHANGE_TYPES } = require('./src/scraper/schedule-diff');
+const DataWriter = require('./src/scraper/writer');
+
+const DIVISIONS_DIR = path.join(__dirname, 'public', 'divisions');
+
+const game = (date, time, homeCode, awayCode, extra = {}) => ({
+  date,
+  dateText: date.slice(0, 10),
+  time,
+  homeTeam: `Team ${homeCode}`,
+  homeTeamCode: homeCode,
+  awayTeam: `Team ${awayCode}`,
+  awayTeamCode: awayCode,
+  location: 'Diamond 1',
+  isCompleted: false,
+  score: null,
+  ...extra
+});
+
+const completed = (entry, home, away) => ({ ...entry, isCompleted: true, score: { home, away } });
+
+const previousGames = [
+  game('2025-05-03T22:00:00.000Z', '6:00 PM', '1', '2'),
+  game('2025-05-10T22:00:00.000Z', '6:00 PM', '1', '2'),
+  game('2025-05-17T22:00:00.000Z', '6:00 PM', '2', '3'),
+  game('2025-05-24T22:00:00.000Z', '6:00 PM', '3', '1')
+];
+
+const summarize = changes => changes.map(change => `${change.type} ${change.gameKey}`);
+
+class ScheduleDiffTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Schedule Diff Tests Started');
+    console.log('==============================\n');
+
+    await this.test('reports nothing for an unchanged schedule', () => this.testUnchanged());
+    await this.test('reports a new date or time as moved', () => this.testMoved());
+    await this.test('reports a new diamond at the same time as relocated', () => this.testRelocated());
+    await this.test('reports added and removed games', () => this.testAddedAndRemoved());
+    await this.test('reports posted and corrected results', () => this.testResultPosted());
+    await this.test('keeps the original key when a game moves past another meeting', () => this.testMovedPastMeeting());
+    await this.test('finds no changes between a published schedule and itself', () => this.testPublishedSchedules());
+    await this.test('skips the first scrape and empty schedules', () => this.testCompareDivisionGuards());
+    await this.test('appends to the change log and filters it', () => this.testChangeLog());
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  async testUnchanged() {
+    // Listing order doesn't matter
+    assert.deepStrictEqual(diffSchedules(previousGames, previousGames.slice().reverse()), []);
+  }
+
+  async testMoved() {
+    const current = previousGames.slice();
+    current[2] = { ...current[2], date: '2025-06-14T18:00:00.000Z', dateText: '2025-06-14', time: '2:00 PM', location: 'Diamond 4' };
+
+    const changes = diffSchedules(previousGames, current);
+    assert.deepStrictEqual(summarize(changes), ['moved 2-3-1']);
+    assert.strictEqual(changes[0].previous.time, '6:00 PM');
+    assert.strictEqual(changes[0].previous.location, 'Diamond 1');
+    assert.strictEqual(changes[0].current.date, '2025-06-14T18:00:00.000Z');
+    assert.strictEqual(changes[0].current.location, 'Diamond 4');
+  }
+
+  async testRelocated() {
+    const current = previousGames.slice();
+    current[3] = { ...current[3], location: 'Diamond 2' };
+
+    const changes = diffSchedules(previousGames, current);
+    assert.deepStrictEqual(summarize(changes), ['relocated 3-1-1']);
+    assert.deepStrictEqual([changes[0].previous.location, changes[0].current.location], ['Diamond 1', 'Diamond 2']);
+  }
+
+  async testAddedAndRemoved() {
+    const current = [
+      ...previousGames.filter((entry, index) => index !== 2),
+      game('2025-06-01T22:00:00.000Z', '6:00 PM', '3', '2')
+    ];
+
+    const changes = diffSchedules(previousGames, current);
+    assert.deepStrictEqual(summarize(changes), ['added 3-2-1', 'removed 2-3-1']);
+    assert.strictEqual(changes[0].previous, null);
+    assert.strictEqual(changes[1].current, null);
+    assert.strictEqual(changes[1].previous.date, '2025-05-17T22:00:00.000Z');
+  }
+
+  async testResultPosted() {
+    const withResult = previousGames.map((entry, index) => (index === 0 ? completed(entry, 5, 3) : entry));
+
+    const posted = diffSchedules(previousGames, withResult);
+    assert.deepStrictEqual(summarize(posted), ['result-posted 1-2-1']);
+    assert.deepStrictEqual([posted[0].score, posted[0].previousScore], [{ home: 5, away: 3 }, null]);
+
+    const corrected = diffSchedules(withResult, withResult.map((entry, index) => (index === 0 ? completed(entry, 5, 4) : entry)));
+    assert.deepStrictEqual(summarize(corrected), ['result-posted 1-2-1']);
+    assert.deepStrictEqual(corrected[0].previousScore, { home: 5, away: 3 });
+  }
+
+  async testMovedPastMeeting() {
+    // The first 1-vs-2 game is pushed to after the second one
+    const current = previousGames.slice();
+    current[0] = { ...current[0], date: '2025-05-31T22:00:00.000Z', dateText: '2025-05-31' };
+
+    const changes = diffSchedules(previousGames, current);
+    assert.deepStrictEqual(summarize(changes), ['moved 1-2-1']);
+    assert.strictEqual(changes[0].current.date, '2025-05-31T22:00:00.000Z');
+  }
+
+  async testPublishedSchedules() {
+    const files = (await fs.readdir(DIVISIONS_DIR)).filter(file => file.endsWith('.json'));
+    let checked = 0;
+
+    for (const file of files) {
+      const division = JSON.parse(await fs.readFile(path.join(DIVISIONS_DIR, file), 'utf8'));
+      const games = division.schedule?.allGames || [];
+      if (games.length === 0) continue;
+
+      assert.deepStrictEqual(diffSchedules(games, JSON.parse(JSON.stringify(games))), [], file);
+      checked++;
+    }
+
+    assert.ok(checked > 0, 'expected published division files with games');
+  }
+
+  async testCompareDivisionGuards() {
+    const changeLog = new ScheduleChangeLog(path.join(os.tmpdir(), 'unused.json'));
+    const schedule = allGames => ({ schedule: { allGames } });
+
+    assert.deepStrictEqual(changeLog.compareDivision('9U-select-all-tiers', null, schedule(previousGames)), []);
+    assert.deepStrictEqual(changeLog.compareDivision('9U-select-all-tiers', schedule(previousGames), schedule([])), []);
+
+    const entries = changeLog.compareDivision(
+      '9U-select-all-tiers',
+      schedule(previousGames),
+      schedule(previousGames.slice(1)),
+      '2025-05-02T12:00:00.000Z'
+    );
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].id, '9U-select-all-tiers:1-2-1:removed:2025-05-02T12:00:00.000Z');
+    assert.strictEqual(entries[0].division, '9U-select-all-tiers');
+  }
+
+  async testChangeLog() {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-changes-'));
+
+    try {
+      const changeLog = new ScheduleChangeLog(path.join(tempDir, 'schedule-changes.json'));
+      const writer = new DataWriter();
+      const schedule = allGames => ({ schedule: { allGames } });
+
+      const first = previousGames.map((entry, index) => (index === 0 ? completed(entry, 5, 3) : entry));
+      const second = first.map((entry, index) => (index === 3 ? { ...entry, location: 'Diamond 2' } : entry));
+
+      await writer.writeScheduleChanges(
+        changeLog.compareDivision('9U-select-all-tiers', schedule(previousGames), schedule(first), '2025-05-03T23:00:00.000Z'),
+        changeLog
+      );
+      await writer.writeScheduleChanges(
+        changeLog.compareDivision('10U-select-all-tiers', schedule(first), schedule(second), '2025-05-04T12:00:00.000Z'),
+        changeLog
+      );
+      const unchanged = await writer.writeScheduleChanges([], changeLog);
+      assert.strictEqual(unchanged.written, false);
+
+      const log = await changeLog.read();
+      assert.strictEqual(log.changes.length, 2);
+      assert.strictEqual(log.lastUpdated, '2025-05-04T12:00:00.000Z');
+
+      // Newest first
+      assert.deepStrictEqual((await changeLog.getChanges()).map(change => change.type), [
+        CHANGE_TYPES.RELOCATED,
+        CHANGE_TYPES.RESULT_POSTED
+      ]);
+      assert.strictEqual((await changeLog.getChanges({ division: '9U-select-all-tiers' })).length, 1);
+      assert.strictEqual((await changeLog.getChanges({ since: '2025-05-04' })).length, 1);
+      assert.strictEqual((await changeLog.getChanges({ teamCode: '2' })).length, 1);
+      assert.strictEqual((await changeLog.getChanges({ types: [CHANGE_TYPES.ADDED] })).length, 0);
+      await assert.rejects(() => changeLog.getChanges({ since: 'soon' }), /Invalid since date/);
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ScheduleDiffTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
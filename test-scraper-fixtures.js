@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+
+/**
+ * Scraper Fixture Tests
+ *
+ * Runs the scraper's extraction code against saved YSBA HTML snapshots in
+ * fixtures/ysba/, so parsing changes can be regression-tested without the
+ * live site or a browser.
+ *
+ * Usage:
+ *   npm run test-fixtures
+ *
+ * Recording new snapshots from a live run:
+ *   SCRAPER_RECORD_FIXTURES=true npm run test-worker
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const YSBAScraper = require('./src/scraper/scraper');
+const DataFormatter = require('./src/scraper/formatter');
+const FixtureStore = require('./src/scraper/fixtures');
+const AspNetPostbackClient = require('./src/scraper/postback-client');
+const { parseGameDateTime, resolveSeasonYear, splitPlayedAndUpcoming } = require('./src/scraper/game-time');
+const { startStubServer } = require('./scripts/ysba-stub-server');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'ysba');
+
+class ScraperFixtureTester {
+  constructor() {
+    this.fixtures = new FixtureStore(FIXTURES_DIR);
+    this.scraper = new YSBAScraper({ source: 'fixtures', fixturesDir: FIXTURES_DIR, recordFixtures: false });
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Scraper Fixture Tests Started');
+    console.log('================================\n');
+
+    await this.test('parses the dgGrid standings table', () => this.testStandingsParser());
+    await this.test('extracts games from a schedule page', () => this.testExtractGamesFromPage());
+    await this.test('ignores the pager row and reads page 2', () => this.testSchedulePagination());
+    await this.test('scrapes standings end-to-end from fixtures', () => this.testFixtureStandingsScrape());
+    await this.test('scrapes a schedule end-to-end from fixtures', () => this.testFixtureScheduleScrape());
+    await this.test('formats fixture standings like the published division file', () => this.testFormatterCompatibility());
+    await this.test('reports missing fixtures clearly', () => this.testMissingFixture());
+    await this.test('records snapshots that replay identically', () => this.testRecorderRoundTrip());
+    await this.test('stores game dates as Ontario instants', () => this.testGameDatesAreInstants());
+    await this.test('handles DST switches in game times', () => this.testGameTimesAcrossDst());
+    await this.test('resolves the year from the season and weekday', () => this.testSeasonYearResolution());
+    await this.test('splits played and upcoming games without overlap', () => this.testPlayedUpcomingSplit());
+    await this.test('HTTP engine scrapes standings through the postback stub', () => this.testHttpStandingsScrape());
+    await this.test('HTTP engine follows schedule pagination', () => this.testHttpScheduleScrape());
+    await this.test('HTTP engine rejects stale view state', () => this.testHttpStaleViewState());
+    await this.test('HTTP engine fails loudly without fallback', () => this.testHttpWithoutFallback());
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  async testStandingsParser() {
+    const page = await this.fixtures.openStandingsPage('13', '__ALL__');
+    const standings = await this.scraper.extractStandingsFromPage(page);
+
+    assert.strictEqual(standings.teams.length, 14);
+    assert.strictEqual(standings.source, 'YSBA Website');
+
+    const leader = standings.teams[0];
+    assert.deepStrictEqual(
+      { ...leader },
+      {
+        position: 1,
+        team: 'Midland Penetang Twins 9U DS',
+        teamCode: '511105',
+        gamesPlayed: 16,
+        wins: 16,
+        losses: 0,
+        ties: 0,
+        points: 32,
+        runsFor: 257,
+        runsAgainst: 84,
+        winPercentage: '1.000'
+      }
+    );
+
+    // Ties count as half a win
+    const phoenix = standings.teams.find(team => team.teamCode === '511113');
+    assert.strictEqual(phoenix.ties, 1);
+    assert.strictEqual(phoenix.winPercentage, '0.781');
+  }
+
+  async testExtractGamesFromPage() {
+    const page = await this.fixtures.openSchedulePage('13', 1);
+    const games = await this.scraper.extractGamesFromPage(page);
+
+    assert.strictEqual(games.length, 100);
+
+    const first = games[0];
+    assert.strictEqual(first.dateText, 'Sat, May 3');
+    assert.strictEqual(first.time, '10:00 AM');
+    assert.strictEqual(first.awayTeamCode, '511108');
+    assert.strictEqual(first.awayTeam, 'Bradford Tigers 9U DS');
+    assert.strictEqual(first.homeTeamCode, '511107');
+    assert.strictEqual(first.homeTeam, 'Barrie Baycats 9U DS');
+    assert.strictEqual(first.location, 'Lampman Lane Community Centre');
+
+    // Score column is "away-home"
+    assert.strictEqual(first.scoreText, '9-18');
+    assert.strictEqual(first.awayScore, 9);
+    assert.strictEqual(first.homeScore, 18);
+    assert.strictEqual(first.isCompleted, true);
+    assert.strictEqual(first.date, '2025-05-03T14:00:00.000Z'); // 10:00 AM EDT
+  }
+
+  async testSchedulePagination() {
+    const page = await this.fixtures.openSchedulePage('13', 2);
+    const games = await this.scraper.extractGamesFromPage(page);
+
+    assert.strictEqual(games.length, 12);
+    assert.ok(games.every(game => /^\d+$/.test(game.homeTeamCode) && /^\d+$/.test(game.awayTeamCode)));
+
+    const firstPage = await this.fixtures.openSchedulePage('13', 1);
+    assert.ok(await firstPage.$('a[href*="dgGrid$ctl104$ctl02"]'), 'page 1 should carry the page 2 link');
+  }
+
+  async testFixtureStandingsScrape() {
+    const standings = await this.scraper.scrapeStandingsForDivision('9U-select', 'all-tiers');
+
+    assert.strictEqual(standings.teams.length, 14);
+    assert.deepStrictEqual(
+      standings.teams.map(team => team.position),
+      Array.from({ length: 14 }, (_, i) => i + 1)
+    );
+  }
+
+  async testFixtureScheduleScrape() {
+    const schedule = await this.scraper.scrapeScheduleForDivision('9U-select', 'all-tiers');
+
+    assert.strictEqual(schedule.allGames.length, 112);
+    assert.strictEqual(Object.keys(schedule.teamGames).length, 14);
+
+    const midland = schedule.teamGames['511105'];
+    assert.strictEqual(midland.allGames.length, 16);
+    assert.ok(midland.allGames.every(game => game.opponentCode !== '511105'));
+    assert.ok(midland.allGames.every(game => game.teamScore > game.opponentScore), 'Midland went 16-0');
+  }
+
+  async testFormatterCompatibility() {
+    const formatter = new DataFormatter();
+    const standings = await this.scraper.scrapeStandingsForDivision('9U-select', 'all-tiers');
+    const schedule = await this.scraper.scrapeScheduleForDivision('9U-select', 'all-tiers');
+    const formatted = formatter.formatStandings(standings, schedule);
+
+    const published = JSON.parse(
+      await fs.readFile(path.join(__dirname, 'public', 'divisions', '9U-select-all-tiers.json'), 'utf8')
+    );
+
+    // Published files predate tiebreaker reasons; everything else should match
+    const withoutTiebreaker = ({ tiebreaker, ...team }) => team;
+    assert.deepStrictEqual(formatted.teams.map(withoutTiebreaker), published.standings.teams);
+  }
+
+  async testMissingFixture() {
+    await assert.rejects(
+      () => this.scraper.scrapeStandingsForDivision('8U-rep', 'tier-1'),
+      /No standings fixture for YSBA 1\/1/
+    );
+  }
+
+  async testRecorderRoundTrip() {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-fixtures-'));
+
+    try {
+      const recorder = new FixtureStore(tempDir);
+      const original = await this.fixtures.openStandingsPage('13', '__ALL__');
+      await recorder.recordStandings('13', '__ALL__', await original.content());
+
+      const replayScraper = new YSBAScraper({ source: 'fixtures', fixturesDir: tempDir });
+      const replayed = await replayScraper.performDivisionScrape('13', '__ALL__', '9U-select');
+      const expected = await this.scraper.extractStandingsFromPage(original);
+
+      assert.deepStrictEqual(replayed.teams, expected.teams);
+      assert.strictEqual(recorder.standingsFileName('1', '-10'), 'standings-1--10.html');
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  async testGameDatesAreInstants() {
+    const page = await this.fixtures.openSchedulePage('13', 1);
+    const games = await this.scraper.extractGamesFromPage(page);
+    const ontarioDate = { timeZone: 'America/Toronto', weekday: 'short', month: 'short', day: 'numeric' };
+    const ontarioTime = { timeZone: 'America/Toronto', hour: 'numeric', minute: '2-digit' };
+
+    // Every stored instant reads back as the listed date and time in Ontario
+    games.forEach(game => {
+      const start = new Date(game.date);
+      assert.strictEqual(start.toLocaleDateString('en-US', ontarioDate), game.dateText);
+      assert.strictEqual(start.toLocaleTimeString('en-US', ontarioTime), game.time);
+    });
+
+    // Same answer no matter what timezone the scraper runs in
+    assert.strictEqual(
+      parseGameDateTime('Wed, Aug 13', '6:30 PM', { seasonYear: 2025 }).toISOString(),
+      '2025-08-13T22:30:00.000Z'
+    );
+  }
+
+  async testGameTimesAcrossDst() {
+    // Standard time in early March, daylight time in November before the switch
+    assert.strictEqual(parseGameDateTime('Sat, Mar 8', '6:00 PM', { seasonYear: 2025 }).toISOString(), '2025-03-08T23:00:00.000Z');
+    assert.strictEqual(parseGameDateTime('Sun, Mar 9', '6:00 PM', { seasonYear: 2025 }).toISOString(), '2025-03-09T22:00:00.000Z');
+    assert.strictEqual(parseGameDateTime('Sat, Nov 1', '6:00 PM', { seasonYear: 2025 }).toISOString(), '2025-11-01T22:00:00.000Z');
+    assert.strictEqual(parseGameDateTime('Sun, Nov 2', '6:00 PM', { seasonYear: 2025 }).toISOString(), '2025-11-02T23:00:00.000Z');
+
+    // 1:30 AM happens twice on fall-back night; take the first one
+    assert.strictEqual(parseGameDateTime('Sun, Nov 2', '1:30 AM', { seasonYear: 2025 }).toISOString(), '2025-11-02T05:30:00.000Z');
+  }
+
+  async testSeasonYearResolution() {
+    // Before March the site is still showing last season
+    assert.strictEqual(resolveSeasonYear(new Date('2026-01-15T12:00:00Z')), 2025);
+    assert.strictEqual(resolveSeasonYear(new Date('2026-04-15T12:00:00Z')), 2026);
+
+    // A season that runs over New Year puts January games in the following year
+    assert.strictEqual(parseGameDateTime('Sat, Jan 3', '6:00 PM', { seasonYear: 2025 }).toISOString(), '2026-01-03T23:00:00.000Z');
+
+    // Archived schedules resolve to the year whose calendar matches the weekday
+    assert.strictEqual(
+      parseGameDateTime('Sat, May 3', '10:00 AM', { referenceDate: new Date('2027-06-01T12:00:00Z') }).toISOString(),
+      '2025-05-03T14:00:00.000Z'
+    );
+
+    // An explicit year on the listing always wins
+    assert.strictEqual(parseGameDateTime('May 3, 2024', '10:00 AM', { seasonYear: 2025 }).toISOString(), '2024-05-03T14:00:00.000Z');
+    assert.strictEqual(parseGameDateTime('-', '-'), null);
+  }
+
+  async testPlayedUpcomingSplit() {
+    const now = new Date('2025-08-13T22:00:00.000Z'); // 6:00 PM in Toronto
+    const games = [
+      { dateText: 'Wed, Aug 13', time: '6:30 PM', date: '2025-08-13T22:30:00.000Z', isCompleted: true }, // Score already in
+      { dateText: 'Wed, Aug 13', time: '5:00 PM', date: '2025-08-13T21:00:00.000Z', isCompleted: false }, // Under way
+      { dateText: 'Wed, Aug 13', time: '8:00 PM', date: '2025-08-14T00:00:00.000Z', isCompleted: false },
+      { dateText: 'Wed, Aug 13', time: 'TBA', date: '2025-08-13T04:00:00.000Z', isCompleted: false }, // Time not set
+      { dateText: '-', time: '-', date: null, isCompleted: false }
+    ];
+
+    const { playedGames, upcomingGames } = splitPlayedAndUpcoming(games, now);
+
+    assert.deepStrictEqual(playedGames.map(game => game.time), ['6:30 PM', '5:00 PM']);
+    assert.deepStrictEqual(upcomingGames.map(game => game.time), ['8:00 PM', 'TBA', '-']);
+  }
+
+  // Runs fn against a stub of the YSBA postback pages, then shuts the stub down
+  async withStubServer(fn) {
+    const stub = await startStubServer(0, { fixturesDir: FIXTURES_DIR });
+
+    try {
+      await fn(stub);
+    } finally {
+      await new Promise(resolve => stub.server.close(resolve));
+    }
+  }
+
+  httpScraper(stub) {
+    return new YSBAScraper({
+      source: 'live',
+      engine: 'http',
+      engineFallback: false,
+      standingsUrl: stub.standingsUrl,
+      scheduleUrl: stub.scheduleUrl,
+      recordFixtures: false
+    });
+  }
+
+  async testHttpStandingsScrape() {
+    await this.withStubServer(async (stub) => {
+      const standings = await this.httpScraper(stub).scrapeStandingsForDivision('9U-select', 'all-tiers');
+      const expected = await this.scraper.scrapeStandingsForDivision('9U-select', 'all-tiers');
+
+      assert.deepStrictEqual(standings.teams, expected.teams);
+    });
+  }
+
+  async testHttpScheduleScrape() {
+    await this.withStubServer(async (stub) => {
+      const schedule = await this.httpScraper(stub).scrapeScheduleForDivision('9U-select', 'all-tiers');
+      const expected = await this.scraper.scrapeScheduleForDivision('9U-select', 'all-tiers');
+
+      assert.strictEqual(schedule.allGames.length, 112);
+      assert.deepStrictEqual(schedule.allGames, expected.allGames);
+    });
+  }
+
+  async testHttpStaleViewState() {
+    await this.withStubServer(async (stub) => {
+      const client = new AspNetPostbackClient(stub.standingsUrl);
+
+      await client.open();
+      client.page.document.querySelector('input[name="__VIEWSTATE"]').setAttribute('value', 'stale');
+
+      await assert.rejects(() => client.submit('cmdSearch'), /HTTP 500/);
+    });
+  }
+
+  async testHttpWithoutFallback() {
+    await this.withStubServer(async (stub) => {
+      // A division with no snapshot comes back as a bare form with no results grid
+      await assert.rejects(
+        () => this.httpScraper(stub).scrapeStandingsForDivision('8U-rep', 'tier-1'),
+        /Standings table not found/
+      );
+    });
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ScraperFixtureTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * Standings Email Tests
+ *
+ * Checks the division and team emails built from change events: standings
+ * moves and final scores (see src/scraper/change-events.js), the
+ * full standings table with followed teams highlighted, and the games coming
+ * up in the next week. Uses a temporary subscribers file and records emails
+ * instead of sending them.
+ *
+ * Usage:
+ *   npm run test-standings-emails
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const EmailService = require('./email-service');
+const NotificationOutbox = require('./notification-outbox');
+const { diffSchedules } = require('./src/scraper/schedule-diff');
+const { diffStandings, fromScheduleChange } = require('./src/scraper/change-events');
+
+const DIVISION = '11U-rep-tier-2';
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const standingsTeam = (position, team, teamCode, wins, losses) => ({
+  position, team, teamCode, wins, losses, ties: 0, winPercentage: (wins / (wins + losses)).toFixed(3)
+});
+
+const oldStandings = [
+  standingsTeam(1, 'Aurora Jays', '1', 3, 1),
+  standingsTeam(2, 'Barrie Baycats', '2', 2, 1),
+  standingsTeam(3, 'Caledon Nationals', '3', 1, 2),
+  standingsTeam(4, 'Durham Dragons', '4', 1, 3),
+  standingsTeam(5, 'Etobicoke Eagles', '5', 1, 3),
+  standingsTeam(6, 'Fergus Falcons', '6', 0, 3)
+];
+
+const newStandings = [
+  standingsTeam(1, 'Barrie Baycats', '2', 3, 1),
+  standingsTeam(2, 'Aurora Jays', '1', 3, 2),
+  standingsTeam(3, 'Caledon Nationals', '3', 1, 2),
+  standingsTeam(4, 'Durham Dragons', '4', 1, 3),
+  standingsTeam(5, 'Etobicoke Eagles', '5', 1, 3),
+  standingsTeam(6, 'Fergus Falcons', '6', 0, 3)
+];
+
+const game = (date, dateText, homeCode, homeTeam, awayCode, awayTeam, extra = {}) => ({
+  date: new Date(date).toISOString(),
+  dateText,
+  time: '6:00 PM',
+  homeTeam,
+  homeTeamCode: homeCode,
+  awayTeam,
+  awayTeamCode: awayCode,
+  location: 'Diamond 1',
+  isCompleted: false,
+  score: null,
+  ...extra
+});
+
+class StandingsEmailTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Standings Email Tests Started');
+    console.log('================================\n');
+
+    this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-standings-emails-'));
+
+    try {
+      await this.test('sorts change events into email sections', () => this.testGroupChanges());
+      await this.test('picks the games of the next seven days', () => this.testUpcomingGames());
+      await this.test('division email lists scores, the full table and upcoming games', () => this.testDivisionEmail());
+      await this.test('highlights followed teams', () => this.testFollowedTeams());
+      await this.test('subject counts results and standings moves', () => this.testSubject());
+      await this.test('team email lists a shared game once and the teams\' next games', () => this.testTeamEmail());
+    } finally {
+      await fs.rm(this.tempDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  async createService() {
+    const service = new EmailService();
+    const dir = await fs.mkdtemp(path.join(this.tempDir, 'run-'));
+
+    service.subscribersFile = path.join(dir, 'subscribers.json');
+    service.backupDir = path.join(dir, 'backup');
+    service.outbox = new NotificationOutbox({ file: path.join(dir, 'outbox.json') });
+    service.isGithubConfigured = false;
+    service.isConfigured = true;
+    service.sent = [];
+    service.sendEmail = async (to, subject, html, text) => {
+      service.sent.push({ to, subject, html, text });
+    };
+
+    await fs.writeFile(service.subscribersFile, '[]');
+    return service;
+  }
+
+  // Sign up and confirm, like a subscriber clicking the confirmation link
+  async subscribe(service, email, ...args) {
+    await service.addSubscriber(email, ...args);
+    const subscriber = await service.getSubscriberByEmail(email);
+    await service.confirmSubscriber(service.createConfirmationToken(subscriber));
+    service.sent = [];
+    return service.getSubscriberByEmail(email);
+  }
+
+  // Barrie and Aurora swap places, and both records change
+  getStandingsEvents() {
+    return diffStandings(oldStandings, newStandings);
+  }
+
+  // The Barrie-Aurora result, plus a rescheduled game
+  getScheduleEvents(now) {
+    const played = game(now - DAY_MS, 'Sat, May 3', '2', 'Barrie Baycats', '1', 'Aurora Jays');
+    const rescheduled = game(now + 10 * DAY_MS, 'Sat, May 17', '3', 'Caledon Nationals', '4', 'Durham Dragons');
+
+    return diffSchedules([played, rescheduled], [
+      { ...played, isCompleted: true, score: { home: 7, away: 5 } },
+      { ...rescheduled, date: new Date(now + 3 * DAY_MS).toISOString(), dateText: 'Wed, May 7' }
+    ]).map(fromScheduleChange);
+  }
+
+  getGames(now) {
+    return [
+      game(now - DAY_MS, 'Sat, May 3', '2', 'Barrie Baycats', '1', 'Aurora Jays', { isCompleted: true, score: { home: 7, away: 5 } }),
+      game(now + 6 * DAY_MS, 'Fri, May 9', '6', 'Fergus Falcons', '2', 'Barrie Baycats', { location: 'Diamond 4' }),
+      game(now + 3 * DAY_MS, 'Wed, May 7', '3', 'Caledon Nationals', '4', 'Durham Dragons'),
+      game(now + 9 * DAY_MS, 'Mon, May 12', '5', 'Etobicoke Eagles', '1', 'Aurora Jays')
+    ];
+  }
+
+  async testGroupChanges() {
+    const service = await this.createService();
+    const events = [...this.getStandingsEvents(), ...this.getScheduleEvents(Date.now())];
+    const { results, standings, schedule } = service.groupChanges(events);
+
+    assert.deepStrictEqual(results.map(event => event.type), ['result_posted']);
+    assert.deepStrictEqual(standings.map(event => service.describeChange(event)), [
+      'Barrie Baycats moved up to #1 (was #2)',
+      'Aurora Jays dropped to #2 (was #1)'
+    ]);
+    assert.deepStrictEqual(schedule.map(event => event.type), ['game_rescheduled']);
+
+    // Record changes are covered by the results
+    assert.strictEqual(events.filter(event => event.type === 'record_change').length, 2);
+  }
+
+  async testUpcomingGames() {
+    const service = await this.createService();
+    const now = Date.now();
+
+    const upcoming = service.getUpcomingGames(this.getGames(now), new Date(now));
+    assert.deepStrictEqual(upcoming.map(g => g.dateText), ['Wed, May 7', 'Fri, May 9']);
+  }
+
+  async testDivisionEmail() {
+    const service = await this.createService();
+    const now = Date.now();
+    const changes = [...this.getStandingsEvents(), ...this.getScheduleEvents(now)];
+    const upcoming = service.getUpcomingGames(this.getGames(now), new Date(now));
+
+    const html = service.generateStandingsEmail(newStandings, changes, null, '11U Rep - Tier 2', upcoming);
+    const text = service.generateStandingsTextEmail(newStandings, changes, null, '11U Rep - Tier 2', upcoming);
+
+    // Final score with the winner in bold
+    assert.ok(html.includes('Final Scores'));
+    assert.match(html, /font-weight: 700; color: #1e40af;">Barrie Baycats<\/td>\s*<td[^>]*font-weight: 700[^>]*>7<\/td>/);
+    assert.ok(text.includes('Final: Aurora Jays 5, Barrie Baycats 7 (Sat, May 3)'));
+
+    assert.ok(text.includes('Standings Moves:\n• Barrie Baycats moved up to #1 (was #2)\n• Aurora Jays dropped to #2 (was #1)'));
+    assert.ok(text.includes('Schedule Changes:\n• Rescheduled: Durham Dragons @ Caledon Nationals is now Wed, May 7 at 6:00 PM'));
+
+    // Every team, not just the top 5
+    assert.ok(text.includes('6. Fergus Falcons (0-3, 0.000)'));
+    assert.ok(html.includes('Fergus Falcons'));
+
+    assert.ok(text.includes('NEXT 7 DAYS:\n\n• Wed, May 7 6:00 PM: Durham Dragons @ Caledon Nationals (Diamond 1)\n• Fri, May 9 6:00 PM: Barrie Baycats @ Fergus Falcons (Diamond 4)'));
+    assert.ok(!text.includes('Mon, May 12'));
+    assert.ok(html.includes('📍 Diamond 4'));
+
+    // Nothing to list, no empty sections
+    const quiet = service.generateStandingsTextEmail(newStandings, [], null, '11U Rep - Tier 2');
+    assert.ok(!quiet.includes('Final Scores'));
+    assert.ok(!quiet.includes('NEXT 7 DAYS'));
+  }
+
+  async testFollowedTeams() {
+    const service = await this.createService();
+    const now = Date.now();
+    const subscriber = { id: 'token', teamPreferences: [{ teamCode: '6', team: 'Fergus Falcons', division: DIVISION }] };
+    const upcoming = service.getUpcomingGames(this.getGames(now), new Date(now));
+
+    const html = service.generateStandingsEmail(newStandings, [], subscriber, '11U Rep - Tier 2', upcoming);
+    const text = service.generateStandingsTextEmail(newStandings, [], subscriber, '11U Rep - Tier 2', upcoming);
+
+    assert.ok(text.includes('6. ⭐ Fergus Falcons (0-3, 0.000)'));
+    assert.ok(text.includes('1. Barrie Baycats (3-1, 0.750)'));
+    assert.ok(text.includes('Barrie Baycats @ ⭐ Fergus Falcons'));
+    assert.ok(html.includes('⭐ Fergus Falcons'));
+    assert.strictEqual((html.match(/background: #fef9c3;">/g) || []).length, 2); // Table row and upcoming game
+  }
+
+  async testSubject() {
+    const service = await this.createService();
+    const now = Date.now();
+    await this.subscribe(service, 'division@example.com', '', [DIVISION]);
+
+    const changes = [...this.getScheduleEvents(now), ...this.getStandingsEvents()];
+    const result = await service.sendDivisionStandingsUpdate(DIVISION, newStandings, changes, 'run-1', this.getGames(now));
+    assert.strictEqual(result.count, 1);
+    assert.match(service.sent[0].subject, /^⚾ 11U Rep - Tier 2 - 1 New Game Result - /);
+    assert.ok(service.sent[0].text.includes('NEXT 7 DAYS'));
+
+    service.sent = [];
+    await service.sendDivisionStandingsUpdate(DIVISION, newStandings, this.getStandingsEvents(), 'run-2');
+    assert.match(service.sent[0].subject, /^⚾ 11U Rep - Tier 2 - 2 Position Changes - /);
+  }
+
+  async testTeamEmail() {
+    const service = await this.createService();
+    const now = Date.now();
+    await this.subscribe(service, 'both@example.com', '', [], ['1', '2']);
+
+    const teamChanges = service.detectTeamChanges([...this.getStandingsEvents(), ...this.getScheduleEvents(now)]);
+    await service.sendTeamUpdates(DIVISION, newStandings, teamChanges, [], 'run-1', this.getGames(now));
+
+    assert.strictEqual(service.sent.length, 1);
+    const [email] = service.sent;
+    assert.strictEqual(email.text.split('Final: Aurora Jays 5, Barrie Baycats 7').length, 2);
+    assert.ok(email.text.includes('Aurora Jays dropped to #2 (was #1)'));
+    assert.ok(!email.text.includes('Rescheduled'));
+
+    // Only the followed teams' games
+    assert.ok(email.text.includes('⭐ Barrie Baycats @ Fergus Falcons'));
+    assert.ok(!email.text.includes('Durham Dragons @ Caledon Nationals'));
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new StandingsEmailTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
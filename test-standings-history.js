@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * Standings History Tests
+ *
+ * Writes snapshots into a temporary directory and checks deduplication,
+ * asOf lookups and per-team history.
+ *
+ * Usage:
+ *   npm run test-history
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const DataWriter = require('./src/scraper/writer');
+const StandingsHistory = require('./src/scraper/history');
+const { parseAsOf } = require('./src/scraper/history');
+
+// Formatted division team, as written to public/divisions/
+const team = (position, name, code, wins, losses) => ({
+  position,
+  team: name,
+  teamCode: code,
+  record: {
+    gamesPlayed: wins + losses,
+    wins,
+    losses,
+    ties: 0,
+    winPercentage: (wins / (wins + losses)).toFixed(3)
+  },
+  stats: {
+    points: wins * 2,
+    runsFor: 50,
+    runsAgainst: 40,
+    runDifferential: 10
+  }
+});
+
+const division = (...teams) => ({ '9U-select-all-tiers': { standings: { teams } } });
+
+class StandingsHistoryTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Standings History Tests Started');
+    console.log('=================================\n');
+
+    await this.test('reads plain dates as the end of the day in Ontario', () => this.testParseAsOf());
+    await this.test('skips snapshots when the standings have not changed', () => this.withHistory(ctx => this.testDeduplication(ctx)));
+    await this.test('returns the standings as they stood on a date', () => this.withHistory(ctx => this.testStandingsAsOf(ctx)));
+    await this.test('tracks a team over time', () => this.withHistory(ctx => this.testTeamHistory(ctx)));
+    await this.test('collects the history of a whole division', () => this.withHistory(ctx => this.testDivisionHistory(ctx)));
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  // Runs fn with a writer and history pointed at a throwaway directory
+  async withHistory(fn) {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-history-'));
+    const writer = new DataWriter();
+    writer.outputDir = outputDir;
+    const history = new StandingsHistory(path.join(outputDir, 'history'));
+
+    const record = (divisionFiles, lastUpdated) =>
+      writer.writeStandingsSnapshot(history.buildSnapshot(divisionFiles, lastUpdated), history);
+
+    try {
+      await fn({ writer, history, record });
+    } finally {
+      await fs.rm(outputDir, { recursive: true, force: true });
+    }
+  }
+
+  async testParseAsOf() {
+    // July is daylight time (UTC-4)
+    assert.strictEqual(parseAsOf('2025-07-01').toISOString(), '2025-07-02T03:59:59.999Z');
+    assert.strictEqual(parseAsOf('2025-07-01T12:00:00Z').toISOString(), '2025-07-01T12:00:00.000Z');
+    assert.strictEqual(parseAsOf('July 1'), null);
+    assert.strictEqual(parseAsOf('2025-13-01'), null);
+  }
+
+  async testDeduplication({ history, record }) {
+    const first = await record(division(team(1, 'Aurora', '1', 5, 1)), '2025-06-30T14:00:00.000Z');
+    const unchanged = await record(division(team(1, 'Aurora', '1', 5, 1)), '2025-06-30T14:30:00.000Z');
+    const changed = await record(division(team(1, 'Aurora', '1', 6, 1)), '2025-06-30T15:00:00.000Z');
+
+    assert.strictEqual(first.written, true);
+    assert.strictEqual(unchanged.written, false);
+    assert.strictEqual(changed.written, true);
+    assert.strictEqual(first.file, 'standings-2025-06-30T14-00-00Z.json');
+
+    const snapshots = await history.listSnapshots();
+    assert.deepStrictEqual(snapshots.map(entry => entry.lastUpdated), [
+      '2025-06-30T14:00:00.000Z',
+      '2025-06-30T15:00:00.000Z'
+    ]);
+  }
+
+  async testStandingsAsOf({ history, record }) {
+    await record(division(team(1, 'Aurora', '1', 5, 1), team(2, 'Barrie', '2', 4, 2)), '2025-06-30T14:00:00.000Z');
+    // 11:30 PM on July 1 in Toronto - still July 1 there
+    await record(division(team(1, 'Barrie', '2', 6, 2), team(2, 'Aurora', '1', 5, 3)), '2025-07-02T03:30:00.000Z');
+    await record(division(team(1, 'Barrie', '2', 7, 2), team(2, 'Aurora', '1', 5, 4)), '2025-07-03T16:00:00.000Z');
+
+    const july1 = await history.getStandingsAsOf('9U-select-all-tiers', '2025-07-01');
+    assert.strictEqual(july1.lastUpdated, '2025-07-02T03:30:00.000Z');
+    assert.deepStrictEqual(july1.teams.map(entry => [entry.position, entry.team, entry.wins]), [
+      [1, 'Barrie', 6],
+      [2, 'Aurora', 5]
+    ]);
+    assert.strictEqual(july1.teams[0].points, 12);
+    assert.strictEqual(july1.teams[0].teamCode, '2');
+
+    const june30 = await history.getStandingsAsOf('9U-select-all-tiers', '2025-06-30');
+    assert.strictEqual(june30.teams[0].team, 'Aurora');
+
+    // Before the first snapshot, or a division that was never recorded
+    assert.strictEqual(await history.getStandingsAsOf('9U-select-all-tiers', '2025-06-29'), null);
+    assert.strictEqual(await history.getStandingsAsOf('8U-rep-tier-1', '2025-07-01'), null);
+
+    await assert.rejects(() => history.getStandingsAsOf('9U-select-all-tiers', 'yesterday'), /Invalid asOf/);
+  }
+
+  async testTeamHistory({ history, record }) {
+    await record(division(team(1, 'Aurora', '1', 5, 1), team(2, 'Barrie', '2', 4, 2)), '2025-06-30T14:00:00.000Z');
+    // Only Caledon changes - Aurora's entry stays the same
+    await record(division(team(1, 'Aurora', '1', 5, 1), team(2, 'Barrie', '2', 4, 2), team(3, 'Caledon', '3', 0, 1)), '2025-07-01T14:00:00.000Z');
+    await record(division(team(1, 'Barrie', '2', 6, 2), team(2, 'Aurora', '1', 5, 3)), '2025-07-02T14:00:00.000Z');
+
+    const aurora = await history.getTeamHistory('1');
+    assert.strictEqual(aurora.team, 'Aurora');
+    assert.strictEqual(aurora.division, '9U-select-all-tiers');
+    assert.deepStrictEqual(
+      aurora.history.map(point => [point.date, point.position, point.wins, point.losses, point.points]),
+      [
+        ['2025-06-30T14:00:00.000Z', 1, 5, 1, 10],
+        ['2025-07-02T14:00:00.000Z', 2, 5, 3, 10]
+      ]
+    );
+
+    const missing = await history.getTeamHistory('99', '9U-select-all-tiers');
+    assert.deepStrictEqual(missing.history, []);
+  }
+
+  async testDivisionHistory({ history, record }) {
+    await record(division(team(1, 'Aurora', '1', 5, 1), team(2, 'Barrie', '2', 4, 2)), '2025-06-30T14:00:00.000Z');
+    await record(division(team(1, 'Barrie', '2', 6, 2), team(2, 'Aurora', '1', 5, 3)), '2025-07-02T14:00:00.000Z');
+
+    const { division: divisionKey, teams } = await history.getDivisionHistory('9U-select-all-tiers');
+
+    assert.strictEqual(divisionKey, '9U-select-all-tiers');
+    assert.deepStrictEqual(Object.keys(teams).sort(), ['1', '2']);
+    assert.deepStrictEqual(teams['2'].map(point => point.position), [2, 1]);
+    assert.strictEqual(teams['2'][1].winPercentage, '0.750');
+
+    assert.deepStrictEqual((await history.getDivisionHistory('8U-rep-tier-1')).teams, {});
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new StandingsHistoryTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
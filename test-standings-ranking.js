@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Standings Ranking Tests
+ *
+ * Checks the shared tiebreaker rules in standings-ranking.js against the
+ * published division files and a few hand-built ties.
+ *
+ * Usage:
+ *   npm run test-ranking
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { rankTeams } = require('./standings-ranking');
+
+const DIVISIONS_DIR = path.join(__dirname, 'public', 'divisions');
+
+// Flat team with identical records unless overridden
+const team = (name, code, overrides = {}) => ({
+  team: name,
+  teamCode: code,
+  gamesPlayed: 10,
+  wins: 6,
+  losses: 4,
+  ties: 0,
+  points: 12,
+  runsFor: 60,
+  runsAgainst: 50,
+  winPercentage: '0.600',
+  ...overrides
+});
+
+const game = (homeCode, awayCode, homeScore, awayScore) => ({
+  homeTeamCode: homeCode,
+  awayTeamCode: awayCode,
+  homeScore,
+  awayScore,
+  isCompleted: true
+});
+
+class StandingsRankingTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Standings Ranking Tests Started');
+    console.log('=================================\n');
+
+    await this.test('reproduces the YSBA order for every published division', () => this.testPublishedOrder());
+    await this.test('explains places decided by a tiebreaker', () => this.testTiebreakReasons());
+    await this.test('uses head-to-head once run differential is level', () => this.testHeadToHead());
+    await this.test('re-ranks what is left of a three-way tie', () => this.testThreeWayTie());
+    await this.test('skips head-to-head when the tied teams have not all met', () => this.testHeadToHeadIncomplete());
+    await this.test('ranks compact ysba-standings.json teams', () => this.testCompactFormat());
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  async testPublishedOrder() {
+    const files = (await fs.readdir(DIVISIONS_DIR)).filter(file => file.endsWith('.json'));
+    let checked = 0;
+
+    for (const file of files) {
+      const division = JSON.parse(await fs.readFile(path.join(DIVISIONS_DIR, file), 'utf8'));
+      const teams = division.standings?.teams || [];
+      if (teams.length === 0) continue;
+
+      // Reverse the input and drop positions so the listing order can't decide anything
+      const shuffled = teams.map(({ position, ...rest }) => rest).reverse();
+      const ranked = rankTeams(shuffled, division.schedule?.allGames);
+
+      assert.deepStrictEqual(
+        ranked.map(entry => entry.team),
+        teams.map(entry => entry.team),
+        `${file} order differs`
+      );
+      checked++;
+    }
+
+    assert.ok(checked > 0, 'expected published division files with teams');
+  }
+
+  async testTiebreakReasons() {
+    const ranked = rankTeams([
+      team('Markham', '3', { wins: 5, points: 11, ties: 1, losses: 4, winPercentage: '0.550' }),
+      team('Newmarket', '2', { runsFor: 70 }),
+      team('Aurora', '1')
+    ]);
+
+    assert.deepStrictEqual(ranked.map(entry => entry.position), [1, 2, 3]);
+    assert.deepStrictEqual(ranked.map(entry => entry.team), ['Newmarket', 'Aurora', 'Markham']);
+
+    assert.strictEqual(ranked[0].tiebreaker.rule, 'runDifferential');
+    assert.strictEqual(ranked[0].tiebreaker.reason, 'Ahead of Aurora on run differential (+20 vs +10)');
+    assert.strictEqual(ranked[1].tiebreaker.reason, 'Behind Newmarket on run differential (+10 vs +20)');
+
+    // Separated on win percentage alone - nothing to explain
+    assert.strictEqual(ranked[2].tiebreaker, null);
+  }
+
+  async testHeadToHead() {
+    const teams = [team('Aurora', '1'), team('Barrie', '2')];
+    const ranked = rankTeams(teams, [game('1', '2', 3, 8)]);
+
+    assert.deepStrictEqual(ranked.map(entry => entry.team), ['Barrie', 'Aurora']);
+    assert.strictEqual(ranked[0].tiebreaker.rule, 'headToHead');
+    assert.strictEqual(ranked[0].tiebreaker.opponentCode, '1');
+    assert.strictEqual(ranked[0].tiebreaker.reason, 'Ahead of Aurora on head-to-head (2 pts vs 0 pts)');
+  }
+
+  async testThreeWayTie() {
+    const teams = [team('Aurora', '1'), team('Barrie', '2'), team('Caledon', '3')];
+    const games = [
+      game('1', '2', 6, 2), // Aurora beats Barrie
+      game('3', '1', 5, 4), // Caledon beats Aurora
+      game('2', '3', 8, 3), // Barrie beats Caledon twice
+      game('3', '2', 1, 7)
+    ];
+
+    // Barrie 4 pts, Aurora 2, Caledon 2 - then just Aurora vs Caledon, which Caledon won
+    const ranked = rankTeams(teams, games);
+
+    assert.deepStrictEqual(ranked.map(entry => entry.team), ['Barrie', 'Caledon', 'Aurora']);
+    assert.strictEqual(ranked[2].tiebreaker.reason, 'Behind Caledon on head-to-head (0 pts vs 2 pts)');
+  }
+
+  async testHeadToHeadIncomplete() {
+    const teams = [team('Aurora', '1'), team('Barrie', '2'), team('Caledon', '3', { runsFor: 55, runsAgainst: 45 })];
+    const ranked = rankTeams(teams, [game('2', '1', 9, 1)]);
+
+    // Caledon never played the others, so fewest runs allowed decides instead
+    assert.strictEqual(ranked[0].team, 'Caledon');
+    assert.strictEqual(ranked[0].tiebreaker.rule, 'runsAgainst');
+  }
+
+  async testCompactFormat() {
+    const ranked = rankTeams(
+      [
+        { pos: 1, team: 'Aurora', w: 6, l: 4, t: 0, pct: '0.600', rf: 60, ra: 50 },
+        { pos: 2, team: 'Barrie', w: 7, l: 3, t: 0, pct: '0.700', rf: 50, ra: 50 }
+      ],
+      [{ homeTeam: 'Aurora', awayTeam: 'Barrie', score: { home: 1, away: 2 }, isCompleted: true }]
+    );
+
+    assert.deepStrictEqual(ranked.map(entry => [entry.pos, entry.team]), [[1, 'Barrie'], [2, 'Aurora']]);
+    assert.ok(!('position' in ranked[0]), 'compact teams keep their own field names');
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new StandingsRankingTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
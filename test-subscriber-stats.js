@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Subscriber Statistics Tests
+ *
+ * Checks subscriber-stats.js: totals and unsubscribe rates, growth per day,
+ * week and month, and the per-division breakdown. Also checks that
+ * EmailService records when subscribers leave and counts them by division.
+ * Uses a temporary subscribers file.
+ *
+ * Usage:
+ *   npm run test-subscriber-stats
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const EmailService = require('./email-service');
+const buildSubscriberStats = require('./subscriber-stats');
+
+const NOW = new Date('2025-06-18T12:00:00.000Z'); // A Wednesday
+
+const DIVISIONS = [
+  { key: '11U-rep-tier-2', display: '11U Rep - Tier 2' },
+  { key: '13U-rep-tier-3', display: '13U Rep - Tier 3' },
+  { key: '15U-rep-tier-2', display: '15U Rep - Tier 2' }
+];
+
+const subscriber = (id, fields) => ({
+  id,
+  email: `${id}@example.com`,
+  name: '',
+  divisionPreferences: ['11U-rep-tier-2'],
+  teamPreferences: [],
+  subscribedAt: '2025-04-10T12:00:00.000Z',
+  updatedAt: '2025-04-10T12:00:00.000Z',
+  active: true,
+  pending: false,
+  ...fields
+});
+
+// Two active, one awaiting confirmation, one unsubscribed in May and one
+// legacy subscriber without division preferences
+const SUBSCRIBERS = [
+  subscriber('a', { subscribedAt: '2025-04-10T12:00:00.000Z' }),
+  subscriber('b', { divisionPreferences: ['11U-rep-tier-2', '13U-rep-tier-3'], subscribedAt: '2025-06-16T09:00:00.000Z' }),
+  subscriber('c', { active: false, pending: true, subscribedAt: '2025-06-17T09:00:00.000Z' }),
+  subscriber('d', { active: false, divisionPreferences: ['13U-rep-tier-3'], subscribedAt: '2025-04-20T12:00:00.000Z', unsubscribedAt: '2025-05-02T08:00:00.000Z', updatedAt: '2025-06-01T00:00:00.000Z' }),
+  subscriber('e', { divisionPreferences: undefined, subscribedAt: '2024-11-03T12:00:00.000Z' })
+];
+
+class SubscriberStatsTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Subscriber Statistics Tests Started');
+    console.log('======================================\n');
+
+    this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-stats-'));
+
+    // Keep subscriber update messages out of the test output
+    const { log } = console;
+    const quiet = fn => async () => {
+      console.log = () => {};
+      try {
+        await fn();
+      } finally {
+        console.log = log;
+      }
+    };
+
+    try {
+      await this.test('counts totals and the unsubscribe rate', () => this.testTotals());
+      await this.test('buckets growth by month, week and day', () => this.testGrowth());
+      await this.test('limits growth to recent periods', () => this.testGrowthWindow());
+      await this.test('breaks subscribers down by division', () => this.testDivisions());
+      await this.test('records when subscribers leave and come back', quiet(() => this.testUnsubscribedAt()));
+    } finally {
+      await fs.rm(this.tempDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  // EmailService on a subscribers file in the temp folder
+  async createService(subscribers = []) {
+    const service = new EmailService();
+    const dir = await fs.mkdtemp(path.join(this.tempDir, 'run-'));
+
+    service.subscribersFile = path.join(dir, 'subscribers.json');
+    service.backupDir = path.join(dir, 'backup');
+    service.isGithubConfigured = false;
+
+    await fs.writeFile(service.subscribersFile, JSON.stringify(subscribers));
+    return service;
+  }
+
+  testTotals() {
+    const stats = buildSubscriberStats(SUBSCRIBERS, { divisions: DIVISIONS, now: NOW });
+
+    assert.deepStrictEqual(stats.totals, { total: 5, active: 3, pending: 1, inactive: 1, allDivisions: 1 });
+    assert.strictEqual(stats.unsubscribeRate, 0.25);
+    assert.strictEqual(stats.interval, 'month');
+    assert.strictEqual(stats.generatedAt, NOW.toISOString());
+
+    const empty = buildSubscriberStats([], { now: NOW });
+    assert.strictEqual(empty.unsubscribeRate, 0);
+    assert.deepStrictEqual(empty.growth, []);
+
+    assert.throws(() => buildSubscriberStats([], { interval: 'year' }), /Unknown growth interval/);
+  }
+
+  testGrowth() {
+    const monthly = buildSubscriberStats(SUBSCRIBERS, { now: NOW }).growth;
+    assert.deepStrictEqual(monthly.map(row => row.period), ['2024-11', '2024-12', '2025-01', '2025-02', '2025-03', '2025-04', '2025-05', '2025-06']);
+    assert.deepStrictEqual(monthly[0], { period: '2024-11', subscribed: 1, unsubscribed: 0, active: 1 });
+    assert.deepStrictEqual(monthly[5], { period: '2025-04', subscribed: 2, unsubscribed: 0, active: 3 });
+    // The pending sign-up isn't counted; d left in May by unsubscribedAt, not updatedAt
+    assert.deepStrictEqual(monthly[6], { period: '2025-05', subscribed: 0, unsubscribed: 1, active: 2 });
+    assert.deepStrictEqual(monthly[7], { period: '2025-06', subscribed: 1, unsubscribed: 0, active: 3 });
+
+    // Weeks start on Monday
+    const weekly = buildSubscriberStats(SUBSCRIBERS, { interval: 'week', now: NOW }).growth;
+    assert.deepStrictEqual(weekly[weekly.length - 1], { period: '2025-06-16', subscribed: 1, unsubscribed: 0, active: 3 });
+    assert.deepStrictEqual(weekly[weekly.length - 2], { period: '2025-06-09', subscribed: 0, unsubscribed: 0, active: 2 });
+
+    const daily = buildSubscriberStats(SUBSCRIBERS, { interval: 'day', now: NOW }).growth;
+    assert.deepStrictEqual(daily.slice(-3).map(row => [row.period, row.subscribed, row.active]), [
+      ['2025-06-16', 1, 3],
+      ['2025-06-17', 0, 3],
+      ['2025-06-18', 0, 3]
+    ]);
+  }
+
+  testGrowthWindow() {
+    // Subscribers from before the window are carried into the first period
+    const weekly = buildSubscriberStats(SUBSCRIBERS, { interval: 'week', now: NOW }).growth;
+    assert.strictEqual(weekly.length, 26);
+    assert.strictEqual(weekly[0].period, '2024-12-23');
+    assert.strictEqual(weekly[0].active, 1);
+
+    const daily = buildSubscriberStats(SUBSCRIBERS, { interval: 'day', now: NOW }).growth;
+    assert.strictEqual(daily.length, 30);
+    assert.strictEqual(daily[0].period, '2025-05-20');
+    assert.strictEqual(daily[0].active, 2);
+  }
+
+  testDivisions() {
+    const withStale = [...SUBSCRIBERS, subscriber('f', { divisionPreferences: ['9U-rep-tier-1'] })];
+    const { divisions } = buildSubscriberStats(withStale, { divisions: DIVISIONS, now: NOW });
+    const byKey = Object.fromEntries(divisions.map(division => [division.key, division]));
+
+    // Legacy subscriber e counts towards every division
+    assert.deepStrictEqual(byKey['11U-rep-tier-2'], {
+      key: '11U-rep-tier-2', display: '11U Rep - Tier 2', active: 3, pending: 1, inactive: 0, total: 4, unsubscribeRate: 0
+    });
+    assert.deepStrictEqual(byKey['13U-rep-tier-3'], {
+      key: '13U-rep-tier-3', display: '13U Rep - Tier 3', active: 2, pending: 0, inactive: 1, total: 3, unsubscribeRate: 0.333
+    });
+    assert.strictEqual(byKey['15U-rep-tier-2'].active, 1);
+
+    // Divisions no longer offered still show up
+    assert.deepStrictEqual(divisions.map(division => division.key), ['11U-rep-tier-2', '13U-rep-tier-3', '15U-rep-tier-2', '9U-rep-tier-1']);
+    assert.strictEqual(byKey['9U-rep-tier-1'].display, '9U-rep-tier-1');
+  }
+
+  async testUnsubscribedAt() {
+    const service = await this.createService([
+      subscriber('a', {}),
+      subscriber('b', { divisionPreferences: ['13U-rep-tier-3'] }),
+      subscriber('e', { divisionPreferences: undefined })
+    ]);
+
+    assert.deepStrictEqual((await service.getActiveSubscribers('11U-rep-tier-2')).map(sub => sub.id), ['a', 'e']);
+    assert.deepStrictEqual((await service.getActiveSubscribers('13U-rep-tier-3')).map(sub => sub.id), ['b', 'e']);
+
+    await service.unsubscribeById('a');
+    const left = await service.getSubscriberById('a');
+    assert.strictEqual(left.active, false);
+    assert.strictEqual(left.unsubscribedAt, left.updatedAt);
+
+    // Deactivating by hand counts as leaving; editing an inactive subscriber doesn't move the date
+    await service.updateSubscriber('b', { active: false });
+    const deactivated = await service.getSubscriberById('b');
+    assert.ok(deactivated.unsubscribedAt);
+    await service.updateSubscriber('b', { active: false, name: 'Sam' });
+    assert.strictEqual((await service.getSubscriberById('b')).unsubscribedAt, deactivated.unsubscribedAt);
+
+    await service.updateSubscriber('b', { active: true });
+    assert.strictEqual((await service.getSubscriberById('b')).unsubscribedAt, null);
+
+    await service.bulkReactivateSubscribers(['a@example.com']);
+    assert.strictEqual((await service.getSubscriberById('a')).unsubscribedAt, null);
+
+    const stats = await service.getSubscriberStats({ interval: 'week' });
+    assert.deepStrictEqual(stats.totals, { total: 3, active: 3, pending: 0, inactive: 0, allDivisions: 1 });
+    assert.strictEqual(stats.divisions.length, service.getAvailableDivisions().length);
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new SubscriberStatsTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
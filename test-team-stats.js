@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * Team Stats Tests
+ *
+ * Checks the team page numbers in team-stats.js against the published
+ * division files and a small hand-built schedule, and that team pages
+ * without a division find the division whose standings list the team.
+ *
+ * Usage:
+ *   npm run test-team-stats
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { buildTeamProfile, getTeamGames } = require('./team-stats');
+const PublishedDataStore = require('./data-store');
+const PublicApi = require('./api-v1');
+const config = require('./config');
+
+const DIVISIONS_DIR = path.join(__dirname, 'public', 'divisions');
+
+const standingsTeam = (position, name, code) => ({ position, team: name, teamCode: code });
+
+const game = (date, homeCode, awayCode, homeScore, awayScore) => ({
+  date,
+  dateText: date,
+  time: '6:00 PM',
+  homeTeam: `Team ${homeCode}`,
+  homeTeamCode: homeCode,
+  awayTeam: `Team ${awayCode}`,
+  awayTeamCode: awayCode,
+  location: 'Diamond 1',
+  isCompleted: homeScore !== null,
+  score: homeScore !== null ? { home: homeScore, away: awayScore } : null
+});
+
+// Aurora (1) plays Barrie (2) three times and Caledon (3) once more later
+const sampleDivision = {
+  standings: {
+    teams: [
+      standingsTeam(1, 'Aurora', '1'),
+      standingsTeam(2, 'Barrie', '2'),
+      standingsTeam(3, 'Caledon', '3'),
+      standingsTeam(4, 'Durham', '4')
+    ]
+  },
+  schedule: {
+    allGames: [
+      game('2025-05-03T14:00:00.000Z', '1', '2', 5, 3),
+      game('2025-05-10T14:00:00.000Z', '2', '1', 4, 4),
+      game('2025-05-17T14:00:00.000Z', '2', '1', 7, 2),
+      game('2025-05-24T14:00:00.000Z', '3', '1', 1, 6),
+      game('2025-05-31T14:00:00.000Z', '1', '3', 8, 0),
+      game('2099-06-07T14:00:00.000Z', '1', '3', null, null),
+      game('2025-05-03T14:00:00.000Z', '2', '3', 9, 1)
+    ]
+  }
+};
+
+class TeamStatsTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Team Stats Tests Started');
+    console.log('===========================\n');
+
+    await this.test('matches the published record of every team', () => this.testPublishedRecords());
+    await this.test('finds every team\'s division without a division hint', () => this.testTeamLookup());
+    await this.test('sees games from the team\'s side', () => this.testTeamPerspective());
+    await this.test('splits home, away and the last games', () => this.testSplits());
+    await this.test('lists head-to-head against every division opponent', () => this.testHeadToHead());
+    await this.test('returns null for a team that is not in the division', () => this.testUnknownTeam());
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  async testPublishedRecords() {
+    const files = (await fs.readdir(DIVISIONS_DIR)).filter(file => file.endsWith('.json'));
+    let checked = 0;
+
+    for (const file of files) {
+      const division = JSON.parse(await fs.readFile(path.join(DIVISIONS_DIR, file), 'utf8'));
+
+      for (const team of division.standings?.teams || []) {
+        const profile = buildTeamProfile(team.teamCode, division);
+        const label = `${file} ${team.team}`;
+
+        assert.strictEqual(profile.position, team.position, label);
+        assert.deepStrictEqual(
+          [profile.record.wins, profile.record.losses, profile.record.ties],
+          [team.record.wins, team.record.losses, team.record.ties],
+          label
+        );
+        assert.strictEqual(profile.runs.runsFor, team.stats.runsFor, label);
+        assert.strictEqual(profile.runs.runsAgainst, team.stats.runsAgainst, label);
+        checked++;
+      }
+    }
+
+    assert.ok(checked > 0, 'expected published division files with teams');
+  }
+
+  // /team/:teamCode links without ?division= (no-tier files list every tier's games)
+  async testTeamLookup() {
+    const store = new PublishedDataStore();
+    const { log } = console;
+    console.log = () => {};
+    try {
+      await store.load();
+    } finally {
+      console.log = log;
+    }
+
+    const api = new PublicApi({ store });
+    let checked = 0;
+
+    for (const divisionKey of store.getDivisionKeys()) {
+      for (const team of store.getDivision(divisionKey).standings?.teams || []) {
+        const profile = api.findTeamProfile(team.teamCode);
+        const label = `${divisionKey} ${team.team}`;
+
+        assert.strictEqual(config.getDivisionFileKey(profile.division.key, profile.division.tier), divisionKey, label);
+        assert.strictEqual(profile.position, team.position, label);
+        checked++;
+      }
+    }
+
+    assert.ok(checked > 0, 'expected published division files with teams');
+  }
+
+  async testTeamPerspective() {
+    const games = getTeamGames(sampleDivision.schedule.allGames, '1');
+
+    assert.strictEqual(games.length, 6);
+    assert.deepStrictEqual(games.map(entry => entry.result), ['W', 'T', 'L', 'W', 'W', null]);
+    assert.deepStrictEqual(
+      [games[2].isHome, games[2].opponentCode, games[2].teamScore, games[2].opponentScore],
+      [false, '2', 2, 7]
+    );
+  }
+
+  async testSplits() {
+    const profile = buildTeamProfile('1', sampleDivision);
+
+    assert.deepStrictEqual(
+      [profile.record.wins, profile.record.losses, profile.record.ties, profile.record.points],
+      [3, 1, 1, 7]
+    );
+    assert.strictEqual(profile.record.winPercentage, '0.700');
+
+    assert.deepStrictEqual([profile.splits.home.wins, profile.splits.home.losses], [2, 0]);
+    assert.deepStrictEqual(
+      [profile.splits.away.wins, profile.splits.away.losses, profile.splits.away.ties],
+      [1, 1, 1]
+    );
+    assert.deepStrictEqual(profile.splits.lastTen.results, ['W', 'T', 'L', 'W', 'W']);
+    assert.strictEqual(profile.splits.lastTen.streak, 'W2');
+
+    assert.strictEqual(profile.runs.runsFor, 25);
+    assert.strictEqual(profile.runs.runsAgainst, 15);
+    assert.strictEqual(profile.runs.perGame.runsFor, 5);
+    assert.strictEqual(profile.runs.perGame.runDifferential, 2);
+
+    assert.strictEqual(profile.schedule.playedGames.length, 5);
+    assert.strictEqual(profile.schedule.upcomingGames.length, 1);
+  }
+
+  async testHeadToHead() {
+    const profile = buildTeamProfile('1', sampleDivision);
+    const rows = Object.fromEntries(profile.headToHead.map(row => [row.opponentCode, row]));
+
+    assert.deepStrictEqual(profile.headToHead.map(row => row.opponentCode), ['2', '3', '4']);
+    assert.deepStrictEqual([rows['2'].wins, rows['2'].losses, rows['2'].ties], [1, 1, 1]);
+    assert.deepStrictEqual([rows['3'].gamesPlayed, rows['3'].remaining], [2, 1]);
+
+    // Durham is in the division but hasn't met Aurora
+    assert.deepStrictEqual([rows['4'].gamesPlayed, rows['4'].remaining], [0, 0]);
+  }
+
+  async testUnknownTeam() {
+    assert.strictEqual(buildTeamProfile('99', sampleDivision), null);
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new TeamStatsTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
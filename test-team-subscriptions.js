@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * Team Subscription Tests
+ *
+ * Checks team follows in EmailService: storing teamPreferences, working out
+ * which followed teams changed, and sending each follower one email. Uses a
+ * temporary subscribers file and records emails instead of sending them.
+ *
+ * Usage:
+ *   npm run test-team-subscriptions
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const EmailService = require('./email-service');
+const NotificationOutbox = require('./notification-outbox');
+const { diffSchedules } = require('./src/scraper/schedule-diff');
+const { diffStandings, fromScheduleChange } = require('./src/scraper/change-events');
+
+const DIVISION = '11U-rep-tier-2';
+
+const standingsTeam = (position, team, teamCode) => ({ position, team, teamCode, wins: 0, losses: 0, winPercentage: '0.000' });
+
+const oldStandings = [
+  standingsTeam(1, 'Aurora Jays', '1'),
+  standingsTeam(2, 'Barrie Baycats', '2'),
+  standingsTeam(3, 'Caledon Nationals', '3'),
+  standingsTeam(4, 'Durham Dragons', '4')
+];
+
+const newStandings = [
+  standingsTeam(1, 'Barrie Baycats', '2'),
+  standingsTeam(2, 'Aurora Jays', '1'),
+  standingsTeam(3, 'Caledon Nationals', '3'),
+  standingsTeam(4, 'Durham Dragons', '4')
+];
+
+const game = (date, dateText, homeCode, homeTeam, awayCode, awayTeam, extra = {}) => ({
+  date,
+  dateText,
+  time: '6:00 PM',
+  homeTeam,
+  homeTeamCode: homeCode,
+  awayTeam,
+  awayTeamCode: awayCode,
+  location: 'Diamond 1',
+  isCompleted: false,
+  score: null,
+  ...extra
+});
+
+const previousGames = [
+  game('2025-05-03T22:00:00.000Z', 'Sat, May 3', '2', 'Barrie Baycats', '1', 'Aurora Jays'),
+  game('2025-05-10T22:00:00.000Z', 'Sat, May 10', '3', 'Caledon Nationals', '4', 'Durham Dragons')
+];
+
+const currentGames = [
+  { ...previousGames[0], isCompleted: true, score: { home: 7, away: 5 } },
+  { ...previousGames[1], date: '2025-05-17T22:00:00.000Z', dateText: 'Sat, May 17', location: 'Diamond 3' }
+];
+
+// Standings moves and the schedule diff between the two scrapes, as change events
+const getChangeEvents = () => [
+  ...diffStandings(oldStandings, newStandings),
+  ...diffSchedules(previousGames, currentGames).map(fromScheduleChange)
+];
+
+class TeamSubscriptionTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async run() {
+    console.log('🧪 Team Subscription Tests Started');
+    console.log('==================================\n');
+
+    this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-subscribers-'));
+
+    try {
+      await this.test('stores followed teams when subscribing', () => this.testAddSubscriber());
+      await this.test('keeps team follows when an update leaves them out', () => this.testUpdateSubscriber());
+      await this.test('finds active followers of a team', () => this.testTeamSubscribers());
+      await this.test('collects standings and schedule changes per team', () => this.testDetectTeamChanges());
+      await this.test('describes every kind of schedule change', () => this.testDescribeScheduleChange());
+      await this.test('sends each follower one email about their teams', () => this.testSendTeamUpdates());
+    } finally {
+      await fs.rm(this.tempDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  // EmailService on an empty subscribers file in the temp folder, recording sent emails
+  async createService() {
+    const service = new EmailService();
+    const dir = await fs.mkdtemp(path.join(this.tempDir, 'run-'));
+
+    service.subscribersFile = path.join(dir, 'subscribers.json');
+    service.backupDir = path.join(dir, 'backup');
+    service.outbox = new NotificationOutbox({ file: path.join(dir, 'outbox.json') });
+    service.isGithubConfigured = false;
+    service.isConfigured = true;
+    service.sent = [];
+    service.sendEmail = async (to, subject, html, text) => {
+      service.sent.push({ to, subject, text });
+    };
+
+    await fs.writeFile(service.subscribersFile, '[]');
+    return service;
+  }
+
+  // Sign up and confirm, like a subscriber clicking the confirmation link
+  async subscribe(service, email, ...args) {
+    await service.addSubscriber(email, ...args);
+    const subscriber = await service.getSubscriberByEmail(email);
+    await service.confirmSubscriber(service.createConfirmationToken(subscriber));
+    service.sent = [];
+  }
+
+  async testAddSubscriber() {
+    const service = await this.createService();
+
+    const result = await service.addSubscriber('parent@example.com', 'Pat', [], [
+      { teamCode: '2', team: 'Barrie Baycats', division: DIVISION },
+      '3',
+      { teamCode: '2', team: 'Duplicate' },
+      { team: 'No code' }
+    ]);
+    assert.strictEqual(result.success, true);
+
+    const subscriber = await service.getSubscriberByEmail('parent@example.com');
+    assert.deepStrictEqual(subscriber.teamPreferences, [
+      { teamCode: '2', team: 'Barrie Baycats', division: DIVISION },
+      { teamCode: '3', team: null, division: null }
+    ]);
+    assert.deepStrictEqual(subscriber.divisionPreferences, []);
+  }
+
+  async testUpdateSubscriber() {
+    const service = await this.createService();
+    await this.subscribe(service, 'parent@example.com', '', [DIVISION], ['2']);
+    const { id } = await service.getSubscriberByEmail('parent@example.com');
+
+    // The manage page before team follows only sent name, email and divisions
+    await service.updateSubscriber(id, { name: 'Pat', email: undefined, divisionPreferences: [] });
+    let subscriber = await service.getSubscriberById(id);
+    assert.deepStrictEqual(subscriber.teamPreferences.map(team => team.teamCode), ['2']);
+    assert.strictEqual(subscriber.email, 'parent@example.com');
+    assert.strictEqual(subscriber.name, 'Pat');
+
+    await service.updateSubscriber(id, { teamPreferences: [{ teamCode: '4', team: 'Durham Dragons', division: DIVISION }] });
+    subscriber = await service.getSubscriberById(id);
+    assert.deepStrictEqual(subscriber.teamPreferences.map(team => team.teamCode), ['4']);
+  }
+
+  async testTeamSubscribers() {
+    const service = await this.createService();
+    await this.subscribe(service, 'barrie@example.com', '', [], ['2']);
+    await this.subscribe(service, 'both@example.com', '', [], ['1', '2']);
+    await this.subscribe(service, 'division@example.com', '', [DIVISION]);
+    await this.subscribe(service, 'gone@example.com', '', [], ['2']);
+    await service.unsubscribeById((await service.getSubscriberByEmail('gone@example.com')).id);
+
+    const emails = subscribers => subscribers.map(subscriber => subscriber.email).sort();
+    assert.deepStrictEqual(emails(await service.getTeamSubscribers(['2'])), ['barrie@example.com', 'both@example.com']);
+    assert.deepStrictEqual(emails(await service.getTeamSubscribers(['1'])), ['both@example.com']);
+    assert.deepStrictEqual(await service.getTeamSubscribers(['9']), []);
+
+    // Team-only follows don't sign anyone up for whole-division emails
+    assert.deepStrictEqual(emails(await service.getActiveSubscribers(DIVISION)), ['division@example.com']);
+  }
+
+  async testDetectTeamChanges() {
+    const service = await this.createService();
+    const teamChanges = service.detectTeamChanges(getChangeEvents());
+    const byCode = Object.fromEntries(teamChanges.map(teamChange => [
+      teamChange.teamCode,
+      teamChange.changes.map(change => service.describeChange(change))
+    ]));
+
+    assert.deepStrictEqual(Object.keys(byCode).sort(), ['1', '2', '3', '4']);
+    assert.deepStrictEqual(byCode['2'], [
+      'Barrie Baycats moved up to #1 (was #2)',
+      'Final: Aurora Jays 5, Barrie Baycats 7'
+    ]);
+    assert.deepStrictEqual(byCode['1'], [
+      'Aurora Jays dropped to #2 (was #1)',
+      'Final: Aurora Jays 5, Barrie Baycats 7'
+    ]);
+    assert.deepStrictEqual(byCode['3'], byCode['4']);
+    assert.strictEqual(
+      byCode['3'][0],
+      'Rescheduled: Durham Dragons @ Caledon Nationals is now Sat, May 17 at 6:00 PM, Diamond 3 (was Sat, May 10 at 6:00 PM)'
+    );
+  }
+
+  async testDescribeScheduleChange() {
+    const service = await this.createService();
+    const [first] = previousGames;
+    const describe = (before, after) => service.describeChange(fromScheduleChange(diffSchedules(before, after)[0]));
+
+    assert.strictEqual(
+      describe([first], [{ ...first, location: 'Diamond 2' }]),
+      'Location change: Aurora Jays @ Barrie Baycats on Sat, May 3 at 6:00 PM is now at Diamond 2 (was Diamond 1)'
+    );
+    assert.strictEqual(describe([], [first]), 'New game: Aurora Jays @ Barrie Baycats on Sat, May 3 at 6:00 PM, Diamond 1');
+    assert.strictEqual(describe([first], []), 'Cancelled: Aurora Jays @ Barrie Baycats on Sat, May 3 at 6:00 PM');
+
+    const completed = { ...first, isCompleted: true, score: { home: 7, away: 5 } };
+    assert.strictEqual(
+      describe([completed], [{ ...completed, score: { home: 7, away: 6 } }]),
+      'Corrected final: Aurora Jays 6, Barrie Baycats 7 (was 5-7)'
+    );
+  }
+
+  async testSendTeamUpdates() {
+    const service = await this.createService();
+    await this.subscribe(service, 'barrie@example.com', '', [], [{ teamCode: '2', team: 'Barrie Baycats', division: DIVISION }]);
+    await this.subscribe(service, 'both@example.com', '', [], ['1', '3']);
+    await this.subscribe(service, 'division@example.com', '', [DIVISION], ['2']);
+    await this.subscribe(service, 'quiet@example.com', '', [], ['99']);
+
+    const divisionSubscriber = await service.getSubscriberByEmail('division@example.com');
+    const teamChanges = service.detectTeamChanges(getChangeEvents());
+    const result = await service.sendTeamUpdates(DIVISION, newStandings, teamChanges, [divisionSubscriber.id]);
+
+    assert.strictEqual(result.count, 2);
+    assert.deepStrictEqual(service.sent.map(email => email.to).sort(), ['barrie@example.com', 'both@example.com']);
+
+    const barrie = service.sent.find(email => email.to === 'barrie@example.com');
+    assert.strictEqual(barrie.subject, '⚾ Barrie Baycats Update - YSBA 11U Rep - Tier 2');
+    assert.ok(barrie.text.includes('Final: Aurora Jays 5, Barrie Baycats 7'));
+    assert.ok(!barrie.text.includes('Rescheduled'));
+
+    const both = service.sent.find(email => email.to === 'both@example.com');
+    assert.strictEqual(both.subject, '⚾ Aurora Jays, Caledon Nationals Update - YSBA 11U Rep - Tier 2');
+    assert.ok(both.text.includes('Rescheduled: Durham Dragons @ Caledon Nationals'));
+
+    // Without the division email, the division subscriber hears about Barrie too
+    service.sent = [];
+    await service.sendTeamUpdates(DIVISION, newStandings, teamChanges);
+    assert.ok(service.sent.some(email => email.to === 'division@example.com'));
+
+    // Nothing to say, nothing sent
+    service.sent = [];
+    const quiet = await service.sendTeamUpdates(DIVISION, newStandings, []);
+    assert.strictEqual(quiet.sent, false);
+    assert.deepStrictEqual(service.sent, []);
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new TeamSubscriptionTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
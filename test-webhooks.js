@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Tests
+ *
+ * Checks webhooks.js against a local HTTP receiver: signed deliveries, event,
+ * division and team filters, retries with backoff, permanent failures,
+ * idempotent reruns, registration checks and the delivery history. Uses a
+ * temporary file for storage.
+ *
+ * Usage:
+ *   npm run test-webhooks
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebhookService = require('./webhooks');
+const { WEBHOOK_EVENTS, GIST_SAVE_EVERY, MAX_ATTEMPTS, signPayload, verifySignature } = require('./webhooks');
+
+const MINUTE = 60 * 1000;
+const DIVISION = '11U-rep-tier-2';
+const DETECTED_AT = '2025-05-04T12:00:00.000Z';
+
+const resultEvent = (homeTeamCode, awayTeamCode, division = DIVISION) => ({
+  id: `${division}:${homeTeamCode}-${awayTeamCode}:result_posted:${DETECTED_AT}`,
+  type: 'result_posted',
+  division,
+  detectedAt: DETECTED_AT,
+  gameKey: `${homeTeamCode}-${awayTeamCode}`,
+  homeTeam: `Team ${homeTeamCode}`,
+  homeTeamCode,
+  awayTeam: `Team ${awayTeamCode}`,
+  awayTeamCode,
+  current: { dateText: 'Sat, May 3', time: '6:00 PM', location: 'Diamond 1' },
+  score: { home: 7, away: 5 },
+  previousScore: null
+});
+
+const positionEvent = (teamCode, position, previousPosition, division = DIVISION) => ({
+  id: `${division}:${teamCode}:position_change:${DETECTED_AT}`,
+  type: 'position_change',
+  division,
+  detectedAt: DETECTED_AT,
+  team: `Team ${teamCode}`,
+  teamCode,
+  position,
+  previousPosition
+});
+
+const story = {
+  id: 'story-1',
+  headline: 'Baycats Take First',
+  body: 'Barrie moved to the top of the table.',
+  type: 'standings',
+  division: '11U Rep - Tier 2',
+  priority: 1,
+  generatedAt: DETECTED_AT,
+  source: 'ai'
+};
+
+class WebhookTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.requests = [];
+    this.responses = [];
+  }
+
+  async run() {
+    console.log('🧪 Webhook Tests Started');
+    console.log('========================\n');
+
+    this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ysba-webhooks-'));
+    await this.startReceiver();
+
+    // Keep delivery and retry messages out of the test output
+    const { log, warn, error } = console;
+    const quiet = fn => async () => {
+      console.log = console.warn = console.error = () => {};
+      try {
+        await fn();
+      } finally {
+        Object.assign(console, { log, warn, error });
+      }
+    };
+
+    try {
+      await this.test('signs each delivery so receivers can verify it', quiet(() => this.testSignatures()));
+      await this.test('filters by event, division and team', quiet(() => this.testFilters()));
+      await this.test('sends new stories to unfiltered webhooks', quiet(() => this.testStories()));
+      await this.test('retries failed deliveries with backoff', quiet(() => this.testBackoff()));
+      await this.test('gives up on permanent rejections', quiet(() => this.testPermanentErrors()));
+      await this.test('a rerun of the same scrape posts nothing twice', quiet(() => this.testRerun()));
+      await this.test('writes the gist in batches while delivering', quiet(() => this.testGistBatching()));
+      await this.test('validates registrations and keeps secrets out of listings', quiet(() => this.testRegistration()));
+      await this.test('keeps a delivery history and retries on request', quiet(() => this.testHistory()));
+    } finally {
+      await new Promise(resolve => this.server.close(resolve));
+      await fs.rm(this.tempDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+
+  async test(name, fn) {
+    try {
+      await fn();
+      this.passed++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  // Records every request; answers with the queued statuses, then 204
+  async startReceiver() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        this.requests.push({ path: req.url, headers: req.headers, body, payload: JSON.parse(body) });
+        res.writeHead(this.responses.shift() || 204).end();
+      });
+    });
+
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  // A fresh service and receiver state per test
+  async setup(name) {
+    this.requests = [];
+    this.responses = [];
+    return new WebhookService({ file: path.join(this.tempDir, `${name}.json`), timeoutMs: 2000 });
+  }
+
+  async register(webhooks, options = {}) {
+    const { webhook } = await webhooks.create({
+      url: `${this.baseUrl}/${options.path || 'hook'}`,
+      events: Object.values(WEBHOOK_EVENTS),
+      ...options
+    });
+    return webhook;
+  }
+
+  async testSignatures() {
+    const webhooks = await this.setup('signatures');
+    const webhook = await this.register(webhooks);
+    const now = Date.now();
+
+    const result = await webhooks.deliver([resultEvent('2', '1')], [], 'run-1', now);
+    assert.strictEqual(result.delivered, 1);
+
+    const [request] = this.requests;
+    const { headers, body, payload } = request;
+    assert.strictEqual(headers['content-type'], 'application/json');
+    assert.strictEqual(headers['x-ysba-event'], 'result_posted');
+    assert.strictEqual(headers['x-ysba-delivery'], `run-1:${webhook.id}:result_posted:${DIVISION}`);
+    assert.strictEqual(headers['x-ysba-timestamp'], String(Math.floor(now / 1000)));
+    assert.strictEqual(headers['x-ysba-signature'], signPayload(webhook.secret, headers['x-ysba-timestamp'], body));
+    assert.ok(verifySignature(webhook.secret, headers['x-ysba-timestamp'], body, headers['x-ysba-signature'], now));
+
+    // Tampered bodies, other secrets and old timestamps don't verify
+    assert.ok(!verifySignature(webhook.secret, headers['x-ysba-timestamp'], body.replace('7', '8'), headers['x-ysba-signature'], now));
+    assert.ok(!verifySignature('other-secret', headers['x-ysba-timestamp'], body, headers['x-ysba-signature'], now));
+    assert.ok(!verifySignature(webhook.secret, headers['x-ysba-timestamp'], body, headers['x-ysba-signature'], now + 10 * MINUTE));
+
+    assert.strictEqual(payload.id, headers['x-ysba-delivery']);
+    assert.strictEqual(payload.division, DIVISION);
+    assert.strictEqual(payload.changes[0].description, 'Final: Team 1 5, Team 2 7');
+  }
+
+  async testFilters() {
+    const webhooks = await this.setup('filters');
+    await this.register(webhooks, { path: 'all' });
+    await this.register(webhooks, { path: 'results', events: [WEBHOOK_EVENTS.RESULT_POSTED] });
+    await this.register(webhooks, { path: '13u', divisions: ['13U-rep-tier-2'] });
+    await this.register(webhooks, { path: 'team-3', teamCodes: ['3'] });
+    const disabled = await this.register(webhooks, { path: 'disabled' });
+    await webhooks.update(disabled.id, { active: false });
+
+    await webhooks.deliver([
+      resultEvent('2', '1'),
+      resultEvent('3', '4'),
+      positionEvent('3', 1, 2),
+      positionEvent('2', 2, 1),
+      resultEvent('5', '6', '13U-rep-tier-2')
+    ], [], 'run-1');
+
+    const received = this.requests
+      .map(request => `${request.path} ${request.payload.event} ${request.payload.division} ${request.payload.changes.length}`)
+      .sort();
+    assert.deepStrictEqual(received, [
+      '/13u result_posted 13U-rep-tier-2 1',
+      `/all result_posted ${DIVISION} 2`,
+      '/all result_posted 13U-rep-tier-2 1',
+      `/all standings_change ${DIVISION} 2`,
+      `/results result_posted ${DIVISION} 2`,
+      '/results result_posted 13U-rep-tier-2 1',
+      `/team-3 result_posted ${DIVISION} 1`,
+      `/team-3 standings_change ${DIVISION} 1`
+    ]);
+
+    const teamOnly = this.requests.find(request => request.path === '/team-3' && request.payload.event === 'result_posted');
+    assert.strictEqual(teamOnly.payload.changes[0].homeTeamCode, '3');
+  }
+
+  async testStories() {
+    const webhooks = await this.setup('stories');
+    await this.register(webhooks, { path: 'stories', events: [WEBHOOK_EVENTS.STORY_PUBLISHED] });
+    await this.register(webhooks, { path: 'filtered', divisions: [DIVISION] });
+    await this.register(webhooks, { path: 'results', events: [WEBHOOK_EVENTS.RESULT_POSTED] });
+
+    await webhooks.deliver([], [story], 'run-1');
+
+    assert.deepStrictEqual(this.requests.map(request => request.path), ['/stories']);
+    assert.deepStrictEqual(this.requests[0].payload.stories, [{
+      id: 'story-1',
+      headline: 'Baycats Take First',
+      body: 'Barrie moved to the top of the table.',
+      type: 'standings',
+      division: '11U Rep - Tier 2',
+      generatedAt: DETECTED_AT
+    }]);
+  }
+
+  async testBackoff() {
+    const webhooks = await this.setup('backoff');
+    await this.register(webhooks);
+    const start = Date.now();
+
+    this.responses = [500, 503];
+    let result = await webhooks.deliver([resultEvent('2', '1')], [], 'run-1', start);
+    assert.strictEqual(result.retrying, 1);
+
+    // Not due yet, then due 2 minutes after the first failure
+    assert.strictEqual((await webhooks.flush(start + MINUTE)).results.length, 0);
+    result = await webhooks.flush(start + 2 * MINUTE);
+    assert.strictEqual(result.retrying, 1);
+
+    let [delivery] = await webhooks.listDeliveries();
+    assert.strictEqual(delivery.attempts, 2);
+    assert.strictEqual(delivery.responseStatus, 503);
+    assert.strictEqual(delivery.nextAttemptAt, new Date(start + 6 * MINUTE).toISOString());
+
+    result = await webhooks.flush(start + 6 * MINUTE);
+    assert.strictEqual(result.delivered, 1);
+    [delivery] = await webhooks.listDeliveries();
+    assert.strictEqual(delivery.status, 'delivered');
+    assert.strictEqual(delivery.lastError, null);
+    assert.strictEqual(this.requests.length, 3);
+
+    // Each attempt is signed again with its own timestamp
+    assert.notStrictEqual(this.requests[0].headers['x-ysba-timestamp'], this.requests[2].headers['x-ysba-timestamp']);
+
+    // Unreachable receivers fail after MAX_ATTEMPTS
+    const unreachable = await this.setup('unreachable');
+    await unreachable.create({ url: 'http://127.0.0.1:1/hook', events: [WEBHOOK_EVENTS.RESULT_POSTED] });
+    let now = start;
+    await unreachable.deliver([resultEvent('2', '1')], [], 'run-1', now);
+    for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+      now += unreachable.getRetryDelay(attempt);
+      await unreachable.flush(now);
+    }
+    [delivery] = await unreachable.listDeliveries();
+    assert.strictEqual(delivery.status, 'failed');
+    assert.strictEqual(delivery.attempts, MAX_ATTEMPTS);
+  }
+
+  async testPermanentErrors() {
+    const webhooks = await this.setup('permanent');
+    await this.register(webhooks);
+
+    this.responses = [410];
+    const result = await webhooks.deliver([resultEvent('2', '1')], [], 'run-1');
+    assert.strictEqual(result.failed, 1);
+
+    // Rate limits are retried
+    this.responses = [429];
+    const limited = await webhooks.deliver([resultEvent('2', '1')], [], 'run-2');
+    assert.strictEqual(limited.retrying, 1);
+
+    const deliveries = await webhooks.listDeliveries({ status: 'failed' });
+    assert.strictEqual(deliveries.length, 1);
+    assert.strictEqual(deliveries[0].responseStatus, 410);
+    assert.strictEqual(deliveries[0].attempts, 1);
+  }
+
+  async testRerun() {
+    const webhooks = await this.setup('rerun');
+    await this.register(webhooks);
+    const events = [resultEvent('2', '1'), positionEvent('2', 1, 2)];
+
+    const first = await webhooks.deliver(events, [], 'gh-42');
+    const second = await webhooks.deliver(events, [], 'gh-42');
+
+    assert.strictEqual(first.queued, 2);
+    assert.strictEqual(second.queued, 0);
+    assert.strictEqual(second.skipped, 2);
+    assert.strictEqual(this.requests.length, 2);
+
+    // The next scrape is a new run
+    await webhooks.deliver([resultEvent('3', '4')], [], 'gh-43');
+    assert.strictEqual(this.requests.length, 3);
+  }
+
+  async testGistBatching() {
+    this.requests = [];
+    this.responses = [];
+    let gistContent = null;
+    const gistWrites = [];
+    const webhooks = new WebhookService({
+      file: path.join(this.tempDir, 'gist.json'),
+      timeoutMs: 2000,
+      gist: {
+        isConfigured: () => true,
+        read: async () => gistContent,
+        write: async content => {
+          gistContent = content;
+          gistWrites.push(JSON.parse(content).deliveries.filter(delivery => delivery.status === 'delivered').length);
+          return true;
+        }
+      }
+    });
+    await this.register(webhooks);
+    gistWrites.length = 0;
+
+    // One delivery per division: saved to the gist once queued, then in batches
+    const count = GIST_SAVE_EVERY + 3;
+    const events = Array.from({ length: count }, (_, index) => resultEvent('2', '1', `${index + 8}U-rep-tier-2`));
+    const result = await webhooks.deliver(events, [], 'run-1');
+
+    assert.strictEqual(result.delivered, count);
+    assert.deepStrictEqual(gistWrites, [0, GIST_SAVE_EVERY, count]);
+  }
+
+  async testRegistration() {
+    const webhooks = await this.setup('registration');
+
+    assert.strictEqual((await webhooks.create({ url: 'not a url', events: ['result_posted'] })).error, 'A valid webhook URL is required');
+    assert.strictEqual((await webhooks.create({ url: 'ftp://example.com', events: ['result_posted'] })).error, 'Webhook URLs must use http or https');
+    assert.strictEqual((await webhooks.create({ url: 'https://example.com', events: [] })).error, 'Choose at least one event');
+    assert.strictEqual((await webhooks.create({ url: 'https://example.com', events: ['goal_scored'] })).error, 'Unknown webhook event: goal_scored');
+
+    const { webhook } = await webhooks.create({
+      url: 'https://example.com/hook',
+      description: ' Team site ',
+      events: ['result_posted', 'result_posted'],
+      teamCodes: [3]
+    });
+    assert.match(webhook.id, /^wh_[0-9a-f]{12}$/);
+    assert.match(webhook.secret, /^[0-9a-f]{64}$/);
+    assert.deepStrictEqual(webhook.events, ['result_posted']);
+    assert.deepStrictEqual(webhook.teamCodes, ['3']);
+    assert.strictEqual(webhook.description, 'Team site');
+
+    const [listed] = await webhooks.list();
+    assert.strictEqual(listed.secret, undefined);
+    assert.strictEqual(listed.secretHint, `…${webhook.secret.slice(-4)}`);
+    assert.deepStrictEqual(listed.stats, { queued: 0, delivered: 0, failed: 0 });
+
+    const updated = await webhooks.update(webhook.id, { events: ['schedule_change'], active: false });
+    assert.ok(updated.success);
+    assert.strictEqual(updated.webhook.secret, undefined);
+    assert.strictEqual(updated.webhook.active, false);
+    assert.strictEqual((await webhooks.update(webhook.id, { events: [] })).error, 'Choose at least one event');
+
+    const rotated = await webhooks.update(webhook.id, { rotateSecret: true });
+    assert.notStrictEqual(rotated.webhook.secret, webhook.secret);
+
+    assert.ok((await webhooks.remove(webhook.id)).success);
+    assert.strictEqual((await webhooks.remove(webhook.id)).error, 'Webhook not found');
+    assert.deepStrictEqual(await webhooks.list(), []);
+  }
+
+  async testHistory() {
+    const webhooks = await this.setup('history');
+    const webhook = await this.register(webhooks);
+    const start = Date.now();
+
+    this.responses = [404];
+    await webhooks.deliver([resultEvent('2', '1')], [], 'run-1', start);
+    let [delivery] = await webhooks.listDeliveries({ webhookId: webhook.id });
+    assert.strictEqual(delivery.status, 'failed');
+    assert.strictEqual(delivery.payload, undefined);
+    assert.strictEqual(delivery.changeCount, 1);
+
+    // The admin fixes the receiver and retries; the same delivery id is posted
+    const retried = await webhooks.retry(delivery.id, start + MINUTE);
+    assert.ok(retried.success);
+    assert.strictEqual(retried.delivery.status, 'delivered');
+    assert.strictEqual(this.requests[1].headers['x-ysba-delivery'], delivery.id);
+    assert.strictEqual((await webhooks.retry(delivery.id)).error, 'Delivery already succeeded');
+
+    // Pings show up in the history too
+    const ping = await webhooks.sendTest(webhook.id, start + 2 * MINUTE);
+    assert.ok(ping.success);
+    assert.strictEqual(this.requests[2].payload.event, 'ping');
+
+    const [listed] = await webhooks.list();
+    assert.deepStrictEqual(listed.stats, { queued: 0, delivered: 2, failed: 0 });
+    assert.strictEqual(listed.lastDelivery.event, 'ping');
+
+    // Old deliveries are dropped after 30 days; queued ones are kept
+    const later = start + 31 * 24 * 60 * MINUTE;
+    this.responses = [500];
+    await webhooks.deliver([resultEvent('3', '4')], [], 'run-2', later);
+    delivery = await webhooks.listDeliveries({ webhookId: webhook.id });
+    assert.deepStrictEqual(delivery.map(entry => entry.runId), ['run-2']);
+    assert.strictEqual(delivery[0].status, 'queued');
+  }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  const tester = new WebhookTester();
+  tester.run().catch(error => {
+    console.error('Fatal test error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,578 @@
+/**
+ * Outbound webhooks for league events
+ *
+ * An admin registers a URL with the events it wants (results, standings
+ * changes, schedule changes, new stories) and optionally a division and/or
+ * team filter. After each scrape the GitHub Action turns the run's change
+ * events (see src/scraper/change-events.js) into one POST per webhook,
+ * division and event, e.g.
+ *
+ *   { "id": "gh-9876:wh_ab12:result_posted:11U-rep-tier-2", "event": "result_posted",
+ *     "runId": "gh-9876", "division": "11U-rep-tier-2", "createdAt": "...", "changes": [...] }
+ *
+ * Every request is signed with the webhook's secret: X-YSBA-Signature is
+ * sha256=HMAC-SHA256(secret, "<X-YSBA-Timestamp>.<body>") in hex, so
+ * receivers can check the sender and reject replays (see verifySignature).
+ *
+ * Deliveries are queued first and retried like notification emails: 2, 4, 8,
+ * 16 minutes after a failure (in practice on the next scraper runs) up to
+ * MAX_ATTEMPTS, or failed straight away on a 4xx other than 408/429. Each
+ * delivery has an idempotency key (run + webhook + event + division), so a
+ * rerun of the same scrape posts nothing twice. Deliveries stay for
+ * RETENTION_DAYS as the delivery history.
+ *
+ * Webhooks and deliveries live in one JSON file ({ updatedAt, webhooks,
+ * deliveries }) and, when a GitHub Gist is configured, a file in the
+ * subscribers gist so the admin console and the GitHub Action share them.
+ * Like the email outbox, a flush writes the gist every GIST_SAVE_EVERY
+ * deliveries and at the end rather than after each one.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const { EVENT_TYPES, describeEvent, getEventTeamCodes } = require('./src/scraper/change-events');
+
+const WEBHOOK_EVENTS = {
+  RESULT_POSTED: 'result_posted',
+  STANDINGS_CHANGE: 'standings_change',
+  SCHEDULE_CHANGE: 'schedule_change',
+  STORY_PUBLISHED: 'story_published'
+};
+
+// Change event type -> webhook event
+const CHANGE_EVENT_WEBHOOKS = {
+  [EVENT_TYPES.RESULT_POSTED]: WEBHOOK_EVENTS.RESULT_POSTED,
+  [EVENT_TYPES.POSITION_CHANGE]: WEBHOOK_EVENTS.STANDINGS_CHANGE,
+  [EVENT_TYPES.RECORD_CHANGE]: WEBHOOK_EVENTS.STANDINGS_CHANGE,
+  [EVENT_TYPES.TEAM_ADDED]: WEBHOOK_EVENTS.STANDINGS_CHANGE,
+  [EVENT_TYPES.TEAM_REMOVED]: WEBHOOK_EVENTS.STANDINGS_CHANGE,
+  [EVENT_TYPES.GAME_ADDED]: WEBHOOK_EVENTS.SCHEDULE_CHANGE,
+  [EVENT_TYPES.GAME_CANCELLED]: WEBHOOK_EVENTS.SCHEDULE_CHANGE,
+  [EVENT_TYPES.GAME_RESCHEDULED]: WEBHOOK_EVENTS.SCHEDULE_CHANGE,
+  [EVENT_TYPES.GAME_RELOCATED]: WEBHOOK_EVENTS.SCHEDULE_CHANGE
+};
+
+const STATUS = {
+  QUEUED: 'queued',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 2 * 60 * 1000;
+const RETENTION_DAYS = 30;
+const TIMEOUT_MS = 10000;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const GIST_SAVE_EVERY = 25;
+
+// sha256=<hex HMAC of "<timestamp>.<body>">
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// For receivers: true when the signature matches and the timestamp (unix
+// seconds) is recent enough not to be a replay
+function verifySignature(secret, timestamp, body, signature, now = Date.now()) {
+  if (!secret || !timestamp || !signature) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// <run>:<webhook>:<event>:<division>, e.g. gh-9876:wh_ab12:result_posted:11U-rep-tier-2
+function createDeliveryKey({ runId, webhookId, event, division }) {
+  return [runId, webhookId, event, division || 'all'].join(':');
+}
+
+// Responses that won't change on a retry: 4xx other than timeouts and rate limits
+function isPermanentStatus(status) {
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+class WebhookService {
+  // gist: optional { isConfigured(), read(), write(content) } for shared storage
+  constructor({ file = path.join(__dirname, 'webhooks.json'), gist = null, timeoutMs = TIMEOUT_MS } = {}) {
+    this.file = file;
+    this.gist = gist;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async load() {
+    const parse = content => {
+      const data = JSON.parse(content);
+      return { webhooks: data.webhooks || [], deliveries: data.deliveries || [] };
+    };
+
+    if (this.gist && this.gist.isConfigured()) {
+      const content = await this.gist.read();
+      if (content) {
+        try {
+          return parse(content);
+        } catch (error) {
+          console.error('❌ Webhooks gist file is not valid JSON:', error.message);
+        }
+      }
+    }
+
+    try {
+      return parse(await fs.readFile(this.file, 'utf8'));
+    } catch {
+      return { webhooks: [], deliveries: [] };
+    }
+  }
+
+  // gist: false writes only the local file
+  async save({ webhooks, deliveries }, { gist = true } = {}) {
+    const content = JSON.stringify({ updatedAt: new Date().toISOString(), webhooks, deliveries }, null, 2);
+
+    const tempFile = this.file + '.tmp';
+    await fs.writeFile(tempFile, content);
+    await fs.rename(tempFile, this.file);
+
+    if (gist && this.gist && this.gist.isConfigured()) {
+      const saved = await this.gist.write(content);
+      if (!saved) {
+        console.warn('⚠️  Failed to save webhooks to GitHub Gist, local file updated');
+      }
+    }
+  }
+
+  // Error message for an invalid registration, or null
+  validate({ url, events, divisions, teamCodes }) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'A valid webhook URL is required';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'Webhook URLs must use http or https';
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'Choose at least one event';
+    }
+    const unknown = events.find(event => !Object.values(WEBHOOK_EVENTS).includes(event));
+    if (unknown) {
+      return `Unknown webhook event: ${unknown}`;
+    }
+
+    if (divisions !== undefined && !Array.isArray(divisions)) return 'divisions must be an array';
+    if (teamCodes !== undefined && !Array.isArray(teamCodes)) return 'teamCodes must be an array';
+    return null;
+  }
+
+  // Register a webhook; the response is the only time the secret is listed in full
+  async create({ url, description = '', events, divisions = [], teamCodes = [] }) {
+    const error = this.validate({ url, events, divisions, teamCodes });
+    if (error) {
+      return { success: false, error };
+    }
+
+    const state = await this.load();
+    const now = new Date().toISOString();
+    const webhook = {
+      id: `wh_${crypto.randomBytes(6).toString('hex')}`,
+      url,
+      description: String(description).trim(),
+      events: [...new Set(events)],
+      divisions: [...new Set(divisions.map(String))],
+      teamCodes: [...new Set(teamCodes.map(String))],
+      secret: crypto.randomBytes(32).toString('hex'),
+      active: true,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    state.webhooks.push(webhook);
+    await this.save(state);
+
+    return { success: true, webhook };
+  }
+
+  // Change the URL, description, events, filters or active flag. rotateSecret
+  // issues a new secret, returned in full like on create.
+  async update(id, updates) {
+    const state = await this.load();
+    const webhook = state.webhooks.find(hook => hook.id === id);
+    if (!webhook) {
+      return { success: false, error: 'Webhook not found' };
+    }
+
+    const next = { ...webhook };
+    ['url', 'description', 'events', 'divisions', 'teamCodes', 'active'].forEach(field => {
+      if (updates[field] !== undefined) next[field] = updates[field];
+    });
+
+    const error = this.validate(next);
+    if (error) {
+      return { success: false, error };
+    }
+
+    next.description = String(next.description).trim();
+    next.divisions = [...new Set(next.divisions.map(String))];
+    next.teamCodes = [...new Set(next.teamCodes.map(String))];
+    next.active = Boolean(next.active);
+    if (updates.rotateSecret) {
+      next.secret = crypto.randomBytes(32).toString('hex');
+    }
+    next.updatedAt = new Date().toISOString();
+
+    Object.assign(webhook, next);
+    await this.save(state);
+
+    return { success: true, webhook: updates.rotateSecret ? webhook : this.summarize(webhook) };
+  }
+
+  // Delete a webhook; its queued deliveries fail on the next flush
+  async remove(id) {
+    const state = await this.load();
+    const webhook = state.webhooks.find(hook => hook.id === id);
+    if (!webhook) {
+      return { success: false, error: 'Webhook not found' };
+    }
+
+    state.webhooks = state.webhooks.filter(hook => hook.id !== id);
+    await this.save(state);
+    return { success: true, webhook: this.summarize(webhook) };
+  }
+
+  // Webhooks without their secrets, each with delivery counts by status
+  async list() {
+    const { webhooks, deliveries } = await this.load();
+
+    return webhooks.map(webhook => {
+      const own = deliveries.filter(delivery => delivery.webhookId === webhook.id);
+      const last = own.reduce((latest, delivery) =>
+        !latest || (delivery.lastAttemptAt || '') > (latest.lastAttemptAt || '') ? delivery : latest, null);
+
+      return {
+        ...this.summarize(webhook),
+        stats: Object.values(STATUS).reduce((stats, status) => {
+          stats[status] = own.filter(delivery => delivery.status === status).length;
+          return stats;
+        }, {}),
+        lastDelivery: last ? this.summarizeDelivery(last) : null
+      };
+    });
+  }
+
+  async get(id) {
+    const { webhooks } = await this.load();
+    return webhooks.find(webhook => webhook.id === id) || null;
+  }
+
+  // Whether a webhook wants an event from a division involving the given teams
+  // (teamCodes null for events not tied to teams, like stories)
+  matches(webhook, event, division = null, teamCodes = null) {
+    if (!webhook.active || !webhook.events.includes(event)) return false;
+    if (webhook.divisions.length > 0 && !webhook.divisions.includes(division)) return false;
+    if (webhook.teamCodes.length > 0) {
+      return Array.isArray(teamCodes) && teamCodes.some(code => webhook.teamCodes.includes(code));
+    }
+    return true;
+  }
+
+  // Deliveries for a scrape's change events: per webhook, division and
+  // webhook event, with the changes that pass the webhook's team filter
+  async buildChangeDeliveries(changeEvents, runId, webhooks = null) {
+    const hooks = webhooks || (await this.load()).webhooks;
+    const groups = new Map();
+
+    changeEvents.forEach(change => {
+      const event = CHANGE_EVENT_WEBHOOKS[change.type];
+      if (!event) return;
+
+      const key = `${change.division}|${event}`;
+      if (!groups.has(key)) groups.set(key, { division: change.division, event, changes: [] });
+      groups.get(key).changes.push(change);
+    });
+
+    const deliveries = [];
+    for (const webhook of hooks) {
+      for (const { division, event, changes } of groups.values()) {
+        const matching = changes.filter(change => this.matches(webhook, event, division, getEventTeamCodes(change)));
+        if (matching.length === 0) continue;
+
+        deliveries.push({
+          runId,
+          webhookId: webhook.id,
+          event,
+          division,
+          payload: {
+            event,
+            runId,
+            division,
+            changes: matching.map(change => ({ ...change, description: describeEvent(change) }))
+          }
+        });
+      }
+    }
+
+    return deliveries;
+  }
+
+  // Deliveries for newly generated homepage stories. Stories name a division
+  // by its display name rather than a division file, so they only go to
+  // webhooks without a division or team filter.
+  async buildStoryDeliveries(stories, runId, webhooks = null) {
+    const hooks = webhooks || (await this.load()).webhooks;
+    if (!stories || stories.length === 0) return [];
+
+    return hooks
+      .filter(webhook => webhook.divisions.length === 0 && this.matches(webhook, WEBHOOK_EVENTS.STORY_PUBLISHED))
+      .map(webhook => ({
+        runId,
+        webhookId: webhook.id,
+        event: WEBHOOK_EVENTS.STORY_PUBLISHED,
+        division: null,
+        payload: {
+          event: WEBHOOK_EVENTS.STORY_PUBLISHED,
+          runId,
+          stories: stories.map(({ id, headline, body, type, division, generatedAt }) => ({ id, headline, body, type, division, generatedAt }))
+        }
+      }));
+  }
+
+  // Queue deliveries ({ runId, webhookId, event, division, payload }); ones
+  // whose key is already queued or delivered are skipped
+  async enqueue(newDeliveries, now = Date.now()) {
+    const state = await this.load();
+    const existing = new Set(state.deliveries.map(delivery => delivery.id));
+    const createdAt = new Date(now).toISOString();
+    let queued = 0;
+    let skipped = 0;
+
+    newDeliveries.forEach(delivery => {
+      const id = createDeliveryKey(delivery);
+      if (existing.has(id)) {
+        skipped++;
+        return;
+      }
+
+      existing.add(id);
+      queued++;
+      state.deliveries.push({
+        id,
+        webhookId: delivery.webhookId,
+        runId: delivery.runId,
+        event: delivery.event,
+        division: delivery.division || null,
+        payload: { id, ...delivery.payload, createdAt },
+        changeCount: delivery.payload.changes?.length || delivery.payload.stories?.length || 0,
+        status: STATUS.QUEUED,
+        attempts: 0,
+        createdAt,
+        nextAttemptAt: createdAt,
+        lastAttemptAt: null,
+        deliveredAt: null,
+        responseStatus: null,
+        durationMs: null,
+        lastError: null
+      });
+    });
+
+    if (queued > 0) {
+      await this.save({ ...state, deliveries: this.prune(state.deliveries, now) });
+    }
+
+    return { queued, skipped };
+  }
+
+  // POST one delivery, signed with the webhook's secret; throws on a network
+  // error or a non-2xx response (error.status set for responses)
+  async post(webhook, delivery, now = Date.now()) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(now / 1000).toString();
+
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'YSBA-Live-Webhooks',
+        'X-YSBA-Event': delivery.event,
+        'X-YSBA-Delivery': delivery.id,
+        'X-YSBA-Timestamp': timestamp,
+        'X-YSBA-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      timeout: this.timeoutMs,
+      maxRedirects: 0,
+      responseType: 'text',
+      validateStatus: () => true
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  // Deliver every queued delivery that is due, saving after each attempt
+  // (to the gist every GIST_SAVE_EVERY attempts and after the last one)
+  async flush(now = Date.now()) {
+    const state = await this.load();
+    const due = state.deliveries.filter(delivery =>
+      delivery.status === STATUS.QUEUED && new Date(delivery.nextAttemptAt).getTime() <= now
+    );
+    const results = [];
+    let unsaved = 0;
+
+    for (const delivery of due) {
+      const webhook = state.webhooks.find(hook => hook.id === delivery.webhookId);
+      delivery.attempts++;
+      delivery.lastAttemptAt = new Date(now).toISOString();
+
+      if (!webhook || !webhook.active) {
+        delivery.status = STATUS.FAILED;
+        delivery.lastError = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+      } else {
+        const started = Date.now();
+        try {
+          const response = await this.post(webhook, delivery, now);
+          delivery.status = STATUS.DELIVERED;
+          delivery.deliveredAt = delivery.lastAttemptAt;
+          delivery.responseStatus = response.status;
+          delivery.lastError = null;
+          delete delivery.payload;
+        } catch (error) {
+          delivery.responseStatus = error.status || null;
+          delivery.lastError = error.message;
+
+          if (isPermanentStatus(error.status) || delivery.attempts >= MAX_ATTEMPTS) {
+            delivery.status = STATUS.FAILED;
+            console.error(`❌ Giving up on webhook ${delivery.id} after ${delivery.attempts} attempt(s): ${error.message}`);
+          } else {
+            delivery.nextAttemptAt = new Date(now + this.getRetryDelay(delivery.attempts)).toISOString();
+            console.warn(`⚠️  Webhook ${delivery.id} failed (attempt ${delivery.attempts}), retrying after ${delivery.nextAttemptAt}`);
+          }
+        }
+        delivery.durationMs = Date.now() - started;
+      }
+
+      results.push({ id: delivery.id, status: delivery.status, attempts: delivery.attempts });
+      unsaved++;
+      const saveGist = unsaved >= GIST_SAVE_EVERY || results.length === due.length;
+      await this.save(state, { gist: saveGist });
+      if (saveGist) unsaved = 0;
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    return {
+      delivered: count(STATUS.DELIVERED),
+      retrying: count(STATUS.QUEUED),
+      failed: count(STATUS.FAILED),
+      results
+    };
+  }
+
+  // Queue and deliver a scrape's change events and new stories
+  async deliver(changeEvents = [], stories = [], runId, now = Date.now()) {
+    const { webhooks } = await this.load();
+    if (webhooks.length === 0) {
+      return { queued: 0, skipped: 0, delivered: 0, retrying: 0, failed: 0 };
+    }
+
+    const deliveries = [
+      ...(await this.buildChangeDeliveries(changeEvents, runId, webhooks)),
+      ...(await this.buildStoryDeliveries(stories, runId, webhooks))
+    ];
+    const { queued, skipped } = await this.enqueue(deliveries, now);
+    const { delivered, retrying, failed } = await this.flush(now);
+
+    console.log(`🪝 Webhooks: ${queued} queued${skipped > 0 ? ` (${skipped} already sent)` : ''}, ${delivered} delivered, ${retrying} to retry, ${failed} failed`);
+    return { queued, skipped, delivered, retrying, failed };
+  }
+
+  // Send a ping to one webhook now, e.g. to check a new receiver
+  async sendTest(id, now = Date.now()) {
+    const webhook = await this.get(id);
+    if (!webhook) {
+      return { success: false, error: 'Webhook not found' };
+    }
+
+    const runId = `test-${now}`;
+    await this.enqueue([{
+      runId,
+      webhookId: id,
+      event: 'ping',
+      division: null,
+      payload: { event: 'ping', runId, message: 'YSBA Live webhook test' }
+    }], now);
+    await this.flush(now);
+
+    const delivery = (await this.listDeliveries({ webhookId: id, limit: 1 }))[0];
+    return { success: delivery?.status === STATUS.DELIVERED, delivery };
+  }
+
+  // 2, 4, 8, 16... minutes after the nth failed attempt
+  getRetryDelay(attempts) {
+    return RETRY_BASE_MS * 2 ** (attempts - 1);
+  }
+
+  // Queue a failed (or waiting) delivery again and deliver it now
+  async retry(id, now = Date.now()) {
+    const state = await this.load();
+    const delivery = state.deliveries.find(entry => entry.id === id);
+
+    if (!delivery) {
+      return { success: false, error: 'Delivery not found' };
+    }
+    if (delivery.status === STATUS.DELIVERED) {
+      return { success: false, error: 'Delivery already succeeded' };
+    }
+
+    delivery.status = STATUS.QUEUED;
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = new Date(now).toISOString();
+    await this.save(state);
+    await this.flush(now);
+
+    const updated = (await this.load()).deliveries.find(entry => entry.id === id);
+    return { success: updated.status === STATUS.DELIVERED, delivery: this.summarizeDelivery(updated) };
+  }
+
+  // Delivery history, newest first, without payloads. Filters: webhookId, status, limit
+  async listDeliveries({ webhookId = null, status = null, limit = 50 } = {}) {
+    const { deliveries } = await this.load();
+    return deliveries
+      .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+      .filter(delivery => !status || delivery.status === status)
+      .sort((a, b) => new Date(b.lastAttemptAt || b.createdAt) - new Date(a.lastAttemptAt || a.createdAt))
+      .slice(0, limit)
+      .map(delivery => this.summarizeDelivery(delivery));
+  }
+
+  summarize(webhook) {
+    const { secret, ...summary } = webhook;
+    return { ...summary, secretHint: secret ? `…${secret.slice(-4)}` : null };
+  }
+
+  summarizeDelivery(delivery) {
+    const { payload, ...summary } = delivery;
+    return summary;
+  }
+
+  // Drop delivered and failed deliveries past the retention period
+  prune(deliveries, now = Date.now()) {
+    const cutoff = now - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    return deliveries.filter(delivery =>
+      delivery.status === STATUS.QUEUED ||
+      new Date(delivery.lastAttemptAt || delivery.createdAt).getTime() >= cutoff
+    );
+  }
+}
+
+module.exports = WebhookService;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.STATUS = STATUS;
+module.exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
+module.exports.GIST_SAVE_EVERY = GIST_SAVE_EVERY;
+module.exports.signPayload = signPayload;
+module.exports.verifySignature = verifySignature;
+module.exports.createDeliveryKey = createDeliveryKey;